@@ -0,0 +1,573 @@
+const { ApiError } = require('../utils/errors');
+const { textProperty, patternProperty } = require('../utils/validation');
+const { string, index, arrayOf, integerArray, stepSchema } = require('../utils/schemas');
+const { collectSteps, inPhase, runTrace } = require('../utils/trace');
+
+/**
+ * Creates a trie node
+ * @param {number} id - Node id (creation order)
+ * @param {number} depth - Depth in the trie
+ * @param {string} label - The prefix spelled by the path from the root
+ * @returns {Object} - The trie node
+ */
+function createNode(id, depth, label) {
+  return {
+    id: id,
+    depth: depth,
+    label: label,
+    children: {},
+    failure: 0,
+    output: null,
+    patterns: []
+  };
+}
+
+/**
+ * Builds the trie of all patterns, yielding step-by-step states
+ * @param {string[]} patterns - The patterns to insert
+ * @returns {Generator} - Yields preprocessing steps and returns the trie nodes
+ */
+function* buildTrieSteps(patterns) {
+  const nodes = [createNode(0, 0, '')];
+
+  yield {
+    type: 'trie_init',
+    description: 'Creating the root of the trie',
+    nodeId: 0,
+    nodeCount: 1,
+    patterns: [...patterns],
+    explanation: `The trie starts with a single root node representing the empty string. Each of the ${patterns.length} pattern(s) will be inserted character by character.`
+  };
+
+  for (const [patternIndex, pattern] of patterns.entries()) {
+    let current = 0;
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      const existing = nodes[current].children[char];
+
+      if (existing !== undefined) {
+        const parentId = current;
+        current = existing;
+
+        yield {
+          type: 'trie_reuse_node',
+          description: `Edge '${char}' already exists: move to node ${current}`,
+          nodeId: current,
+          parentId: parentId,
+          character: char,
+          patternIndex: patternIndex,
+          charIndex: i,
+          nodeCount: nodes.length,
+          explanation: `The prefix '${nodes[current].label}' is shared with an earlier pattern, so no new node is needed.`
+        };
+      } else {
+        const parentId = current;
+        const node = createNode(nodes.length, nodes[parentId].depth + 1, nodes[parentId].label + char);
+        nodes.push(node);
+        nodes[parentId].children[char] = node.id;
+        current = node.id;
+
+        yield {
+          type: 'trie_add_node',
+          description: `Adding node ${node.id} for prefix '${node.label}'`,
+          nodeId: node.id,
+          parentId: parentId,
+          character: char,
+          patternIndex: patternIndex,
+          charIndex: i,
+          nodeCount: nodes.length,
+          explanation: `Node ${parentId} has no edge labeled '${char}', so a new node ${node.id} is created for the prefix '${node.label}'.`
+        };
+      }
+    }
+
+    nodes[current].patterns.push(patternIndex);
+
+    yield {
+      type: 'trie_mark_terminal',
+      description: `Node ${current} marks the end of pattern ${patternIndex} ('${pattern}')`,
+      nodeId: current,
+      patternIndex: patternIndex,
+      nodeCount: nodes.length,
+      explanation: `Reaching node ${current} while scanning the text means pattern '${pattern}' has just been matched.`
+    };
+  }
+
+  return nodes;
+}
+
+/**
+ * Builds the trie of all patterns with step-by-step states
+ * @param {string[]} patterns - The patterns to insert
+ * @returns {Object} - Contains nodes and trieSteps for visualization
+ */
+function buildTrieWithSteps(patterns) {
+  const { steps, value } = collectSteps(buildTrieSteps(patterns));
+  return { nodes: value, trieSteps: steps };
+}
+
+/**
+ * Computes failure links in breadth-first order, yielding step-by-step states
+ * @param {Object[]} nodes - The trie nodes (mutated in place)
+ * @returns {Generator} - Yields preprocessing steps and returns the nodes in breadth-first order
+ */
+function* computeFailureLinksSteps(nodes) {
+  const queue = [];
+  const order = [];
+
+  yield {
+    type: 'failure_init',
+    description: 'Computing failure links in breadth-first order',
+    nodeId: 0,
+    explanation: 'The failure link of a node points to the node for the longest proper suffix of its prefix that is also in the trie. Processing nodes by depth guarantees shallower links are ready when needed.'
+  };
+
+  for (const char of Object.keys(nodes[0].children)) {
+    const child = nodes[0].children[char];
+    nodes[child].failure = 0;
+    queue.push(child);
+
+    yield {
+      type: 'failure_link',
+      description: `failure(${child}) = 0`,
+      nodeId: child,
+      failureId: 0,
+      character: char,
+      explanation: `Node ${child} ('${nodes[child].label}') has depth 1, so its only proper suffix is the empty string: it links to the root.`
+    };
+  }
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    order.push(current);
+
+    for (const char of Object.keys(nodes[current].children)) {
+      const child = nodes[current].children[char];
+      let fallback = nodes[current].failure;
+
+      while (fallback !== 0 && nodes[fallback].children[char] === undefined) {
+        yield {
+          type: 'failure_fallback',
+          description: `Node ${fallback} has no '${char}' edge: follow its failure link to ${nodes[fallback].failure}`,
+          nodeId: child,
+          candidateId: fallback,
+          nextCandidateId: nodes[fallback].failure,
+          character: char,
+          explanation: `'${nodes[fallback].label}${char}' is not in the trie, so try the next shorter suffix '${nodes[nodes[fallback].failure].label}'.`
+        };
+        fallback = nodes[fallback].failure;
+      }
+
+      const target = nodes[fallback].children[char];
+      nodes[child].failure = target !== undefined ? target : 0;
+      queue.push(child);
+
+      yield {
+        type: 'failure_link',
+        description: `failure(${child}) = ${nodes[child].failure}`,
+        nodeId: child,
+        failureId: nodes[child].failure,
+        character: char,
+        explanation: nodes[child].failure === 0
+          ? `No proper suffix of '${nodes[child].label}' is in the trie, so node ${child} links to the root.`
+          : `The longest proper suffix of '${nodes[child].label}' in the trie is '${nodes[nodes[child].failure].label}' (node ${nodes[child].failure}).`
+      };
+    }
+  }
+
+  return order;
+}
+
+/**
+ * Computes failure links in breadth-first order with step-by-step states
+ * @param {Object[]} nodes - The trie nodes (mutated in place)
+ * @returns {Object} - Contains bfsOrder and failureSteps for visualization
+ */
+function computeFailureLinksWithSteps(nodes) {
+  const { steps, value } = collectSteps(computeFailureLinksSteps(nodes));
+  return { bfsOrder: value, failureSteps: steps };
+}
+
+/**
+ * Computes output (dictionary suffix) links, yielding step-by-step states
+ * @param {Object[]} nodes - The trie nodes with failure links (mutated in place)
+ * @param {number[]} bfsOrder - Nodes in breadth-first order
+ * @param {string[]} patterns - The patterns
+ * @returns {Generator} - Yields preprocessing steps
+ */
+function* computeOutputLinksSteps(nodes, bfsOrder, patterns) {
+  for (const id of bfsOrder) {
+    const failure = nodes[id].failure;
+
+    if (failure === 0) {
+      continue;
+    }
+
+    nodes[id].output = nodes[failure].patterns.length > 0 ? failure : nodes[failure].output;
+
+    if (nodes[id].output !== null) {
+      const outputNode = nodes[nodes[id].output];
+
+      yield {
+        type: 'output_link',
+        description: `output(${id}) = ${outputNode.id}`,
+        nodeId: id,
+        outputId: outputNode.id,
+        patternIndices: [...outputNode.patterns],
+        explanation: `Whenever node ${id} ('${nodes[id].label}') is reached, pattern(s) ${outputNode.patterns.map(p => `'${patterns[p]}'`).join(', ')} ending at node ${outputNode.id} also match. Following output links avoids walking the whole failure chain.`
+      };
+    }
+  }
+
+  yield {
+    type: 'automaton_complete',
+    description: 'Aho-Corasick automaton complete',
+    nodeCount: nodes.length,
+    explanation: `The automaton has ${nodes.length} node(s). Scanning the text now needs only one pass: follow trie edges when possible and failure links otherwise.`
+  };
+}
+
+/**
+ * Computes output (dictionary suffix) links with step-by-step states
+ * @param {Object[]} nodes - The trie nodes with failure links (mutated in place)
+ * @param {number[]} bfsOrder - Nodes in breadth-first order
+ * @param {string[]} patterns - The patterns
+ * @returns {Object} - Contains outputSteps for visualization
+ */
+function computeOutputLinksWithSteps(nodes, bfsOrder, patterns) {
+  const { steps } = collectSteps(computeOutputLinksSteps(nodes, bfsOrder, patterns));
+  return { outputSteps: steps };
+}
+
+/**
+ * Scans the text with the automaton, yielding step-by-step states
+ * @param {string} text - The text to search in
+ * @param {string[]} patterns - The patterns
+ * @param {Object[]} nodes - The completed automaton
+ * @returns {Generator} - Yields matching steps and returns { matches, transitions, failureTransitions }
+ */
+function* ahoCorasickSearchSteps(text, patterns, nodes) {
+  const matches = [];
+  let transitions = 0;
+  let failureTransitions = 0;
+  let current = 0;
+
+  yield {
+    type: 'search_init',
+    description: 'Starting Aho-Corasick scan',
+    textIndex: 0,
+    nodeId: 0,
+    matchCount: 0,
+    explanation: 'Beginning the search phase. Each text character is read exactly once; the current node always represents the longest suffix of the text read so far that is a prefix of some pattern.'
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    while (current !== 0 && nodes[current].children[char] === undefined) {
+      failureTransitions++;
+
+      yield {
+        type: 'failure_transition',
+        description: `No '${char}' edge from node ${current}: follow failure link to ${nodes[current].failure}`,
+        textIndex: i,
+        character: char,
+        nodeId: nodes[current].failure,
+        previousNodeId: current,
+        matchCount: matches.length,
+        explanation: `'${nodes[current].label}${char}' is not a prefix of any pattern, so fall back to the longest suffix '${nodes[nodes[current].failure].label}' that is.`
+      };
+
+      current = nodes[current].failure;
+    }
+
+    const next = nodes[current].children[char];
+    const previous = current;
+    current = next !== undefined ? next : 0;
+    transitions++;
+
+    yield {
+      type: 'transition',
+      description: next !== undefined
+        ? `Read text[${i}]='${char}': move to node ${current}`
+        : `Read text[${i}]='${char}': no edge from the root, stay at root`,
+      textIndex: i,
+      character: char,
+      nodeId: current,
+      previousNodeId: previous,
+      matchCount: matches.length,
+      explanation: next !== undefined
+        ? `The text read so far ends with '${nodes[current].label}', which is a prefix of a pattern.`
+        : `'${char}' does not start any pattern, so the automaton stays at the root.`
+    };
+
+    // Report every pattern ending here: the node itself, then its output chain
+    let reporter = nodes[current].patterns.length > 0 ? current : nodes[current].output;
+
+    while (reporter !== null) {
+      for (const patternIndex of nodes[reporter].patterns) {
+        const position = i - patterns[patternIndex].length + 1;
+        matches.push({ position, patternIndex, pattern: patterns[patternIndex] });
+
+        yield {
+          type: 'pattern_found',
+          description: `Pattern '${patterns[patternIndex]}' found at index ${position}!`,
+          textIndex: i,
+          nodeId: current,
+          reportedBy: reporter,
+          patternIndex: patternIndex,
+          foundAt: position,
+          matchCount: matches.length,
+          explanation: reporter === current
+            ? `Node ${current} is the end of pattern '${patterns[patternIndex]}', so it occurs at text[${position}..${i}].`
+            : `Following the output link to node ${reporter} shows that pattern '${patterns[patternIndex]}', a suffix of '${nodes[current].label}', also ends here at text[${position}..${i}].`
+        };
+      }
+      reporter = nodes[reporter].output;
+    }
+  }
+
+  yield {
+    type: 'search_complete',
+    description: 'Aho-Corasick search complete',
+    matchCount: matches.length,
+    transitions: transitions,
+    failureTransitions: failureTransitions,
+    explanation: `Search complete. Found ${matches.length} occurrence(s) of ${patterns.length} pattern(s) using ${transitions} trie transitions and ${failureTransitions} failure transitions.`
+  };
+
+  return { matches, transitions, failureTransitions };
+}
+
+/**
+ * Scans the text with the automaton with step-by-step states
+ * @param {string} text - The text to search in
+ * @param {string[]} patterns - The patterns
+ * @param {Object[]} nodes - The completed automaton
+ * @returns {Object} - Contains matches and matchingSteps for visualization
+ */
+function ahoCorasickSearchWithSteps(text, patterns, nodes) {
+  const { steps, value } = collectSteps(ahoCorasickSearchSteps(text, patterns, nodes));
+  return { matches: value.matches, matchingSteps: steps, transitions: value.transitions, failureTransitions: value.failureTransitions };
+}
+
+/**
+ * Converts the automaton into a node/edge graph the frontend can draw
+ * @param {Object[]} nodes - The completed automaton
+ * @returns {Object} - Graph with nodes, trie edges, failure links and output links
+ */
+function toGraph(nodes) {
+  const edges = [];
+  const failureLinks = [];
+  const outputLinks = [];
+
+  for (const node of nodes) {
+    for (const char of Object.keys(node.children)) {
+      edges.push({ from: node.id, to: node.children[char], label: char });
+    }
+    if (node.id !== 0) {
+      failureLinks.push({ from: node.id, to: node.failure });
+    }
+    if (node.output !== null) {
+      outputLinks.push({ from: node.id, to: node.output });
+    }
+  }
+
+  return {
+    nodes: nodes.map(node => ({
+      id: node.id,
+      depth: node.depth,
+      label: node.label,
+      terminal: node.patterns.length > 0,
+      patterns: [...node.patterns]
+    })),
+    edges: edges,
+    failureLinks: failureLinks,
+    outputLinks: outputLinks
+  };
+}
+
+/**
+ * Aho-Corasick as an algorithm trace: the trie and failure links, then the search
+ * @param {string} text - The text to search in
+ * @param {string[]} patterns - The patterns to search for
+ * @returns {Generator} - Algorithm trace
+ */
+function* ahoCorasickTrace(text, patterns) {
+  // Input validation
+  if (!text || !Array.isArray(patterns) || patterns.length === 0) {
+    throw new ApiError('MISSING_PARAMETER', 'Text and at least one pattern are required');
+  }
+  if (patterns.some(pattern => !pattern)) {
+    throw new ApiError('MISSING_PARAMETER', 'Patterns cannot be empty');
+  }
+
+  // Step 1: Build the trie, failure links and output links with steps
+  const nodes = yield* inPhase('preprocessing', buildTrieSteps(patterns));
+  const bfsOrder = yield* inPhase('preprocessing', computeFailureLinksSteps(nodes));
+  yield* inPhase('preprocessing', computeOutputLinksSteps(nodes, bfsOrder, patterns));
+
+  // Step 2: Scan the text with steps
+  const { matches, transitions, failureTransitions } =
+    yield* inPhase('matching', ahoCorasickSearchSteps(text, patterns, nodes));
+
+  return {
+    algorithm: 'Aho-Corasick',
+    text: text,
+    patterns: patterns,
+    trie: toGraph(nodes),
+    preprocessing: {
+      description: 'Trie, Failure Link and Output Link Construction'
+    },
+    matching: {
+      description: 'Single-Pass Automaton Scan'
+    },
+    result: {
+      matches: matches,
+      matchCount: matches.length,
+      matchesByPattern: patterns.map((pattern, index) => ({
+        pattern: pattern,
+        patternIndex: index,
+        positions: matches.filter(match => match.patternIndex === index).map(match => match.position)
+      })),
+      transitions: transitions,
+      failureTransitions: failureTransitions,
+      timeComplexity: 'O(n + m + z)',
+      spaceComplexity: 'O(m)'
+    }
+  };
+}
+
+/**
+ * Main Aho-Corasick algorithm function that combines automaton construction and search
+ * @param {string} text - The text to search in
+ * @param {string[]} patterns - The patterns to search for
+ * @returns {Object} - Complete algorithm execution data for visualization
+ */
+function ahoCorasickAlgorithm(text, patterns) {
+  return runTrace(ahoCorasickTrace(text, patterns));
+}
+
+const trieInsertFields = {
+  nodeId: index,
+  parentId: index,
+  character: string,
+  patternIndex: index,
+  charIndex: index,
+  nodeCount: index
+};
+const transitionFields = {
+  textIndex: index,
+  character: string,
+  nodeId: index,
+  previousNodeId: index,
+  matchCount: index
+};
+
+/**
+ * Registry entry for Aho-Corasick. Takes `patterns` instead of `pattern`, so it has no single-pattern metrics
+ */
+const definition = {
+  id: 'aho-corasick',
+  parameters: {
+    type: 'object',
+    required: ['text', 'patterns'],
+    properties: {
+      text: textProperty,
+      patterns: {
+        type: 'array',
+        title: 'Patterns',
+        minItems: 1,
+        items: patternProperty,
+        description: 'The patterns to search for'
+      }
+    }
+  },
+  info: {
+    name: 'Aho-Corasick Algorithm',
+    description: 'A multi-pattern string matching algorithm that builds a trie of all patterns, augments it with failure and output links, and then finds every occurrence of every pattern in a single pass over the text.',
+    properties: {
+      timeComplexity: {
+        preprocessing: 'O(m)',
+        matching: 'O(n + z)',
+        total: 'O(n + m + z)',
+        explanation: 'm is the total length of all patterns and z is the number of reported matches.'
+      },
+      spaceComplexity: 'O(m)',
+      keyFeatures: [
+        'Searches for many patterns at once',
+        'Each text character is read exactly once',
+        'Failure links play the role of the KMP LPS array',
+        'Output links report overlapping and nested patterns'
+      ]
+    },
+    keyConcepts: [
+      {
+        name: 'Trie',
+        description: 'A tree in which every path from the root spells a prefix of some pattern. Nodes where a pattern ends are marked as terminal.'
+      },
+      {
+        name: 'Failure Links',
+        description: 'Each node links to the node for the longest proper suffix of its prefix that is also in the trie. They are computed in breadth-first order so shorter suffixes are always ready.'
+      },
+      {
+        name: 'Output Links',
+        description: 'Each node links to the nearest terminal node along its failure chain, so patterns that are suffixes of other patterns are reported without walking the whole chain.'
+      }
+    ],
+    examples: [
+      { text: 'USHERS', patterns: ['HE', 'SHE', 'HIS', 'HERS'] },
+      { text: 'ABCCDDAEFG', patterns: ['CDD', 'AEF', 'CC'] },
+      { text: 'AABAACAADAABAABA', patterns: ['AABA', 'AA', 'BAA'] }
+    ]
+  },
+  steps: {
+    preprocessing: [
+      stepSchema('trie_init', 'The trie starts with the root', { nodeId: index, nodeCount: index, patterns: arrayOf(string) }),
+      stepSchema('trie_add_node', 'A new node is added for a pattern character', trieInsertFields),
+      stepSchema('trie_reuse_node', 'An existing node already spells the prefix', trieInsertFields),
+      stepSchema('trie_mark_terminal', 'The node ends a pattern', { nodeId: index, patternIndex: index, nodeCount: index }),
+      stepSchema('failure_init', 'Depth-1 nodes fail to the root', { nodeId: index }),
+      stepSchema('failure_fallback', 'The candidate has no edge for the character, so its own failure link is tried', {
+        nodeId: index,
+        candidateId: index,
+        nextCandidateId: index,
+        character: string
+      }),
+      stepSchema('failure_link', 'The failure link of a node is set', { nodeId: index, failureId: index, character: string }),
+      stepSchema('output_link', 'The node reports the patterns of its output link', { nodeId: index, outputId: index, patternIndices: integerArray }),
+      stepSchema('automaton_complete', 'The automaton is complete', { nodeCount: index })
+    ],
+    matching: [
+      stepSchema('search_init', 'Matching starts at the root', { textIndex: index, nodeId: index, matchCount: index }),
+      stepSchema('transition', 'The automaton follows a trie edge', transitionFields),
+      stepSchema('failure_transition', 'The automaton follows a failure link', transitionFields),
+      stepSchema('pattern_found', 'A pattern ends at the current text position', {
+        textIndex: index,
+        nodeId: index,
+        reportedBy: index,
+        patternIndex: index,
+        foundAt: index,
+        matchCount: index
+      }),
+      stepSchema('search_complete', 'Matching is complete', { matchCount: index, transitions: index, failureTransitions: index })
+    ]
+  },
+  execute: ({ text, patterns }) => ahoCorasickAlgorithm(text, patterns),
+  trace: ({ text, patterns }) => ahoCorasickTrace(text, patterns)
+};
+
+module.exports = {
+  ahoCorasickAlgorithm,
+  ahoCorasickTrace,
+  buildTrieWithSteps,
+  buildTrieSteps,
+  computeFailureLinksWithSteps,
+  computeFailureLinksSteps,
+  computeOutputLinksWithSteps,
+  computeOutputLinksSteps,
+  ahoCorasickSearchWithSteps,
+  ahoCorasickSearchSteps,
+  definition
+};
@@ -0,0 +1,429 @@
+const { ApiError } = require('../utils/errors');
+const { textProperty, patternProperty } = require('../utils/validation');
+const { string, index, integerArray, arrayOf, stepSchema } = require('../utils/schemas');
+const { collectSteps, inPhase, runTrace } = require('../utils/trace');
+
+const MODES = ['hamming', 'levenshtein'];
+
+// Hamming columns leave the cells of windows that are still too short empty (null)
+const dpColumn = arrayOf({ type: ['integer', 'null'], minimum: 0 });
+
+/**
+ * Builds the first DP column (no text character read yet).
+ * Row i is the cost of matching the first i pattern characters against an empty text suffix.
+ * @param {number} m - Pattern length
+ * @param {string} mode - 'hamming' or 'levenshtein'
+ * @returns {Array<number|null>} - Column of m + 1 cells; null marks cells Hamming distance cannot reach
+ */
+function initialColumn(m, mode) {
+  return Array.from({ length: m + 1 }, (_, i) => (i === 0 ? 0 : mode === 'levenshtein' ? i : null));
+}
+
+/**
+ * Prepares the DP table, yielding the initial column
+ * @param {string} pattern - The pattern to search for
+ * @param {number} maxErrors - Maximum number of errors allowed
+ * @param {string} mode - 'hamming' or 'levenshtein'
+ * @returns {Generator} - Yields preprocessing steps and returns the initial column
+ */
+function* initializeTableSteps(pattern, maxErrors, mode) {
+  const column = initialColumn(pattern.length, mode);
+
+  yield {
+    type: 'dp_init',
+    description: `Initializing DP column 0 for ${mode === 'hamming' ? 'k-mismatch' : 'edit distance'} matching`,
+    mode: mode,
+    maxErrors: maxErrors,
+    pattern: pattern,
+    column: [...column],
+    explanation: mode === 'hamming'
+      ? 'Cell i of a column holds the number of mismatches between the first i pattern characters and the i text characters ending at the current position. Row 0 is 0 everywhere because an occurrence may start at any text position; the other rows of column 0 are empty since no text has been read.'
+      : 'Cell i of a column holds the smallest edit distance between the first i pattern characters and any substring ending at the current text position. Row 0 is 0 everywhere (Sellers\' trick: an occurrence may start anywhere for free) and column 0 is i, the cost of deleting i pattern characters.'
+  };
+
+  return column;
+}
+
+/**
+ * Computes the next DP column
+ * @param {Array<number|null>} previous - Column for the previous text position
+ * @param {string} pattern - The pattern
+ * @param {string} char - Text character of this column
+ * @param {string} mode - 'hamming' or 'levenshtein'
+ * @returns {Object} - { column, operations } where operations[i] names the move that produced cell i
+ */
+function nextColumn(previous, pattern, char, mode) {
+  const m = pattern.length;
+  const column = [0];
+  const operations = ['start'];
+
+  for (let i = 1; i <= m; i++) {
+    const same = pattern[i - 1] === char;
+    const diagonal = previous[i - 1] === null ? null : previous[i - 1] + (same ? 0 : 1);
+    let value = diagonal;
+    let operation = diagonal === null ? null : same ? 'match' : 'substitution';
+
+    if (mode === 'levenshtein') {
+      // Pattern character i has no text partner
+      if (column[i - 1] + 1 < value) {
+        value = column[i - 1] + 1;
+        operation = 'deletion';
+      }
+      // Text character has no pattern partner
+      if (previous[i] + 1 < value) {
+        value = previous[i] + 1;
+        operation = 'insertion';
+      }
+    }
+
+    column.push(value);
+    operations.push(operation);
+  }
+
+  return { column, operations };
+}
+
+/**
+ * Recovers an optimal alignment of the whole pattern with a text substring ending at `end`.
+ * Recomputes the DP over the last m + maxErrors characters, which always contain the best start.
+ * @param {string} text - The text
+ * @param {string} pattern - The pattern
+ * @param {number} end - Index of the last text character of the occurrence
+ * @param {number} maxErrors - Maximum number of errors allowed
+ * @param {string} mode - 'hamming' or 'levenshtein'
+ * @returns {Object} - { start, text, pattern, operations } with gaps shown as '-'
+ */
+function alignOccurrence(text, pattern, end, maxErrors, mode) {
+  const m = pattern.length;
+
+  if (mode === 'hamming') {
+    const start = end - m + 1;
+    let operations = '';
+    for (let i = 0; i < m; i++) {
+      operations += text[start + i] === pattern[i] ? 'M' : 'S';
+    }
+    return { start, text: text.slice(start, end + 1), pattern, operations };
+  }
+
+  const from = Math.max(0, end - m - maxErrors + 1);
+  const window = text.slice(from, end + 1);
+  const w = window.length;
+  const table = Array.from({ length: m + 1 }, (_, i) => new Array(w + 1).fill(i));
+  table[0].fill(0);
+
+  for (let i = 1; i <= m; i++) {
+    for (let x = 1; x <= w; x++) {
+      table[i][x] = Math.min(
+        table[i - 1][x - 1] + (pattern[i - 1] === window[x - 1] ? 0 : 1),
+        table[i - 1][x] + 1,
+        table[i][x - 1] + 1
+      );
+    }
+  }
+
+  let alignedText = '';
+  let alignedPattern = '';
+  let operations = '';
+  let i = m;
+  let x = w;
+
+  while (i > 0) {
+    const cost = x > 0 && pattern[i - 1] === window[x - 1] ? 0 : 1;
+    if (x > 0 && table[i][x] === table[i - 1][x - 1] + cost) {
+      alignedText = window[x - 1] + alignedText;
+      alignedPattern = pattern[i - 1] + alignedPattern;
+      operations = (cost === 0 ? 'M' : 'S') + operations;
+      i--;
+      x--;
+    } else if (table[i][x] === table[i - 1][x] + 1) {
+      alignedText = '-' + alignedText;
+      alignedPattern = pattern[i - 1] + alignedPattern;
+      operations = 'D' + operations;
+      i--;
+    } else {
+      alignedText = window[x - 1] + alignedText;
+      alignedPattern = '-' + alignedPattern;
+      operations = 'I' + operations;
+      x--;
+    }
+  }
+
+  return { start: from + x, text: alignedText, pattern: alignedPattern, operations };
+}
+
+/**
+ * Fills the DP table column by column, yielding step-by-step states
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @param {number} maxErrors - Maximum number of errors allowed
+ * @param {string} mode - 'hamming' or 'levenshtein'
+ * @param {Array<number|null>} column - Initial column from initializeTableSteps
+ * @returns {Generator} - Yields matching steps and returns { matches, cellsComputed }
+ */
+function* approximateSearchSteps(text, pattern, maxErrors, mode, column) {
+  const n = text.length;
+  const m = pattern.length;
+  const matches = [];
+  let cellsComputed = 0;
+
+  yield {
+    type: 'search_init',
+    description: `Starting approximate matching with at most ${maxErrors} error(s)`,
+    textIndex: 0,
+    column: [...column],
+    matches: [],
+    explanation: `One column is computed per text character. Whenever the last cell (the whole pattern) is at most ${maxErrors}, an occurrence ends at that text position.`
+  };
+
+  for (let j = 0; j < n; j++) {
+    const next = nextColumn(column, pattern, text[j], mode);
+    column = next.column;
+    cellsComputed += m;
+
+    const errors = column[m];
+
+    yield {
+      type: 'dp_column',
+      description: `Column ${j + 1}: text[${j}]='${text[j]}', pattern distance ${errors === null ? '-' : errors}`,
+      textIndex: j,
+      column: [...column],
+      operations: next.operations,
+      matches: matches.map(match => match.end),
+      explanation: mode === 'hamming'
+        ? `Each cell extends the diagonal above-left by one character: +0 if pattern[i-1] equals '${text[j]}', +1 otherwise.`
+        : `Each cell takes the cheapest of: diagonal (+0 on a match, +1 for a substitution), above (+1, pattern character deleted) and left (+1, text character '${text[j]}' inserted).`
+    };
+
+    if (errors !== null && errors <= maxErrors) {
+      const alignment = alignOccurrence(text, pattern, j, maxErrors, mode);
+      const match = {
+        start: alignment.start,
+        end: j,
+        errors: errors,
+        alignment: { text: alignment.text, pattern: alignment.pattern, operations: alignment.operations }
+      };
+      matches.push(match);
+
+      yield {
+        type: 'approximate_match',
+        description: `Occurrence with ${errors} error(s) ending at index ${j}`,
+        textIndex: j,
+        column: [...column],
+        matches: matches.map(entry => entry.end),
+        match: match,
+        explanation: errors === 0
+          ? `The last cell is 0, so text[${match.start}..${j}] is an exact occurrence.`
+          : `The last cell is ${errors} ≤ ${maxErrors}. Tracing back gives text[${match.start}..${j}] with alignment ${alignment.operations} (M match, S substitution, I insertion, D deletion).`
+      };
+    }
+  }
+
+  yield {
+    type: 'search_complete',
+    description: 'Approximate search complete',
+    matches: matches.map(match => match.end),
+    totalMatches: matches.length,
+    cellsComputed: cellsComputed,
+    explanation: `Search complete. Found ${matches.length} occurrence end position(s) with at most ${maxErrors} error(s) after computing ${cellsComputed} DP cells.`
+  };
+
+  return { matches, cellsComputed };
+}
+
+/**
+ * Fills the DP table with step-by-step states
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @param {number} maxErrors - Maximum number of errors allowed
+ * @param {string} mode - 'hamming' or 'levenshtein'
+ * @returns {Object} - Contains matches and matchingSteps for visualization
+ */
+function approximateSearchWithSteps(text, pattern, maxErrors, mode) {
+  const { steps, value } = collectSteps(
+    approximateSearchSteps(text, pattern, maxErrors, mode, initialColumn(pattern.length, mode)));
+  return { matches: value.matches, matchingSteps: steps, cellsComputed: value.cellsComputed };
+}
+
+/**
+ * Approximate matching as an algorithm trace: one DP column per text position
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @param {number} maxErrors - Maximum number of errors allowed
+ * @param {string} mode - 'hamming' (k mismatches) or 'levenshtein' (edit distance, Sellers' algorithm)
+ * @returns {Generator} - Algorithm trace
+ */
+function* approximateTrace(text, pattern, maxErrors, mode) {
+  // Input validation
+  if (!text || !pattern) {
+    throw new ApiError('MISSING_PARAMETER', 'Both text and pattern are required');
+  }
+  if (!MODES.includes(mode)) {
+    throw new ApiError('INVALID_PARAMETER', `Mode must be one of: ${MODES.join(', ')}`);
+  }
+  if (mode === 'hamming' && pattern.length > text.length) {
+    throw new ApiError('PATTERN_TOO_LONG', 'Pattern length cannot exceed text length');
+  }
+
+  const column = yield* inPhase('preprocessing', initializeTableSteps(pattern, maxErrors, mode));
+  const { matches, cellsComputed } = yield* inPhase('matching',
+    approximateSearchSteps(text, pattern, maxErrors, mode, column));
+
+  return {
+    algorithm: mode === 'hamming' ? 'Approximate Matching (Hamming)' : 'Approximate Matching (Levenshtein)',
+    text: text,
+    pattern: pattern,
+    mode: mode,
+    maxErrors: maxErrors,
+    preprocessing: {
+      description: 'DP Table Initialization'
+    },
+    matching: {
+      description: 'Column-by-Column DP Computation'
+    },
+    result: {
+      matches: matches,
+      matchCount: matches.length,
+      minErrors: matches.length > 0 ? Math.min(...matches.map(match => match.errors)) : null,
+      cellsComputed: cellsComputed,
+      timeComplexity: 'O(nm)',
+      spaceComplexity: 'O(m)'
+    }
+  };
+}
+
+/**
+ * Main approximate matching function
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @param {number} maxErrors - Maximum number of errors allowed
+ * @param {string} mode - 'hamming' or 'levenshtein'
+ * @returns {Object} - Complete algorithm execution data for visualization
+ */
+function approximateAlgorithm(text, pattern, maxErrors, mode) {
+  return runTrace(approximateTrace(text, pattern, maxErrors, mode));
+}
+
+// An occurrence with its alignment: M match, S substitution, I insertion, D deletion
+const matchSchema = {
+  type: 'object',
+  required: ['start', 'end', 'errors', 'alignment'],
+  properties: {
+    start: index,
+    end: index,
+    errors: index,
+    alignment: {
+      type: 'object',
+      required: ['text', 'pattern', 'operations'],
+      properties: { text: string, pattern: string, operations: string },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Registry entry for approximate matching. No metrics: occurrences with errors cannot be
+ * compared with the exact matchers.
+ */
+const definition = {
+  id: 'approximate',
+  parameters: {
+    type: 'object',
+    required: ['text', 'pattern'],
+    properties: {
+      text: textProperty,
+      pattern: patternProperty,
+      maxErrors: {
+        type: 'integer',
+        title: 'maxErrors',
+        minimum: 0,
+        default: 1,
+        description: 'Maximum number of mismatches (hamming) or edits (levenshtein)'
+      },
+      mode: { type: 'string', title: 'Mode', enum: MODES, default: 'levenshtein' }
+    }
+  },
+  validate: ({ text, pattern, maxErrors, mode }) => {
+    if (maxErrors >= pattern.length) {
+      return { code: 'INVALID_PARAMETER', message: 'maxErrors must be smaller than the pattern length' };
+    }
+    if (mode === 'hamming' && pattern.length > text.length) {
+      return { code: 'PATTERN_TOO_LONG', message: 'Pattern length cannot exceed text length' };
+    }
+    return null;
+  },
+  info: {
+    name: 'Approximate String Matching',
+    description: 'Finds every place where the pattern occurs with at most k errors, either k mismatched characters (Hamming distance) or k insertions, deletions and substitutions (Levenshtein distance, Sellers\' algorithm). A dynamic programming column is computed for every text character.',
+    properties: {
+      timeComplexity: {
+        preprocessing: 'O(m)',
+        matching: 'O(nm)',
+        total: 'O(nm)'
+      },
+      spaceComplexity: 'O(m)',
+      keyFeatures: [
+        'Hamming mode: k mismatches, occurrences have exactly m characters',
+        'Levenshtein mode: k edits, occurrences can be shorter or longer than the pattern',
+        'Reports the error count and an alignment for every occurrence end position',
+        'Only one DP column is kept while scanning'
+      ]
+    },
+    keyConcepts: [
+      {
+        name: 'Sellers\' Algorithm',
+        description: 'The edit distance DP with row 0 set to zero in every column. A match may begin anywhere in the text for free, so the last row gives the best distance of the pattern to any substring ending at each position.'
+      },
+      {
+        name: 'Column-by-Column Evaluation',
+        description: 'Column j only depends on column j - 1, so the table is filled one text character at a time using O(m) memory.'
+      },
+      {
+        name: 'Alignment',
+        description: 'Tracing back through the DP cells recovers how the pattern aligns with the text: M (match), S (substitution), I (text character inserted) and D (pattern character deleted).'
+      }
+    ],
+    examples: [
+      { text: 'THE QUICK BROWN FOX', pattern: 'QIUCK', maxErrors: 2, mode: 'levenshtein' },
+      { text: 'ACGTACGTTACG', pattern: 'ACGA', maxErrors: 1, mode: 'hamming' },
+      { text: 'surgery survey surely', pattern: 'survey', maxErrors: 2, mode: 'levenshtein' }
+    ]
+  },
+  steps: {
+    preprocessing: [
+      stepSchema('dp_init', 'The first DP column holds the cost of deleting pattern prefixes', {
+        mode: { enum: MODES },
+        maxErrors: index,
+        pattern: string,
+        column: dpColumn
+      })
+    ],
+    matching: [
+      stepSchema('search_init', 'Matching starts with the initial column', { textIndex: index, column: dpColumn, matches: integerArray }),
+      stepSchema('dp_column', 'The DP column of a text character is computed', {
+        textIndex: index,
+        column: dpColumn,
+        operations: arrayOf({ enum: ['start', 'match', 'substitution', 'insertion', 'deletion', null] }),
+        matches: integerArray
+      }),
+      stepSchema('approximate_match', 'The last cell is within maxErrors, so an occurrence ends here', {
+        textIndex: index,
+        column: dpColumn,
+        matches: integerArray,
+        match: matchSchema
+      }),
+      stepSchema('search_complete', 'Matching is complete', { matches: integerArray, totalMatches: index, cellsComputed: index })
+    ]
+  },
+  execute: ({ text, pattern, maxErrors, mode }) => approximateAlgorithm(text, pattern, maxErrors, mode),
+  trace: ({ text, pattern, maxErrors, mode }) => approximateTrace(text, pattern, maxErrors, mode)
+};
+
+module.exports = {
+  approximateAlgorithm,
+  approximateTrace,
+  approximateSearchWithSteps,
+  approximateSearchSteps,
+  alignOccurrence,
+  definition
+};
@@ -0,0 +1,487 @@
+const { ApiError } = require('../utils/errors');
+const { textPatternParameters, patternFitsText } = require('../utils/validation');
+const { string, integer, index, arrayOf, integerArray, comparison, alignmentFields, stepSchema } = require('../utils/schemas');
+const { countPreprocessingOperations } = require('../utils/metrics');
+const { collectSteps, inPhase, runTrace } = require('../utils/trace');
+
+/**
+ * Builds the bad-character table, yielding step-by-step states
+ * @param {string} pattern - The pattern to preprocess
+ * @returns {Generator} - Yields preprocessing steps and returns the table (char -> last index)
+ */
+function* computeBadCharTableSteps(pattern) {
+  const m = pattern.length;
+  const table = {};
+
+  yield {
+    type: 'bad_char_init',
+    description: 'Initializing bad-character table',
+    badCharTable: { ...table },
+    pattern: pattern,
+    explanation: 'The bad-character table stores the last position of every character in the pattern. Characters that do not appear in the pattern are treated as position -1.'
+  };
+
+  for (let i = 0; i < m; i++) {
+    const char = pattern[i];
+    const previous = char in table ? table[char] : -1;
+    table[char] = i;
+
+    yield {
+      type: 'bad_char_update',
+      description: `Last occurrence of '${char}' is now ${i}`,
+      badCharTable: { ...table },
+      currentIndex: i,
+      character: char,
+      previousIndex: previous,
+      pattern: pattern,
+      explanation: previous === -1
+        ? `First occurrence of '${char}' found at position ${i}. badChar['${char}'] = ${i}`
+        : `'${char}' occurs again at position ${i}, replacing the earlier position ${previous}. badChar['${char}'] = ${i}`
+    };
+  }
+
+  yield {
+    type: 'bad_char_complete',
+    description: 'Bad-character table computation complete',
+    badCharTable: { ...table },
+    pattern: pattern,
+    explanation: 'On a mismatch against text character c at pattern position j, the pattern can be shifted by j - badChar[c] so that the last occurrence of c lines up with the text.'
+  };
+
+  return table;
+}
+
+/**
+ * Builds the bad-character table with step-by-step states
+ * @param {string} pattern - The pattern to preprocess
+ * @returns {Object} - Contains badCharTable (char -> last index) and badCharSteps for visualization
+ */
+function computeBadCharTableWithSteps(pattern) {
+  const { steps, value } = collectSteps(computeBadCharTableSteps(pattern));
+  return { badCharTable: value, badCharSteps: steps };
+}
+
+/**
+ * Builds the (strong) good-suffix shift table, yielding step-by-step states
+ * @param {string} pattern - The pattern to preprocess
+ * @returns {Generator} - Yields preprocessing steps and returns { goodSuffixTable, borderPositions }
+ */
+function* computeGoodSuffixTableSteps(pattern) {
+  const m = pattern.length;
+  const shift = new Array(m + 1).fill(0);
+  const border = new Array(m + 1).fill(0);
+
+  yield {
+    type: 'good_suffix_init',
+    description: 'Initializing good-suffix table',
+    goodSuffixTable: [...shift],
+    borderPositions: [...border],
+    pattern: pattern,
+    explanation: 'goodSuffix[j] is the shift to apply when a mismatch happens at pattern position j - 1, i.e. when the suffix pattern[j..m-1] has already matched. borderPositions[i] holds the start of the widest border of pattern[i..m-1].'
+  };
+
+  // Case 1: the matched suffix occurs somewhere else in the pattern
+  let i = m;
+  let j = m + 1;
+  border[i] = j;
+
+  while (i > 0) {
+    while (j <= m && pattern[i - 1] !== pattern[j - 1]) {
+      if (shift[j] === 0) {
+        shift[j] = j - i;
+
+        yield {
+          type: 'good_suffix_case1',
+          description: `Suffix starting at ${j} reoccurs preceded by a different character: goodSuffix[${j}] = ${j - i}`,
+          goodSuffixTable: [...shift],
+          borderPositions: [...border],
+          suffixStart: j,
+          borderStart: i,
+          pattern: pattern,
+          explanation: `pattern[${i - 1}]='${pattern[i - 1]}' ≠ pattern[${j - 1}]='${pattern[j - 1]}', so the suffix pattern[${j}..${m - 1}] also appears at position ${i} with a different character in front. Shifting by ${j - i} aligns that occurrence with the text.`
+        };
+      }
+      j = border[j];
+    }
+    i--;
+    j--;
+    border[i] = j;
+
+    yield {
+      type: 'good_suffix_border',
+      description: `Widest border of pattern[${i}..${m - 1}] starts at ${j}`,
+      goodSuffixTable: [...shift],
+      borderPositions: [...border],
+      currentIndex: i,
+      borderStart: j,
+      pattern: pattern,
+      explanation: j > m
+        ? `pattern[${i}..${m - 1}] has no proper border. borderPositions[${i}] = ${j}`
+        : `The longest proper suffix of pattern[${i}..${m - 1}] that is also its prefix starts at position ${j}. borderPositions[${i}] = ${j}`
+    };
+  }
+
+  // Case 2: only a prefix of the pattern matches a part of the suffix
+  j = border[0];
+  for (i = 0; i <= m; i++) {
+    if (shift[i] === 0) {
+      shift[i] = j;
+
+      yield {
+        type: 'good_suffix_case2',
+        description: `No reoccurrence for suffix starting at ${i}: goodSuffix[${i}] = ${j}`,
+        goodSuffixTable: [...shift],
+        borderPositions: [...border],
+        currentIndex: i,
+        widestBorder: j,
+        pattern: pattern,
+        explanation: `The suffix does not reoccur inside the pattern, so we shift by ${j}, the distance that aligns the widest border of the whole pattern that still fits inside the matched suffix.`
+      };
+    }
+    if (i === j) {
+      j = border[j];
+    }
+  }
+
+  yield {
+    type: 'good_suffix_complete',
+    description: 'Good-suffix table computation complete',
+    goodSuffixTable: [...shift],
+    borderPositions: [...border],
+    pattern: pattern,
+    explanation: 'The good-suffix table is complete. goodSuffix[0] is the shift used after a full match.'
+  };
+
+  return { goodSuffixTable: shift, borderPositions: border };
+}
+
+/**
+ * Builds the (strong) good-suffix shift table with step-by-step states
+ * @param {string} pattern - The pattern to preprocess
+ * @returns {Object} - Contains goodSuffixTable, borderPositions and goodSuffixSteps for visualization
+ */
+function computeGoodSuffixTableWithSteps(pattern) {
+  const { steps, value } = collectSteps(computeGoodSuffixTableSteps(pattern));
+  return { ...value, goodSuffixSteps: steps };
+}
+
+/**
+ * Performs Boyer-Moore pattern matching, yielding step-by-step states
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @param {Object} badCharTable - The precomputed bad-character table
+ * @param {number[]} goodSuffixTable - The precomputed good-suffix table
+ * @returns {Generator} - Yields matching steps and returns { matches, totalComparisons, totalShifts }
+ */
+function* boyerMooreSearchSteps(text, pattern, badCharTable, goodSuffixTable) {
+  const n = text.length;
+  const m = pattern.length;
+  const matches = [];
+  let comparisons = 0;
+  let shifts = 0;
+
+  yield {
+    type: 'search_init',
+    description: 'Starting Boyer-Moore pattern matching',
+    textIndex: m - 1,
+    patternIndex: m - 1,
+    patternOffset: 0,
+    matches: [...matches],
+    comparisons: 0,
+    explanation: 'Beginning the search phase. The pattern is compared with the text from right to left, and on a mismatch the larger of the bad-character and good-suffix shifts is applied.'
+  };
+
+  let s = 0; // Current alignment of the pattern in the text
+
+  while (s <= n - m) {
+    let j = m - 1;
+
+    // Compare right to left
+    while (j >= 0) {
+      comparisons++;
+
+      if (pattern[j] !== text[s + j]) {
+        break;
+      }
+
+      yield {
+        type: 'match',
+        description: `Match: text[${s + j}]='${text[s + j]}' equals pattern[${j}]='${pattern[j]}'`,
+        textIndex: s + j,
+        patternIndex: j,
+        patternOffset: s,
+        matches: [...matches],
+        comparisons: comparisons,
+        currentComparison: { textIndex: s + j, patternIndex: j, result: 'match' },
+        explanation: `Character '${text[s + j]}' at text position ${s + j} matches pattern character '${pattern[j]}' at position ${j}. Move one position to the left.`
+      };
+
+      j--;
+    }
+
+    let shift;
+    let rule;
+
+    if (j < 0) {
+      matches.push(s);
+      shift = goodSuffixTable[0];
+      rule = 'full_match';
+
+      yield {
+        type: 'pattern_found',
+        description: `Pattern found at index ${s}!`,
+        textIndex: s,
+        patternIndex: 0,
+        patternOffset: s,
+        matches: [...matches],
+        comparisons: comparisons,
+        foundAt: s,
+        explanation: `Complete pattern match found starting at text index ${s}. Using goodSuffix[0] = ${shift} to continue searching for more occurrences.`
+      };
+    } else {
+      const mismatchChar = text[s + j];
+      const lastOccurrence = mismatchChar in badCharTable ? badCharTable[mismatchChar] : -1;
+      const badCharShift = j - lastOccurrence;
+      const goodSuffixShift = goodSuffixTable[j + 1];
+
+      if (goodSuffixShift > badCharShift) {
+        shift = goodSuffixShift;
+        rule = 'good_suffix';
+      } else {
+        shift = Math.max(1, badCharShift);
+        rule = 'bad_character';
+      }
+
+      yield {
+        type: 'mismatch',
+        description: `Mismatch: text[${s + j}]='${mismatchChar}' ≠ pattern[${j}]='${pattern[j]}'`,
+        textIndex: s + j,
+        patternIndex: j,
+        patternOffset: s,
+        matches: [...matches],
+        comparisons: comparisons,
+        currentComparison: { textIndex: s + j, patternIndex: j, result: 'mismatch' },
+        badCharShift: badCharShift,
+        goodSuffixShift: goodSuffixShift,
+        lastOccurrence: lastOccurrence,
+        explanation: lastOccurrence === -1
+          ? `Mismatch! '${mismatchChar}' does not occur in the pattern, so the bad-character rule allows a shift of ${badCharShift}. The good-suffix rule allows ${goodSuffixShift}.`
+          : `Mismatch! The last occurrence of '${mismatchChar}' in the pattern is at position ${lastOccurrence}, so the bad-character rule allows a shift of ${j} - ${lastOccurrence} = ${badCharShift}. The good-suffix rule allows ${goodSuffixShift}.`
+      };
+    }
+
+    shifts++;
+
+    yield {
+      type: 'shift',
+      description: `Shifting pattern by ${shift} using the ${rule.replace('_', '-')} rule`,
+      patternOffset: s,
+      newPatternOffset: s + shift,
+      shiftAmount: shift,
+      rule: rule,
+      matches: [...matches],
+      comparisons: comparisons,
+      explanation: rule === 'full_match'
+        ? `After a full match the pattern is shifted by goodSuffix[0] = ${shift}, which keeps possible overlapping occurrences in view.`
+        : rule === 'good_suffix'
+          ? `The good-suffix rule gives the larger shift (${shift}), so the already matched suffix is realigned with its next occurrence in the pattern.`
+          : `The bad-character rule gives the larger shift (${shift}), so the mismatched text character is realigned with its last occurrence in the pattern.`
+    };
+
+    s += shift;
+  }
+
+  yield {
+    type: 'search_complete',
+    description: 'Boyer-Moore search complete',
+    matches: [...matches],
+    comparisons: comparisons,
+    shifts: shifts,
+    totalMatches: matches.length,
+    explanation: `Search complete. Found ${matches.length} occurrence(s) of the pattern using ${comparisons} character comparisons and ${shifts} shifts.`
+  };
+
+  return { matches, totalComparisons: comparisons, totalShifts: shifts };
+}
+
+/**
+ * Performs Boyer-Moore pattern matching with step-by-step states
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @param {Object} badCharTable - The precomputed bad-character table
+ * @param {number[]} goodSuffixTable - The precomputed good-suffix table
+ * @returns {Object} - Contains matches and matchingSteps for visualization
+ */
+function boyerMooreSearchWithSteps(text, pattern, badCharTable, goodSuffixTable) {
+  const { steps, value } = collectSteps(boyerMooreSearchSteps(text, pattern, badCharTable, goodSuffixTable));
+  return { ...value, matchingSteps: steps };
+}
+
+/**
+ * Boyer-Moore as an algorithm trace: both shift tables, then the right-to-left scan
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @returns {Generator} - Algorithm trace
+ */
+function* boyerMooreTrace(text, pattern) {
+  // Input validation
+  if (!text || !pattern) {
+    throw new ApiError('MISSING_PARAMETER', 'Both text and pattern are required');
+  }
+  if (pattern.length > text.length) {
+    throw new ApiError('PATTERN_TOO_LONG', 'Pattern length cannot exceed text length');
+  }
+
+  // Step 1: Compute bad-character and good-suffix tables with steps
+  const badCharTable = yield* inPhase('preprocessing', computeBadCharTableSteps(pattern));
+  const { goodSuffixTable, borderPositions } = yield* inPhase('preprocessing', computeGoodSuffixTableSteps(pattern));
+
+  // Step 2: Perform pattern matching with steps
+  const { matches, totalComparisons, totalShifts } =
+    yield* inPhase('matching', boyerMooreSearchSteps(text, pattern, badCharTable, goodSuffixTable));
+
+  return {
+    algorithm: 'Boyer-Moore',
+    text: text,
+    pattern: pattern,
+    badCharTable: badCharTable,
+    goodSuffixTable: goodSuffixTable,
+    borderPositions: borderPositions,
+    preprocessing: {
+      description: 'Bad-Character and Good-Suffix Table Computation'
+    },
+    matching: {
+      description: 'Right-to-Left Pattern Matching'
+    },
+    result: {
+      matches: matches,
+      matchCount: matches.length,
+      totalComparisons: totalComparisons,
+      totalShifts: totalShifts,
+      timeComplexity: 'O(n/m) best, O(nm) worst case',
+      spaceComplexity: 'O(m + σ)'
+    }
+  };
+}
+
+/**
+ * Main Boyer-Moore algorithm function that combines preprocessing and search
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @returns {Object} - Complete algorithm execution data for visualization
+ */
+function boyerMooreAlgorithm(text, pattern) {
+  return runTrace(boyerMooreTrace(text, pattern));
+}
+
+// Last index of each pattern character
+const badCharTable = { type: 'object', additionalProperties: { type: 'integer', minimum: 0 } };
+const goodSuffixFields = { goodSuffixTable: integerArray, borderPositions: integerArray, pattern: string };
+
+/**
+ * Registry entry for Boyer-Moore
+ */
+const definition = {
+  id: 'boyer-moore',
+  parameters: textPatternParameters,
+  validate: patternFitsText,
+  info: {
+    name: 'Boyer-Moore Algorithm',
+    description: 'A string matching algorithm that compares the pattern against the text from right to left and uses two precomputed heuristics, the bad-character rule and the good-suffix rule, to skip large parts of the text on a mismatch.',
+    properties: {
+      timeComplexity: {
+        preprocessing: 'O(m + σ)',
+        matching: {
+          best: 'O(n/m)',
+          worst: 'O(nm)'
+        },
+        explanation: 'Long shifts make it sublinear on typical text. Highly repetitive inputs such as searching AAA in AAAAAA fall back to O(nm).'
+      },
+      spaceComplexity: 'O(m + σ)',
+      keyFeatures: [
+        'Right-to-left character comparison',
+        'Bad-character shift rule',
+        'Good-suffix shift rule',
+        'Sublinear on average for large alphabets'
+      ]
+    },
+    keyConcepts: [
+      {
+        name: 'Bad-Character Rule',
+        description: 'On a mismatch with text character c, shift the pattern so that the last occurrence of c in the pattern lines up with it, or past it if c does not occur in the pattern.'
+      },
+      {
+        name: 'Good-Suffix Rule',
+        description: 'On a mismatch after matching a suffix of the pattern, shift the pattern so that another occurrence of that suffix (or the longest prefix that is also a suffix of it) lines up with the matched text.'
+      },
+      {
+        name: 'Right-to-Left Scan',
+        description: 'Comparing from the end of the pattern means a single mismatch can rule out many alignments at once, which is what makes the long shifts possible.'
+      }
+    ],
+    examples: [
+      { text: 'HERE IS A SIMPLE EXAMPLE', pattern: 'EXAMPLE' },
+      { text: 'ABAAABCDABC', pattern: 'ABC' },
+      { text: 'GCATCGCAGAGAGTATACAGTACG', pattern: 'GCAGAGAG' }
+    ]
+  },
+  steps: {
+    preprocessing: [
+      stepSchema('bad_char_init', 'The bad-character table starts empty', { badCharTable, pattern: string }),
+      stepSchema('bad_char_update', 'The last occurrence of a character is recorded', {
+        badCharTable,
+        currentIndex: index,
+        character: string,
+        previousIndex: integer,
+        pattern: string
+      }),
+      stepSchema('bad_char_complete', 'The bad-character table is complete', { badCharTable, pattern: string }),
+      stepSchema('good_suffix_init', 'The good-suffix and border tables are initialized', goodSuffixFields),
+      stepSchema('good_suffix_border', 'The widest border of a suffix is found', { ...goodSuffixFields, currentIndex: index, borderStart: index }),
+      stepSchema('good_suffix_case1', 'A border that is preceded by a different character sets a shift', { ...goodSuffixFields, suffixStart: index, borderStart: index }),
+      stepSchema('good_suffix_case2', 'Remaining shifts come from the widest border of the whole pattern', { ...goodSuffixFields, currentIndex: index, widestBorder: index }),
+      stepSchema('good_suffix_complete', 'The good-suffix table is complete', goodSuffixFields)
+    ],
+    matching: [
+      stepSchema('search_init', 'The pattern is aligned with the start of the text', alignmentFields),
+      stepSchema('match', 'Characters are equal; the comparison moves left', { ...alignmentFields, currentComparison: comparison }),
+      stepSchema('mismatch', 'Mismatch: both rules propose a shift', {
+        ...alignmentFields,
+        currentComparison: comparison,
+        badCharShift: integer,
+        goodSuffixShift: integer,
+        lastOccurrence: integer
+      }),
+      stepSchema('shift', 'The pattern shifts by the larger proposal', {
+        patternOffset: index,
+        newPatternOffset: index,
+        shiftAmount: index,
+        rule: { enum: ['bad_character', 'good_suffix', 'full_match'] },
+        matches: integerArray,
+        comparisons: index
+      }),
+      stepSchema('pattern_found', 'The whole pattern matched', { ...alignmentFields, foundAt: index }),
+      stepSchema('search_complete', 'Matching is complete', { matches: integerArray, comparisons: index, shifts: index, totalMatches: index })
+    ]
+  },
+  execute: ({ text, pattern }) => boyerMooreAlgorithm(text, pattern),
+  trace: ({ text, pattern }) => boyerMooreTrace(text, pattern),
+  metrics: data => ({
+    charComparisons: data.result.totalComparisons,
+    hashOperations: 0,
+    shifts: data.result.totalShifts,
+    preprocessingOperations: countPreprocessingOperations(data.preprocessing.steps)
+  })
+};
+
+module.exports = {
+  boyerMooreAlgorithm,
+  boyerMooreTrace,
+  computeBadCharTableWithSteps,
+  computeBadCharTableSteps,
+  computeGoodSuffixTableWithSteps,
+  computeGoodSuffixTableSteps,
+  boyerMooreSearchWithSteps,
+  boyerMooreSearchSteps,
+  definition
+};
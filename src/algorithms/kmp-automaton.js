@@ -0,0 +1,434 @@
+const { ApiError } = require('../utils/errors');
+const { textPatternParameters, patternFitsText } = require('../utils/validation');
+const { countAlignmentChanges } = require('../utils/metrics');
+const { inPhase, runTrace } = require('../utils/trace');
+const { string, index, arrayOf, integerArray, alignmentFields, stepSchema } = require('../utils/schemas');
+const { unitParameters, unitsInfo, prepareUnits, originalRange, isDefaultUnits, unitsText, describeUnits } = require('../utils/units');
+const { computeLPS } = require('./kmp');
+
+/**
+ * Builds the KMP automaton (DFA) of the pattern over an alphabet, yielding one step per transition.
+ * State j means the last j characters read equal the first j of the pattern; state m accepts.
+ * Every state copies the row of its restart state X and overrides the one character that advances,
+ * where X is the state the automaton would be in after reading pattern[1..j-1]. X equals LPS[j - 1].
+ * @param {string[]} pattern - Pattern units
+ * @param {string[]} alphabet - Sorted units of text ∪ pattern
+ * @returns {Generator} - Yields construction steps and returns the transition table, indexed [state][character]
+ */
+function* buildAutomatonSteps(pattern, alphabet) {
+  const m = pattern.length;
+  const column = new Map(alphabet.map((char, i) => [char, i]));
+  const table = [];
+  let restart = 0;
+
+  yield {
+    type: 'dfa_init',
+    description: `Building a ${m + 1}-state automaton over ${alphabet.length} character(s)`,
+    states: m + 1,
+    alphabet: [...alphabet],
+    pattern: unitsText(pattern),
+    explanation: `State j means the last j characters read are the first j of the pattern; state ${m} accepts. Each state gets one transition per character of the alphabet (the characters of text and pattern), so the search never needs to look back.`
+  };
+
+  for (let state = 0; state <= m; state++) {
+    const row = new Array(alphabet.length);
+
+    for (let c = 0; c < alphabet.length; c++) {
+      const char = alphabet[c];
+      let kind;
+
+      if (state < m && char === pattern[state]) {
+        row[c] = state + 1;
+        kind = 'advance';
+      } else if (state === 0) {
+        row[c] = 0;
+        kind = 'reset';
+      } else {
+        row[c] = table[restart][c];
+        kind = 'fallback';
+      }
+
+      yield {
+        type: 'dfa_transition',
+        description: `δ(${state}, '${char}') = ${row[c]}`,
+        state: state,
+        character: char,
+        target: row[c],
+        kind: kind,
+        restartState: restart,
+        explanation: {
+          advance: `'${char}' is pattern[${state}], so it extends the matched prefix to ${state + 1} characters.`,
+          reset: `In the start state any character other than pattern[0]='${pattern[0]}' leaves nothing matched.`,
+          fallback: `'${char}' does not extend the match${state === m ? ' after a complete occurrence' : ''}. The automaton behaves like its restart state ${restart}, so δ(${state}, '${char}') = δ(${restart}, '${char}') = ${row[c]}.`
+        }[kind]
+      };
+    }
+    table.push(row);
+
+    if (state > 0 && state < m) {
+      // Simulating the automaton on pattern[1..state] gives the restart state of the next state
+      const previous = restart;
+      restart = table[restart][column.get(pattern[state])];
+
+      yield {
+        type: 'dfa_restart',
+        description: `Restart state of state ${state + 1} is ${restart}`,
+        state: state + 1,
+        restartState: restart,
+        previousRestartState: previous,
+        lpsValue: restart,
+        explanation: `Reading pattern[${state}]='${pattern[state]}' from restart state ${previous} leads to ${restart}: the longest proper prefix of pattern[0..${state}] that is also its suffix has ${restart} character(s). This is exactly LPS[${state}].`
+      };
+    }
+  }
+
+  yield {
+    type: 'dfa_complete',
+    description: 'Automaton construction complete',
+    transitions: table.map(row => [...row]),
+    alphabet: [...alphabet],
+    acceptingState: m,
+    explanation: `The transition table has ${m + 1} × ${alphabet.length} entries. Matching now reads every text character exactly once, with a single table lookup and no comparisons.`
+  };
+
+  return table;
+}
+
+/**
+ * Runs the automaton over the text, yielding one step per character
+ * @param {string[]} text - Text units
+ * @param {string[]} pattern - Pattern units
+ * @param {string[]} alphabet - Sorted units of text ∪ pattern
+ * @param {number[][]} table - Transition table from buildAutomatonSteps
+ * @returns {Generator} - Yields matching steps and returns { matches, states }
+ */
+function* automatonSearchSteps(text, pattern, alphabet, table) {
+  const m = pattern.length;
+  const column = new Map(alphabet.map((char, i) => [char, i]));
+  const matches = [];
+  // State after each text character, for comparison with the pattern index of the LPS run
+  const states = [];
+  let state = 0;
+
+  yield {
+    type: 'search_init',
+    description: 'Starting the automaton in state 0',
+    textIndex: 0,
+    patternIndex: 0,
+    patternOffset: 0,
+    matches: [],
+    comparisons: 0,
+    explanation: 'The automaton reads the text left to right. Its state is the length of the longest pattern prefix that ends at the current position.'
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const from = state;
+    state = table[from][column.get(text[i])];
+    states.push(state);
+
+    if (state === m) {
+      matches.push(i - m + 1);
+      yield {
+        type: 'pattern_found',
+        description: `Pattern found at index ${i - m + 1}!`,
+        textIndex: i,
+        patternIndex: state,
+        patternOffset: i - m + 1,
+        matches: [...matches],
+        comparisons: i + 1,
+        fromState: from,
+        character: text[i],
+        foundAt: i - m + 1,
+        explanation: `δ(${from}, '${text[i]}') = ${m} is the accepting state, so the pattern ends at text position ${i}.`
+      };
+      continue;
+    }
+
+    yield {
+      type: 'transition',
+      description: `δ(${from}, '${text[i]}') = ${state}`,
+      textIndex: i,
+      patternIndex: state,
+      patternOffset: i - state + 1,
+      matches: [...matches],
+      comparisons: i + 1,
+      fromState: from,
+      character: text[i],
+      explanation: state === from + 1
+        ? `'${text[i]}' extends the matched prefix to ${state} character(s).`
+        : `'${text[i]}' breaks the match. The table already holds the longest prefix still matched, ${state}, so unlike the LPS run there is no chain of fallbacks.`
+    };
+  }
+
+  yield {
+    type: 'search_complete',
+    description: 'KMP automaton search complete',
+    matches: [...matches],
+    comparisons: text.length,
+    totalMatches: matches.length,
+    explanation: `Search complete. Found ${matches.length} occurrence(s) of the pattern with ${text.length} transitions, one per text character.`
+  };
+
+  return { matches, states };
+}
+
+/**
+ * The automaton as a graph: one edge per pair of states, labeled with the characters that lead along it
+ * @param {string[]} pattern - Pattern units
+ * @param {string[]} alphabet - Sorted units of text ∪ pattern
+ * @param {number[][]} table - Transition table
+ * @returns {Object} - { states, edges, start, accepting }
+ */
+function automatonGraph(pattern, alphabet, table) {
+  const edges = new Map();
+
+  table.forEach((row, from) => {
+    row.forEach((to, c) => {
+      const key = `${from}:${to}`;
+      if (!edges.has(key)) {
+        edges.set(key, { from, to, labels: [], kind: to === from + 1 ? 'advance' : 'fallback' });
+      }
+      edges.get(key).labels.push(alphabet[c]);
+    });
+  });
+
+  return {
+    states: table.map((row, state) => ({ id: state, prefix: unitsText(pattern.slice(0, state)), accepting: state === pattern.length })),
+    edges: [...edges.values()],
+    start: 0,
+    accepting: pattern.length
+  };
+}
+
+/**
+ * Units of a prepared string as an array
+ * @param {string|string[]} units - Plain string (UTF-16 code units) or array of units
+ * @returns {string[]}
+ */
+function unitList(units) {
+  return typeof units === 'string' ? units.split('') : units;
+}
+
+/**
+ * Pattern index of the LPS-based KMP run after each text character, and its character comparisons
+ * @param {string[]} text - Text units
+ * @param {string[]} pattern - Pattern units
+ * @param {number[]} lps - LPS array of the pattern
+ * @returns {Object} - { states, comparisons }
+ */
+function lpsRun(text, pattern, lps) {
+  const states = [];
+  let comparisons = 0;
+  let j = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    while (j > 0 && char !== pattern[j]) {
+      comparisons++;
+      j = lps[j - 1];
+    }
+    comparisons++;
+    if (char === pattern[j]) {
+      j++;
+    }
+    states.push(j);
+    if (j === pattern.length) {
+      j = lps[j - 1];
+    }
+  }
+  return { states, comparisons };
+}
+
+/**
+ * KMP automaton as an algorithm trace: the transition table, then one transition per text unit
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @param {Object} [options] - { unit, normalization, caseFold }
+ * @returns {Generator} - Algorithm trace
+ */
+function* kmpAutomatonTrace(text, pattern, options = {}) {
+  // Input validation
+  if (!text || !pattern) {
+    throw new ApiError('MISSING_PARAMETER', 'Both text and pattern are required');
+  }
+
+  const textUnits = prepareUnits(text, options);
+  const patternUnits = prepareUnits(pattern, options);
+  const m = patternUnits.units.length;
+
+  if (m > textUnits.units.length) {
+    throw new ApiError('PATTERN_TOO_LONG', 'Pattern length cannot exceed text length');
+  }
+
+  // Plain strings are indexed by UTF-16 code unit, so their alphabet is made of code units too
+  const alphabet = [...new Set([...unitList(textUnits.units), ...unitList(patternUnits.units)])].sort();
+
+  // Step 1: Build the transition table with steps
+  const table = yield* inPhase('preprocessing', buildAutomatonSteps(patternUnits.units, alphabet));
+
+  // Step 2: Run the automaton with steps
+  const { matches, states } = yield* inPhase('matching', automatonSearchSteps(textUnits.units, patternUnits.units, alphabet, table));
+
+  // The LPS run passes through the same states; only the work per character differs
+  const lpsArray = computeLPS(patternUnits.units);
+  const lps = lpsRun(textUnits.units, patternUnits.units, lpsArray);
+
+  const data = {
+    algorithm: 'KMP Automaton',
+    text: text,
+    pattern: pattern,
+    alphabet: alphabet,
+    transitions: table,
+    automaton: automatonGraph(patternUnits.units, alphabet, table),
+    preprocessing: {
+      description: 'Transition Table Construction'
+    },
+    matching: {
+      description: 'Automaton Run'
+    },
+    result: {
+      matches: matches,
+      matchCount: matches.length,
+      transitions: textUnits.units.length,
+      tableEntries: (m + 1) * alphabet.length,
+      lpsComparison: {
+        lpsArray: lpsArray,
+        restartStates: [0, ...lpsArray],
+        lpsComparisons: lps.comparisons,
+        automatonTransitions: textUnits.units.length,
+        statesAgree: lps.states.every((state, i) => state === states[i])
+      },
+      timeComplexity: 'O(n + m·σ)',
+      spaceComplexity: 'O(m·σ)'
+    }
+  };
+
+  if (!isDefaultUnits(options)) {
+    data.units = describeUnits(options, textUnits, [patternUnits]);
+    data.result.originalOffsets = matches.map(position => originalRange(textUnits, position, m));
+  }
+
+  return data;
+}
+
+/**
+ * Main KMP automaton function that combines construction and search
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @param {Object} [options] - { unit, normalization, caseFold } (default: plain UTF-16 matching)
+ * @returns {Object} - Complete algorithm execution data for visualization
+ */
+function kmpAutomatonAlgorithm(text, pattern, options = {}) {
+  return runTrace(kmpAutomatonTrace(text, pattern, options));
+}
+
+/**
+ * Registry entry for the KMP automaton. Its runs line up with /api/kmp step by step: the state after
+ * each character is the pattern index the LPS run reaches, so /api/compare can put the two side by side.
+ */
+const definition = {
+  id: 'kmp-automaton',
+  parameters: {
+    ...textPatternParameters,
+    properties: { ...textPatternParameters.properties, ...unitParameters }
+  },
+  // Lengths are compared in the requested unit, after normalization
+  validate: params => patternFitsText({
+    text: prepareUnits(params.text, params).units,
+    pattern: prepareUnits(params.pattern, params).units
+  }),
+  info: {
+    name: 'KMP Automaton (DFA)',
+    description: 'The textbook (CLRS, Sedgewick) form of KMP: the pattern is compiled into a deterministic finite automaton with one transition per state and character, and the text is read with one table lookup per character.',
+    properties: {
+      timeComplexity: {
+        preprocessing: 'O(m·σ)',
+        matching: 'O(n)',
+        total: 'O(n + m·σ)'
+      },
+      spaceComplexity: 'O(m·σ)',
+      keyFeatures: [
+        'Exactly one transition per text character, without fallback chains',
+        'Restart states are the LPS values of the pattern',
+        'Construction time and space grow with the alphabet size σ',
+        'The automaton is returned as a graph of states and labeled edges'
+      ]
+    },
+    keyConcepts: [
+      {
+        name: 'Transition Function',
+        description: 'δ(j, c) is the length of the longest pattern prefix that is a suffix of pattern[0..j-1] + c.'
+      },
+      {
+        name: 'Restart State',
+        description: 'The state reached by reading pattern[1..j-1]. A mismatch in state j behaves like the same character in the restart state, so its row is copied.'
+      },
+      {
+        name: 'Relation to LPS',
+        description: 'The restart state of state j is LPS[j - 1]. The LPS run follows fallbacks at search time; the automaton resolves them while it is built.'
+      }
+    ],
+    units: unitsInfo,
+    examples: [
+      { text: 'ABABDABACDABABCABAB', pattern: 'ABABCABAB' },
+      { text: 'AABAACAADAABAABA', pattern: 'AABA' },
+      { text: 'AAAAAB', pattern: 'AAB' }
+    ]
+  },
+  steps: {
+    preprocessing: [
+      stepSchema('dfa_init', 'The automaton has one state per matched prefix length', { states: index, alphabet: arrayOf(string), pattern: string }),
+      stepSchema('dfa_transition', 'One entry of the transition table', {
+        state: index,
+        character: string,
+        target: index,
+        kind: { enum: ['advance', 'reset', 'fallback'] },
+        restartState: index
+      }),
+      stepSchema('dfa_restart', 'The restart state advances by one pattern character', {
+        state: index,
+        restartState: index,
+        previousRestartState: index,
+        lpsValue: index
+      }),
+      stepSchema('dfa_complete', 'The transition table is complete', {
+        transitions: arrayOf(integerArray),
+        alphabet: arrayOf(string),
+        acceptingState: index
+      })
+    ],
+    matching: [
+      stepSchema('search_init', 'The automaton starts in state 0', alignmentFields),
+      stepSchema('transition', 'One text character moves the automaton to its next state', {
+        ...alignmentFields,
+        fromState: index,
+        character: string
+      }),
+      stepSchema('pattern_found', 'The automaton reached the accepting state', {
+        ...alignmentFields,
+        fromState: index,
+        character: string,
+        foundAt: index
+      }),
+      stepSchema('search_complete', 'Matching is complete', { matches: integerArray, comparisons: index, totalMatches: index })
+    ]
+  },
+  execute: ({ text, pattern, ...options }) => kmpAutomatonAlgorithm(text, pattern, options),
+  trace: ({ text, pattern, ...options }) => kmpAutomatonTrace(text, pattern, options),
+  // A transition reads one character, so it counts as that character's comparison
+  metrics: data => ({
+    charComparisons: data.result.transitions,
+    hashOperations: 0,
+    shifts: countAlignmentChanges(data.matching.steps, 'patternOffset'),
+    preprocessingOperations: data.result.tableEntries
+  })
+};
+
+module.exports = {
+  kmpAutomatonAlgorithm,
+  kmpAutomatonTrace,
+  buildAutomatonSteps,
+  automatonSearchSteps,
+  automatonGraph,
+  definition
+};
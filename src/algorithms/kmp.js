@@ -1,23 +1,33 @@
+const { ApiError } = require('../utils/errors');
+const { textPatternParameters, patternFitsText } = require('../utils/validation');
+const { countAlignmentChanges, countPreprocessingOperations } = require('../utils/metrics');
+const { collectSteps, inPhase, runTrace } = require('../utils/trace');
+const { string, index, integerArray, comparison, alignmentFields, stepSchema } = require('../utils/schemas');
+const { unitParameters, unitsInfo, prepareUnits, originalRange, isDefaultUnits, unitsText, describeUnits } = require('../utils/units');
+const { messageParameters, messagesInfo, createMessages } = require('../i18n');
+
 /**
- * Computes the Longest Prefix Suffix (LPS) array with step-by-step states
- * @param {string} pattern - The pattern to compute LPS for
- * @returns {Object} - Contains lpsArray and lpsSteps for visualization
+ * Computes the Longest Prefix Suffix (LPS) array, yielding step-by-step states
+ * @param {string|string[]} pattern - The pattern to compute LPS for, as a string or an array of units (see utils/units)
+ * @param {Object} [messages] - Step message renderer from createMessages (default: English, normal verbosity)
+ * @returns {Generator} - Yields LPS steps and returns the LPS array
  */
-function computeLPSWithSteps(pattern) {
+function* computeLPSSteps(pattern, messages = createMessages('kmp')) {
+  const patternText = unitsText(pattern);
   const m = pattern.length;
   const lps = new Array(m).fill(0);
-  const steps = [];
 
   // Initial state
-  steps.push({
+  const init = messages.step('lps_init', {});
+  yield {
     type: 'lps_init',
-    description: 'Initializing LPS array with zeros',
+    description: init.description,
     lpsArray: [...lps],
     currentIndex: 0,
     prefixLength: 0,
-    pattern: pattern,
-    explanation: 'The LPS (Longest Prefix Suffix) array stores the length of the longest proper prefix which is also a suffix for each position.'
-  });
+    pattern: patternText,
+    explanation: init.explanation
+  };
 
   let length = 0; // Length of the previous longest prefix suffix
   let i = 1;
@@ -27,18 +37,19 @@ function computeLPSWithSteps(pattern) {
       // Characters match - extend the prefix
       length++;
       lps[i] = length;
-      
-      steps.push({
+
+      const message = messages.step('lps_match', { i, char: pattern[i], j: length - 1, prefixChar: pattern[length - 1], length });
+      yield {
         type: 'lps_match',
-        description: `Match: pattern[${i}]='${pattern[i]}' equals pattern[${length - 1}]='${pattern[length - 1]}'`,
+        description: message.description,
         lpsArray: [...lps],
         currentIndex: i,
         prefixLength: length,
         compareIndexPattern: i,
         compareIndexPrefix: length - 1,
-        pattern: pattern,
-        explanation: `Character '${pattern[i]}' at position ${i} matches character '${pattern[length - 1]}' at position ${length - 1}. LPS[${i}] = ${length}`
-      });
+        pattern: patternText,
+        explanation: message.explanation
+      };
       
       i++;
     } else {
@@ -47,30 +58,39 @@ function computeLPSWithSteps(pattern) {
         // Use previously computed LPS value to avoid redundant comparisons
         const oldLength = length;
         length = lps[length - 1];
-        
-        steps.push({
+
+        const message = messages.step('lps_fallback', {
+          i,
+          char: pattern[i],
+          old: oldLength,
+          oldChar: pattern[oldLength],
+          previous: oldLength - 1,
+          length
+        });
+        yield {
           type: 'lps_fallback',
-          description: `Mismatch: pattern[${i}]='${pattern[i]}' ≠ pattern[${oldLength}]='${pattern[oldLength]}'. Using LPS fallback.`,
+          description: message.description,
           lpsArray: [...lps],
           currentIndex: i,
           prefixLength: length,
           oldPrefixLength: oldLength,
-          pattern: pattern,
-          explanation: `Mismatch at position ${i}. Instead of starting from scratch, we use LPS[${oldLength - 1}] = ${length} to continue comparison from a shorter prefix.`
-        });
+          pattern: patternText,
+          explanation: message.explanation
+        };
       } else {
         // No proper prefix which is also suffix
         lps[i] = 0;
-        
-        steps.push({
+
+        const message = messages.step('lps_zero', { i });
+        yield {
           type: 'lps_zero',
-          description: `No matching prefix found for position ${i}`,
+          description: message.description,
           lpsArray: [...lps],
           currentIndex: i,
           prefixLength: 0,
-          pattern: pattern,
-          explanation: `No proper prefix matches suffix ending at position ${i}. LPS[${i}] = 0`
-        });
+          pattern: patternText,
+          explanation: message.explanation
+        };
         
         i++;
       }
@@ -78,45 +98,57 @@ function computeLPSWithSteps(pattern) {
   }
 
   // Final LPS array state
-  steps.push({
+  const complete = messages.step('lps_complete', {});
+  yield {
     type: 'lps_complete',
-    description: 'LPS array computation complete',
+    description: complete.description,
     lpsArray: [...lps],
-    pattern: pattern,
-    explanation: 'The LPS array is now complete. This preprocessing enables O(n) pattern matching by avoiding re-examination of characters.'
-  });
+    pattern: patternText,
+    explanation: complete.explanation
+  };
 
-  return { lpsArray: lps, lpsSteps: steps };
+  return lps;
 }
 
 /**
- * Performs KMP pattern matching with step-by-step states
- * @param {string} text - The text to search in
- * @param {string} pattern - The pattern to search for
+ * Computes the Longest Prefix Suffix (LPS) array with step-by-step states
+ * @param {string} pattern - The pattern to compute LPS for
+ * @returns {Object} - Contains lpsArray and lpsSteps for visualization
+ */
+function computeLPSWithSteps(pattern) {
+  const { steps, value } = collectSteps(computeLPSSteps(pattern));
+  return { lpsArray: value, lpsSteps: steps };
+}
+
+/**
+ * Performs KMP pattern matching, yielding step-by-step states
+ * @param {string|string[]} text - The text to search in, as a string or an array of units
+ * @param {string|string[]} pattern - The pattern to search for, as a string or an array of units
  * @param {number[]} lps - The precomputed LPS array
- * @returns {Object} - Contains matches and matchingSteps for visualization
+ * @param {Object} [messages] - Step message renderer from createMessages (default: English, normal verbosity)
+ * @returns {Generator} - Yields matching steps and returns { matches, totalComparisons }
  */
-function kmpSearchWithSteps(text, pattern, lps) {
+function* kmpSearchSteps(text, pattern, lps, messages = createMessages('kmp')) {
   const n = text.length;
   const m = pattern.length;
   const matches = [];
-  const steps = [];
   let comparisons = 0;
 
   let i = 0; // Index for text
   let j = 0; // Index for pattern
 
   // Initial state
-  steps.push({
+  const init = messages.step('search_init', {});
+  yield {
     type: 'search_init',
-    description: 'Starting KMP pattern matching',
+    description: init.description,
     textIndex: 0,
     patternIndex: 0,
     patternOffset: 0,
     matches: [...matches],
     comparisons: 0,
-    explanation: 'Beginning the search phase. We compare pattern characters with text characters, using the LPS array to skip unnecessary comparisons on mismatch.'
-  });
+    explanation: init.explanation
+  };
 
   while (i < n) {
     const patternOffset = i - j;
@@ -124,18 +156,19 @@ function kmpSearchWithSteps(text, pattern, lps) {
     if (pattern[j] === text[i]) {
       // Characters match
       comparisons++;
-      
-      steps.push({
+
+      const message = messages.step('match', { i, textChar: text[i], j, patternChar: pattern[j] });
+      yield {
         type: 'match',
-        description: `Match: text[${i}]='${text[i]}' equals pattern[${j}]='${pattern[j]}'`,
+        description: message.description,
         textIndex: i,
         patternIndex: j,
         patternOffset: patternOffset,
         matches: [...matches],
         comparisons: comparisons,
         currentComparison: { textIndex: i, patternIndex: j, result: 'match' },
-        explanation: `Character '${text[i]}' at text position ${i} matches pattern character '${pattern[j]}' at position ${j}.`
-      });
+        explanation: message.explanation
+      };
 
       i++;
       j++;
@@ -144,18 +177,19 @@ function kmpSearchWithSteps(text, pattern, lps) {
         // Full pattern match found
         const matchIndex = i - j;
         matches.push(matchIndex);
-        
-        steps.push({
+
+        const found = messages.step('pattern_found', { index: matchIndex, last: j - 1, lps: lps[j - 1] });
+        yield {
           type: 'pattern_found',
-          description: `Pattern found at index ${matchIndex}!`,
+          description: found.description,
           textIndex: i,
           patternIndex: j,
           patternOffset: matchIndex,
           matches: [...matches],
           comparisons: comparisons,
           foundAt: matchIndex,
-          explanation: `Complete pattern match found starting at text index ${matchIndex}. Using LPS[${j - 1}] = ${lps[j - 1]} to continue searching for more occurrences.`
-        });
+          explanation: found.explanation
+        };
 
         // Continue searching using LPS
         j = lps[j - 1];
@@ -167,10 +201,19 @@ function kmpSearchWithSteps(text, pattern, lps) {
       if (j !== 0) {
         const oldJ = j;
         const shift = j - lps[j - 1];
-        
-        steps.push({
+
+        const message = messages.step('mismatch_shift', {
+          i,
+          textChar: text[i],
+          j,
+          patternChar: pattern[j],
+          previous: j - 1,
+          lps: lps[j - 1],
+          shift
+        });
+        yield {
           type: 'mismatch_shift',
-          description: `Mismatch: text[${i}]='${text[i]}' ≠ pattern[${j}]='${pattern[j]}'. Using LPS to shift pattern.`,
+          description: message.description,
           textIndex: i,
           patternIndex: j,
           patternOffset: patternOffset,
@@ -179,22 +222,23 @@ function kmpSearchWithSteps(text, pattern, lps) {
           currentComparison: { textIndex: i, patternIndex: j, result: 'mismatch' },
           lpsValue: lps[j - 1],
           shiftAmount: shift,
-          explanation: `Mismatch! Instead of shifting pattern by 1, we use LPS[${j - 1}] = ${lps[j - 1]}. This means the first ${lps[j - 1]} characters of pattern already match, so we shift pattern by ${shift} positions and continue from pattern index ${lps[j - 1]}.`
-        });
+          explanation: message.explanation
+        };
 
         j = lps[j - 1];
       } else {
-        steps.push({
+        const message = messages.step('mismatch_advance', { i, textChar: text[i], patternChar: pattern[0] });
+        yield {
           type: 'mismatch_advance',
-          description: `Mismatch at pattern start: text[${i}]='${text[i]}' ≠ pattern[0]='${pattern[0]}'. Moving to next text position.`,
+          description: message.description,
           textIndex: i,
           patternIndex: j,
           patternOffset: patternOffset,
           matches: [...matches],
           comparisons: comparisons,
           currentComparison: { textIndex: i, patternIndex: j, result: 'mismatch' },
-          explanation: `Mismatch at the first character of pattern. Simply advance to the next character in text.`
-        });
+          explanation: message.explanation
+        };
 
         i++;
       }
@@ -202,50 +246,124 @@ function kmpSearchWithSteps(text, pattern, lps) {
   }
 
   // Search complete
-  steps.push({
+  const complete = messages.step('search_complete', { count: matches.length, comparisons });
+  yield {
     type: 'search_complete',
-    description: 'KMP search complete',
+    description: complete.description,
     matches: [...matches],
     comparisons: comparisons,
     totalMatches: matches.length,
-    explanation: `Search complete. Found ${matches.length} occurrence(s) of the pattern using ${comparisons} character comparisons.`
-  });
+    explanation: complete.explanation
+  };
 
-  return { matches, matchingSteps: steps, totalComparisons: comparisons };
+  return { matches, totalComparisons: comparisons };
 }
 
 /**
- * Main KMP algorithm function that combines preprocessing and search
+ * Performs KMP pattern matching with step-by-step states
  * @param {string} text - The text to search in
  * @param {string} pattern - The pattern to search for
- * @returns {Object} - Complete algorithm execution data for visualization
+ * @param {number[]} lps - The precomputed LPS array
+ * @returns {Object} - Contains matches and matchingSteps for visualization
  */
-function kmpAlgorithm(text, pattern) {
+function kmpSearchWithSteps(text, pattern, lps) {
+  const { steps, value } = collectSteps(kmpSearchSteps(text, pattern, lps));
+  return { matches: value.matches, matchingSteps: steps, totalComparisons: value.totalComparisons };
+}
+
+/**
+ * Computes the LPS array without recording steps
+ * @param {string} pattern - The pattern
+ * @returns {number[]} - LPS array
+ */
+function computeLPS(pattern) {
+  const lps = new Array(pattern.length).fill(0);
+  let length = 0;
+
+  for (let i = 1; i < pattern.length; i++) {
+    while (length > 0 && pattern[i] !== pattern[length]) {
+      length = lps[length - 1];
+    }
+    if (pattern[i] === pattern[length]) {
+      length++;
+    }
+    lps[i] = length;
+  }
+  return lps;
+}
+
+/**
+ * Creates a KMP matcher that reads the text one UTF-16 code unit at a time. It keeps only the
+ * pattern pointer between calls, so a text can be fed in chunks and occurrences may span them.
+ * @param {string} pattern - The pattern to search for
+ * @returns {Object} - { push(code): true when an occurrence ends at this code unit, stats() }
+ */
+function createKmpScanner(pattern) {
+  const codes = Array.from({ length: pattern.length }, (_, i) => pattern.charCodeAt(i));
+  const lps = computeLPS(pattern);
+  const m = codes.length;
+  let j = 0;
+  let comparisons = 0;
+
+  return {
+    push(code) {
+      while (j > 0 && code !== codes[j]) {
+        comparisons++;
+        j = lps[j - 1];
+      }
+      comparisons++;
+      if (code !== codes[j]) {
+        return false;
+      }
+      j++;
+      if (j === m) {
+        j = lps[j - 1];
+        return true;
+      }
+      return false;
+    },
+    stats: () => ({ comparisons })
+  };
+}
+
+/**
+ * KMP as an algorithm trace: the LPS array, then the scan of the text
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @param {Object} [options] - { unit: 'utf16'|'codepoint'|'grapheme', normalization: 'none'|'NFC'|'NFKC', caseFold, lang, verbosity }
+ * @returns {Generator} - Algorithm trace
+ */
+function* kmpTrace(text, pattern, options = {}) {
   // Input validation
   if (!text || !pattern) {
-    throw new Error('Both text and pattern are required');
+    throw new ApiError('MISSING_PARAMETER', 'Both text and pattern are required');
   }
-  if (pattern.length > text.length) {
-    throw new Error('Pattern length cannot exceed text length');
+
+  const textUnits = prepareUnits(text, options);
+  const patternUnits = prepareUnits(pattern, options);
+  const m = patternUnits.units.length;
+
+  if (m > textUnits.units.length) {
+    throw new ApiError('PATTERN_TOO_LONG', 'Pattern length cannot exceed text length');
   }
 
+  const messages = createMessages('kmp', options);
+
   // Step 1: Compute LPS array with steps
-  const { lpsArray, lpsSteps } = computeLPSWithSteps(pattern);
+  const lpsArray = yield* inPhase('preprocessing', computeLPSSteps(patternUnits.units, messages));
 
   // Step 2: Perform pattern matching with steps
-  const { matches, matchingSteps, totalComparisons } = kmpSearchWithSteps(text, pattern, lpsArray);
+  const { matches, totalComparisons } = yield* inPhase('matching', kmpSearchSteps(textUnits.units, patternUnits.units, lpsArray, messages));
 
-  return {
+  const data = {
     algorithm: 'KMP',
     text: text,
     pattern: pattern,
     lpsArray: lpsArray,
     preprocessing: {
-      steps: lpsSteps,
       description: 'LPS (Longest Prefix Suffix) Array Computation'
     },
     matching: {
-      steps: matchingSteps,
       description: 'Pattern Matching Phase'
     },
     result: {
@@ -256,6 +374,134 @@ function kmpAlgorithm(text, pattern) {
       spaceComplexity: 'O(m)'
     }
   };
+
+  if (!isDefaultUnits(options)) {
+    data.units = describeUnits(options, textUnits, [patternUnits]);
+    data.result.originalOffsets = matches.map(position => originalRange(textUnits, position, m));
+  }
+
+  return data;
 }
 
-module.exports = { kmpAlgorithm, computeLPSWithSteps, kmpSearchWithSteps };
+/**
+ * Main KMP algorithm function that combines preprocessing and search
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @param {Object} [options] - { unit, normalization, caseFold, lang, verbosity } (default: plain UTF-16 matching, English messages)
+ * @returns {Object} - Complete algorithm execution data for visualization
+ */
+function kmpAlgorithm(text, pattern, options = {}) {
+  return runTrace(kmpTrace(text, pattern, options));
+}
+
+/**
+ * Registry entry for KMP: parameter schema, /info metadata, execute function and metrics normalizer
+ */
+const definition = {
+  id: 'kmp',
+  parameters: {
+    ...textPatternParameters,
+    properties: { ...textPatternParameters.properties, ...unitParameters, ...messageParameters }
+  },
+  // Lengths are compared in the requested unit, after normalization
+  validate: params => patternFitsText({
+    text: prepareUnits(params.text, params).units,
+    pattern: prepareUnits(params.pattern, params).units
+  }),
+  info: {
+    name: 'Knuth-Morris-Pratt (KMP) Algorithm',
+    description: 'A linear-time string matching algorithm that uses a preprocessing phase to build a failure function (LPS array), enabling efficient pattern matching without backtracking.',
+    properties: {
+      timeComplexity: {
+        preprocessing: 'O(m)',
+        matching: 'O(n)',
+        total: 'O(n + m)'
+      },
+      spaceComplexity: 'O(m)',
+      keyFeatures: [
+        'Uses Longest Prefix Suffix (LPS) array',
+        'No backtracking of text pointer',
+        'Linear time complexity guaranteed',
+        'Efficient for patterns with repetitive structure'
+      ]
+    },
+    keyConceptss: [
+      {
+        name: 'LPS Array',
+        description: 'Longest Prefix Suffix array stores the length of the longest proper prefix which is also a suffix for each position in the pattern.'
+      },
+      {
+        name: 'No Backtracking',
+        description: 'The text pointer never moves backward. On mismatch, only the pattern pointer is adjusted using the LPS array.'
+      },
+      {
+        name: 'Efficient Shifts',
+        description: 'Instead of shifting pattern by 1 on mismatch, KMP uses LPS values to make optimal shifts.'
+      }
+    ],
+    units: unitsInfo,
+    messages: messagesInfo,
+    examples: [
+      { text: 'ABABDABACDABABCABAB', pattern: 'ABABCABAB' },
+      { text: 'AAAAABAAABA', pattern: 'AAAA' },
+      { text: 'AABAACAADAABAABA', pattern: 'AABA' },
+      { text: '👍🏽👍👍🏽👍🏽', pattern: '👍🏽👍🏽', unit: 'grapheme' },
+      { text: 'ABABDABACDABABCABAB', pattern: 'ABABCABAB', lang: 'es', verbosity: 'detailed' }
+    ]
+  },
+  steps: {
+    preprocessing: [
+      stepSchema('lps_init', 'LPS[0] is always 0', { lpsArray: integerArray, currentIndex: index, prefixLength: index, pattern: string }),
+      stepSchema('lps_match', 'The character extends the current prefix', {
+        lpsArray: integerArray,
+        currentIndex: index,
+        prefixLength: index,
+        compareIndexPattern: index,
+        compareIndexPrefix: index,
+        pattern: string
+      }),
+      stepSchema('lps_fallback', 'Mismatch: the prefix falls back to LPS[prefixLength - 1]', {
+        lpsArray: integerArray,
+        currentIndex: index,
+        prefixLength: index,
+        oldPrefixLength: index,
+        pattern: string
+      }),
+      stepSchema('lps_zero', 'Mismatch with no prefix left: LPS[currentIndex] is 0', { lpsArray: integerArray, currentIndex: index, prefixLength: index, pattern: string }),
+      stepSchema('lps_complete', 'The LPS array is complete', { lpsArray: integerArray, pattern: string })
+    ],
+    matching: [
+      stepSchema('search_init', 'Matching starts with both pointers at 0', alignmentFields),
+      stepSchema('match', 'Text and pattern characters are equal; both pointers advance', { ...alignmentFields, currentComparison: comparison }),
+      stepSchema('pattern_found', 'The whole pattern matched', { ...alignmentFields, foundAt: index }),
+      stepSchema('mismatch_shift', 'Mismatch: the pattern pointer falls back to LPS[patternIndex - 1]', {
+        ...alignmentFields,
+        currentComparison: comparison,
+        lpsValue: index,
+        shiftAmount: index
+      }),
+      stepSchema('mismatch_advance', 'Mismatch at the start of the pattern: the text pointer advances', { ...alignmentFields, currentComparison: comparison }),
+      stepSchema('search_complete', 'Matching is complete', { matches: integerArray, comparisons: index, totalMatches: index })
+    ]
+  },
+  execute: ({ text, pattern, ...options }) => kmpAlgorithm(text, pattern, options),
+  trace: ({ text, pattern, ...options }) => kmpTrace(text, pattern, options),
+  metrics: data => ({
+    charComparisons: data.result.totalComparisons,
+    hashOperations: 0,
+    shifts: countAlignmentChanges(data.matching.steps, 'patternOffset'),
+    preprocessingOperations: countPreprocessingOperations(data.preprocessing.steps)
+  })
+};
+
+module.exports = {
+  kmpAlgorithm,
+  kmpTrace,
+  computeLPSWithSteps,
+  computeLPSSteps,
+  kmpSearchWithSteps,
+  kmpSearchSteps,
+  computeLPS,
+  createKmpScanner,
+  definition
+};
@@ -0,0 +1,221 @@
+const { ApiError } = require('../utils/errors');
+const { textPatternParameters, patternFitsText } = require('../utils/validation');
+const { index, integerArray, comparison, alignmentFields, stepSchema } = require('../utils/schemas');
+const { countAlignmentChanges } = require('../utils/metrics');
+const { collectSteps, inPhase, runTrace } = require('../utils/trace');
+
+/**
+ * Performs naive (brute-force) pattern matching, yielding step-by-step states.
+ * Every alignment of the pattern is checked left to right and the pattern is always shifted by one.
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @returns {Generator} - Yields matching steps and returns { matches, totalComparisons }
+ */
+function* naiveSearchSteps(text, pattern) {
+  const n = text.length;
+  const m = pattern.length;
+  const matches = [];
+  let comparisons = 0;
+
+  yield {
+    type: 'search_init',
+    description: 'Starting naive pattern matching',
+    textIndex: 0,
+    patternIndex: 0,
+    patternOffset: 0,
+    matches: [...matches],
+    comparisons: 0,
+    explanation: `Beginning the search phase. The pattern is placed at each of the ${n - m + 1} possible positions in turn and compared character by character. Nothing is learned from earlier comparisons.`
+  };
+
+  for (let s = 0; s <= n - m; s++) {
+    let j = 0;
+
+    while (j < m) {
+      comparisons++;
+
+      if (text[s + j] !== pattern[j]) {
+        yield {
+          type: 'mismatch_advance',
+          description: `Mismatch: text[${s + j}]='${text[s + j]}' ≠ pattern[${j}]='${pattern[j]}'. Shifting pattern by 1.`,
+          textIndex: s + j,
+          patternIndex: j,
+          patternOffset: s,
+          matches: [...matches],
+          comparisons: comparisons,
+          currentComparison: { textIndex: s + j, patternIndex: j, result: 'mismatch' },
+          shiftAmount: 1,
+          explanation: j === 0
+            ? `Mismatch at the first character of pattern. Move the pattern one position to the right.`
+            : `Mismatch after ${j} matching character(s). The naive algorithm discards them, moves the pattern one position to the right and starts again at pattern index 0.`
+        };
+        break;
+      }
+
+      yield {
+        type: 'match',
+        description: `Match: text[${s + j}]='${text[s + j]}' equals pattern[${j}]='${pattern[j]}'`,
+        textIndex: s + j,
+        patternIndex: j,
+        patternOffset: s,
+        matches: [...matches],
+        comparisons: comparisons,
+        currentComparison: { textIndex: s + j, patternIndex: j, result: 'match' },
+        explanation: `Character '${text[s + j]}' at text position ${s + j} matches pattern character '${pattern[j]}' at position ${j}.`
+      };
+
+      j++;
+    }
+
+    if (j === m) {
+      matches.push(s);
+
+      yield {
+        type: 'pattern_found',
+        description: `Pattern found at index ${s}!`,
+        textIndex: s + m,
+        patternIndex: m,
+        patternOffset: s,
+        matches: [...matches],
+        comparisons: comparisons,
+        foundAt: s,
+        shiftAmount: 1,
+        explanation: `Complete pattern match found starting at text index ${s}. Move the pattern one position to the right to look for more occurrences.`
+      };
+    }
+  }
+
+  yield {
+    type: 'search_complete',
+    description: 'Naive search complete',
+    matches: [...matches],
+    comparisons: comparisons,
+    totalMatches: matches.length,
+    explanation: `Search complete. Found ${matches.length} occurrence(s) of the pattern using ${comparisons} character comparisons.`
+  };
+
+  return { matches, totalComparisons: comparisons };
+}
+
+/**
+ * Performs naive pattern matching with step-by-step states
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @returns {Object} - Contains matches and matchingSteps for visualization
+ */
+function naiveSearchWithSteps(text, pattern) {
+  const { steps, value } = collectSteps(naiveSearchSteps(text, pattern));
+  return { ...value, matchingSteps: steps };
+}
+
+/**
+ * Naive matching as an algorithm trace. The preprocessing phase stays empty so results line up with the other algorithms
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @returns {Generator} - Algorithm trace
+ */
+function* naiveTrace(text, pattern) {
+  // Input validation
+  if (!text || !pattern) {
+    throw new ApiError('MISSING_PARAMETER', 'Both text and pattern are required');
+  }
+  if (pattern.length > text.length) {
+    throw new ApiError('PATTERN_TOO_LONG', 'Pattern length cannot exceed text length');
+  }
+
+  const { matches, totalComparisons } = yield* inPhase('matching', naiveSearchSteps(text, pattern));
+
+  return {
+    algorithm: 'Naive',
+    text: text,
+    pattern: pattern,
+    preprocessing: {
+      description: 'No preprocessing'
+    },
+    matching: {
+      description: 'Sliding Window Pattern Matching'
+    },
+    result: {
+      matches: matches,
+      matchCount: matches.length,
+      totalComparisons: totalComparisons,
+      timeComplexity: 'O(nm)',
+      spaceComplexity: 'O(1)'
+    }
+  };
+}
+
+/**
+ * Main naive algorithm function
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @returns {Object} - Complete algorithm execution data for visualization
+ */
+function naiveAlgorithm(text, pattern) {
+  return runTrace(naiveTrace(text, pattern));
+}
+
+/**
+ * Registry entry for the naive matcher, used as the comparison baseline
+ */
+const definition = {
+  id: 'naive',
+  parameters: textPatternParameters,
+  validate: patternFitsText,
+  info: {
+    name: 'Naive (Brute-Force) Algorithm',
+    description: 'The simplest string matching algorithm: place the pattern at every position of the text and compare it character by character. It serves as the baseline the other algorithms improve on.',
+    properties: {
+      timeComplexity: {
+        preprocessing: 'None',
+        matching: {
+          best: 'O(n)',
+          worst: 'O(nm)'
+        },
+        explanation: 'Worst case occurs when most alignments match almost the whole pattern, for example searching AAAB in AAAAAAAA.'
+      },
+      spaceComplexity: 'O(1)',
+      keyFeatures: [
+        'No preprocessing',
+        'Always shifts the pattern by one position',
+        'Re-examines text characters after a mismatch',
+        'Simple and fast for short patterns'
+      ]
+    },
+    keyConcepts: [
+      {
+        name: 'Sliding Window',
+        description: 'The pattern is aligned with each of the n - m + 1 text windows in order.'
+      },
+      {
+        name: 'Backtracking',
+        description: 'After a mismatch the comparison restarts at the first pattern character, so the text pointer moves backward. KMP and Z-algorithm avoid exactly this.'
+      }
+    ],
+    examples: [
+      { text: 'AABAACAADAABAABA', pattern: 'AABA' },
+      { text: 'AAAAAAAAAB', pattern: 'AAAB' },
+      { text: 'THIS IS A TEST TEXT', pattern: 'TEST' }
+    ]
+  },
+  steps: {
+    preprocessing: [],
+    matching: [
+      stepSchema('search_init', 'The pattern is aligned with the start of the text', alignmentFields),
+      stepSchema('match', 'Characters are equal', { ...alignmentFields, currentComparison: comparison }),
+      stepSchema('mismatch_advance', 'Mismatch: the pattern moves one position right', { ...alignmentFields, currentComparison: comparison, shiftAmount: index }),
+      stepSchema('pattern_found', 'The whole pattern matched', { ...alignmentFields, foundAt: index, shiftAmount: index }),
+      stepSchema('search_complete', 'Matching is complete', { matches: integerArray, comparisons: index, totalMatches: index })
+    ]
+  },
+  execute: ({ text, pattern }) => naiveAlgorithm(text, pattern),
+  trace: ({ text, pattern }) => naiveTrace(text, pattern),
+  metrics: data => ({
+    charComparisons: data.result.totalComparisons,
+    hashOperations: 0,
+    shifts: countAlignmentChanges(data.matching.steps, 'patternOffset'),
+    preprocessingOperations: 0
+  })
+};
+
+module.exports = { naiveAlgorithm, naiveTrace, naiveSearchWithSteps, naiveSearchSteps, definition };
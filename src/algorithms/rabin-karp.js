@@ -1,10 +1,24 @@
+const { countAlignmentChanges, countPreprocessingOperations } = require('../utils/metrics');
+const { collectSteps, inPhase, mapSteps, runTrace } = require('../utils/trace');
+const { HASH_SCHEMES, DEFAULT_BIGINT_MODULO, checkHashParameters, createHashScheme } = require('../utils/hashing');
+const { ApiError } = require('../utils/errors');
+const { textProperty, patternProperty } = require('../utils/validation');
+const { string, index, arrayOf, integerArray, stepSchema } = require('../utils/schemas');
+const { unitParameters, unitsInfo, prepareUnits, originalRange, isDefaultUnits, unitCode, unitsText, describeUnits } = require('../utils/units');
+const { messageParameters, messagesInfo, createMessages } = require('../i18n');
+
 // Default values for hash computation
 const DEFAULT_BASE = 256;  // Number of characters in alphabet
 const DEFAULT_MODULO = 101; // A prime number for modulo operation
 
+const singleHash = (base, mod) => createHashScheme({ scheme: 'single', base, modulo: mod });
+
+// Probabilities and expected counts in step messages, to two significant digits
+const roughly = value => Number(value.toPrecision(2));
+
 /**
- * Computes the hash value of a string
- * @param {string} str - The string to hash
+ * Computes the single-modulus hash value of a string, as compared by the default scheme
+ * @param {string|string[]} str - The string to hash, or an array of units
  * @param {number} base - The base for polynomial hashing
  * @param {number} mod - The modulo value
  * @returns {number} - The hash value
@@ -12,131 +26,160 @@ const DEFAULT_MODULO = 101; // A prime number for modulo operation
 function computeHash(str, base, mod) {
   let hash = 0;
   for (let i = 0; i < str.length; i++) {
-    hash = (hash * base + str.charCodeAt(i)) % mod;
+    hash = (hash * base + unitCode(str[i])) % mod;
   }
   return hash;
 }
 
 /**
- * Computes pattern hash with step-by-step states for visualization
- * @param {string} pattern - The pattern to hash
+ * Computes pattern hash, yielding step-by-step states for visualization
+ * @param {string|string[]} pattern - The pattern to hash, as a string or an array of units (see utils/units)
  * @param {number} base - The base for polynomial hashing
  * @param {number} mod - The modulo value
- * @returns {Object} - Contains hash value and computation steps
+ * @param {Object} [scheme] - Hash scheme from createHashScheme (default: single modulus mod)
+ * @param {Object} [messages] - Step message renderer from createMessages (default: English, normal verbosity)
+ * @returns {Generator} - Yields hashing steps and returns the hash value (a pair for double, a string for bigint)
  */
-function computePatternHashWithSteps(pattern, base, mod) {
-  const steps = [];
-  let hash = 0;
+function* computePatternHashSteps(pattern, base, mod, scheme = singleHash(base, mod), messages = createMessages('rabin-karp')) {
+  const patternText = unitsText(pattern);
+  let hash = scheme.empty();
 
-  steps.push({
+  const init = messages.step('hash_init', { base, mod: scheme.modulusText, collisionRate: roughly(1 / scheme.hashSpace) });
+  yield {
     type: 'hash_init',
-    description: 'Initializing pattern hash computation',
-    pattern: pattern,
+    description: init.description,
+    pattern: patternText,
     base: base,
-    mod: mod,
-    currentHash: 0,
-    explanation: `Computing hash using polynomial rolling hash: h = (c₀×d^(m-1) + c₁×d^(m-2) + ... + c_{m-1}) mod q, where d=${base} (base) and q=${mod} (prime modulo).`
-  });
+    mod: scheme.modulus,
+    hashScheme: scheme.scheme,
+    currentHash: scheme.value(hash),
+    explanation: init.explanation
+  };
 
   for (let i = 0; i < pattern.length; i++) {
-    const charCode = pattern.charCodeAt(i);
+    const charCode = unitCode(pattern[i]);
+    const label = messages.codeLabel(charCode);
     const oldHash = hash;
-    hash = (hash * base + charCode) % mod;
+    hash = scheme.append(hash, charCode);
 
-    steps.push({
+    const message = messages.step('hash_step', {
+      char: pattern[i],
+      codeLabel: label.short,
+      valueLabel: label.long,
+      code: charCode,
+      base,
+      mod: scheme.modulusText,
+      length: i + 1
+    });
+    yield {
       type: 'hash_step',
-      description: `Adding character '${pattern[i]}' (ASCII: ${charCode}) to hash`,
-      pattern: pattern,
+      description: message.description,
+      pattern: patternText,
       currentIndex: i,
       character: pattern[i],
       charCode: charCode,
-      oldHash: oldHash,
-      newHash: hash,
-      computation: `(${oldHash} × ${base} + ${charCode}) mod ${mod} = ${hash}`,
-      explanation: `Multiply current hash by base (${base}) and add ASCII value of '${pattern[i]}' (${charCode}), then take modulo ${mod}.`
-    });
+      oldHash: scheme.value(oldHash),
+      newHash: scheme.value(hash),
+      computation: scheme.appendComputation(oldHash, charCode, hash),
+      explanation: message.explanation
+    };
   }
 
-  steps.push({
+  const complete = messages.step('hash_complete', { hash: scheme.text(hash) });
+  yield {
     type: 'hash_complete',
-    description: `Pattern hash computed: ${hash}`,
-    pattern: pattern,
-    finalHash: hash,
-    explanation: `Final pattern hash value is ${hash}. This will be compared against rolling hash of text windows.`
-  });
+    description: complete.description,
+    pattern: patternText,
+    finalHash: scheme.value(hash),
+    explanation: complete.explanation
+  };
 
-  return { hash, steps };
+  return scheme.value(hash);
 }
 
 /**
- * Computes the value h = base^(m-1) % mod for rolling hash
- * @param {number} patternLength - Length of the pattern
- * @param {number} base - The base value
+ * Computes pattern hash with step-by-step states for visualization
+ * @param {string} pattern - The pattern to hash
+ * @param {number} base - The base for polynomial hashing
  * @param {number} mod - The modulo value
- * @returns {number} - The h value for rolling hash
+ * @param {Object} [scheme] - Hash scheme from createHashScheme (default: single modulus mod)
+ * @returns {Object} - Contains hash value and computation steps
  */
-function computeH(patternLength, base, mod) {
-  let h = 1;
-  for (let i = 0; i < patternLength - 1; i++) {
-    h = (h * base) % mod;
-  }
-  return h;
+function computePatternHashWithSteps(pattern, base, mod, scheme) {
+  const { steps, value } = collectSteps(computePatternHashSteps(pattern, base, mod, scheme));
+  return { hash: value, steps };
 }
 
 /**
- * Performs Rabin-Karp pattern matching with step-by-step states
- * @param {string} text - The text to search in
- * @param {string} pattern - The pattern to search for
+ * Performs Rabin-Karp pattern matching, yielding step-by-step states
+ * @param {string|string[]} text - The text to search in, as a string or an array of units
+ * @param {string|string[]} pattern - The pattern to search for, as a string or an array of units
  * @param {number} patternHash - The precomputed pattern hash
  * @param {number} base - The base for polynomial hashing
  * @param {number} mod - The modulo value
- * @returns {Object} - Contains matches and matchingSteps for visualization
+ * @param {Object} [scheme] - Hash scheme from createHashScheme (default: single modulus mod)
+ * @param {Object} [messages] - Step message renderer from createMessages (default: English, normal verbosity)
+ * @returns {Generator} - Yields matching steps and returns { matches, spuriousHits, hashComparisons, charComparisons }
  */
-function rabinKarpSearchWithSteps(text, pattern, patternHash, base, mod) {
+function* rabinKarpSearchSteps(text, pattern, patternHash, base, mod, scheme = singleHash(base, mod), messages = createMessages('rabin-karp')) {
   const n = text.length;
   const m = pattern.length;
   const matches = [];
-  const steps = [];
+  const spuriousHits = [];
   let hashComparisons = 0;
   let charComparisons = 0;
+  const modulus = scheme.modulusText;
+  const collisionRate = roughly(1 / scheme.hashSpace);
 
   // Compute h = base^(m-1) % mod for rolling hash
-  const h = computeH(m, base, mod);
+  const h = scheme.power(m);
 
   // Compute initial hash for first window of text
-  let textHash = 0;
+  let textHash = scheme.empty();
   for (let i = 0; i < m; i++) {
-    textHash = (textHash * base + text.charCodeAt(i)) % mod;
+    textHash = scheme.append(textHash, unitCode(text[i]));
   }
 
-  steps.push({
+  const init = messages.step('search_init', {
+    end: m - 1,
+    textHash: scheme.text(textHash),
+    patternHash: scheme.text(patternHash),
+    base,
+    mod: modulus,
+    h: scheme.text(h),
+    collisionRate,
+    expectedSpurious: roughly((n - m + 1) / scheme.hashSpace),
+    windows: n - m + 1
+  });
+  yield {
     type: 'search_init',
-    description: 'Starting Rabin-Karp pattern matching',
+    description: init.description,
     patternHash: patternHash,
-    initialTextHash: textHash,
-    hValue: h,
+    initialTextHash: scheme.value(textHash),
+    hValue: scheme.value(h),
     windowStart: 0,
     windowEnd: m - 1,
-    explanation: `Initial text window [0..${m-1}] has hash ${textHash}. Pattern hash is ${patternHash}. h = ${base}^${m-1} mod ${mod} = ${h} (used for rolling hash).`
-  });
+    explanation: init.explanation
+  };
 
   // Slide the pattern over text
   for (let i = 0; i <= n - m; i++) {
     hashComparisons++;
 
     // Check if hash values match
-    if (patternHash === textHash) {
-      steps.push({
+    if (scheme.key(patternHash) === scheme.key(textHash)) {
+      const hashMatch = messages.step('hash_match', { i, patternHash: scheme.text(patternHash), textHash: scheme.text(textHash), collisionRate });
+      yield {
         type: 'hash_match',
-        description: `Hash match at position ${i}! Pattern hash (${patternHash}) = Text window hash (${textHash})`,
+        description: hashMatch.description,
         windowStart: i,
         windowEnd: i + m - 1,
         patternHash: patternHash,
-        textHash: textHash,
+        textHash: scheme.value(textHash),
         hashComparisons: hashComparisons,
         charComparisons: charComparisons,
-        explanation: `Hash values match! However, this could be a spurious hit (collision). We must verify by comparing characters one by one.`
-      });
+        explanation: hashMatch.explanation
+      };
 
       // Verify character by character
       let match = true;
@@ -162,129 +205,576 @@ function rabinKarpSearchWithSteps(text, pattern, patternHash, base, mod) {
 
       if (match) {
         matches.push(i);
-        steps.push({
+        const found = messages.step('pattern_found', { i });
+        yield {
           type: 'pattern_found',
-          description: `Pattern found at index ${i}!`,
+          description: found.description,
           windowStart: i,
           windowEnd: i + m - 1,
           patternHash: patternHash,
-          textHash: textHash,
+          textHash: scheme.value(textHash),
           matches: [...matches],
           hashComparisons: hashComparisons,
           charComparisons: charComparisons,
           verification: verificationSteps,
-          explanation: `Character verification successful! Pattern found at position ${i}. This is a true match, not a collision.`
-        });
+          explanation: found.explanation
+        };
       } else {
-        steps.push({
+        spuriousHits.push(i);
+        const spurious = messages.step('spurious_hit', { i, mod: modulus, collisionRate });
+        yield {
           type: 'spurious_hit',
-          description: `Spurious hit at position ${i}! Hash matched but characters differ.`,
+          description: spurious.description,
           windowStart: i,
           windowEnd: i + m - 1,
           patternHash: patternHash,
-          textHash: textHash,
+          textHash: scheme.value(textHash),
           hashComparisons: hashComparisons,
           charComparisons: charComparisons,
           verification: verificationSteps,
-          explanation: `Hash collision detected! Although hash values matched, character verification failed. This is why Rabin-Karp needs character comparison on hash match.`
-        });
+          explanation: spurious.explanation
+        };
       }
     } else {
-      steps.push({
+      const mismatch = messages.step('hash_mismatch', { i, patternHash: scheme.text(patternHash), textHash: scheme.text(textHash) });
+      yield {
         type: 'hash_mismatch',
-        description: `Hash mismatch at position ${i}: Pattern hash (${patternHash}) ≠ Text hash (${textHash})`,
+        description: mismatch.description,
         windowStart: i,
         windowEnd: i + m - 1,
         patternHash: patternHash,
-        textHash: textHash,
+        textHash: scheme.value(textHash),
         hashComparisons: hashComparisons,
         charComparisons: charComparisons,
-        explanation: `Hash values don't match, so pattern cannot be at this position. No character comparison needed - this is the efficiency of Rabin-Karp!`
-      });
+        explanation: mismatch.explanation
+      };
     }
 
     // Compute rolling hash for next window
     if (i < n - m) {
       const oldHash = textHash;
       const removedChar = text[i];
-      const removedCharCode = text.charCodeAt(i);
+      const removedCharCode = unitCode(text[i]);
       const addedChar = text[i + m];
-      const addedCharCode = text.charCodeAt(i + m);
+      const addedCharCode = unitCode(text[i + m]);
 
       // Rolling hash formula: newHash = (base * (oldHash - oldChar * h) + newChar) % mod
-      textHash = ((base * (textHash - removedCharCode * h) + addedCharCode) % mod + mod) % mod;
+      textHash = scheme.roll(textHash, removedCharCode, addedCharCode, h);
 
-      steps.push({
+      const rolling = messages.step('rolling_hash', { start: i + 1, end: i + m, removed: removedChar, added: addedChar, mod: modulus });
+      yield {
         type: 'rolling_hash',
-        description: `Computing rolling hash for window [${i + 1}..${i + m}]`,
+        description: rolling.description,
         oldWindowStart: i,
         newWindowStart: i + 1,
         removedChar: removedChar,
         removedCharCode: removedCharCode,
         addedChar: addedChar,
         addedCharCode: addedCharCode,
-        oldHash: oldHash,
-        newHash: textHash,
-        hValue: h,
-        computation: `(${base} × (${oldHash} - ${removedCharCode} × ${h}) + ${addedCharCode}) mod ${mod} = ${textHash}`,
-        explanation: `Rolling hash update: Remove leading character '${removedChar}' and add trailing character '${addedChar}'. This O(1) operation avoids recomputing the entire hash.`
-      });
+        oldHash: scheme.value(oldHash),
+        newHash: scheme.value(textHash),
+        hValue: scheme.value(h),
+        computation: scheme.rollComputation(oldHash, removedCharCode, addedCharCode, h, textHash),
+        explanation: rolling.explanation
+      };
     }
   }
 
   // Search complete
-  steps.push({
+  const complete = messages.step('search_complete', { count: matches.length, hashComparisons, charComparisons });
+  yield {
     type: 'search_complete',
-    description: 'Rabin-Karp search complete',
+    description: complete.description,
     matches: [...matches],
     hashComparisons: hashComparisons,
     charComparisons: charComparisons,
     totalMatches: matches.length,
-    explanation: `Search complete. Found ${matches.length} occurrence(s) using ${hashComparisons} hash comparisons and ${charComparisons} character comparisons.`
+    explanation: complete.explanation
+  };
+
+  return { matches, spuriousHits, hashComparisons, charComparisons };
+}
+
+/**
+ * Performs Rabin-Karp pattern matching with step-by-step states
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @param {number} patternHash - The precomputed pattern hash
+ * @param {number} base - The base for polynomial hashing
+ * @param {number} mod - The modulo value
+ * @param {Object} [scheme] - Hash scheme from createHashScheme (default: single modulus mod)
+ * @returns {Object} - Contains matches and matchingSteps for visualization
+ */
+function rabinKarpSearchWithSteps(text, pattern, patternHash, base, mod, scheme) {
+  const { steps, value } = collectSteps(rabinKarpSearchSteps(text, pattern, patternHash, base, mod, scheme));
+  return { ...value, matchingSteps: steps };
+}
+
+/**
+ * Performs multi-pattern Rabin-Karp matching, yielding step-by-step states.
+ * All patterns share one length, so a single rolling window hash is looked up in the set of pattern hashes.
+ * @param {string} text - The text to search in
+ * @param {string[]} patterns - The equal-length patterns to search for
+ * @param {number[]} patternHashes - The precomputed pattern hashes (same order as patterns)
+ * @param {number} base - The base for polynomial hashing
+ * @param {number} mod - The modulo value
+ * @param {Object} [scheme] - Hash scheme from createHashScheme (default: single modulus mod)
+ * @param {Object} [messages] - Step message renderer from createMessages (default: English, normal verbosity)
+ * @returns {Generator} - Yields matching steps and returns { matches, spuriousHits, hashComparisons, charComparisons }
+ */
+function* rabinKarpMultiSearchSteps(text, patterns, patternHashes, base, mod, scheme = singleHash(base, mod), messages = createMessages('rabin-karp')) {
+  const n = text.length;
+  const m = patterns[0].length;
+  const matches = [];
+  const spuriousHits = [];
+  let hashComparisons = 0;
+  let charComparisons = 0;
+  const modulus = scheme.modulusText;
+  const collisionRate = roughly(1 / scheme.hashSpace);
+
+  // Group pattern indices by hash value
+  const hashSet = new Map();
+  patternHashes.forEach((hash, index) => {
+    const key = scheme.key(hash);
+    if (!hashSet.has(key)) {
+      hashSet.set(key, { hash, indices: [] });
+    }
+    hashSet.get(key).indices.push(index);
   });
+  const hashValues = [...hashSet.values()].map(entry => entry.hash);
+
+  const h = scheme.power(m);
+
+  let textHash = scheme.empty();
+  for (let i = 0; i < m; i++) {
+    textHash = scheme.append(textHash, unitCode(text[i]));
+  }
 
-  return { matches, matchingSteps: steps, hashComparisons, charComparisons };
+  const init = messages.step('search_init', {
+    end: m - 1,
+    textHash: scheme.text(textHash),
+    count: patterns.length,
+    hashes: hashValues.map(scheme.text).join(', '),
+    mod: modulus,
+    collisionRate,
+    expectedSpurious: roughly((n - m + 1) * patterns.length / scheme.hashSpace),
+    windows: n - m + 1
+  }, 1);
+  yield {
+    type: 'search_init',
+    description: init.description,
+    patternHashes: [...patternHashes],
+    hashSet: hashValues,
+    initialTextHash: scheme.value(textHash),
+    hValue: scheme.value(h),
+    windowStart: 0,
+    windowEnd: m - 1,
+    explanation: init.explanation
+  };
+
+  for (let i = 0; i <= n - m; i++) {
+    hashComparisons++;
+    const candidates = hashSet.has(scheme.key(textHash)) ? hashSet.get(scheme.key(textHash)).indices : [];
+
+    if (candidates.length > 0) {
+      const hashMatch = messages.step('hash_match', {
+        i,
+        textHash: scheme.text(textHash),
+        candidates: candidates.map(index => `#${index} '${unitsText(patterns[index])}'`).join(', '),
+        collisionRate
+      }, 1);
+      yield {
+        type: 'hash_match',
+        description: hashMatch.description,
+        windowStart: i,
+        windowEnd: i + m - 1,
+        textHash: scheme.value(textHash),
+        candidatePatterns: [...candidates],
+        hashComparisons: hashComparisons,
+        charComparisons: charComparisons,
+        explanation: hashMatch.explanation
+      };
+
+      for (const patternIndex of candidates) {
+        const pattern = patterns[patternIndex];
+        const patternText = unitsText(pattern);
+        let match = true;
+        const verificationSteps = [];
+
+        for (let j = 0; j < m; j++) {
+          charComparisons++;
+          const isMatch = text[i + j] === pattern[j];
+
+          verificationSteps.push({
+            textIndex: i + j,
+            patternIndex: j,
+            textChar: text[i + j],
+            patternChar: pattern[j],
+            match: isMatch
+          });
+
+          if (!isMatch) {
+            match = false;
+            break;
+          }
+        }
+
+        if (match) {
+          matches.push({ position: i, patternIndex: patternIndex, pattern: patternText });
+          const found = messages.step('pattern_found', { p: patternIndex, pattern: patternText, i }, 1);
+          yield {
+            type: 'pattern_found',
+            description: found.description,
+            windowStart: i,
+            windowEnd: i + m - 1,
+            patternIndex: patternIndex,
+            patternHash: patternHashes[patternIndex],
+            textHash: scheme.value(textHash),
+            matches: matches.map(found => ({ ...found })),
+            hashComparisons: hashComparisons,
+            charComparisons: charComparisons,
+            verification: verificationSteps,
+            explanation: found.explanation
+          };
+        } else {
+          spuriousHits.push({ position: i, patternIndex: patternIndex });
+          const spurious = messages.step('spurious_hit', { i, p: patternIndex, pattern: patternText, mod: modulus, collisionRate }, 1);
+          yield {
+            type: 'spurious_hit',
+            description: spurious.description,
+            windowStart: i,
+            windowEnd: i + m - 1,
+            patternIndex: patternIndex,
+            patternHash: patternHashes[patternIndex],
+            textHash: scheme.value(textHash),
+            hashComparisons: hashComparisons,
+            charComparisons: charComparisons,
+            verification: verificationSteps,
+            explanation: spurious.explanation
+          };
+        }
+      }
+    } else {
+      const mismatch = messages.step('hash_mismatch', { i, textHash: scheme.text(textHash), count: patterns.length }, 1);
+      yield {
+        type: 'hash_mismatch',
+        description: mismatch.description,
+        windowStart: i,
+        windowEnd: i + m - 1,
+        textHash: scheme.value(textHash),
+        hashComparisons: hashComparisons,
+        charComparisons: charComparisons,
+        explanation: mismatch.explanation
+      };
+    }
+
+    // Compute rolling hash for next window
+    if (i < n - m) {
+      const oldHash = textHash;
+      const removedChar = text[i];
+      const removedCharCode = unitCode(text[i]);
+      const addedChar = text[i + m];
+      const addedCharCode = unitCode(text[i + m]);
+
+      textHash = scheme.roll(textHash, removedCharCode, addedCharCode, h);
+
+      const rolling = messages.step('rolling_hash', { start: i + 1, end: i + m, removed: removedChar, added: addedChar, mod: modulus }, 1);
+      yield {
+        type: 'rolling_hash',
+        description: rolling.description,
+        oldWindowStart: i,
+        newWindowStart: i + 1,
+        removedChar: removedChar,
+        removedCharCode: removedCharCode,
+        addedChar: addedChar,
+        addedCharCode: addedCharCode,
+        oldHash: scheme.value(oldHash),
+        newHash: scheme.value(textHash),
+        hValue: scheme.value(h),
+        computation: scheme.rollComputation(oldHash, removedCharCode, addedCharCode, h, textHash),
+        explanation: rolling.explanation
+      };
+    }
+  }
+
+  const complete = messages.step('search_complete', {
+    count: matches.length,
+    patterns: patterns.length,
+    hashComparisons,
+    charComparisons,
+    spurious: spuriousHits.length
+  }, 1);
+  yield {
+    type: 'search_complete',
+    description: complete.description,
+    matches: matches.map(found => ({ ...found })),
+    hashComparisons: hashComparisons,
+    charComparisons: charComparisons,
+    totalMatches: matches.length,
+    spuriousHits: spuriousHits.length,
+    explanation: complete.explanation
+  };
+
+  return { matches, spuriousHits, hashComparisons, charComparisons };
 }
 
 /**
- * Main Rabin-Karp algorithm function that combines preprocessing and search
+ * Performs multi-pattern Rabin-Karp matching with step-by-step states
  * @param {string} text - The text to search in
+ * @param {string[]} patterns - The equal-length patterns to search for
+ * @param {number[]} patternHashes - The precomputed pattern hashes (same order as patterns)
+ * @param {number} base - The base for polynomial hashing
+ * @param {number} mod - The modulo value
+ * @param {Object} [scheme] - Hash scheme from createHashScheme (default: single modulus mod)
+ * @returns {Object} - Contains matches, spuriousHits and matchingSteps for visualization
+ */
+function rabinKarpMultiSearchWithSteps(text, patterns, patternHashes, base, mod, scheme) {
+  const { steps, value } = collectSteps(rabinKarpMultiSearchSteps(text, patterns, patternHashes, base, mod, scheme));
+  return { ...value, matchingSteps: steps };
+}
+
+/**
+ * Creates a single-modulus Rabin-Karp matcher that reads the text one UTF-16 code unit at a time.
+ * The current window is kept in a ring buffer, so a text can be fed in chunks and occurrences may span them.
  * @param {string} pattern - The pattern to search for
+ * @param {number} base - The base for polynomial hashing
+ * @param {number} mod - Prime modulus, checked with checkHashParameters for code units up to 0xFFFF
+ * @returns {Object} - { push(code): true when an occurrence ends at this code unit, stats() }
+ */
+function createRabinKarpScanner(pattern, base, mod) {
+  const m = pattern.length;
+  const codes = Array.from({ length: pattern.length }, (_, i) => pattern.charCodeAt(i));
+  const patternHash = computeHash(pattern, base, mod);
+  const window = new Array(m).fill(0);
+  let h = 1;
+  for (let i = 0; i < m - 1; i++) {
+    h = (h * base) % mod;
+  }
+
+  let hash = 0;
+  let count = 0;
+  let hashHits = 0;
+  let spuriousHits = 0;
+  let charComparisons = 0;
+
+  return {
+    push(code) {
+      const slot = count % m;
+      hash = count < m
+        ? (hash * base + code) % mod
+        : ((base * (hash - window[slot] * h) + code) % mod + mod) % mod;
+      window[slot] = code;
+      count++;
+
+      if (count < m || hash !== patternHash) {
+        return false;
+      }
+
+      // The oldest code unit of the window sits in the slot after the one just written
+      hashHits++;
+      for (let k = 0; k < m; k++) {
+        charComparisons++;
+        if (window[(count + k) % m] !== codes[k]) {
+          spuriousHits++;
+          return false;
+        }
+      }
+      return true;
+    },
+    stats: () => ({ hashComparisons: Math.max(count - m + 1, 0), hashHits, spuriousHits, charComparisons })
+  };
+}
+
+/**
+ * Summarizes hash collisions against what a uniformly distributed hash would produce.
+ * Every window that is not an occurrence of a pattern collides with its hash with probability 1/hashSpace.
+ * @param {Object} scheme - Hash scheme used for the search
+ * @param {number} windowPairs - Number of (window, pattern) pairs whose hashes were compared
+ * @param {number} matchCount - Number of true occurrences
+ * @param {Array} spuriousHits - Windows that collided (positions, or { position, patternIndex })
+ * @returns {Object} - Collision analytics
+ */
+function collisionAnalytics(scheme, windowPairs, matchCount, spuriousHits) {
+  const nonMatching = windowPairs - matchCount;
+  const hashHits = matchCount + spuriousHits.length;
+
+  return {
+    scheme: scheme.scheme,
+    // Exact for single and bigint (a decimal string); the product of both moduli for double
+    hashSpace: scheme.scheme === 'double' ? scheme.hashSpace : scheme.modulus,
+    hashHits: hashHits,
+    spuriousHits: spuriousHits.length,
+    spuriousHitRate: hashHits > 0 ? spuriousHits.length / hashHits : 0,
+    expectedCollisions: nonMatching / scheme.hashSpace,
+    observedCollisions: spuriousHits.length,
+    expectedCollisionRate: 1 / scheme.hashSpace,
+    observedCollisionRate: nonMatching > 0 ? spuriousHits.length / nonMatching : 0,
+    collidedPositions: spuriousHits
+  };
+}
+
+/**
+ * Checks the hash options of a direct call and builds the scheme
+ * @param {number} base - The base for hashing
+ * @param {number|string|bigint} mod - The modulus
+ * @param {Object} options - { scheme, secondModulo }
+ * @param {Array<string|string[]>} strings - Text and patterns, as strings or unit arrays
+ * @returns {Object} - Hash scheme
+ * @throws {ApiError} - If the parameters are invalid
+ */
+function hashSchemeFor(base, mod, options, strings) {
+  const { value, error, code } = checkHashParameters({ ...options, base, modulo: mod }, strings);
+  if (error) {
+    throw new ApiError(code, error);
+  }
+  return createHashScheme(value);
+}
+
+/**
+ * Hash parameters as reported in a response
+ * @param {Object} scheme - Hash scheme
+ * @returns {Object}
+ */
+function describeScheme(scheme) {
+  const parameters = { scheme: scheme.scheme, base: scheme.base, modulo: scheme.modulus };
+  if (scheme.scheme === 'double') {
+    parameters.modulo = scheme.moduli[0];
+    parameters.secondModulo = scheme.moduli[1];
+  }
+  return parameters;
+}
+
+/**
+ * Rabin-Karp trace for several equal-length patterns
+ * @param {string} text - The text to search in
+ * @param {string[]} patterns - The patterns to search for
+ * @param {number} base - The base for hashing
+ * @param {number} mod - The modulo for hashing
+ * @param {Object} [options] - { scheme: 'single'|'double'|'bigint', secondModulo, unit, normalization, caseFold, lang, verbosity }
+ * @returns {Generator} - Algorithm trace
+ */
+function* rabinKarpMultiTrace(text, patterns, base, mod, options = {}) {
+  if (patterns.length === 0 || patterns.some(pattern => !pattern)) {
+    throw new ApiError('MISSING_PARAMETER', 'Patterns cannot be empty');
+  }
+
+  const textUnits = prepareUnits(text, options);
+  const patternUnits = patterns.map(pattern => prepareUnits(pattern, options));
+  const units = patternUnits.map(prepared => prepared.units);
+  const m = units[0].length;
+
+  if (units.some(pattern => pattern.length !== m)) {
+    throw new ApiError('INVALID_PARAMETER', 'All patterns must have the same length');
+  }
+  if (m > textUnits.units.length) {
+    throw new ApiError('PATTERN_TOO_LONG', 'Pattern length cannot exceed text length');
+  }
+
+  const scheme = hashSchemeFor(base, mod, options, [textUnits.units, ...units]);
+  const messages = createMessages('rabin-karp', options);
+
+  // Step 1: Compute every pattern hash with steps, tagged with the pattern index
+  const patternHashes = [];
+
+  for (let patternIndex = 0; patternIndex < patterns.length; patternIndex++) {
+    const hashSteps = computePatternHashSteps(units[patternIndex], base, mod, scheme, messages);
+    patternHashes.push(yield* inPhase('preprocessing', mapSteps(hashSteps, step => ({ ...step, patternIndex }))));
+  }
+
+  // Step 2: Perform pattern matching with steps
+  const { matches, spuriousHits, hashComparisons, charComparisons } =
+    yield* inPhase('matching', rabinKarpMultiSearchSteps(textUnits.units, units, patternHashes, base, mod, scheme, messages));
+
+  const windows = textUnits.units.length - m + 1;
+
+  const data = {
+    algorithm: 'Rabin-Karp',
+    text: text,
+    patterns: patterns,
+    parameters: {
+      ...describeScheme(scheme),
+      patternHashes: patternHashes
+    },
+    preprocessing: {
+      description: 'Pattern Hash Set Computation'
+    },
+    matching: {
+      description: 'Rolling Hash Multi-Pattern Matching'
+    },
+    result: {
+      matches: matches,
+      matchCount: matches.length,
+      matchesByPattern: patterns.map((pattern, index) => ({
+        pattern: pattern,
+        patternIndex: index,
+        positions: matches.filter(match => match.patternIndex === index).map(match => match.position)
+      })),
+      spuriousHits: spuriousHits,
+      hashComparisons: hashComparisons,
+      charComparisons: charComparisons,
+      totalComparisons: hashComparisons + charComparisons,
+      collisions: collisionAnalytics(scheme, windows * patterns.length, matches.length, spuriousHits),
+      timeComplexity: 'O(n + km) average, O(nkm) worst case',
+      spaceComplexity: 'O(k)'
+    }
+  };
+
+  if (!isDefaultUnits(options)) {
+    data.units = describeUnits(options, textUnits, patternUnits);
+    data.result.originalOffsets = matches.map(match => originalRange(textUnits, match.position, m));
+  }
+
+  return data;
+}
+
+/**
+ * Rabin-Karp as an algorithm trace: the pattern hash, then the rolling window hashes
+ * @param {string} text - The text to search in
+ * @param {string|string[]} pattern - The pattern to search for, or an array of equal-length patterns
  * @param {number} base - Optional base for hashing (default: 256)
- * @param {number} mod - Optional modulo for hashing (default: 101)
- * @returns {Object} - Complete algorithm execution data for visualization
+ * @param {number|string|bigint} mod - Optional modulo for hashing (default: 101)
+ * @param {Object} [options] - { scheme: 'single'|'double'|'bigint', secondModulo, unit, normalization, caseFold, lang, verbosity }
+ * @returns {Generator} - Algorithm trace
  */
-function rabinKarpAlgorithm(text, pattern, base = DEFAULT_BASE, mod = DEFAULT_MODULO) {
+function* rabinKarpTrace(text, pattern, base = DEFAULT_BASE, mod = DEFAULT_MODULO, options = {}) {
   // Input validation
   if (!text || !pattern) {
-    throw new Error('Both text and pattern are required');
+    throw new ApiError('MISSING_PARAMETER', 'Both text and pattern are required');
+  }
+  if (Array.isArray(pattern)) {
+    return yield* rabinKarpMultiTrace(text, pattern, base, mod, options);
   }
-  if (pattern.length > text.length) {
-    throw new Error('Pattern length cannot exceed text length');
+  const textUnits = prepareUnits(text, options);
+  const patternUnits = prepareUnits(pattern, options);
+  const n = textUnits.units.length;
+  const m = patternUnits.units.length;
+
+  if (m > n) {
+    throw new ApiError('PATTERN_TOO_LONG', 'Pattern length cannot exceed text length');
   }
 
+  const scheme = hashSchemeFor(base, mod, options, [textUnits.units, patternUnits.units]);
+  const messages = createMessages('rabin-karp', options);
+
   // Step 1: Compute pattern hash with steps
-  const { hash: patternHash, steps: hashSteps } = computePatternHashWithSteps(pattern, base, mod);
+  const patternHash = yield* inPhase('preprocessing', computePatternHashSteps(patternUnits.units, base, mod, scheme, messages));
 
   // Step 2: Perform pattern matching with steps
-  const { matches, matchingSteps, hashComparisons, charComparisons } = 
-    rabinKarpSearchWithSteps(text, pattern, patternHash, base, mod);
+  const { matches, spuriousHits, hashComparisons, charComparisons } =
+    yield* inPhase('matching', rabinKarpSearchSteps(textUnits.units, patternUnits.units, patternHash, base, mod, scheme, messages));
 
-  return {
+  const data = {
     algorithm: 'Rabin-Karp',
     text: text,
     pattern: pattern,
     parameters: {
-      base: base,
-      modulo: mod,
+      ...describeScheme(scheme),
       patternHash: patternHash
     },
     preprocessing: {
-      steps: hashSteps,
       description: 'Pattern Hash Computation'
     },
     matching: {
-      steps: matchingSteps,
       description: 'Rolling Hash Pattern Matching'
     },
     result: {
@@ -293,10 +783,361 @@ function rabinKarpAlgorithm(text, pattern, base = DEFAULT_BASE, mod = DEFAULT_MO
       hashComparisons: hashComparisons,
       charComparisons: charComparisons,
       totalComparisons: hashComparisons + charComparisons,
+      collisions: collisionAnalytics(scheme, n - m + 1, matches.length, spuriousHits),
       timeComplexity: 'O(n + m) average, O(nm) worst case',
       spaceComplexity: 'O(1)'
     }
   };
+
+  if (!isDefaultUnits(options)) {
+    data.units = describeUnits(options, textUnits, [patternUnits]);
+    data.result.originalOffsets = matches.map(position => originalRange(textUnits, position, m));
+  }
+
+  return data;
+}
+
+/**
+ * Main Rabin-Karp algorithm function that combines preprocessing and search
+ * @param {string} text - The text to search in
+ * @param {string|string[]} pattern - The pattern to search for, or an array of equal-length patterns
+ * @param {number} base - Optional base for hashing (default: 256)
+ * @param {number|string|bigint} mod - Optional modulo for hashing (default: 101)
+ * @param {Object} [options] - { scheme: 'single'|'double'|'bigint', secondModulo, unit, normalization, caseFold, lang, verbosity }
+ * @returns {Object} - Complete algorithm execution data for visualization
+ */
+function rabinKarpAlgorithm(text, pattern, base = DEFAULT_BASE, mod = DEFAULT_MODULO, options = {}) {
+  return runTrace(rabinKarpTrace(text, pattern, base, mod, options));
+}
+
+/**
+ * Resolves the hash options of a request, applying the default modulus of the scheme
+ * @param {Object} params - Validated request parameters
+ * @returns {Object} - { scheme, base, modulo, secondModulo }
+ */
+function hashOptions({ scheme = 'single', base = DEFAULT_BASE, modulo, secondModulo }) {
+  const hashMod = modulo !== undefined ? modulo : scheme === 'bigint' ? DEFAULT_BIGINT_MODULO : DEFAULT_MODULO;
+
+  return { scheme, base, modulo: hashMod, secondModulo };
 }
 
-module.exports = { rabinKarpAlgorithm, computePatternHashWithSteps, rabinKarpSearchWithSteps };
+// Hashes and moduli in steps: a number (single), a pair (double) or a decimal string (bigint)
+const hashValue = {
+  oneOf: [
+    { type: 'integer', minimum: 0 },
+    { type: 'array', items: { type: 'integer', minimum: 0 }, minItems: 2, maxItems: 2 },
+    { type: 'string', pattern: '^[0-9]+$' }
+  ]
+};
+
+// Match positions, or { position, patternIndex, pattern } entries in multi-pattern mode
+const matchList = {
+  anyOf: [
+    integerArray,
+    arrayOf({
+      type: 'object',
+      required: ['position', 'patternIndex', 'pattern'],
+      properties: { position: index, patternIndex: index, pattern: string },
+      additionalProperties: false
+    })
+  ]
+};
+
+const verificationEntry = {
+  type: 'object',
+  required: ['textIndex', 'patternIndex', 'textChar', 'patternChar', 'match'],
+  properties: { textIndex: index, patternIndex: index, textChar: string, patternChar: string, match: { type: 'boolean' } },
+  additionalProperties: false
+};
+
+/**
+ * Registry entry for Rabin-Karp. Accepts either `pattern` or an array of equal-length `patterns`
+ */
+const definition = {
+  id: 'rabin-karp',
+  parameters: {
+    type: 'object',
+    required: ['text'],
+    properties: {
+      text: textProperty,
+      pattern: patternProperty,
+      patterns: {
+        type: 'array',
+        title: 'Patterns',
+        minItems: 1,
+        items: patternProperty,
+        description: 'Equal-length patterns for multi-pattern mode (instead of pattern)'
+      },
+      base: {
+        type: 'integer',
+        title: 'base',
+        minimum: 2,
+        default: DEFAULT_BASE,
+        errorCode: 'INVALID_BASE',
+        description: 'The base for polynomial hashing'
+      },
+      modulo: {
+        type: ['integer', 'string'],
+        title: 'modulo',
+        pattern: '^[0-9]+$',
+        errorCode: 'INVALID_MODULUS',
+        description: `A prime modulus, as a number or a string of digits (default: ${DEFAULT_MODULO}, or ${DEFAULT_BIGINT_MODULO} for the bigint scheme)`
+      },
+      scheme: {
+        type: 'string',
+        title: 'scheme',
+        enum: HASH_SCHEMES,
+        default: 'single',
+        description: 'single: one Number modulus; double: two Number moduli; bigint: one modulus of up to 64 bits'
+      },
+      secondModulo: {
+        type: ['integer', 'string'],
+        title: 'secondModulo',
+        pattern: '^[0-9]+$',
+        errorCode: 'INVALID_MODULUS',
+        description: 'The second prime modulus of the double scheme (default: 1000003)'
+      },
+      ...unitParameters,
+      ...messageParameters
+    }
+  },
+  validate: params => {
+    const { text, pattern, patterns } = params;
+
+    if (patterns === undefined && pattern === undefined) {
+      return { code: 'MISSING_PARAMETER', message: 'Pattern is required and must be a string' };
+    }
+    if (patterns !== undefined && pattern !== undefined) {
+      return 'Send either pattern or patterns, not both';
+    }
+
+    // Lengths are compared in the requested unit, after normalization
+    const textUnits = prepareUnits(text, params).units;
+    const patternUnits = (patterns || [pattern]).map(p => prepareUnits(p, params).units);
+
+    if (patternUnits.some(p => p.length !== patternUnits[0].length)) {
+      return 'All patterns must have the same length';
+    }
+    if (patternUnits[0].length > textUnits.length) {
+      return { code: 'PATTERN_TOO_LONG', message: 'Pattern length cannot exceed text length' };
+    }
+
+    const { error, code } = checkHashParameters(hashOptions(params), [textUnits, ...patternUnits]);
+    return error ? { code, message: error } : null;
+  },
+  info: {
+    name: 'Rabin-Karp Algorithm',
+    description: 'A string matching algorithm that uses hashing to find pattern matches. It computes a hash value for the pattern and slides a window over the text, using rolling hash for efficient hash updates.',
+    properties: {
+      timeComplexity: {
+        preprocessing: 'O(m)',
+        matching: {
+          average: 'O(n + m)',
+          worst: 'O(nm)'
+        },
+        explanation: 'Average case is fast due to hash filtering. Worst case occurs with many hash collisions.'
+      },
+      spaceComplexity: 'O(1)',
+      keyFeatures: [
+        'Uses polynomial rolling hash',
+        'Efficient average-case performance',
+        'Requires verification on hash match',
+        'Good for multiple pattern search'
+      ]
+    },
+    multiPattern: {
+      description: 'Send `patterns` (an array of equal-length strings) instead of `pattern`. Every pattern hash is stored in a set and each rolling window hash is looked up once, so k patterns cost about the same as one.',
+      timeComplexity: {
+        average: 'O(n + km)',
+        worst: 'O(nkm)'
+      }
+    },
+    keyConcepts: [
+      {
+        name: 'Polynomial Hashing',
+        description: 'Characters are treated as digits of a number in some base. Hash = (c₀×d^(m-1) + c₁×d^(m-2) + ... + c_{m-1}) mod q'
+      },
+      {
+        name: 'Rolling Hash',
+        description: 'Instead of recomputing hash from scratch, we update it in O(1) by removing the leading character contribution and adding the new trailing character.'
+      },
+      {
+        name: 'Spurious Hits',
+        description: 'Hash matches that are not actual pattern matches. These occur due to hash collisions and require character-by-character verification.'
+      }
+    ],
+    parameters: {
+      base: {
+        description: 'The base for polynomial hashing (typically size of alphabet)',
+        default: 256
+      },
+      modulo: {
+        description: 'A prime number for modulo operation to prevent overflow',
+        default: 101
+      },
+      scheme: {
+        description: 'Hash scheme: single (one modulus), double (two moduli, a collision needs both to collide) or bigint (64-bit modulus with BigInt arithmetic)',
+        default: 'single'
+      },
+      secondModulo: {
+        description: 'Second prime modulus of the double scheme',
+        default: 1000003
+      },
+      unit: {
+        description: 'What one position is: utf16 (code unit), codepoint or grapheme. Multi-code-point graphemes are hashed by an id above the code point range',
+        default: 'utf16'
+      },
+      normalization: {
+        description: 'Unicode normalization before matching: none, NFC or NFKC',
+        default: 'none'
+      },
+      caseFold: {
+        description: 'Match case-insensitively',
+        default: false
+      },
+      lang: {
+        description: 'Language of step descriptions and explanations; defaults to the Accept-Language header, then English'
+      },
+      verbosity: {
+        description: 'brief, normal or detailed; detailed explanations include the collision probability of the chosen modulus',
+        default: 'normal'
+      }
+    },
+    hashSchemes: {
+      description: 'Moduli must be prime. With Number arithmetic the rolling update computes base × (hash - charCode × h), which must stay below Number.MAX_SAFE_INTEGER (2^53 - 1); requests that could exceed it are rejected instead of silently producing wrong hashes. The bigint scheme has no such limit.',
+      collisionAnalytics: 'result.collisions compares the spurious hits observed with the number expected from a uniform hash: (non-matching windows) / (number of hash values).'
+    },
+    units: unitsInfo,
+    messages: messagesInfo,
+    examples: [
+      { text: 'ABCCDDAEFG', pattern: 'CDD' },
+      { text: 'AABAACAADAABAABA', pattern: 'AABA' },
+      { text: 'GEEKSFORGEEKS', pattern: 'GEEK' },
+      { text: 'AABAACAADAABAABA', patterns: ['AABA', 'AACA', 'CAAB'] },
+      { text: 'ABCCDDAEFG', pattern: 'CDD', base: 10, modulo: 13, scheme: 'double', secondModulo: 101 },
+      { text: 'AABAACAADAABAABA', pattern: 'AABA', scheme: 'bigint' },
+      { text: 'Café au lait, CAFÉ noir', pattern: 'cafe\u0301', unit: 'grapheme', normalization: 'NFC', caseFold: true },
+      { text: 'ABCCDDAEFG', pattern: 'CDD', base: 10, modulo: 13, lang: 'es', verbosity: 'detailed' }
+    ]
+  },
+  steps: {
+    preprocessing: [
+      stepSchema('hash_init', 'Hashing of a pattern starts from 0', {
+        pattern: string,
+        base: index,
+        mod: hashValue,
+        hashScheme: { enum: HASH_SCHEMES },
+        currentHash: hashValue,
+        patternIndex: index
+      }, ['patternIndex']),
+      stepSchema('hash_step', 'One character is appended to the hash', {
+        pattern: string,
+        currentIndex: index,
+        character: string,
+        charCode: index,
+        oldHash: hashValue,
+        newHash: hashValue,
+        computation: string,
+        patternIndex: index
+      }, ['patternIndex']),
+      stepSchema('hash_complete', 'The pattern hash is complete', { pattern: string, finalHash: hashValue, patternIndex: index }, ['patternIndex'])
+    ],
+    matching: [
+      stepSchema('search_init', 'The first text window is hashed; multi-pattern runs list the pattern hash set', {
+        patternHash: hashValue,
+        patternHashes: arrayOf(hashValue),
+        hashSet: arrayOf(hashValue),
+        initialTextHash: hashValue,
+        hValue: hashValue,
+        windowStart: index,
+        windowEnd: index
+      }, ['patternHash', 'patternHashes', 'hashSet']),
+      stepSchema('hash_match', 'The window hash equals a pattern hash, so the window is verified', {
+        windowStart: index,
+        windowEnd: index,
+        patternHash: hashValue,
+        textHash: hashValue,
+        candidatePatterns: integerArray,
+        hashComparisons: index,
+        charComparisons: index
+      }, ['patternHash', 'candidatePatterns']),
+      stepSchema('hash_mismatch', 'The window hash differs, so the window is skipped', {
+        windowStart: index,
+        windowEnd: index,
+        patternHash: hashValue,
+        textHash: hashValue,
+        hashComparisons: index,
+        charComparisons: index
+      }, ['patternHash']),
+      stepSchema('spurious_hit', 'The hashes matched but the characters did not', {
+        windowStart: index,
+        windowEnd: index,
+        patternIndex: index,
+        patternHash: hashValue,
+        textHash: hashValue,
+        hashComparisons: index,
+        charComparisons: index,
+        verification: arrayOf(verificationEntry)
+      }, ['patternIndex']),
+      stepSchema('pattern_found', 'Verification confirmed an occurrence', {
+        windowStart: index,
+        windowEnd: index,
+        patternIndex: index,
+        patternHash: hashValue,
+        textHash: hashValue,
+        matches: matchList,
+        hashComparisons: index,
+        charComparisons: index,
+        verification: arrayOf(verificationEntry)
+      }, ['patternIndex']),
+      stepSchema('rolling_hash', 'The window slides one position and its hash is updated in O(1)', {
+        oldWindowStart: index,
+        newWindowStart: index,
+        removedChar: string,
+        removedCharCode: index,
+        addedChar: string,
+        addedCharCode: index,
+        oldHash: hashValue,
+        newHash: hashValue,
+        hValue: hashValue,
+        computation: string
+      }),
+      stepSchema('search_complete', 'Matching is complete', {
+        matches: matchList,
+        hashComparisons: index,
+        charComparisons: index,
+        totalMatches: index,
+        spuriousHits: index
+      }, ['spuriousHits'])
+    ]
+  },
+  trace: params => {
+    const { text, pattern, patterns, unit, normalization, caseFold, lang, verbosity } = params;
+    const { scheme, base, modulo, secondModulo } = hashOptions(params);
+
+    return rabinKarpTrace(text, patterns !== undefined ? patterns : pattern, base, modulo,
+      { scheme, secondModulo, unit, normalization, caseFold, lang, verbosity });
+  },
+  execute: params => runTrace(definition.trace(params)),
+  metrics: data => ({
+    charComparisons: data.result.charComparisons,
+    hashOperations: data.result.hashComparisons +
+      data.matching.steps.filter(step => step.type === 'rolling_hash').length,
+    shifts: countAlignmentChanges(data.matching.steps, 'windowStart'),
+    preprocessingOperations: countPreprocessingOperations(data.preprocessing.steps)
+  })
+};
+
+module.exports = {
+  rabinKarpAlgorithm,
+  rabinKarpTrace,
+  computeHash,
+  computePatternHashWithSteps,
+  computePatternHashSteps,
+  rabinKarpSearchWithSteps,
+  rabinKarpSearchSteps,
+  rabinKarpMultiSearchWithSteps,
+  rabinKarpMultiSearchSteps,
+  createRabinKarpScanner,
+  definition
+};
@@ -0,0 +1,561 @@
+const { ApiError } = require('../utils/errors');
+const { textPatternParameters, patternFitsText } = require('../utils/validation');
+const { string, integer, index, arrayOf, integerArray, comparison, stepSchema } = require('../utils/schemas');
+const { countAlignmentChanges, countPreprocessingOperations } = require('../utils/metrics');
+const { collectSteps, inPhase, runTrace } = require('../utils/trace');
+
+/**
+ * Builds the suffix array of the text by prefix doubling, with one step per round.
+ * Round k sorts the suffixes by their first 2k characters, using the ranks of the first k
+ * characters of each suffix and of the suffix k positions later as a pair of sort keys.
+ * @param {string} text - The text to index
+ * @returns {Generator} - Yields preprocessing steps and returns { suffixArray, ranks }
+ */
+function* buildSuffixArraySteps(text) {
+  const n = text.length;
+  let suffixArray = Array.from({ length: n }, (_, i) => i);
+  let ranks = Array.from({ length: n }, (_, i) => text.charCodeAt(i));
+
+  suffixArray.sort((a, b) => ranks[a] - ranks[b] || a - b);
+  ranks = rerank(suffixArray, i => ranks[i]);
+
+  yield {
+    type: 'sa_init',
+    description: 'Sorting the suffixes by their first character',
+    suffixArray: [...suffixArray],
+    ranks: [...ranks],
+    prefixLength: 1,
+    distinctRanks: distinctCount(suffixArray, ranks),
+    explanation: `Every suffix gets the rank of its first character: equal first characters share a rank. After round k the ranks order the suffixes by their first 2^k characters, so at most ⌈log₂ ${n}⌉ rounds are needed.`
+  };
+
+  let round = 0;
+  for (let k = 1; distinctCount(suffixArray, ranks) < n; k *= 2) {
+    round++;
+    // The second key is the rank of the suffix k positions later, -1 when that runs past the end
+    const keys = ranks.map((rank, i) => [rank, i + k < n ? ranks[i + k] : -1]);
+
+    suffixArray.sort((a, b) => keys[a][0] - keys[b][0] || keys[a][1] - keys[b][1]);
+    ranks = rerank(suffixArray, i => keys[i]);
+
+    const distinct = distinctCount(suffixArray, ranks);
+    yield {
+      type: 'sa_round',
+      description: `Round ${round}: sorting the suffixes by their first ${2 * k} characters`,
+      round: round,
+      prefixLength: 2 * k,
+      keys: keys,
+      suffixArray: [...suffixArray],
+      ranks: [...ranks],
+      distinctRanks: distinct,
+      explanation: `The first ${2 * k} characters of suffix i are its first ${k} (rank[i]) followed by the first ${k} of suffix i + ${k} (rank[i + ${k}]), so sorting the pairs (rank[i], rank[i + ${k}]) sorts by ${2 * k} characters without comparing any. ` +
+        (distinct === n
+          ? `All ${n} ranks are now distinct, so the order is final.`
+          : `${distinct} of ${n} ranks are distinct; suffixes that still share a rank need another round.`)
+    };
+  }
+
+  yield {
+    type: 'sa_complete',
+    description: 'Suffix array construction complete',
+    suffixArray: [...suffixArray],
+    rounds: round,
+    explanation: `The suffix array lists the starting positions of all ${n} suffixes in lexicographic order. It took ${round} doubling round(s) after sorting by the first character.`
+  };
+
+  return { suffixArray, ranks };
+}
+
+/**
+ * Builds the suffix array of the text by prefix doubling, with one step per round.
+ * Round k sorts the suffixes by their first 2k characters, using the ranks of the first k
+ * characters of each suffix and of the suffix k positions later as a pair of sort keys.
+ * @param {string} text - The text to index
+ * @returns {Object} - Contains suffixArray, ranks (rank of each suffix) and saSteps for visualization
+ */
+function buildSuffixArrayWithSteps(text) {
+  const { steps, value } = collectSteps(buildSuffixArraySteps(text));
+  return { ...value, saSteps: steps };
+}
+
+/**
+ * Gives equal keys the same rank and increasing keys increasing ranks, in suffix array order
+ * @param {number[]} suffixArray - Suffixes sorted by key
+ * @param {Function} key - Returns the sort key of a suffix, a number or a pair
+ * @returns {number[]} - Rank of every suffix, indexed by its start position
+ */
+function rerank(suffixArray, key) {
+  const ranks = new Array(suffixArray.length);
+  let previous = null;
+  let rank = -1;
+
+  for (const suffix of suffixArray) {
+    const current = [].concat(key(suffix));
+    if (!previous || current.some((value, i) => value !== previous[i])) {
+      rank++;
+    }
+    ranks[suffix] = rank;
+    previous = current;
+  }
+  return ranks;
+}
+
+// Ranks are dense, so the last suffix in sorted order has the highest one
+function distinctCount(suffixArray, ranks) {
+  return suffixArray.length === 0 ? 0 : ranks[suffixArray[suffixArray.length - 1]] + 1;
+}
+
+/**
+ * Computes the LCP array with Kasai's algorithm, with one step per character comparison.
+ * LCP[r] is the length of the longest common prefix of the suffixes at ranks r - 1 and r; LCP[0] is 0.
+ * Suffixes are visited in text order, and each one starts from the previous length minus one.
+ * @param {string} text - The indexed text
+ * @param {number[]} suffixArray - Suffix array of the text
+ * @param {number[]} ranks - Rank of each suffix
+ * @returns {Generator} - Yields preprocessing steps and returns { lcpArray, lcpComparisons }
+ */
+function* computeLCPSteps(text, suffixArray, ranks) {
+  const n = text.length;
+  const lcp = new Array(n).fill(0);
+  let comparisons = 0;
+  let length = 0;
+
+  yield {
+    type: 'lcp_init',
+    description: 'Initializing LCP array with zeros',
+    suffixArray: [...suffixArray],
+    ranks: [...ranks],
+    explanation: 'LCP[r] is the length of the longest common prefix of the suffixes at ranks r - 1 and r. Kasai\'s algorithm visits the suffixes in text order: if suffix i shares h characters with its predecessor, suffix i + 1 shares at least h - 1 with its own, so the lengths never restart from zero and the total work is O(n).'
+  };
+
+  for (let i = 0; i < n; i++) {
+    const rank = ranks[i];
+
+    if (rank === 0) {
+      length = 0;
+      yield {
+        type: 'lcp_first',
+        description: `Suffix ${i} has rank 0`,
+        suffixIndex: i,
+        rank: 0,
+        explanation: `Suffix ${i} is the smallest suffix and has no predecessor, so LCP[0] = 0 and the next suffix starts from length 0.`
+      };
+      continue;
+    }
+
+    const previous = suffixArray[rank - 1];
+    const startLength = length;
+
+    while (i + length < n && previous + length < n && text[i + length] === text[previous + length]) {
+      comparisons++;
+      length++;
+      yield {
+        type: 'lcp_extend',
+        description: `Match: text[${i + length - 1}]='${text[i + length - 1]}' equals text[${previous + length - 1}]='${text[previous + length - 1]}'`,
+        suffixIndex: i,
+        previousSuffix: previous,
+        rank: rank,
+        startLength: startLength,
+        textIndex: i + length - 1,
+        previousIndex: previous + length - 1,
+        length: length,
+        explanation: `Suffix ${i} and suffix ${previous} (rank ${rank - 1}) share ${length} character(s) so far.`
+      };
+    }
+
+    const stopped = i + length < n && previous + length < n;
+    if (stopped) {
+      comparisons++;
+    }
+    lcp[rank] = length;
+
+    yield {
+      type: 'lcp_value',
+      description: `LCP[${rank}] = ${length}`,
+      suffixIndex: i,
+      previousSuffix: previous,
+      rank: rank,
+      startLength: startLength,
+      ...(stopped ? { textIndex: i + length, previousIndex: previous + length } : {}),
+      length: length,
+      explanation: (stopped
+        ? `text[${i + length}]='${text[i + length]}' ≠ text[${previous + length}]='${text[previous + length]}', so suffix ${i} and its predecessor ${previous} share ${length} character(s).`
+        : `One of the suffixes ends after ${length} character(s), so suffix ${i} and its predecessor ${previous} share ${length}.`) +
+        (startLength > 0 ? ` The first ${startLength} were known without comparing, from the previous suffix.` : '') +
+        ` The next suffix starts from ${Math.max(length - 1, 0)}.`
+    };
+
+    length = Math.max(length - 1, 0);
+  }
+
+  yield {
+    type: 'lcp_complete',
+    description: 'LCP array computation complete',
+    lcpArray: [...lcp],
+    comparisons: comparisons,
+    explanation: `The LCP array is complete after ${comparisons} character comparisons. Its maximum, ${lcp.reduce((longest, value) => Math.max(longest, value), 0)}, is the length of the longest substring that occurs more than once.`
+  };
+
+  return { lcpArray: lcp, lcpComparisons: comparisons };
+}
+
+/**
+ * Computes the LCP array with Kasai's algorithm, with one step per character comparison.
+ * LCP[r] is the length of the longest common prefix of the suffixes at ranks r - 1 and r; LCP[0] is 0.
+ * Suffixes are visited in text order, and each one starts from the previous length minus one.
+ * @param {string} text - The indexed text
+ * @param {number[]} suffixArray - Suffix array of the text
+ * @param {number[]} ranks - Rank of each suffix
+ * @returns {Object} - Contains lcpArray and lcpSteps for visualization
+ */
+function computeLCPWithSteps(text, suffixArray, ranks) {
+  const { steps, value } = collectSteps(computeLCPSteps(text, suffixArray, ranks));
+  return { lcpArray: value.lcpArray, lcpSteps: steps, lcpComparisons: value.lcpComparisons };
+}
+
+/**
+ * Compares the pattern with the first characters of a suffix
+ * @param {string} text - The indexed text
+ * @param {string} pattern - The pattern
+ * @param {number} suffix - Start of the suffix
+ * @returns {Object} - { order, matchedLength, comparisons, currentComparison }, where order says whether the
+ * suffix sorts before the pattern, after it, or starts with it ('prefix')
+ */
+function compareWithSuffix(text, pattern, suffix) {
+  const m = pattern.length;
+  let k = 0;
+
+  while (k < m && suffix + k < text.length && text[suffix + k] === pattern[k]) {
+    k++;
+  }
+
+  if (k === m) {
+    return { order: 'prefix', matchedLength: k, comparisons: k };
+  }
+  if (suffix + k === text.length) {
+    // The suffix is a proper prefix of the pattern, and shorter strings sort first
+    return { order: 'before', matchedLength: k, comparisons: k };
+  }
+
+  return {
+    order: text[suffix + k] < pattern[k] ? 'before' : 'after',
+    matchedLength: k,
+    comparisons: k + 1,
+    currentComparison: { textIndex: suffix + k, patternIndex: k, result: 'mismatch' }
+  };
+}
+
+/**
+ * Finds the suffixes that start with the pattern by two binary searches over the suffix array,
+ * with one step per suffix comparison. The lower bound is the first suffix not before the pattern,
+ * the upper bound the first suffix after it; every suffix in between is an occurrence.
+ * @param {string} text - The indexed text
+ * @param {string} pattern - The pattern to search for
+ * @param {number[]} suffixArray - Suffix array of the text
+ * @returns {Generator} - Yields matching steps and returns { matches, range, totalComparisons }
+ */
+function* suffixArraySearchSteps(text, pattern, suffixArray) {
+  const n = suffixArray.length;
+  let comparisons = 0;
+
+  yield {
+    type: 'search_init',
+    description: 'Starting binary search over the suffix array',
+    low: 0,
+    high: n,
+    comparisons: 0,
+    explanation: `The suffixes that start with '${pattern}' are adjacent in the suffix array. Two binary searches find where that block starts and ends, each taking at most ⌈log₂ ${n + 1}⌉ suffix comparisons of up to ${pattern.length} characters.`
+  };
+
+  const bounds = {};
+  for (const bound of ['lower', 'upper']) {
+    let low = 0;
+    let high = n;
+
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      const suffix = suffixArray[mid];
+      const result = compareWithSuffix(text, pattern, suffix);
+      comparisons += result.comparisons;
+
+      // The lower bound keeps suffixes that start with the pattern on the right, the upper bound on the left
+      const goRight = result.order === 'before' || (bound === 'upper' && result.order === 'prefix');
+      const shown = text.slice(suffix, suffix + pattern.length);
+
+      yield {
+        type: 'sa_probe',
+        description: `${bound === 'lower' ? 'Lower' : 'Upper'} bound: comparing '${pattern}' with suffix ${suffix} ('${shown}') at rank ${mid}`,
+        bound: bound,
+        low: low,
+        high: high,
+        mid: mid,
+        suffixIndex: suffix,
+        patternOffset: suffix,
+        matchedLength: result.matchedLength,
+        order: result.order,
+        comparisons: comparisons,
+        ...(result.currentComparison ? { currentComparison: result.currentComparison } : {}),
+        explanation: (result.order === 'prefix'
+          ? `Suffix ${suffix} starts with the pattern.`
+          : `Suffix ${suffix} shares ${result.matchedLength} character(s) with the pattern and sorts ${result.order} it.`) +
+          (goRight
+            ? ` The ${bound} bound is after rank ${mid}: continue in [${mid + 1}, ${high}).`
+            : ` The ${bound} bound is at rank ${mid} or before: continue in [${low}, ${mid}).`)
+      };
+
+      if (goRight) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    bounds[bound] = low;
+    yield {
+      type: 'bound_found',
+      description: `${bound === 'lower' ? 'Lower' : 'Upper'} bound is rank ${low}`,
+      bound: bound,
+      rank: low,
+      comparisons: comparisons,
+      explanation: bound === 'lower'
+        ? `Rank ${low} is the first suffix that does not sort before the pattern. Occurrences, if any, start here.`
+        : `Rank ${low} is the first suffix that sorts after the pattern, so the occurrences are the ranks [${bounds.lower}, ${low}).`
+    };
+  }
+
+  // Occurrences come in rank order and are reported in text order. A range can hold most of the text,
+  // so the steps count the occurrences instead of repeating the list.
+  const matches = [];
+  for (let rank = bounds.lower; rank < bounds.upper; rank++) {
+    matches.push(suffixArray[rank]);
+    yield {
+      type: 'pattern_found',
+      description: `Pattern found at index ${suffixArray[rank]}!`,
+      rank: rank,
+      foundAt: suffixArray[rank],
+      patternOffset: suffixArray[rank],
+      matchCount: matches.length,
+      comparisons: comparisons,
+      explanation: `Rank ${rank} lies between the bounds, so suffix ${suffixArray[rank]} starts with the pattern.`
+    };
+  }
+  matches.sort((a, b) => a - b);
+
+  yield {
+    type: 'search_complete',
+    description: 'Suffix array search complete',
+    matches: [...matches],
+    comparisons: comparisons,
+    totalMatches: matches.length,
+    range: { first: bounds.lower, end: bounds.upper },
+    explanation: `Search complete. Found ${matches.length} occurrence(s) of the pattern using ${comparisons} character comparisons. The index can answer further patterns without rebuilding it.`
+  };
+
+  return { matches, range: { first: bounds.lower, end: bounds.upper }, totalComparisons: comparisons };
+}
+
+/**
+ * Finds the suffixes that start with the pattern by two binary searches over the suffix array,
+ * with one step per suffix comparison. The lower bound is the first suffix not before the pattern,
+ * the upper bound the first suffix after it; every suffix in between is an occurrence.
+ * @param {string} text - The indexed text
+ * @param {string} pattern - The pattern to search for
+ * @param {number[]} suffixArray - Suffix array of the text
+ * @returns {Object} - Contains matches, range and matchingSteps for visualization
+ */
+function suffixArraySearchWithSteps(text, pattern, suffixArray) {
+  const { steps, value } = collectSteps(suffixArraySearchSteps(text, pattern, suffixArray));
+  return { matches: value.matches, range: value.range, matchingSteps: steps, totalComparisons: value.totalComparisons };
+}
+
+/**
+ * Suffix array search as an algorithm trace: the suffix and LCP arrays, then the binary searches
+ * @param {string} text - The text to index
+ * @param {string} pattern - The pattern to look up
+ * @returns {Generator} - Algorithm trace
+ */
+function* suffixArrayTrace(text, pattern) {
+  // Input validation
+  if (!text || !pattern) {
+    throw new ApiError('MISSING_PARAMETER', 'Both text and pattern are required');
+  }
+  if (pattern.length > text.length) {
+    throw new ApiError('PATTERN_TOO_LONG', 'Pattern length cannot exceed text length');
+  }
+
+  // Step 1: Index the text
+  const { suffixArray, ranks } = yield* inPhase('preprocessing', buildSuffixArraySteps(text));
+  const { lcpArray, lcpComparisons } = yield* inPhase('preprocessing', computeLCPSteps(text, suffixArray, ranks));
+
+  // Step 2: Look up the pattern
+  const { matches, range, totalComparisons } = yield* inPhase('matching', suffixArraySearchSteps(text, pattern, suffixArray));
+
+  return {
+    algorithm: 'Suffix Array',
+    text: text,
+    pattern: pattern,
+    suffixArray: suffixArray,
+    lcpArray: lcpArray,
+    preprocessing: {
+      description: 'Suffix Array and LCP Construction'
+    },
+    matching: {
+      description: 'Binary Search over the Suffix Array'
+    },
+    result: {
+      matches: matches,
+      matchCount: matches.length,
+      suffixRange: range,
+      totalComparisons: totalComparisons,
+      lcpComparisons: lcpComparisons,
+      timeComplexity: 'O(n log² n) to build, O(m log n) per pattern',
+      spaceComplexity: 'O(n)'
+    }
+  };
+}
+
+/**
+ * Main suffix array function: builds the suffix array and LCP array of the text, then looks up the pattern
+ * @param {string} text - The text to index
+ * @param {string} pattern - The pattern to look up
+ * @returns {Object} - Complete algorithm execution data for visualization
+ */
+function suffixArrayAlgorithm(text, pattern) {
+  return runTrace(suffixArrayTrace(text, pattern));
+}
+
+const bound = { enum: ['lower', 'upper'] };
+
+const lcpFields = {
+  suffixIndex: index,
+  previousSuffix: index,
+  rank: index,
+  startLength: index,
+  textIndex: index,
+  previousIndex: index,
+  length: index
+};
+
+/**
+ * Registry entry for the suffix array. Unlike the other algorithms it preprocesses the text, not the pattern.
+ */
+const definition = {
+  id: 'suffix-array',
+  parameters: textPatternParameters,
+  validate: patternFitsText,
+  info: {
+    name: 'Suffix Array',
+    description: 'Indexes the text instead of the pattern: the suffix array lists the start of every suffix in sorted order and the LCP array the common prefix length of neighbouring suffixes. Occurrences of a pattern are a block of adjacent suffixes, found by binary search.',
+    properties: {
+      timeComplexity: {
+        preprocessing: 'O(n log² n) (prefix doubling) + O(n) (Kasai)',
+        matching: 'O(m log n)',
+        total: 'O(n log² n + m log n)'
+      },
+      spaceComplexity: 'O(n)',
+      keyFeatures: [
+        'The text is preprocessed once and then answers any number of patterns',
+        'Prefix doubling sorts by 1, 2, 4, ... characters using the ranks of the previous round',
+        'Kasai\'s algorithm computes the LCP array in linear time',
+        'All occurrences form one contiguous range of the suffix array'
+      ]
+    },
+    keyConcepts: [
+      {
+        name: 'Suffix Array',
+        description: 'The start positions of all suffixes of the text, in lexicographic order of the suffixes.'
+      },
+      {
+        name: 'Prefix Doubling',
+        description: 'If the suffixes are ranked by their first k characters, the pair (rank[i], rank[i + k]) ranks them by their first 2k characters.'
+      },
+      {
+        name: 'LCP Array',
+        description: 'LCP[r] is the length of the longest common prefix of the suffixes at ranks r - 1 and r. Kasai\'s algorithm uses the fact that it drops by at most one from suffix i to suffix i + 1.'
+      }
+    ],
+    examples: [
+      { text: 'BANANA', pattern: 'ANA' },
+      { text: 'MISSISSIPPI', pattern: 'ISS' },
+      { text: 'ABABDABACDABABCABAB', pattern: 'ABAB' }
+    ]
+  },
+  steps: {
+    preprocessing: [
+      stepSchema('sa_init', 'The suffixes are ranked by their first character', {
+        suffixArray: integerArray,
+        ranks: integerArray,
+        prefixLength: index,
+        distinctRanks: index
+      }),
+      stepSchema('sa_round', 'One doubling round: the suffixes are sorted by twice as many characters', {
+        round: index,
+        prefixLength: index,
+        keys: arrayOf(arrayOf(integer)),
+        suffixArray: integerArray,
+        ranks: integerArray,
+        distinctRanks: index
+      }),
+      stepSchema('sa_complete', 'The suffix array is complete', { suffixArray: integerArray, rounds: index }),
+      stepSchema('lcp_init', 'Kasai\'s algorithm starts', { suffixArray: integerArray, ranks: integerArray }),
+      stepSchema('lcp_first', 'The smallest suffix has no predecessor', { suffixIndex: index, rank: index }),
+      stepSchema('lcp_extend', 'The common prefix with the previous suffix extends by one character', lcpFields),
+      stepSchema('lcp_value', 'LCP[rank] is final', lcpFields, ['textIndex', 'previousIndex']),
+      stepSchema('lcp_complete', 'The LCP array is complete', { lcpArray: integerArray, comparisons: index })
+    ],
+    matching: [
+      stepSchema('search_init', 'Binary search starts over all ranks', { low: index, high: index, comparisons: index }),
+      stepSchema('sa_probe', 'The pattern is compared with the suffix in the middle of the range', {
+        bound,
+        low: index,
+        high: index,
+        mid: index,
+        suffixIndex: index,
+        patternOffset: index,
+        matchedLength: index,
+        order: { enum: ['before', 'after', 'prefix'] },
+        comparisons: index,
+        currentComparison: comparison
+      }, ['currentComparison']),
+      stepSchema('bound_found', 'One end of the range of occurrences is known', { bound, rank: index, comparisons: index }),
+      stepSchema('pattern_found', 'A suffix in the range is an occurrence', {
+        rank: index,
+        foundAt: index,
+        patternOffset: index,
+        matchCount: index,
+        comparisons: index
+      }),
+      stepSchema('search_complete', 'Matching is complete', {
+        matches: integerArray,
+        comparisons: index,
+        totalMatches: index,
+        range: {
+          type: 'object',
+          required: ['first', 'end'],
+          properties: { first: index, end: index },
+          additionalProperties: false
+        }
+      })
+    ]
+  },
+  execute: ({ text, pattern }) => suffixArrayAlgorithm(text, pattern),
+  trace: ({ text, pattern }) => suffixArrayTrace(text, pattern),
+  metrics: data => ({
+    charComparisons: data.result.totalComparisons,
+    hashOperations: 0,
+    shifts: countAlignmentChanges(data.matching.steps, 'patternOffset'),
+    preprocessingOperations: countPreprocessingOperations(data.preprocessing.steps)
+  })
+};
+
+module.exports = {
+  suffixArrayAlgorithm,
+  suffixArrayTrace,
+  buildSuffixArrayWithSteps,
+  buildSuffixArraySteps,
+  computeLCPWithSteps,
+  computeLCPSteps,
+  suffixArraySearchWithSteps,
+  suffixArraySearchSteps,
+  definition
+};
@@ -0,0 +1,546 @@
+const { ApiError } = require('../utils/errors');
+const { textProperty, patternProperty } = require('../utils/validation');
+const { string, index, boolean, arrayOf, integerArray, comparison, alignmentFields, stepSchema } = require('../utils/schemas');
+const { collectSteps, inPhase, runTrace } = require('../utils/trace');
+
+const MAX_CODE_UNIT = 0xFFFF;
+
+/**
+ * Sorts and merges character code ranges
+ * @param {number[][]} ranges - [low, high] pairs, inclusive
+ * @returns {number[][]} - Disjoint ranges in ascending order
+ */
+function normalizeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+
+  for (const [low, high] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && low <= last[1] + 1) {
+      last[1] = Math.max(last[1], high);
+    } else {
+      merged.push([low, high]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Parses a wildcard pattern into tokens.
+ * `?` matches any single character, `[abc]` and `[a-z]` match one character of a class,
+ * and a backslash makes the next character literal (e.g. `\?` or `\[`).
+ * @param {string} pattern - Pattern source
+ * @returns {Object[]} - Tokens { kind: 'literal'|'wildcard'|'class', source, ranges }
+ * @throws {Error} - On an unterminated or empty class, a reversed range or a trailing backslash
+ */
+function parseWildcardPattern(pattern) {
+  const tokens = [];
+  let i = 0;
+
+  const readChar = () => {
+    if (pattern[i] === '\\') {
+      if (i + 1 >= pattern.length) {
+        throw new ApiError('INVALID_PATTERN', 'Pattern cannot end with an unescaped backslash');
+      }
+      i += 2;
+      return pattern[i - 1];
+    }
+    return pattern[i++];
+  };
+
+  while (i < pattern.length) {
+    const start = i;
+
+    if (pattern[i] === '?') {
+      i++;
+      tokens.push({ kind: 'wildcard', source: '?', ranges: [[0, MAX_CODE_UNIT]] });
+    } else if (pattern[i] === '[') {
+      i++;
+      const ranges = [];
+
+      while (i < pattern.length && pattern[i] !== ']') {
+        const low = readChar();
+
+        if (pattern[i] === '-' && i + 1 < pattern.length && pattern[i + 1] !== ']') {
+          i++;
+          const high = readChar();
+          if (high.charCodeAt(0) < low.charCodeAt(0)) {
+            throw new ApiError('INVALID_PATTERN', `Invalid range '${low}-${high}' in character class at position ${start}`);
+          }
+          ranges.push([low.charCodeAt(0), high.charCodeAt(0)]);
+        } else {
+          ranges.push([low.charCodeAt(0), low.charCodeAt(0)]);
+        }
+      }
+
+      if (i >= pattern.length) {
+        throw new ApiError('INVALID_PATTERN', `Unterminated character class starting at position ${start}`);
+      }
+      if (ranges.length === 0) {
+        throw new ApiError('INVALID_PATTERN', `Empty character class at position ${start}`);
+      }
+
+      i++;
+      tokens.push({ kind: 'class', source: pattern.slice(start, i), ranges: normalizeRanges(ranges) });
+    } else {
+      const char = readChar();
+      tokens.push({ kind: 'literal', source: pattern.slice(start, i), ranges: [[char.charCodeAt(0), char.charCodeAt(0)]] });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Checks whether a character is accepted by a token
+ * @param {Object} token - Pattern token
+ * @param {string} char - Single character
+ * @returns {boolean}
+ */
+function tokenMatches(token, char) {
+  const code = char.charCodeAt(0);
+  return token.ranges.some(([low, high]) => code >= low && code <= high);
+}
+
+/**
+ * Checks whether some character is accepted by both tokens
+ * @param {Object} a - Pattern token
+ * @param {Object} b - Pattern token
+ * @returns {boolean}
+ */
+function tokensIntersect(a, b) {
+  return a.ranges.some(([lowA, highA]) => b.ranges.some(([lowB, highB]) => lowA <= highB && lowB <= highA));
+}
+
+/**
+ * Checks whether every character accepted by `a` is also accepted by `b`
+ * @param {Object} a - Pattern token
+ * @param {Object} b - Pattern token
+ * @returns {boolean}
+ */
+function tokenWithin(a, b) {
+  return a.ranges.every(([low, high]) => b.ranges.some(([lowB, highB]) => low >= lowB && high <= highB));
+}
+
+/**
+ * Human readable name of a token for step descriptions
+ * @param {Object} token - Pattern token
+ * @returns {string}
+ */
+function describeToken(token) {
+  if (token.kind === 'wildcard') {
+    return '? (any character)';
+  }
+  return token.kind === 'class' ? `class ${token.source}` : `'${token.source.replace(/^\\/, '')}'`;
+}
+
+const tokenView = token => ({ kind: token.kind, source: token.source });
+
+/**
+ * Computes the shift table, yielding step-by-step states.
+ * After j tokens matched and then a mismatch (or a full match when j = m), shift[j] is the smallest
+ * shift d for which the overlapping tokens could all accept the same characters. Smaller shifts can
+ * be skipped safely. The overlap is `guaranteed` when each shifted token only accepts characters that
+ * the token now aligned with it also accepts; only then can matching continue without re-checking.
+ * @param {Object[]} tokens - Parsed pattern
+ * @returns {Generator} - Yields preprocessing steps and returns { shift, guaranteed }, indexed by j (1..m)
+ */
+function* computeShiftTableSteps(tokens) {
+  const m = tokens.length;
+  const shift = new Array(m + 1).fill(0);
+  const guaranteed = new Array(m + 1).fill(false);
+
+  yield {
+    type: 'shift_table_init',
+    description: `Parsed pattern into ${m} token(s)`,
+    tokens: tokens.map(tokenView),
+    shiftTable: [...shift],
+    guaranteedTable: [...guaranteed],
+    explanation: 'A wildcard or class token accepts several characters, so two pattern positions can no longer be compared for equality. For every number j of matched tokens we look for the smallest shift that does not contradict itself, instead of an LPS value.'
+  };
+
+  for (let j = 1; j <= m; j++) {
+    for (let d = 1; d <= j; d++) {
+      // Shifting by d aligns token t with token d + t for t < j - d
+      let conflict = -1;
+      for (let t = 0; t < j - d; t++) {
+        if (!tokensIntersect(tokens[d + t], tokens[t])) {
+          conflict = t;
+          break;
+        }
+      }
+
+      if (conflict !== -1) {
+        yield {
+          type: 'shift_rejected',
+          description: `j=${j}: shift ${d} rejected, ${describeToken(tokens[d + conflict])} and ${describeToken(tokens[conflict])} share no character`,
+          matchedLength: j,
+          shift: d,
+          conflictIndex: conflict,
+          shiftTable: [...shift],
+          guaranteedTable: [...guaranteed],
+          explanation: `After ${j} matched token(s), shifting by ${d} would align pattern token ${conflict} with the text character that matched token ${d + conflict}. No character is accepted by both, so this alignment can never match and is skipped.`
+        };
+        continue;
+      }
+
+      let safe = true;
+      for (let t = 0; t < j - d; t++) {
+        safe = safe && tokenWithin(tokens[d + t], tokens[t]);
+      }
+
+      shift[j] = d;
+      guaranteed[j] = safe;
+
+      yield {
+        type: 'shift_accepted',
+        description: `j=${j}: shift by ${d}, ${j - d} token(s) overlap${j - d > 0 ? (safe ? ' (guaranteed)' : ' (must be re-checked)') : ''}`,
+        matchedLength: j,
+        shift: d,
+        resumeIndex: j - d,
+        guaranteed: safe,
+        shiftTable: [...shift],
+        guaranteedTable: [...guaranteed],
+        explanation: j - d === 0
+          ? `No shorter shift is consistent with ${j} matched token(s), so the pattern moves past them and starts again at token 0.`
+          : safe
+            ? `Every text character that matched tokens ${d}..${j - 1} is also accepted by tokens 0..${j - d - 1}, so matching continues at pattern token ${j - d} without looking back.`
+            : `Tokens ${d}..${j - 1} and 0..${j - d - 1} could accept the same characters, but not necessarily the ones actually seen in the text. The text pointer moves back ${j - d} position(s) and the overlap is compared again.`
+      };
+      break;
+    }
+  }
+
+  yield {
+    type: 'shift_table_complete',
+    description: 'Shift table computation complete',
+    shiftTable: [...shift],
+    guaranteedTable: [...guaranteed],
+    explanation: 'The shift table is complete. With only literal tokens shift[j] is exactly j - LPS[j - 1] and every overlap is guaranteed, so the search behaves like KMP.'
+  };
+
+  return { shift, guaranteed };
+}
+
+/**
+ * Computes the shift table with step-by-step states
+ * @param {Object[]} tokens - Parsed pattern
+ * @returns {Object} - Contains shiftTable, guaranteedTable and shiftSteps for visualization
+ */
+function computeShiftTableWithSteps(tokens) {
+  const { steps, value } = collectSteps(computeShiftTableSteps(tokens));
+  return { shiftTable: value.shift, guaranteedTable: value.guaranteed, shiftSteps: steps };
+}
+
+/**
+ * Performs KMP-style wildcard matching, yielding step-by-step states.
+ * Uses the comparison step model of kmpSearchSteps; every comparison records the token it was tested against.
+ * @param {string} text - The text to search in
+ * @param {Object[]} tokens - Parsed pattern
+ * @param {Object} table - { shift, guaranteed } from computeShiftTableSteps
+ * @returns {Generator} - Yields matching steps and returns { matches, totalComparisons, rechecks }
+ */
+function* wildcardSearchSteps(text, tokens, table) {
+  const n = text.length;
+  const m = tokens.length;
+  const matches = [];
+  let comparisons = 0;
+  let rechecks = 0;
+
+  let i = 0; // Index for text
+  let j = 0; // Index for pattern tokens
+
+  yield {
+    type: 'search_init',
+    description: 'Starting wildcard pattern matching',
+    textIndex: 0,
+    patternIndex: 0,
+    patternOffset: 0,
+    matches: [...matches],
+    comparisons: 0,
+    explanation: 'Beginning the search phase. Each text character is tested against the token at the current pattern position: a literal, a class or the ? wildcard.'
+  };
+
+  while (i < n) {
+    const patternOffset = i - j;
+    const token = tokens[j];
+    comparisons++;
+
+    if (tokenMatches(token, text[i])) {
+      yield {
+        type: 'match',
+        description: `Match: text[${i}]='${text[i]}' accepted by ${describeToken(token)}`,
+        textIndex: i,
+        patternIndex: j,
+        patternOffset: patternOffset,
+        matches: [...matches],
+        comparisons: comparisons,
+        currentComparison: { textIndex: i, patternIndex: j, result: 'match', token: tokenView(token) },
+        explanation: `Character '${text[i]}' at text position ${i} is accepted by pattern token ${j}, ${describeToken(token)}.`
+      };
+
+      i++;
+      j++;
+
+      if (j === m) {
+        const matchIndex = i - j;
+        const d = table.shift[m];
+        const resume = m - d;
+        matches.push(matchIndex);
+
+        yield {
+          type: 'pattern_found',
+          description: `Pattern found at index ${matchIndex}!`,
+          textIndex: i,
+          patternIndex: j,
+          patternOffset: matchIndex,
+          matches: [...matches],
+          comparisons: comparisons,
+          foundAt: matchIndex,
+          shiftAmount: d,
+          resumeIndex: resume,
+          recheck: !table.guaranteed[m] && resume > 0,
+          explanation: `Complete pattern match found starting at text index ${matchIndex}. The shift table moves the pattern by ${d}` +
+            (resume === 0 ? '.' : table.guaranteed[m]
+              ? ` and matching continues at pattern token ${resume}.`
+              : ` and the ${resume} overlapping character(s) are compared again.`)
+        };
+
+        if (table.guaranteed[m]) {
+          j = resume;
+        } else {
+          rechecks += resume > 0 ? 1 : 0;
+          i -= resume;
+          j = 0;
+        }
+      }
+    } else if (j === 0) {
+      yield {
+        type: 'mismatch_advance',
+        description: `Mismatch at pattern start: text[${i}]='${text[i]}' rejected by ${describeToken(token)}. Moving to next text position.`,
+        textIndex: i,
+        patternIndex: j,
+        patternOffset: patternOffset,
+        matches: [...matches],
+        comparisons: comparisons,
+        currentComparison: { textIndex: i, patternIndex: j, result: 'mismatch', token: tokenView(token) },
+        explanation: 'Mismatch at the first token of the pattern. Simply advance to the next character in text.'
+      };
+
+      i++;
+    } else {
+      const d = table.shift[j];
+      const resume = j - d;
+      const guaranteed = table.guaranteed[j] || resume === 0;
+
+      yield {
+        type: guaranteed ? 'mismatch_shift' : 'mismatch_recheck',
+        description: `Mismatch: text[${i}]='${text[i]}' rejected by ${describeToken(token)}. Shifting pattern by ${d}.`,
+        textIndex: i,
+        patternIndex: j,
+        patternOffset: patternOffset,
+        matches: [...matches],
+        comparisons: comparisons,
+        currentComparison: { textIndex: i, patternIndex: j, result: 'mismatch', token: tokenView(token) },
+        shiftAmount: d,
+        resumeIndex: resume,
+        explanation: guaranteed
+          ? `Mismatch! Shifts smaller than ${d} contradict the ${j} matched token(s). The overlap of ${resume} token(s) is guaranteed to match, so we continue from pattern token ${resume} at the same text position.`
+          : `Mismatch! The next possible alignment is ${d} position(s) further, but its ${resume} overlapping token(s) are not guaranteed to accept the characters already seen. The text pointer moves back to ${i - resume} and they are compared again.`
+      };
+
+      if (guaranteed) {
+        j = resume;
+      } else {
+        rechecks++;
+        i -= resume;
+        j = 0;
+      }
+    }
+  }
+
+  yield {
+    type: 'search_complete',
+    description: 'Wildcard search complete',
+    matches: [...matches],
+    comparisons: comparisons,
+    totalMatches: matches.length,
+    explanation: `Search complete. Found ${matches.length} occurrence(s) of the pattern using ${comparisons} character comparisons and ${rechecks} re-check(s).`
+  };
+
+  return { matches, totalComparisons: comparisons, rechecks };
+}
+
+/**
+ * Wildcard matching as an algorithm trace: the shift table, then the scan of the text
+ * @param {string} text - The text to search in
+ * @param {string} pattern - Pattern with `?` wildcards and `[...]` classes
+ * @returns {Generator} - Algorithm trace
+ */
+function* wildcardTrace(text, pattern) {
+  // Input validation
+  if (!text || !pattern) {
+    throw new ApiError('MISSING_PARAMETER', 'Both text and pattern are required');
+  }
+
+  const tokens = parseWildcardPattern(pattern);
+  if (tokens.length > text.length) {
+    throw new ApiError('PATTERN_TOO_LONG', 'Pattern length cannot exceed text length');
+  }
+
+  const table = yield* inPhase('preprocessing', computeShiftTableSteps(tokens));
+  const { matches, totalComparisons, rechecks } = yield* inPhase('matching', wildcardSearchSteps(text, tokens, table));
+
+  return {
+    algorithm: 'Wildcard KMP',
+    text: text,
+    pattern: pattern,
+    tokens: tokens.map(tokenView),
+    shiftTable: table.shift,
+    guaranteedTable: table.guaranteed,
+    preprocessing: {
+      description: 'Pattern Parsing and Shift Table Computation'
+    },
+    matching: {
+      description: 'Pattern Matching Phase'
+    },
+    result: {
+      matches: matches,
+      matchCount: matches.length,
+      totalComparisons: totalComparisons,
+      rechecks: rechecks,
+      timeComplexity: rechecks === 0 ? 'O(n + m²) (no re-checks were needed)' : 'O(nm + m²) worst case',
+      spaceComplexity: 'O(m)'
+    }
+  };
+}
+
+/**
+ * Main wildcard matching function
+ * @param {string} text - The text to search in
+ * @param {string} pattern - Pattern with `?` wildcards and `[...]` classes
+ * @returns {Object} - Complete algorithm execution data for visualization
+ */
+function wildcardAlgorithm(text, pattern) {
+  return runTrace(wildcardTrace(text, pattern));
+}
+
+const tokenSchema = {
+  type: 'object',
+  required: ['kind', 'source'],
+  properties: { kind: { enum: ['literal', 'wildcard', 'class'] }, source: string },
+  additionalProperties: false
+};
+const shiftTables = { shiftTable: integerArray, guaranteedTable: arrayOf(boolean) };
+// Comparisons also name the token the character was tested against
+const tokenComparison = { ...comparison, required: [...comparison.required, 'token'], properties: { ...comparison.properties, token: tokenSchema } };
+
+/**
+ * Registry entry for wildcard matching. It has no metrics because `?` and classes change what a match
+ * is, so its results cannot be compared with the exact matchers.
+ */
+const definition = {
+  id: 'wildcard',
+  parameters: {
+    type: 'object',
+    required: ['text', 'pattern'],
+    properties: {
+      text: textProperty,
+      pattern: {
+        ...patternProperty,
+        description: '? matches any character, [abc] or [a-z] one character of a class, \\ escapes the next character'
+      }
+    }
+  },
+  // Parse errors are thrown as INVALID_PATTERN
+  validate: ({ text, pattern }) => parseWildcardPattern(pattern).length > text.length
+    ? { code: 'PATTERN_TOO_LONG', message: 'Pattern length cannot exceed text length' }
+    : null,
+  info: {
+    name: 'Wildcard KMP (Don\'t-Care Characters)',
+    description: 'KMP-style matching for patterns with ? wildcards and [abc] / [a-z] character classes. The LPS array is replaced by a shift table that only skips alignments which provably cannot match.',
+    properties: {
+      timeComplexity: {
+        preprocessing: 'O(m³) in the worst case (O(m²) candidate shifts, each checked in O(m))',
+        matching: {
+          best: 'O(n)',
+          worst: 'O(nm)'
+        },
+        explanation: 'Matching is linear when every overlap is guaranteed, for example with literal-only patterns. Overlaps that have to be re-checked move the text pointer back.'
+      },
+      spaceComplexity: 'O(m)',
+      keyFeatures: [
+        '? matches any single character',
+        '[abc] and [a-z] match one character of a class',
+        'Comparison steps show the token each character was tested against',
+        'Falls back to re-checking only where KMP\'s reasoning breaks down'
+      ]
+    },
+    keyConcepts: [
+      {
+        name: 'Why the LPS Array Stops Being Valid',
+        description: 'KMP relies on equality being transitive: if the text matched pattern[0..j-1] and pattern[0..k-1] equals pattern[j-k..j-1], the text also matches pattern[0..k-1]. A wildcard breaks this because it "equals" characters that differ from each other. Searching a?b in aaab with the classic LPS array [0, 0, 0] shows the problem: after a and ? matched "aa", b fails against the third a, LPS[1] = 0 because ? and a differ as pattern characters, and KMP resumes at pattern index 0 from text index 2, skipping the occurrence at index 1. The ? had matched an a, so the shift by one was possible. The reverse also happens: a prefix that equals a suffix as a string may contain a ? that matched a character the shifted token does not accept.'
+      },
+      {
+        name: 'Compatible Shifts',
+        description: 'A shift is skipped only when some overlapping pair of tokens accepts no common character, for example the literals a and b, or [a-c] and [x-z]. Such an alignment can never match, whatever the text is.'
+      },
+      {
+        name: 'Guaranteed Overlaps',
+        description: 'If every shifted token accepts a subset of what the token it lands on accepts (a literal landing on ?, or [a-c] landing on [a-z]), the overlap matches for sure and the search continues without looking back, exactly like KMP. Otherwise the overlapping characters are compared again.'
+      }
+    ],
+    examples: [
+      { text: 'THE CAT SAT ON THE HAT', pattern: '?AT' },
+      { text: 'ABACABAB', pattern: 'A?A' },
+      { text: 'file1.txt file2.csv fileA.txt', pattern: 'file[0-9].???' },
+      { text: 'AXBAYBAZB', pattern: 'A[XYZ]B' }
+    ]
+  },
+  steps: {
+    preprocessing: [
+      stepSchema('shift_table_init', 'The pattern is parsed into tokens', { tokens: arrayOf(tokenSchema), ...shiftTables }),
+      stepSchema('shift_accepted', 'No token conflict rules out the shift for this matched length', {
+        matchedLength: index,
+        shift: index,
+        resumeIndex: index,
+        guaranteed: boolean,
+        ...shiftTables
+      }),
+      stepSchema('shift_rejected', 'A token conflict rules out the shift', { matchedLength: index, shift: index, conflictIndex: index, ...shiftTables }),
+      stepSchema('shift_table_complete', 'The shift table is complete', shiftTables)
+    ],
+    matching: [
+      stepSchema('search_init', 'The pattern is aligned with the start of the text', alignmentFields),
+      stepSchema('match', 'The text character matches the token', { ...alignmentFields, currentComparison: tokenComparison }),
+      stepSchema('mismatch_shift', 'Mismatch: the pattern shifts by the table entry', {
+        ...alignmentFields,
+        currentComparison: tokenComparison,
+        shiftAmount: index,
+        resumeIndex: index
+      }),
+      stepSchema('mismatch_advance', 'Mismatch on the first token: the text pointer advances', { ...alignmentFields, currentComparison: tokenComparison }),
+      stepSchema('pattern_found', 'Every token matched', {
+        ...alignmentFields,
+        foundAt: index,
+        shiftAmount: index,
+        resumeIndex: index,
+        recheck: boolean
+      }),
+      stepSchema('search_complete', 'Matching is complete', { matches: integerArray, comparisons: index, totalMatches: index })
+    ]
+  },
+  execute: ({ text, pattern }) => wildcardAlgorithm(text, pattern),
+  trace: ({ text, pattern }) => wildcardTrace(text, pattern)
+};
+
+module.exports = {
+  wildcardAlgorithm,
+  wildcardTrace,
+  parseWildcardPattern,
+  tokenMatches,
+  computeShiftTableWithSteps,
+  computeShiftTableSteps,
+  wildcardSearchSteps,
+  definition
+};
@@ -0,0 +1,428 @@
+const { ApiError } = require('../utils/errors');
+const { textPatternParameters, patternFitsText } = require('../utils/validation');
+const { string, integer, index, integerArray, comparison, alignmentFields, stepSchema } = require('../utils/schemas');
+const { collectSteps, inPhase, runTrace } = require('../utils/trace');
+
+/**
+ * Computes the Z-array of the pattern, yielding step-by-step states.
+ * Z[i] is the length of the longest substring starting at i that is also a prefix of the pattern.
+ * @param {string} pattern - The pattern to compute the Z-array for
+ * @returns {Generator} - Yields preprocessing steps and returns { zArray, preprocessingComparisons }
+ */
+function* computeZArraySteps(pattern) {
+  const m = pattern.length;
+  const z = new Array(m).fill(0);
+  let comparisons = 0;
+
+  z[0] = m;
+
+  yield {
+    type: 'z_init',
+    description: 'Initializing Z-array',
+    zArray: [...z],
+    zBox: { left: 0, right: 0 },
+    pattern: pattern,
+    explanation: `Z[i] is the length of the longest substring starting at position i that is also a prefix of the pattern. Z[0] is the whole pattern (${m}). The Z-box [L, R] is the rightmost interval found so far that matches a prefix.`
+  };
+
+  let left = 0;
+  let right = 0;
+
+  for (let i = 1; i < m; i++) {
+    let length = 0;
+    let known = false;
+
+    if (i <= right) {
+      // Reuse the value computed at the mirrored position inside the Z-box
+      const mirrored = z[i - left];
+      length = Math.min(right - i + 1, mirrored);
+      known = mirrored < right - i + 1;
+
+      yield {
+        type: 'z_box_reuse',
+        description: `Position ${i} is inside Z-box [${left}, ${right}]: start from min(${right - i + 1}, Z[${i - left}]) = ${length}`,
+        zArray: [...z],
+        zBox: { left, right },
+        currentIndex: i,
+        mirroredIndex: i - left,
+        prefixLength: length,
+        pattern: pattern,
+        explanation: known
+          ? `pattern[${left}..${right}] equals pattern[0..${right - left}], so position ${i} behaves like position ${i - left}. Z[${i - left}] = ${mirrored} ends inside the Z-box, so Z[${i}] = ${length} without any comparison.`
+          : `pattern[${left}..${right}] equals pattern[0..${right - left}], so position ${i} behaves like position ${i - left} for at least ${length} character(s). Only characters beyond the Z-box need to be compared.`
+      };
+    }
+
+    // Extend the match explicitly
+    while (!known && i + length < m) {
+      comparisons++;
+      const isMatch = pattern[length] === pattern[i + length];
+
+      yield {
+        type: isMatch ? 'z_match' : 'z_mismatch',
+        description: isMatch
+          ? `Match: pattern[${i + length}]='${pattern[i + length]}' equals pattern[${length}]='${pattern[length]}'`
+          : `Mismatch: pattern[${i + length}]='${pattern[i + length]}' ≠ pattern[${length}]='${pattern[length]}'`,
+        zArray: [...z],
+        zBox: { left, right },
+        currentIndex: i,
+        compareIndex: i + length,
+        prefixIndex: length,
+        prefixLength: isMatch ? length + 1 : length,
+        pattern: pattern,
+        explanation: isMatch
+          ? `The substring starting at ${i} still matches the prefix. Extend Z[${i}] to ${length + 1}.`
+          : `The match starting at ${i} stops after ${length} character(s).`
+      };
+
+      if (!isMatch) {
+        break;
+      }
+      length++;
+    }
+
+    z[i] = length;
+
+    if (length > 0 && i + length - 1 > right) {
+      left = i;
+      right = i + length - 1;
+    }
+
+    yield {
+      type: 'z_value',
+      description: `Z[${i}] = ${length}`,
+      zArray: [...z],
+      zBox: { left, right },
+      currentIndex: i,
+      prefixLength: length,
+      pattern: pattern,
+      explanation: left === i && length > 0
+        ? `Z[${i}] = ${length}. The match reaches further right than before, so the Z-box moves to [${left}, ${right}].`
+        : `Z[${i}] = ${length}. The Z-box stays at [${left}, ${right}].`
+    };
+  }
+
+  yield {
+    type: 'z_complete',
+    description: 'Z-array computation complete',
+    zArray: [...z],
+    pattern: pattern,
+    comparisons: comparisons,
+    explanation: 'The Z-array of the pattern is complete. During the search, any text position inside a Z-box can reuse these values instead of comparing again.'
+  };
+
+  return { zArray: z, preprocessingComparisons: comparisons };
+}
+
+/**
+ * Computes the Z-array of the pattern with step-by-step states
+ * @param {string} pattern - The pattern to compute the Z-array for
+ * @returns {Object} - Contains zArray, zSteps and preprocessingComparisons for visualization
+ */
+function computeZArrayWithSteps(pattern) {
+  const { steps, value } = collectSteps(computeZArraySteps(pattern));
+  return { zArray: value.zArray, zSteps: steps, preprocessingComparisons: value.preprocessingComparisons };
+}
+
+/**
+ * Performs Z-algorithm pattern matching, yielding step-by-step states.
+ * This continues the Z-array computation over pattern + '$' + text, expressed in text coordinates.
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @param {number[]} patternZ - The precomputed Z-array of the pattern
+ * @returns {Generator} - Yields matching steps and returns { matches, textZArray, totalComparisons, totalShifts }
+ */
+function* zSearchSteps(text, pattern, patternZ) {
+  const n = text.length;
+  const m = pattern.length;
+  const matches = [];
+  const textZ = new Array(n).fill(0);
+  let comparisons = 0;
+  let shifts = 0;
+
+  yield {
+    type: 'search_init',
+    description: 'Starting Z-algorithm pattern matching',
+    textIndex: 0,
+    patternIndex: 0,
+    patternOffset: 0,
+    matches: [...matches],
+    comparisons: 0,
+    zBox: { left: 0, right: -1 },
+    explanation: `Beginning the search phase. Conceptually we compute the Z-array of '${pattern}$${text}': every text position whose Z-value equals the pattern length (${m}) is a match. The separator '$' guarantees no Z-value exceeds ${m}.`
+  };
+
+  let left = 0;
+  let right = -1;
+
+  for (let p = 0; p < n; p++) {
+    let length = 0;
+    let known = false;
+
+    // Positions past n - m only complete the Z-values; the pattern no longer fits there
+    if (p > 0 && p <= n - m) {
+      shifts++;
+    }
+
+    if (p <= right) {
+      const mirrored = patternZ[p - left];
+      length = Math.min(right - p + 1, mirrored);
+      known = mirrored < right - p + 1;
+
+      yield {
+        type: 'z_box_reuse',
+        description: `Text position ${p} is inside Z-box [${left}, ${right}]: start from min(${right - p + 1}, Z[${p - left}]) = ${length}`,
+        textIndex: p + length,
+        patternIndex: length,
+        patternOffset: p,
+        matches: [...matches],
+        comparisons: comparisons,
+        zBox: { left, right },
+        zValue: length,
+        explanation: known
+          ? `text[${left}..${right}] equals pattern[0..${right - left}], and pattern Z[${p - left}] = ${mirrored} ends inside the Z-box, so Z = ${length} at position ${p} without any comparison.`
+          : `text[${left}..${right}] equals pattern[0..${right - left}], so at position ${p} we already know ${length} character(s) match (pattern Z[${p - left}] = ${mirrored}). Only characters beyond the Z-box need to be compared.`
+      };
+    }
+
+    while (!known && length < m && p + length < n) {
+      comparisons++;
+      const i = p + length;
+
+      if (text[i] !== pattern[length]) {
+        yield {
+          type: 'mismatch_advance',
+          description: `Mismatch: text[${i}]='${text[i]}' ≠ pattern[${length}]='${pattern[length]}'. Moving to next text position.`,
+          textIndex: i,
+          patternIndex: length,
+          patternOffset: p,
+          matches: [...matches],
+          comparisons: comparisons,
+          currentComparison: { textIndex: i, patternIndex: length, result: 'mismatch' },
+          zBox: { left, right },
+          zValue: length,
+          explanation: `The prefix match starting at text position ${p} stops after ${length} character(s), so Z = ${length}. Continue with the next text position.`
+        };
+        break;
+      }
+
+      yield {
+        type: 'match',
+        description: `Match: text[${i}]='${text[i]}' equals pattern[${length}]='${pattern[length]}'`,
+        textIndex: i,
+        patternIndex: length,
+        patternOffset: p,
+        matches: [...matches],
+        comparisons: comparisons,
+        currentComparison: { textIndex: i, patternIndex: length, result: 'match' },
+        zBox: { left, right },
+        zValue: length + 1,
+        explanation: `Character '${text[i]}' at text position ${i} matches pattern character '${pattern[length]}' at position ${length}.`
+      };
+
+      length++;
+    }
+
+    textZ[p] = length;
+
+    if (length > 0 && p + length - 1 > right) {
+      left = p;
+      right = p + length - 1;
+    }
+
+    if (length === m) {
+      matches.push(p);
+
+      yield {
+        type: 'pattern_found',
+        description: `Pattern found at index ${p}!`,
+        textIndex: p + m,
+        patternIndex: m,
+        patternOffset: p,
+        matches: [...matches],
+        comparisons: comparisons,
+        foundAt: p,
+        zBox: { left, right },
+        zValue: length,
+        explanation: `The Z-value at text position ${p} equals the pattern length ${m}, so the whole pattern occurs here. The Z-box is now [${left}, ${right}].`
+      };
+    }
+  }
+
+  yield {
+    type: 'search_complete',
+    description: 'Z-algorithm search complete',
+    matches: [...matches],
+    comparisons: comparisons,
+    totalMatches: matches.length,
+    explanation: `Search complete. Found ${matches.length} occurrence(s) of the pattern using ${comparisons} character comparisons.`
+  };
+
+  return { matches, textZArray: textZ, totalComparisons: comparisons, totalShifts: shifts };
+}
+
+/**
+ * Performs Z-algorithm pattern matching with step-by-step states
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @param {number[]} patternZ - The precomputed Z-array of the pattern
+ * @returns {Object} - Contains matches, textZArray and matchingSteps for visualization
+ */
+function zSearchWithSteps(text, pattern, patternZ) {
+  const { steps, value } = collectSteps(zSearchSteps(text, pattern, patternZ));
+  return { ...value, matchingSteps: steps };
+}
+
+/**
+ * Z-algorithm as an algorithm trace: the pattern's Z-array, then the text positions
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @returns {Generator} - Algorithm trace
+ */
+function* zTrace(text, pattern) {
+  // Input validation
+  if (!text || !pattern) {
+    throw new ApiError('MISSING_PARAMETER', 'Both text and pattern are required');
+  }
+  if (pattern.length > text.length) {
+    throw new ApiError('PATTERN_TOO_LONG', 'Pattern length cannot exceed text length');
+  }
+
+  // Step 1: Compute the Z-array of the pattern with steps
+  const { zArray, preprocessingComparisons } = yield* inPhase('preprocessing', computeZArraySteps(pattern));
+
+  // Step 2: Perform pattern matching with steps
+  const { matches, textZArray, totalComparisons, totalShifts } = yield* inPhase('matching', zSearchSteps(text, pattern, zArray));
+
+  return {
+    algorithm: 'Z-Algorithm',
+    text: text,
+    pattern: pattern,
+    zArray: zArray,
+    textZArray: textZArray,
+    preprocessing: {
+      description: 'Pattern Z-Array Computation'
+    },
+    matching: {
+      description: 'Pattern Matching Phase'
+    },
+    result: {
+      matches: matches,
+      matchCount: matches.length,
+      totalComparisons: totalComparisons,
+      totalShifts: totalShifts,
+      preprocessingComparisons: preprocessingComparisons,
+      timeComplexity: 'O(n + m)',
+      spaceComplexity: 'O(n + m)'
+    }
+  };
+}
+
+/**
+ * Main Z-algorithm function that combines preprocessing and search
+ * @param {string} text - The text to search in
+ * @param {string} pattern - The pattern to search for
+ * @returns {Object} - Complete algorithm execution data for visualization
+ */
+function zAlgorithm(text, pattern) {
+  return runTrace(zTrace(text, pattern));
+}
+
+// Current Z-box [left, right]; right is -1 before the first box
+const zBox = {
+  type: 'object',
+  required: ['left', 'right'],
+  properties: { left: integer, right: integer },
+  additionalProperties: false
+};
+
+const zComparisonFields = {
+  zArray: integerArray,
+  zBox,
+  currentIndex: index,
+  compareIndex: index,
+  prefixIndex: index,
+  prefixLength: index,
+  pattern: string
+};
+
+/**
+ * Registry entry for the Z-algorithm
+ */
+const definition = {
+  id: 'z-algorithm',
+  parameters: textPatternParameters,
+  validate: patternFitsText,
+  info: {
+    name: 'Z-Algorithm',
+    description: 'A linear-time string matching algorithm that computes, for every position of pattern + \'$\' + text, the length of the longest substring starting there that is also a prefix of the pattern. Positions whose Z-value equals the pattern length are matches.',
+    properties: {
+      timeComplexity: {
+        preprocessing: 'O(m)',
+        matching: 'O(n)',
+        total: 'O(n + m)'
+      },
+      spaceComplexity: 'O(n + m)',
+      keyFeatures: [
+        'Uses the Z-box [L, R] to reuse earlier work',
+        'Each character is matched explicitly at most once',
+        'Linear time complexity guaranteed',
+        'Z-array is useful beyond matching (periods, borders)'
+      ]
+    },
+    keyConcepts: [
+      {
+        name: 'Z-Array',
+        description: 'Z[i] is the length of the longest substring starting at position i that matches a prefix of the string.'
+      },
+      {
+        name: 'Z-Box',
+        description: 'The interval [L, R] with the largest R such that the substring from L to R matches a prefix. Positions inside it can copy the Z-value of the mirrored position near the start.'
+      },
+      {
+        name: 'Separator',
+        description: 'Concatenating pattern, a character that occurs in neither string, and the text guarantees no Z-value exceeds the pattern length.'
+      }
+    ],
+    examples: [
+      { text: 'ABABDABACDABABCABAB', pattern: 'ABAB' },
+      { text: 'AAAAABAAABA', pattern: 'AAAA' },
+      { text: 'XYZXYZXYZ', pattern: 'XYZXYZ' }
+    ]
+  },
+  steps: {
+    preprocessing: [
+      stepSchema('z_init', 'Z[0] is the pattern length', { zArray: integerArray, zBox, pattern: string }),
+      stepSchema('z_box_reuse', 'Inside a Z-box, Z[i] starts from the mirrored value', {
+        zArray: integerArray,
+        zBox,
+        currentIndex: index,
+        mirroredIndex: index,
+        prefixLength: index,
+        pattern: string
+      }),
+      stepSchema('z_match', 'The prefix match extends by one character', zComparisonFields),
+      stepSchema('z_mismatch', 'The prefix match stops', zComparisonFields),
+      stepSchema('z_value', 'Z[i] is final', { zArray: integerArray, zBox, currentIndex: index, prefixLength: index, pattern: string }),
+      stepSchema('z_complete', 'The Z-array of the pattern is complete', { zArray: integerArray, pattern: string, comparisons: index })
+    ],
+    matching: [
+      stepSchema('search_init', 'Matching starts at the beginning of the text', { ...alignmentFields, zBox }),
+      stepSchema('z_box_reuse', 'The Z-box gives the prefix length without comparisons', { ...alignmentFields, zBox, zValue: index }),
+      stepSchema('match', 'Characters are equal', { ...alignmentFields, currentComparison: comparison, zBox, zValue: index }),
+      stepSchema('mismatch_advance', 'Mismatch: the next text position is tried', { ...alignmentFields, currentComparison: comparison, zBox, zValue: index }),
+      stepSchema('pattern_found', 'The prefix match covers the whole pattern', { ...alignmentFields, foundAt: index, zBox, zValue: index }),
+      stepSchema('search_complete', 'Matching is complete', { matches: integerArray, comparisons: index, totalMatches: index })
+    ]
+  },
+  execute: ({ text, pattern }) => zAlgorithm(text, pattern),
+  trace: ({ text, pattern }) => zTrace(text, pattern),
+  metrics: data => ({
+    charComparisons: data.result.totalComparisons,
+    hashOperations: 0,
+    shifts: data.result.totalShifts,
+    preprocessingOperations: data.result.preprocessingComparisons
+  })
+};
+
+module.exports = { zAlgorithm, zTrace, computeZArrayWithSteps, computeZArraySteps, zSearchWithSteps, zSearchSteps, definition };
@@ -0,0 +1,282 @@
+const { computeLPSWithSteps } = require('./algorithms/kmp');
+const { computePatternHashWithSteps, rabinKarpSearchWithSteps } = require('./algorithms/rabin-karp');
+const { checkHashParameters } = require('./utils/hashing');
+const { createRandom } = require('./utils/random');
+const { validateParameters, checkParameters } = require('./utils/validation');
+const { ApiError } = require('./utils/errors');
+
+// Patterns used when a challenge is created without one
+const LPS_PATTERNS = ['ABABCABAB', 'AABAACAABAA', 'AAACAAAA', 'ABCABDABCABC', 'ABAABAAB'];
+const HASH_PATTERNS = ['CDD', 'GEEK', 'AABA', 'ABC'];
+const ROLLING_INPUTS = [
+  { text: 'ABCCDDAEFG', pattern: 'CDD' },
+  { text: 'GEEKSFORGEEKS', pattern: 'GEEK' },
+  { text: 'AABAACAADAABAABA', pattern: 'AABA' }
+];
+
+const MAX_PATTERN_LENGTH = 64;
+const MAX_TEXT_LENGTH = 256;
+
+const seedParameter = { type: 'integer', title: 'seed', minimum: 0, default: 1, description: 'Picks the example used when no input is given' };
+const hashParameters = {
+  base: { type: 'integer', title: 'base', minimum: 2, default: 256, description: 'The base for polynomial hashing' },
+  modulo: { type: 'integer', title: 'modulo', minimum: 2, default: 101, description: 'Prime modulus' }
+};
+
+const checkHash = ({ base, modulo }, strings) => {
+  const { error, code } = checkHashParameters({ scheme: 'single', base, modulo }, strings);
+  return error ? { code, message: error } : null;
+};
+
+/**
+ * Fill in the LPS array: one answer per pattern position
+ */
+const lpsExercise = {
+  type: 'lps',
+  description: 'Fill in the LPS (longest proper prefix that is also a suffix) array of a pattern',
+  parameters: {
+    type: 'object',
+    properties: {
+      pattern: { type: 'string', title: 'pattern', minLength: 1, maxLength: MAX_PATTERN_LENGTH, description: 'Pattern (default: an example chosen by seed)' },
+      seed: seedParameter
+    }
+  },
+  resolve: ({ pattern, seed }) => ({ pattern: pattern || createRandom(seed).pick(LPS_PATTERNS) }),
+  challenge: ({ pattern }) => ({
+    prompt: `Fill in the LPS array for ${pattern}`,
+    input: { pattern },
+    questions: Array.from({ length: pattern.length }, (_, i) => ({
+      index: i,
+      prompt: `LPS[${i}]: length of the longest proper prefix of '${pattern.slice(0, i + 1)}' that is also its suffix`
+    }))
+  }),
+  solve: ({ pattern }) => {
+    const { lpsArray, lpsSteps } = computeLPSWithSteps(pattern);
+
+    return lpsArray.map((value, i) => {
+      // Steps at this position: fallbacks first, then the step that fixes LPS[i]
+      const steps = i === 0 ? [lpsSteps[0]] : lpsSteps.filter(step => step.currentIndex === i && step.type !== 'lps_init');
+      const decisive = steps[steps.length - 1];
+
+      return {
+        expected: value,
+        description: decisive.description,
+        explanation: decisive.explanation,
+        trace: steps.map(step => step.explanation)
+      };
+    });
+  }
+};
+
+/**
+ * Hash the pattern one character at a time: one answer per character
+ */
+const patternHashExercise = {
+  type: 'pattern-hash',
+  description: 'Compute the polynomial hash of a pattern after each character',
+  parameters: {
+    type: 'object',
+    properties: {
+      pattern: { type: 'string', title: 'pattern', minLength: 1, maxLength: MAX_PATTERN_LENGTH, description: 'Pattern (default: an example chosen by seed)' },
+      ...hashParameters,
+      seed: seedParameter
+    }
+  },
+  validate: params => checkHash(params, [params.pattern || '']),
+  resolve: ({ pattern, base, modulo, seed }) => ({ pattern: pattern || createRandom(seed).pick(HASH_PATTERNS), base, modulo }),
+  challenge: ({ pattern, base, modulo }) => ({
+    prompt: `Compute the hash of ${pattern} with base ${base} and modulo ${modulo}, one character at a time, starting from 0`,
+    input: { pattern, base, modulo },
+    questions: Array.from({ length: pattern.length }, (_, i) => ({
+      index: i,
+      prompt: `Hash after adding '${pattern[i]}' (code ${pattern.charCodeAt(i)}): (previous × ${base} + ${pattern.charCodeAt(i)}) mod ${modulo}`
+    }))
+  }),
+  solve: ({ pattern, base, modulo }) =>
+    computePatternHashWithSteps(pattern, base, modulo).steps
+      .filter(step => step.type === 'hash_step')
+      .map(step => ({
+        expected: step.newHash,
+        description: step.description,
+        explanation: step.explanation,
+        computation: step.computation
+      }))
+};
+
+/**
+ * Roll the window hash across a text: one answer per window after the first
+ */
+const rollingHashExercise = {
+  type: 'rolling-hash',
+  description: 'Compute the next rolling hash as the window slides over the text',
+  parameters: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', title: 'text', minLength: 2, maxLength: MAX_TEXT_LENGTH, description: 'Text (default: an example chosen by seed)' },
+      pattern: { type: 'string', title: 'pattern', minLength: 1, maxLength: MAX_PATTERN_LENGTH, description: 'Pattern; its length is the window length' },
+      ...hashParameters,
+      windows: { type: 'integer', title: 'windows', minimum: 1, maximum: MAX_TEXT_LENGTH, default: 4, description: 'Number of rolling updates to compute' },
+      seed: seedParameter
+    }
+  },
+  validate: params => {
+    if ((params.text === undefined) !== (params.pattern === undefined)) {
+      return 'Give both text and pattern, or neither';
+    }
+    if (params.text !== undefined && params.pattern.length >= params.text.length) {
+      return { code: 'PATTERN_TOO_LONG', message: 'The pattern must be shorter than the text, so the window can move' };
+    }
+    return checkHash(params, [params.text || '', params.pattern || '']);
+  },
+  resolve: ({ text, pattern, base, modulo, windows, seed }) => {
+    const input = text !== undefined ? { text, pattern } : createRandom(seed).pick(ROLLING_INPUTS);
+    return { ...input, base, modulo, windows: Math.min(windows, input.text.length - input.pattern.length) };
+  },
+  challenge: ({ text, pattern, base, modulo, windows }) => {
+    const m = pattern.length;
+    const initialHash = computePatternHashWithSteps(text.slice(0, m), base, modulo).hash;
+    let h = 1;
+    for (let i = 0; i < m - 1; i++) {
+      h = (h * base) % modulo;
+    }
+
+    return {
+      prompt: `Slide a window of length ${m} over ${text} and compute each new hash with the rolling update, starting from the hash of '${text.slice(0, m)}'`,
+      input: { text, pattern, base, modulo, initialHash, h },
+      questions: Array.from({ length: windows }, (_, i) => ({
+        index: i,
+        prompt: `Hash of window [${i + 1}..${i + m}] '${text.slice(i + 1, i + m + 1)}': ` +
+          `(${base} × (previous - ${text.charCodeAt(i)} × ${h}) + ${text.charCodeAt(i + m)}) mod ${modulo}`
+      }))
+    };
+  },
+  solve: ({ text, pattern, base, modulo, windows }) => {
+    const { hash } = computePatternHashWithSteps(pattern, base, modulo);
+
+    return rabinKarpSearchWithSteps(text, pattern, hash, base, modulo).matchingSteps
+      .filter(step => step.type === 'rolling_hash')
+      .slice(0, windows)
+      .map(step => ({
+        expected: step.newHash,
+        description: step.description,
+        explanation: step.explanation,
+        computation: step.computation
+      }));
+  }
+};
+
+// Exercise types by name
+const exercises = new Map([lpsExercise, patternHashExercise, rollingHashExercise].map(exercise => [exercise.type, exercise]));
+
+/**
+ * Lists the exercise types
+ * @returns {Object[]}
+ */
+function listExercises() {
+  return [...exercises.values()];
+}
+
+/**
+ * Challenge ids carry the exercise type and its resolved input, so grading needs no server-side state
+ */
+const encodeId = (type, input) => Buffer.from(JSON.stringify({ type, input })).toString('base64url');
+
+/**
+ * Creates a challenge
+ * @param {string} type - Exercise type
+ * @param {Object} body - Request body with the exercise parameters
+ * @returns {Object} - The challenge
+ * @throws {ApiError} - If the type or the parameters are invalid
+ */
+function createChallenge(type, body) {
+  const exercise = exercises.get(type);
+  if (!exercise) {
+    throw new ApiError('INVALID_PARAMETER', `Type must be one of: ${[...exercises.keys()].join(', ')}`);
+  }
+
+  const input = exercise.resolve(checkParameters(exercise.parameters, body, exercise.validate));
+  return { id: encodeId(type, input), type, ...exercise.challenge(input) };
+}
+
+/**
+ * Reads a challenge id back
+ * @param {string} id - Challenge id from createChallenge
+ * @returns {Object|null} - { exercise, input }, or null if the id is not a valid challenge
+ */
+function decodeChallenge(id) {
+  try {
+    const { type, input } = JSON.parse(Buffer.from(id, 'base64url').toString());
+    const exercise = exercises.get(type);
+    if (!exercise || !input || typeof input !== 'object') {
+      return null;
+    }
+
+    // Ids are client-supplied, so the input is checked like a new request
+    const { value: params, error } = validateParameters(exercise.parameters, input);
+    if (error || (exercise.validate && exercise.validate(params))) {
+      return null;
+    }
+    return { exercise, input: exercise.resolve(params) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads one answer as an integer
+ * @param {*} given - Answer from the request body
+ * @param {number} index - Question index, for the error message
+ * @returns {number}
+ * @throws {ApiError} - If the answer is neither an integer nor a string of digits
+ */
+function parseAnswer(given, index) {
+  if (Number.isInteger(given)) {
+    return given;
+  }
+  if (typeof given === 'string' && /^-?\d+$/.test(given.trim())) {
+    return Number(given.trim());
+  }
+  throw new ApiError('INVALID_PARAMETER', `Answer ${index} must be an integer (got ${JSON.stringify(given)})`, { index });
+}
+
+/**
+ * Grades the answers to a challenge against the real trace
+ * @param {Object} challenge - Result of decodeChallenge
+ * @param {Array} answers - One integer answer per question; null, missing or empty answers are left ungraded
+ * @returns {Object} - Per-question results and the explanation of the first wrong answer
+ * @throws {ApiError} - If an answer is not an integer
+ */
+function gradeAnswers({ exercise, input }, answers) {
+  const solution = exercise.solve(input);
+  let firstMistake = null;
+
+  const results = solution.map((step, index) => {
+    const given = answers[index];
+    if (given === undefined || given === null || given === '') {
+      return { index, given: null, correct: null };
+    }
+
+    const correct = parseAnswer(given, index) === step.expected;
+    if (!correct && !firstMistake) {
+      const { expected, ...explanation } = step;
+      firstMistake = { index, given, expected, ...explanation };
+    }
+    return { index, given, correct };
+  });
+
+  const answered = results.filter(result => result.correct !== null).length;
+  const correct = results.filter(result => result.correct).length;
+
+  return {
+    type: exercise.type,
+    total: solution.length,
+    answered,
+    correct,
+    complete: answered === solution.length,
+    passed: correct === solution.length,
+    results,
+    firstMistake
+  };
+}
+
+module.exports = { listExercises, createChallenge, decodeChallenge, gradeAnswers };
@@ -0,0 +1,260 @@
+const { templateVariants, renderTemplate, PLACEHOLDER } = require('./templates');
+
+const FORMAT = 'compact';
+const VERSION = 2;
+const MESSAGE_FIELDS = ['description', 'explanation'];
+const PHASES = ['preprocessing', 'matching'];
+
+const patternCache = new Map();
+
+/**
+ * Turns a template into an anchored regular expression with one named group per parameter.
+ * A parameter used twice must capture the same text both times.
+ * @param {string} template - Template text
+ * @returns {RegExp}
+ */
+function templatePattern(template) {
+  if (!patternCache.has(template)) {
+    const seen = new Set();
+    let source = '';
+    let last = 0;
+
+    for (const match of template.matchAll(PLACEHOLDER)) {
+      source += escapeRegExp(template.slice(last, match.index));
+      source += seen.has(match[1]) ? `\\k<${match[1]}>` : `(?<${match[1]}>[\\s\\S]*?)`;
+      seen.add(match[1]);
+      last = match.index + match[0].length;
+    }
+    source += escapeRegExp(template.slice(last));
+
+    patternCache.set(template, new RegExp(`^${source}$`));
+  }
+  return patternCache.get(template);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Converts a captured parameter to a number when that round-trips exactly
+ * @param {string} value - Captured text
+ * @returns {string|number}
+ */
+function parameterValue(value) {
+  const number = Number(value);
+  return value !== '' && String(number) === value ? number : value;
+}
+
+/**
+ * Finds a template that renders to the given message
+ * @param {string} algorithm - Algorithm id
+ * @param {string} type - Step type
+ * @param {string} field - Message field
+ * @param {string} message - The verbose message
+ * @returns {Object|null} - { id, params }, or null if no template fits
+ */
+function encodeMessage(algorithm, type, field, message) {
+  for (const { id, template } of templateVariants(algorithm, type, field)) {
+    const match = templatePattern(template).exec(message);
+    if (!match) {
+      continue;
+    }
+
+    const params = {};
+    for (const [name, value] of Object.entries(match.groups || {})) {
+      params[name] = parameterValue(value);
+    }
+
+    // Lazy captures can split a message differently than it was built; only keep exact round-trips
+    if (renderTemplate(template, params) === message) {
+      return { id, params };
+    }
+  }
+  return null;
+}
+
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every((key, index) => Object.keys(b)[index] === key && isEqual(a[key], b[key]));
+}
+
+/**
+ * Describes how an array changed: appended items ({ push }) or changed cells ({ length, cells })
+ * @param {Array} previous - Last value sent for the field
+ * @param {Array} current - Array in this step
+ * @returns {Object}
+ */
+function encodeArray(previous, current) {
+  const prefixKept = current.length >= previous.length &&
+    previous.every((item, index) => isEqual(item, current[index]));
+
+  if (prefixKept) {
+    return { push: current.slice(previous.length) };
+  }
+
+  const cells = {};
+  current.forEach((item, index) => {
+    if (index >= previous.length || !isEqual(item, previous[index])) {
+      cells[index] = item;
+    }
+  });
+  return { length: current.length, cells };
+}
+
+/**
+ * Describes how a plain object changed when it kept the same keys: only the changed properties
+ * @param {Object} previous - Last value sent for the field
+ * @param {Object} current - Object in this step
+ * @returns {Object|null} - Changed properties, or null if the keys differ
+ */
+function encodeObject(previous, current) {
+  const keys = Object.keys(current);
+  if (!isEqual(keys, Object.keys(previous))) {
+    return null;
+  }
+
+  const changed = {};
+  for (const key of keys) {
+    if (!isEqual(previous[key], current[key])) {
+      changed[key] = current[key];
+    }
+  }
+  return changed;
+}
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Interns a value in a lookup table and returns its index
+ * @param {Object} table - { list, index }
+ * @param {*} value - Value to store
+ * @param {string} key - Identity of the value
+ * @returns {number}
+ */
+function intern(table, value, key) {
+  if (!table.index.has(key)) {
+    table.index.set(key, table.list.length);
+    table.list.push(value);
+  }
+  return table.index.get(key);
+}
+
+/**
+ * Encodes one phase's steps as deltas. Each field is compared with the last value it had in the
+ * phase, not only with the step before, so a field that skips step types is not sent again in full.
+ * A compact step has these optional parts:
+ *   s - index into `shapes` (the step's keys in order), omitted while it stays the same
+ *   c - fields whose value changed, in full
+ *   a - array fields as deltas: { push } for appended items, { length, cells } otherwise
+ *   o - object fields that kept their keys, as their changed properties only
+ *   m - message fields as indexes into `templates`
+ *   p - parameters shared by this step's templates
+ * Fields not mentioned keep the last value they had in the phase.
+ * @param {Object[]} steps - Verbose steps
+ * @param {string} algorithm - Algorithm id, selects the message templates
+ * @param {Object} tables - { shapes, templates } shared across phases
+ * @returns {Object[]} - Compact steps
+ */
+function encodeSteps(steps, algorithm, tables) {
+  // Last value of every field seen so far in the phase
+  const last = {};
+  let previousShape = -1;
+
+  return steps.map(step => {
+    const keys = Object.keys(step);
+    const shape = intern(tables.shapes, keys, JSON.stringify(keys));
+    const compact = {};
+    const changed = {};
+    const arrays = {};
+    const objects = {};
+    const messages = {};
+    const params = {};
+
+    if (shape !== previousShape) {
+      compact.s = shape;
+    }
+
+    for (const key of keys) {
+      const value = step[key];
+      const hadKey = Object.hasOwn(last, key);
+
+      if (hadKey && isEqual(last[key], value)) {
+        continue;
+      }
+
+      if (MESSAGE_FIELDS.includes(key) && typeof value === 'string') {
+        const encoded = encodeMessage(algorithm, step.type, key, value);
+        const fits = encoded && Object.entries(encoded.params)
+          .every(([name, param]) => !Object.hasOwn(params, name) || params[name] === param);
+
+        if (fits) {
+          Object.assign(params, encoded.params);
+          messages[key] = intern(tables.templates, encoded.id, encoded.id);
+          continue;
+        }
+      }
+
+      const objectDelta = hadKey && isPlainObject(value) && isPlainObject(last[key])
+        ? encodeObject(last[key], value)
+        : null;
+
+      if (hadKey && Array.isArray(value) && Array.isArray(last[key])) {
+        arrays[key] = encodeArray(last[key], value);
+      } else if (objectDelta) {
+        objects[key] = objectDelta;
+      } else {
+        changed[key] = value;
+      }
+    }
+
+    if (Object.keys(changed).length > 0) compact.c = changed;
+    if (Object.keys(arrays).length > 0) compact.a = arrays;
+    if (Object.keys(objects).length > 0) compact.o = objects;
+    if (Object.keys(messages).length > 0) compact.m = messages;
+    if (Object.keys(params).length > 0) compact.p = params;
+
+    Object.assign(last, step);
+    previousShape = shape;
+    return compact;
+  });
+}
+
+/**
+ * Encodes a verbose execution result in the compact format.
+ * Each step keeps only what changed since earlier steps of its phase, and descriptions
+ * and explanations become template ids with parameters where a template for the algorithm fits.
+ * Everything outside the step lists is kept as is.
+ * @param {Object} data - Verbose execution result
+ * @param {string} algorithm - Algorithm id
+ * @returns {Object} - Compact execution result, expanded again by decodeCompact
+ */
+function encodeCompact(data, algorithm) {
+  const tables = {
+    shapes: { list: [], index: new Map() },
+    templates: { list: [], index: new Map() }
+  };
+  const encoded = { format: FORMAT, version: VERSION, algorithmId: algorithm };
+
+  for (const [key, value] of Object.entries(data)) {
+    encoded[key] = PHASES.includes(key) && value && Array.isArray(value.steps)
+      ? { ...value, steps: encodeSteps(value.steps, algorithm, tables) }
+      : value;
+  }
+
+  encoded.shapes = tables.shapes.list;
+  encoded.templates = tables.templates.list;
+  return encoded;
+}
+
+module.exports = { encodeCompact, FORMAT, VERSION, PHASES };
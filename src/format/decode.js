@@ -0,0 +1,88 @@
+const { getTemplate, renderTemplate } = require('./templates');
+const { FORMAT, VERSION, PHASES } = require('./compact');
+
+/**
+ * Applies an array delta produced by the encoder
+ * @param {Array} previous - Last value of the field
+ * @param {Object} delta - { push } or { length, cells }
+ * @returns {Array} - A new array
+ */
+function applyArray(previous, delta) {
+  if (delta.push) {
+    return [...previous, ...structuredClone(delta.push)];
+  }
+
+  const array = previous.slice(0, delta.length);
+  for (const [index, value] of Object.entries(delta.cells)) {
+    array[Number(index)] = structuredClone(value);
+  }
+  return array;
+}
+
+function renderMessage(id, params) {
+  const template = getTemplate(id);
+  if (template === undefined) {
+    throw new Error(`Unknown message template '${id}'`);
+  }
+  return renderTemplate(template, params || {});
+}
+
+/**
+ * Expands one phase's compact steps back to verbose steps (see encodeSteps for the layout)
+ * @param {Object[]} steps - Compact steps
+ * @param {Object} tables - { shapes, templates } of the compact result
+ * @returns {Object[]} - Verbose steps
+ */
+function decodeSteps(steps, tables) {
+  // Last value of every field seen so far in the phase
+  const last = {};
+  let shape = null;
+
+  return steps.map(compact => {
+    const step = {};
+    if (compact.s !== undefined) {
+      shape = tables.shapes[compact.s];
+    }
+
+    for (const key of shape) {
+      if (compact.c && Object.hasOwn(compact.c, key)) {
+        step[key] = structuredClone(compact.c[key]);
+      } else if (compact.a && compact.a[key]) {
+        step[key] = applyArray(last[key], compact.a[key]);
+      } else if (compact.o && compact.o[key]) {
+        step[key] = { ...structuredClone(last[key]), ...structuredClone(compact.o[key]) };
+      } else if (compact.m && compact.m[key] !== undefined) {
+        step[key] = renderMessage(tables.templates[compact.m[key]], compact.p);
+      } else {
+        step[key] = structuredClone(last[key]);
+      }
+    }
+
+    Object.assign(last, step);
+    return step;
+  });
+}
+
+/**
+ * Expands a compact execution result to the verbose shape returned without format=compact
+ * @param {Object} compact - Result of encodeCompact
+ * @returns {Object} - Verbose execution result
+ */
+function decodeCompact(compact) {
+  if (compact.format !== FORMAT || compact.version !== VERSION) {
+    throw new Error(`Unsupported step format '${compact.format}' version ${compact.version}`);
+  }
+
+  const { format, version, algorithmId, shapes, templates, ...data } = compact;
+  const decoded = {};
+
+  for (const [key, value] of Object.entries(data)) {
+    decoded[key] = PHASES.includes(key) && value && Array.isArray(value.steps)
+      ? { ...value, steps: decodeSteps(value.steps, { shapes, templates }) }
+      : value;
+  }
+
+  return decoded;
+}
+
+module.exports = { decodeCompact };
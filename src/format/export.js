@@ -0,0 +1,576 @@
+const { ApiError } = require('../utils/errors');
+const { limits } = require('../utils/limits');
+
+const EXPORT_FORMATS = ['html', 'svg'];
+
+// Frame geometry: cells of one text or pattern unit, a label column and a fixed number of visible cells
+const CELL = 28;
+const VISIBLE = 32;
+const MARGIN = 16;
+const LABEL = 72;
+const WIDTH = MARGIN * 2 + LABEL + VISIBLE * CELL;
+const LINE = 18;
+const WRAP = Math.floor((WIDTH - MARGIN * 2) / 7.4);
+
+const FILLS = {
+  plain: '#ffffff',
+  match: '#b7ebc6',
+  mismatch: '#ffc9c9',
+  found: '#7fd6a0',
+  window: '#fff1b8',
+  current: '#cfe3ff',
+  passed: '#eef0f3',
+  occurrence: '#e3f6e8'
+};
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Lone surrogates cannot be drawn, and a visible mark keeps spaces from looking like empty cells
+const displayUnit = unit => (unit === ' ' ? '␣' : /^[\ud800-\udfff]$/.test(unit) ? '�' : unit);
+
+// Hashes are a number, a [first, second] pair or a decimal string
+const formatHash = hash => (Array.isArray(hash) ? `(${hash.join(', ')})` : String(hash));
+
+/**
+ * Splits a message into lines that fit the frame width
+ * @param {string} text - Message
+ * @returns {string[]}
+ */
+function wrap(text) {
+  const lines = [];
+  let line = '';
+  for (const word of String(text).split(/\s+/)) {
+    if (line && line.length + word.length + 1 > WRAP) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  return line ? [...lines, line] : lines;
+}
+
+/**
+ * Text and pattern units of an execution: graphemes or code points when another unit was requested, else code units
+ * @param {Object} summary - Execution data
+ * @returns {Object} - { text, patterns }
+ */
+function unitsOf(summary) {
+  if (summary.units) {
+    return { text: summary.units.textUnits, patterns: summary.units.patternUnits };
+  }
+  const patterns = summary.patterns || [summary.pattern];
+  return { text: summary.text.split(''), patterns: patterns.map(pattern => pattern.split('')) };
+}
+
+/**
+ * Keeps the viewport where it is while the focused position stays inside it, else centers it on the focus
+ * @param {Object} state - Renderer state holding viewStart
+ * @param {number} focus - Position that must be visible
+ * @param {number} length - Number of positions
+ */
+function scroll(state, focus, length) {
+  if (focus < state.viewStart + 2 || focus > state.viewStart + VISIBLE - 3) {
+    state.viewStart = Math.max(0, Math.min(focus - Math.floor(VISIBLE / 2), length - VISIBLE));
+  }
+}
+
+/**
+ * Draws one row of cells; only the positions inside the viewport are drawn
+ * @param {Object} row - { label, units, offset, fills, small }
+ * @param {number} y - Top of the row
+ * @param {number} viewStart - First visible position
+ * @returns {string} - SVG elements
+ */
+function drawRow({ label, units, offset = 0, fills = {}, small = false }, y, viewStart) {
+  let svg = `<text x="${MARGIN}" y="${y + CELL / 2 + 4}" class="label">${escapeXml(label)}</text>`;
+
+  units.forEach((unit, i) => {
+    const column = offset + i - viewStart;
+    if (column < 0 || column >= VISIBLE) {
+      return;
+    }
+    const x = MARGIN + LABEL + column * CELL;
+    svg += `<rect x="${x}" y="${y}" width="${CELL}" height="${CELL}" fill="${FILLS[fills[i] || 'plain']}" class="cell"/>`;
+    svg += `<text x="${x + CELL / 2}" y="${y + CELL / 2 + 5}" class="${small ? 'value' : 'unit'}">${escapeXml(small ? unit : displayUnit(unit))}</text>`;
+  });
+
+  // Marks cells cut off by the viewport
+  if (offset < viewStart && offset + units.length > viewStart) {
+    svg += `<text x="${MARGIN + LABEL - 4}" y="${y + CELL / 2 + 4}" class="more" text-anchor="end">…</text>`;
+  }
+  if (offset + units.length > viewStart + VISIBLE) {
+    svg += `<text x="${MARGIN + LABEL + VISIBLE * CELL + 2}" y="${y + CELL / 2 + 4}" class="more">…</text>`;
+  }
+  return svg;
+}
+
+/**
+ * Fills every cell from start to end (inclusive) that has no fill yet
+ * @param {Object} fills - Fills by position
+ * @param {number} start - First position
+ * @param {number} end - Last position
+ * @param {string} fill - Key of FILLS
+ */
+function fillRange(fills, start, end, fill) {
+  for (let i = start; i <= end; i++) {
+    fills[i] = fills[i] || fill;
+  }
+}
+
+/**
+ * Scene of a KMP step: the pattern against itself with the LPS array while preprocessing,
+ * the pattern at patternOffset under the text with the comparison highlighted while matching
+ * @param {Object} step - Trace step
+ * @param {string} phase - Phase of the step
+ * @param {Object} units - Text and pattern units
+ * @param {Object} state - Renderer state carried from step to step
+ * @returns {Object} - { length, focus, rows, facts }
+ */
+function kmpScene(step, phase, units, state) {
+  const pattern = units.patterns[0];
+
+  if (phase === 'preprocessing') {
+    const i = step.currentIndex === undefined ? pattern.length - 1 : step.currentIndex;
+    const lps = step.lpsArray || state.lps;
+    const patternFills = {};
+    const rows = [];
+    state.lps = lps;
+
+    let prefix = null;
+    if (step.type === 'lps_match') {
+      patternFills[step.compareIndexPattern] = 'match';
+      prefix = { at: step.compareIndexPrefix, fill: 'match' };
+    } else if (step.type === 'lps_fallback') {
+      patternFills[i] = 'mismatch';
+      prefix = { at: step.oldPrefixLength, fill: 'mismatch' };
+    } else if (step.currentIndex !== undefined) {
+      patternFills[i] = step.type === 'lps_zero' ? 'mismatch' : 'current';
+    }
+
+    rows.push({ label: 'pattern', units: pattern, fills: patternFills });
+    if (prefix) {
+      rows.push({ label: 'prefix', units: pattern, offset: i - prefix.at, fills: { [prefix.at]: prefix.fill } });
+    }
+    rows.push({ label: 'LPS', units: lps, small: true, fills: step.type === 'lps_complete' ? {} : { [i]: 'current' } });
+
+    return {
+      length: pattern.length,
+      focus: i,
+      rows,
+      facts: step.prefixLength === undefined ? [] : [['prefix length', step.prefixLength]]
+    };
+  }
+
+  const offset = step.patternOffset === undefined ? state.offset || 0 : step.patternOffset;
+  const matches = step.matches || state.matches || [];
+  const textFills = {};
+  const patternFills = {};
+  state.offset = offset;
+  state.matches = matches;
+
+  if (step.type === 'pattern_found') {
+    fillRange(textFills, step.foundAt, step.foundAt + pattern.length - 1, 'found');
+    fillRange(patternFills, 0, pattern.length - 1, 'found');
+  } else if (step.currentComparison) {
+    const { textIndex, patternIndex, result } = step.currentComparison;
+    textFills[textIndex] = result;
+    patternFills[patternIndex] = result;
+    fillRange(textFills, offset, textIndex - 1, 'match');
+    fillRange(patternFills, 0, patternIndex - 1, 'match');
+  }
+  for (const start of matches) {
+    fillRange(textFills, start, start + pattern.length - 1, 'occurrence');
+  }
+
+  const facts = [['comparisons', step.comparisons], ['matches', matches.join(', ') || 'none']];
+  if (step.shiftAmount !== undefined) {
+    facts.push(['shift', `${step.shiftAmount} (LPS value ${step.lpsValue})`]);
+  }
+
+  const done = step.type === 'search_complete';
+  const rows = [{ label: 'text', units: units.text, fills: textFills }];
+  if (!done) {
+    rows.push({ label: 'pattern', units: pattern, offset, fills: patternFills });
+    rows.push({ label: 'LPS', units: state.lps || [], offset, small: true });
+  }
+
+  return {
+    length: units.text.length,
+    focus: step.currentComparison ? step.currentComparison.textIndex : offset,
+    rows,
+    facts
+  };
+}
+
+/**
+ * Scene of a Rabin-Karp step: the pattern being hashed while preprocessing,
+ * the text window at windowStart with its hash and the verification while matching
+ * @param {Object} step - Trace step
+ * @param {string} phase - Phase of the step
+ * @param {Object} units - Text and pattern units
+ * @param {Object} state - Renderer state carried from step to step
+ * @returns {Object} - { length, focus, rows, facts }
+ */
+function rabinKarpScene(step, phase, units, state) {
+  const patternIndex = step.patternIndex !== undefined
+    ? step.patternIndex
+    : (step.candidatePatterns || [state.patternIndex || 0])[0];
+  const pattern = units.patterns[patternIndex];
+  const label = units.patterns.length > 1 ? `pattern ${patternIndex}` : 'pattern';
+  state.patternIndex = patternIndex;
+
+  if (phase === 'preprocessing') {
+    if (step.type === 'hash_init') {
+      state.hashing = [['scheme', step.hashScheme], ['base', step.base], ['modulo', formatHash(step.mod)]];
+    }
+    const i = step.currentIndex === undefined ? -1 : step.currentIndex;
+    const fills = {};
+    fillRange(fills, 0, i - 1, 'passed');
+    fills[i] = 'current';
+    if (step.type === 'hash_complete') {
+      fillRange(fills, 0, pattern.length - 1, 'passed');
+    }
+
+    const hash = [step.newHash, step.finalHash, step.currentHash].find(value => value !== undefined);
+    const facts = [...(state.hashing || []), ['hash', formatHash(hash)]];
+    if (step.computation) {
+      facts.push(['computation', step.computation]);
+    }
+    return { length: pattern.length, focus: Math.max(i, 0), rows: [{ label, units: pattern, fills }], facts };
+  }
+
+  const start = step.type === 'rolling_hash' ? step.newWindowStart : step.windowStart;
+  const windowStart = start === undefined ? state.windowStart || 0 : start;
+  const m = pattern.length;
+  const textFills = {};
+  const patternFills = {};
+  state.windowStart = windowStart;
+
+  for (const entry of step.verification || []) {
+    textFills[entry.textIndex] = entry.match ? 'match' : 'mismatch';
+    patternFills[entry.patternIndex] = entry.match ? 'match' : 'mismatch';
+  }
+  if (step.type === 'rolling_hash') {
+    textFills[step.oldWindowStart] = 'passed';
+    textFills[windowStart + m - 1] = 'current';
+  }
+  const windowFill = { pattern_found: 'found', hash_match: 'window', spurious_hit: 'window', hash_mismatch: 'passed' }[step.type];
+  fillRange(textFills, windowStart, windowStart + m - 1, windowFill || 'window');
+
+  const found = step.type === 'search_complete' ? step.matches : null;
+  for (const match of found || []) {
+    const position = typeof match === 'number' ? match : match.position;
+    fillRange(textFills, position, position + m - 1, 'found');
+  }
+
+  // Steps that only move the window do not repeat the pattern hash, so the last one shown is kept
+  if (step.patternHashes) {
+    state.patternHash = ['pattern hashes', step.patternHashes.map(formatHash).join(', ')];
+  } else if (step.patternHash !== undefined && units.patterns.length === 1) {
+    state.patternHash = ['pattern hash', formatHash(step.patternHash)];
+  }
+  const facts = state.patternHash ? [state.patternHash] : [];
+  if (step.patternHash !== undefined && units.patterns.length > 1) {
+    facts.push([`${label} hash`, formatHash(step.patternHash)]);
+  }
+  const windowHash = [step.textHash, step.newHash, step.initialTextHash].find(value => value !== undefined);
+  if (windowHash !== undefined) {
+    facts.push(['window hash', formatHash(windowHash)]);
+  }
+  if (step.computation) {
+    facts.push(['computation', step.computation]);
+  }
+  if (step.hValue !== undefined) {
+    facts.push(['h', formatHash(step.hValue)]);
+  }
+  if (step.hashComparisons !== undefined) {
+    facts.push(['comparisons', `${step.hashComparisons} hash, ${step.charComparisons} character`]);
+  }
+
+  const rows = [{ label: 'text', units: units.text, fills: textFills }];
+  if (!found) {
+    rows.push({ label, units: pattern, offset: windowStart, fills: patternFills });
+  }
+  return { length: units.text.length, focus: windowStart, rows, facts };
+}
+
+// Algorithms with a frame renderer
+const scenes = {
+  kmp: kmpScene,
+  'rabin-karp': rabinKarpScene
+};
+
+/**
+ * Whether an algorithm's executions can be exported
+ * @param {string} id - Algorithm id
+ * @returns {boolean}
+ */
+function isExportable(id) {
+  return Boolean(scenes[id]);
+}
+
+/**
+ * Throws unless an algorithm's executions can be exported
+ * @param {string} id - Algorithm id
+ * @throws {ApiError} - INVALID_PARAMETER
+ */
+function assertExportable(id) {
+  if (!isExportable(id)) {
+    throw new ApiError('INVALID_PARAMETER', `Export is available for: ${Object.keys(scenes).join(', ')}`);
+  }
+}
+
+/**
+ * Draws a scene as a standalone SVG document
+ * @param {Object} scene - Scene of the step
+ * @param {Object} step - Trace step
+ * @param {string} heading - First line of the frame
+ * @param {number} viewStart - First visible position
+ * @returns {string} - SVG markup
+ */
+function drawFrame(scene, step, heading, viewStart) {
+  let y = MARGIN;
+  let body = `<text x="${MARGIN}" y="${y + 14}" class="heading">${escapeXml(heading)}</text>`;
+  y += LINE + 4;
+  body += `<text x="${MARGIN}" y="${y + 14}" class="description">${escapeXml(step.description)}</text>`;
+  y += LINE + 10;
+
+  // Position numbers of the visible cells
+  for (let column = 0; column < VISIBLE && viewStart + column < scene.length; column++) {
+    body += `<text x="${MARGIN + LABEL + column * CELL + CELL / 2}" y="${y + 10}" class="index">${viewStart + column}</text>`;
+  }
+  y += 14;
+
+  for (const row of scene.rows) {
+    body += drawRow(row, y, viewStart);
+    y += CELL + 6;
+  }
+  y += 6;
+
+  for (const [name, value] of scene.facts) {
+    body += `<text x="${MARGIN}" y="${y + 13}" class="fact"><tspan class="name">${escapeXml(name)}:</tspan> ${escapeXml(value)}</text>`;
+    y += LINE;
+  }
+  y += 8;
+
+  for (const line of wrap(step.explanation)) {
+    body += `<text x="${MARGIN}" y="${y + 13}" class="explanation">${escapeXml(line)}</text>`;
+    y += LINE;
+  }
+
+  const height = y + MARGIN;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}">` +
+    '<style>' +
+    'text { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 13px; fill: #1f2328; }' +
+    '.heading { font-size: 12px; fill: #59636e; } .description { font-size: 15px; font-weight: 600; }' +
+    '.index { font-size: 9px; fill: #8c959f; text-anchor: middle; } .label { fill: #59636e; } .more { fill: #8c959f; }' +
+    '.unit { font-size: 15px; text-anchor: middle; } .value { font-size: 12px; text-anchor: middle; }' +
+    '.cell { stroke: #8c959f; } .name { fill: #59636e; } .explanation { fill: #424a53; }' +
+    '</style>' +
+    `<rect width="${WIDTH}" height="${height}" fill="#ffffff"/>${body}</svg>`;
+}
+
+/**
+ * Renders one SVG frame per step
+ * @param {Object} definition - Registered algorithm definition
+ * @param {Object} summary - Execution data; the step arrays are not read
+ * @param {Iterable} entries - { phase, index, step } in trace order
+ * @param {number} total - Number of entries
+ * @returns {Object[]} - { phase, index, type, svg } per step
+ */
+function renderFrames(definition, summary, entries, total) {
+  assertExportable(definition.id);
+  if (total > limits.maxExportFrames) {
+    throw new ApiError('INPUT_TOO_LARGE', `Exports are limited to ${limits.maxExportFrames} frames; this execution has ${total} steps`, {
+      limit: limits.maxExportFrames,
+      steps: total
+    });
+  }
+
+  const units = unitsOf(summary);
+  const state = { viewStart: 0 };
+  const frames = [];
+  let previousPhase = null;
+
+  for (const { phase, index, step } of entries) {
+    const scene = scenes[definition.id](step, phase, units, state);
+    if (phase !== previousPhase) {
+      state.viewStart = 0;
+      previousPhase = phase;
+    }
+    scroll(state, scene.focus, scene.length);
+
+    const heading = `${definition.info.name} · ${phase} · step ${frames.length + 1} of ${total}`;
+    frames.push({ phase, index, type: step.type, svg: drawFrame(scene, step, heading, state.viewStart) });
+  }
+  return frames;
+}
+
+/**
+ * Builds an HTML page that plays the frames without a network connection
+ * @param {string} title - Page title
+ * @param {Object[]} frames - Rendered frames
+ * @returns {string} - HTML document
+ */
+function renderPlayer(title, frames) {
+  // Keeps the frame data from closing the script element early
+  const data = JSON.stringify(frames.map(frame => ({ phase: frame.phase, type: frame.type, svg: frame.svg }))).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeXml(title)}</title>
+  <style>
+    body { margin: 0; padding: 16px; font: 14px/1.4 system-ui, sans-serif; color: #1f2328; background: #f6f8fa; }
+    h1 { font-size: 18px; margin: 0 0 12px; }
+    #stage { background: #ffffff; border: 1px solid #d0d7de; border-radius: 6px; overflow-x: auto; }
+    #stage svg { display: block; max-width: 100%; height: auto; }
+    .controls { display: flex; flex-wrap: wrap; align-items: center; gap: 6px; margin-top: 10px; }
+    .controls input[type=range] { flex: 1; min-width: 160px; }
+    button { min-width: 40px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeXml(title)}</h1>
+  <div id="stage"></div>
+  <div class="controls">
+    <button id="first" title="First step (Home)">⏮</button>
+    <button id="previous" title="Previous step (←)">◀</button>
+    <button id="play" title="Play or pause (space)">▶</button>
+    <button id="next" title="Next step (→)">▶▶</button>
+    <button id="last" title="Last step (End)">⏭</button>
+    <input id="seek" type="range" min="0" value="0">
+    <span id="position"></span>
+    <label>speed <select id="speed"><option value="2000">0.5×</option><option value="1000" selected>1×</option><option value="500">2×</option><option value="250">4×</option></select></label>
+  </div>
+  <script id="frames" type="application/json">${data}</script>
+  <script>
+    const frames = JSON.parse(document.getElementById('frames').textContent);
+    const $ = id => document.getElementById(id);
+    let current = 0;
+    let timer = null;
+
+    function show(index) {
+      current = Math.max(0, Math.min(index, frames.length - 1));
+      $('stage').innerHTML = frames[current].svg;
+      $('seek').value = current;
+      $('position').textContent = (current + 1) + ' / ' + frames.length + ' · ' + frames[current].phase + ' · ' + frames[current].type;
+      if (current === frames.length - 1) {
+        pause();
+      }
+    }
+
+    function pause() {
+      clearInterval(timer);
+      timer = null;
+      $('play').textContent = '▶';
+    }
+
+    function play() {
+      if (current === frames.length - 1) {
+        show(0);
+      }
+      timer = setInterval(() => show(current + 1), Number($('speed').value));
+      $('play').textContent = '⏸';
+    }
+
+    $('seek').max = frames.length - 1;
+    $('first').onclick = () => show(0);
+    $('previous').onclick = () => show(current - 1);
+    $('next').onclick = () => show(current + 1);
+    $('last').onclick = () => show(frames.length - 1);
+    $('seek').oninput = () => show(Number($('seek').value));
+    $('play').onclick = () => (timer ? pause() : play());
+    $('speed').onchange = () => {
+      if (timer) {
+        pause();
+        play();
+      }
+    };
+    document.addEventListener('keydown', event => {
+      const actions = { ArrowLeft: current - 1, ArrowRight: current + 1, Home: 0, End: frames.length - 1 };
+      if (event.key in actions) {
+        show(actions[event.key]);
+      } else if (event.key === ' ') {
+        event.preventDefault();
+        $('play').click();
+      }
+    });
+    show(0);
+  </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Exports an execution as a standalone HTML player, a list of SVG frames or a single SVG frame
+ * @param {Object} definition - Registered algorithm definition
+ * @param {Object} summary - Execution data
+ * @param {Iterable} entries - { phase, index, step } in trace order
+ * @param {number} total - Number of entries
+ * @param {Object} options - { format, frame } from the request
+ * @returns {Object} - { contentType, body, filename } for a file, or { data } for the frame list
+ * @throws {ApiError} - INVALID_PARAMETER, INPUT_TOO_LARGE
+ */
+function exportExecution(definition, summary, entries, total, { format = 'html', frame } = {}) {
+  assertExportable(definition.id);
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ApiError('INVALID_PARAMETER', `Export format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const position = frame === undefined ? null : Number(frame);
+  if (position !== null && (format !== 'svg' || !Number.isInteger(position) || position < 0 || position >= total)) {
+    throw new ApiError('INVALID_PARAMETER', `frame selects one SVG frame and must be an integer from 0 to ${total - 1}`);
+  }
+
+  const frames = renderFrames(definition, summary, entries, total);
+  const name = `${definition.id}-walkthrough`;
+
+  if (format === 'html') {
+    return { contentType: 'text/html; charset=utf-8', body: renderPlayer(`${definition.info.name} walkthrough`, frames), filename: `${name}.html` };
+  }
+  if (position !== null) {
+    return { contentType: 'image/svg+xml', body: frames[position].svg, filename: `${name}-${position}.svg` };
+  }
+  return { data: { algorithm: definition.id, frameCount: frames.length, frames } };
+}
+
+/**
+ * Reads the export options of a request; GET takes them from the query, POST also from the body
+ * @param {Object} req - Express request
+ * @returns {Object} - { format, frame, download }
+ */
+function exportOptions(req) {
+  const body = req.body || {};
+  return {
+    format: req.query.format || body.format,
+    frame: req.query.frame !== undefined ? req.query.frame : body.frame,
+    download: req.query.download === 'true' || body.download === true
+  };
+}
+
+/**
+ * Sends the result of exportExecution, as an attachment when a download was asked for
+ * @param {Object} res - Express response
+ * @param {Object} artifact - Result of exportExecution
+ * @param {boolean} download - Whether to send a Content-Disposition: attachment header
+ */
+function sendExport(res, artifact, download) {
+  if (artifact.data) {
+    return res.json({ success: true, data: artifact.data });
+  }
+  if (download) {
+    res.attachment(artifact.filename);
+  }
+  res.type(artifact.contentType).send(artifact.body);
+}
+
+module.exports = { EXPORT_FORMATS, isExportable, assertExportable, renderFrames, renderPlayer, exportExecution, exportOptions, sendExport };
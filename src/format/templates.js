@@ -0,0 +1,47 @@
+/**
+ * Message templates used by the compact step format: the English step messages of
+ * src/i18n/en.js, keyed by algorithm id, then step type, then field. Each field lists the
+ * variants an algorithm can produce; `{name}` marks a parameter. Braces that do not wrap an
+ * identifier (such as c_{m-1}) are literal text. Messages in other languages, and explanations
+ * at other verbosity levels, match no template and are kept as text.
+ */
+const { messages: templates } = require('../i18n/en');
+
+const PLACEHOLDER = /\{([A-Za-z]\w*)\}/g;
+
+/**
+ * Looks up a template by id
+ * @param {string} id - Template id: algorithm/type/field/variant
+ * @returns {string|undefined} - The template text
+ */
+function getTemplate(id) {
+  const [algorithm, type, field, variant] = id.split('/');
+  const fields = templates[algorithm] && templates[algorithm][type];
+  return fields && fields[field] ? fields[field][Number(variant)] : undefined;
+}
+
+/**
+ * Fills a template with parameters
+ * @param {string} template - Template text
+ * @param {Object} params - Parameter values by name
+ * @returns {string} - The rendered message
+ */
+function renderTemplate(template, params) {
+  return template.replace(PLACEHOLDER, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : placeholder);
+}
+
+/**
+ * Lists the template variants for one message field
+ * @param {string} algorithm - Algorithm id
+ * @param {string} type - Step type
+ * @param {string} field - 'description' or 'explanation'
+ * @returns {Object[]} - [{ id, template }]
+ */
+function templateVariants(algorithm, type, field) {
+  const fields = templates[algorithm] && templates[algorithm][type];
+  const variants = fields && fields[field] ? fields[field] : [];
+  return variants.map((template, index) => ({ id: `${algorithm}/${type}/${field}/${index}`, template }));
+}
+
+module.exports = { templates, getTemplate, renderTemplate, templateVariants, PLACEHOLDER };
@@ -0,0 +1,312 @@
+const { computeHash } = require('./algorithms/rabin-karp');
+const { checkHashParameters } = require('./utils/hashing');
+const { createRandom } = require('./utils/random');
+
+// Upper bound on random candidates tried when searching for hash collisions
+const MAX_COLLISION_ATTEMPTS = 200000;
+// Distinct colliding strings collected for one text
+const MAX_COLLIDING_STRINGS = 16;
+const MAX_TEXT_LENGTH = 100000;
+const MAX_ALPHABET_LENGTH = 256;
+
+// Lengths are counted in UTF-16 code units like everywhere else, so drawn characters must be one unit each
+const SURROGATE = /[\ud800-\udfff]/;
+
+const seedParameter = { type: 'integer', title: 'seed', minimum: 0, default: 1, description: 'Seed of the random generator; the same seed gives the same input' };
+
+/**
+ * Every occurrence of pattern in text, found independently of the visualized algorithms
+ * @param {string} text - The text
+ * @param {string} pattern - The pattern
+ * @returns {number[]} - Start positions, including overlapping occurrences
+ */
+function findOccurrences(text, pattern) {
+  const positions = [];
+  for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) {
+    positions.push(i);
+  }
+  return positions;
+}
+
+/**
+ * Checks that a recipe string only holds characters of the Basic Multilingual Plane
+ * @param {string} value - The string
+ * @param {string} label - Parameter name for the message
+ * @returns {string|null} - Error message, or null if every character is one code unit
+ */
+function checkSingleUnits(value, label) {
+  return SURROGATE.test(value)
+    ? `${label} can only contain characters of the Basic Multilingual Plane; characters such as emoji take two UTF-16 code units`
+    : null;
+}
+
+function randomString(random, alphabet, length) {
+  let str = '';
+  for (let i = 0; i < length; i++) {
+    str += random.pick(alphabet);
+  }
+  return str;
+}
+
+/**
+ * Text made of strings that collide with the pattern hash, with the pattern itself planted every few blocks
+ */
+const spuriousHits = {
+  id: 'spurious-hits',
+  algorithm: 'rabin-karp',
+  description: 'Text made of windows whose hash equals the pattern hash, so Rabin-Karp has to verify them character by character. ' +
+    'Alphabets whose character codes cover more residues modulo the modulus give longer runs of colliding windows',
+  parameters: {
+    type: 'object',
+    properties: {
+      pattern: { type: 'string', title: 'pattern', minLength: 1, maxLength: 32, description: 'Pattern to collide with (default: random over the alphabet)' },
+      patternLength: { type: 'integer', title: 'patternLength', minimum: 2, maximum: 32, default: 4, description: 'Length of the random pattern' },
+      alphabet: { type: 'string', title: 'alphabet', minLength: 2, maxLength: MAX_ALPHABET_LENGTH, default: 'abcdefghijklmnopqrstuvwxyz', description: 'Characters of the pattern and the colliding strings, from the Basic Multilingual Plane' },
+      base: { type: 'integer', title: 'base', minimum: 2, default: 256, description: 'Hash base the collisions are computed for' },
+      modulo: { type: 'integer', title: 'modulo', minimum: 2, default: 101, description: 'Prime modulus the collisions are computed for' },
+      blocks: { type: 'integer', title: 'blocks', minimum: 1, maximum: 1000, default: 20, description: 'Text length, in pattern lengths' },
+      matchEvery: { type: 'integer', title: 'matchEvery', minimum: 0, default: 5, description: 'Every n-th inserted block is the pattern itself instead of a colliding string (0: never)' },
+      seed: seedParameter
+    }
+  },
+  validate: ({ pattern, patternLength, base, modulo, alphabet, blocks }) => {
+    const units = checkSingleUnits(alphabet, 'alphabet') || checkSingleUnits(pattern || '', 'pattern');
+    if (units) {
+      return units;
+    }
+    if ((pattern ? pattern.length : patternLength) * blocks > MAX_TEXT_LENGTH) {
+      return `The text (pattern length × blocks) cannot exceed ${MAX_TEXT_LENGTH} characters`;
+    }
+    const { error, code } = checkHashParameters({ scheme: 'single', base, modulo }, [alphabet, pattern || '']);
+    return error ? { code, message: error } : null;
+  },
+  generate: ({ pattern, patternLength, alphabet, base, modulo, blocks, matchEvery }, random) => {
+    const chars = alphabet.split('');
+    const target = pattern || randomString(random, chars, patternLength);
+    const targetHash = computeHash(target, base, modulo);
+
+    // Search for colliding strings by hashing random candidates
+    const colliding = new Set();
+    for (let attempt = 0; attempt < MAX_COLLISION_ATTEMPTS && colliding.size < MAX_COLLIDING_STRINGS; attempt++) {
+      const candidate = randomString(random, chars, target.length);
+      if (candidate !== target && computeHash(candidate, base, modulo) === targetHash) {
+        colliding.add(candidate);
+      }
+    }
+
+    if (colliding.size === 0) {
+      return {
+        error: `No string over the alphabet collides with hash ${targetHash} after ${MAX_COLLISION_ATTEMPTS} attempts. ` +
+          'Use a smaller modulo, a larger alphabet or a longer pattern'
+      };
+    }
+
+    const collisions = [...colliding];
+    const m = target.length;
+    let h = 1;
+    for (let i = 0; i < m - 1; i++) {
+      h = (h * base) % modulo;
+    }
+
+    // Alphabet characters by code residue, to extend the text without leaving the pattern hash
+    const byResidue = new Map();
+    for (const char of chars) {
+      const residue = char.charCodeAt(0) % modulo;
+      byResidue.set(residue, [...(byResidue.get(residue) || []), char]);
+    }
+
+    // Start a new block whenever the last window no longer hashes to the target; otherwise append
+    // the character that keeps the rolling hash equal: c ≡ t - base × (t - removed × h) (mod q)
+    let text = '';
+    let blockCount = 0;
+    while (text.length < blocks * m) {
+      const window = text.slice(-m);
+      const fitting = window.length === m && computeHash(window, base, modulo) === targetHash
+        ? byResidue.get((((targetHash - base * ((targetHash - window.charCodeAt(0) * h) % modulo)) % modulo) + modulo) % modulo)
+        : undefined;
+
+      if (fitting) {
+        text += random.pick(fitting);
+      } else {
+        blockCount++;
+        text += matchEvery > 0 && blockCount % matchEvery === 0 ? target : random.pick(collisions);
+      }
+    }
+
+    const matches = findOccurrences(text, target);
+    const hits = [];
+    for (let i = 0; i + target.length <= text.length; i++) {
+      if (computeHash(text.slice(i, i + target.length), base, modulo) === targetHash && !matches.includes(i)) {
+        hits.push(i);
+      }
+    }
+
+    return {
+      value: {
+        input: { text, pattern: target, base, modulo },
+        expected: {
+          matches,
+          spuriousHits: hits,
+          patternHash: targetHash,
+          collidingStrings: collisions
+        },
+        notes: `With the single scheme (base ${base}, modulo ${modulo}), ${hits.length} of the ${text.length - target.length + 1} windows are spurious hits. ` +
+          'Each costs up to m character comparisons, which is how the O(nm) worst case arises. Try scheme=double on the same input to see the hits disappear.'
+      }
+    };
+  }
+};
+
+/**
+ * aaa…a text against aaa…ab, the input on which naive matching compares every character of every alignment
+ */
+const naiveWorstCase = {
+  id: 'naive-worst-case',
+  algorithm: 'naive',
+  description: 'Text of one repeated character and a pattern that differs only in its last character: every alignment matches m - 1 characters before failing',
+  parameters: {
+    type: 'object',
+    properties: {
+      textLength: { type: 'integer', title: 'textLength', minimum: 2, maximum: MAX_TEXT_LENGTH, default: 64, description: 'Length of the text' },
+      patternLength: { type: 'integer', title: 'patternLength', minimum: 2, maximum: 1000, default: 8, description: 'Length of the pattern' },
+      fill: { type: 'string', title: 'fill', minLength: 1, maxLength: 1, default: 'a', description: 'The repeated character' },
+      last: { type: 'string', title: 'last', minLength: 1, maxLength: 1, default: 'b', description: 'Last character of the pattern' }
+    }
+  },
+  validate: ({ textLength, patternLength, fill, last }) => {
+    if (patternLength > textLength) {
+      return { code: 'PATTERN_TOO_LONG', message: 'patternLength cannot exceed textLength' };
+    }
+    if (fill === last) {
+      return 'fill and last must differ';
+    }
+    return null;
+  },
+  generate: ({ textLength, patternLength, fill, last }) => {
+    const windows = textLength - patternLength + 1;
+
+    return {
+      value: {
+        input: { text: fill.repeat(textLength), pattern: fill.repeat(patternLength - 1) + last },
+        expected: {
+          matches: [],
+          naiveComparisons: windows * patternLength
+        },
+        notes: `Naive matching makes (n - m + 1) × m = ${windows * patternLength} comparisons here; KMP needs at most 2n = ${2 * textLength}.`
+      }
+    };
+  }
+};
+
+/**
+ * Pattern a^m against blocks of a^(m-1) followed by a breaker: each breaker walks the whole LPS chain
+ */
+const lpsFallbackChain = {
+  id: 'lps-fallback-chain',
+  algorithm: 'kmp',
+  description: 'Unary pattern against runs that stop one character short, so every mismatch falls back through the whole LPS chain m - 1, m - 2, …, 0',
+  parameters: {
+    type: 'object',
+    properties: {
+      patternLength: { type: 'integer', title: 'patternLength', minimum: 2, maximum: 1000, default: 8, description: 'Length of the pattern (and depth of the fallback chain + 1)' },
+      repeats: { type: 'integer', title: 'repeats', minimum: 1, maximum: 1000, default: 6, description: 'Number of runs in the text' },
+      fill: { type: 'string', title: 'fill', minLength: 1, maxLength: 1, default: 'a', description: 'The repeated character' },
+      breaker: { type: 'string', title: 'breaker', minLength: 1, maxLength: 1, default: 'b', description: 'Character ending each run' }
+    }
+  },
+  validate: ({ patternLength, repeats, fill, breaker }) => {
+    if (fill === breaker) {
+      return 'fill and breaker must differ';
+    }
+    if (patternLength * repeats > MAX_TEXT_LENGTH) {
+      return `The text (patternLength × repeats) cannot exceed ${MAX_TEXT_LENGTH} characters`;
+    }
+    return null;
+  },
+  generate: ({ patternLength, repeats, fill, breaker }) => {
+    const text = (fill.repeat(patternLength - 1) + breaker).repeat(repeats);
+
+    return {
+      value: {
+        input: { text, pattern: fill.repeat(patternLength) },
+        expected: {
+          matches: [],
+          fallbackDepth: patternLength - 1,
+          kmpComparisons: repeats * (2 * patternLength - 1)
+        },
+        notes: `Each '${breaker}' is compared against pattern positions ${patternLength - 1} down to 0 (${patternLength} comparisons), ` +
+          'but the run before it advanced the text pointer as many times, so the total stays below 2n.'
+      }
+    };
+  }
+};
+
+/**
+ * Reproducible random text and pattern over a chosen alphabet
+ */
+const randomText = {
+  id: 'random',
+  algorithm: null,
+  description: 'Random text over an alphabet, with a random pattern or one of your choosing. Small alphabets give many (overlapping) matches',
+  parameters: {
+    type: 'object',
+    properties: {
+      alphabet: { type: 'string', title: 'alphabet', minLength: 1, maxLength: MAX_ALPHABET_LENGTH, default: 'ab', description: 'Characters to draw from, from the Basic Multilingual Plane' },
+      textLength: { type: 'integer', title: 'textLength', minimum: 1, maximum: MAX_TEXT_LENGTH, default: 200, description: 'Length of the text' },
+      pattern: { type: 'string', title: 'pattern', minLength: 1, maxLength: 1000, description: 'Pattern to search for (default: random over the alphabet)' },
+      patternLength: { type: 'integer', title: 'patternLength', minimum: 1, maximum: 1000, default: 4, description: 'Length of the random pattern' },
+      seed: seedParameter
+    }
+  },
+  validate: ({ alphabet, textLength, pattern, patternLength }) => {
+    if ((pattern ? pattern.length : patternLength) > textLength) {
+      return { code: 'PATTERN_TOO_LONG', message: 'The pattern cannot be longer than textLength' };
+    }
+    return checkSingleUnits(alphabet, 'alphabet');
+  },
+  generate: ({ alphabet, textLength, pattern, patternLength }, random) => {
+    const chars = alphabet.split('');
+    const text = randomString(random, chars, textLength);
+    const target = pattern || randomString(random, chars, patternLength);
+
+    return {
+      value: {
+        input: { text, pattern: target },
+        expected: { matches: findOccurrences(text, target) },
+        notes: `Random text over ${chars.length} character(s); regenerate with the same seed to get the same input.`
+      }
+    };
+  }
+};
+
+// Recipes by id, in listing order
+const recipes = new Map([spuriousHits, naiveWorstCase, lpsFallbackChain, randomText].map(recipe => [recipe.id, recipe]));
+
+/**
+ * Lists the input recipes
+ * @returns {Object[]}
+ */
+function listRecipes() {
+  return [...recipes.values()];
+}
+
+/**
+ * Looks up a recipe
+ * @param {string} id - Recipe id
+ * @returns {Object|undefined}
+ */
+function getRecipe(id) {
+  return recipes.get(id);
+}
+
+/**
+ * Generates an input from a recipe
+ * @param {Object} recipe - Recipe from getRecipe
+ * @param {Object} params - Validated recipe parameters
+ * @returns {Object} - { value: { input, expected, notes } } or { error }
+ */
+function generateInput(recipe, params) {
+  return recipe.generate(params, createRandom(params.seed === undefined ? 1 : params.seed));
+}
+
+module.exports = { listRecipes, getRecipe, generateInput, findOccurrences };
@@ -0,0 +1,232 @@
+/**
+ * English step messages. The description and explanation variants are also the templates of
+ * the compact step format (src/format/templates.js), so their wording and parameters must match
+ * what the algorithms rendered before catalogs existed.
+ */
+module.exports = {
+  name: 'English',
+
+  // Kind of value a unit code is (see codeKind in utils/units); {name} is U+XXXX for code points
+  codeLabels: {
+    ascii: { short: 'ASCII', long: 'ASCII value' },
+    codeUnit: { short: 'UTF-16 code unit', long: 'UTF-16 code unit value' },
+    codePoint: { short: '{name}', long: 'code point {name}' },
+    grapheme: { short: 'grapheme id', long: 'grapheme id' }
+  },
+
+  messages: {
+    kmp: {
+      lps_init: {
+        description: ['Initializing LPS array with zeros'],
+        explanation: ['The LPS (Longest Prefix Suffix) array stores the length of the longest proper prefix which is also a suffix for each position.'],
+        brief: ['LPS starts as all zeros.'],
+        detail: ['LPS[0] is always 0, because a single character has no proper prefix that is also a suffix.']
+      },
+      lps_match: {
+        description: ['Match: pattern[{i}]=\'{char}\' equals pattern[{j}]=\'{prefixChar}\''],
+        explanation: ['Character \'{char}\' at position {i} matches character \'{prefixChar}\' at position {j}. LPS[{i}] = {length}'],
+        brief: ['The prefix grows: LPS[{i}] = {length}.'],
+        detail: ['Extending the previous border is the only way to get a longer one: removing the last character of any border ending at position {i} leaves a border ending at position {i} - 1.']
+      },
+      lps_fallback: {
+        description: ['Mismatch: pattern[{i}]=\'{char}\' ≠ pattern[{old}]=\'{oldChar}\'. Using LPS fallback.'],
+        explanation: ['Mismatch at position {i}. Instead of starting from scratch, we use LPS[{previous}] = {length} to continue comparison from a shorter prefix.'],
+        brief: ['Mismatch: fall back to prefix length {length}.'],
+        detail: ['The fallback is safe: LPS[{previous}] = {length} is the longest border of the first {old} characters, and every shorter border of them is also a border of that one, so no candidate prefix is skipped.']
+      },
+      lps_zero: {
+        description: ['No matching prefix found for position {i}'],
+        explanation: ['No proper prefix matches suffix ending at position {i}. LPS[{i}] = 0'],
+        brief: ['LPS[{i}] = 0.'],
+        detail: ['The last comparison was against pattern[0], so there is no shorter prefix left to fall back to.']
+      },
+      lps_complete: {
+        description: ['LPS array computation complete'],
+        explanation: ['The LPS array is now complete. This preprocessing enables O(n) pattern matching by avoiding re-examination of characters.'],
+        brief: ['LPS array complete.'],
+        detail: ['Every comparison either advances the position or shortens the current prefix, so building the array takes fewer than 2m comparisons.']
+      },
+      search_init: {
+        description: ['Starting KMP pattern matching'],
+        explanation: ['Beginning the search phase. We compare pattern characters with text characters, using the LPS array to skip unnecessary comparisons on mismatch.'],
+        brief: ['Matching starts at text[0] and pattern[0].'],
+        detail: ['The text pointer never moves backwards; on a mismatch only the pattern pointer falls back.']
+      },
+      match: {
+        description: ['Match: text[{i}]=\'{textChar}\' equals pattern[{j}]=\'{patternChar}\''],
+        explanation: ['Character \'{textChar}\' at text position {i} matches pattern character \'{patternChar}\' at position {j}.'],
+        brief: ['\'{textChar}\' matches; both pointers advance.'],
+        detail: ['Both pointers advance, so the matched part of the pattern grows by one character.']
+      },
+      pattern_found: {
+        description: ['Pattern found at index {index}!'],
+        explanation: ['Complete pattern match found starting at text index {index}. Using LPS[{last}] = {lps} to continue searching for more occurrences.'],
+        brief: ['Occurrence at index {index}.'],
+        detail: ['Continuing from LPS[{last}] instead of 0 keeps overlapping occurrences: the longest border of the pattern may already be the start of the next one.']
+      },
+      mismatch_shift: {
+        description: ['Mismatch: text[{i}]=\'{textChar}\' ≠ pattern[{j}]=\'{patternChar}\'. Using LPS to shift pattern.'],
+        explanation: ['Mismatch! Instead of shifting pattern by 1, we use LPS[{previous}] = {lps}. This means the first {lps} characters of pattern already match, so we shift pattern by {shift} positions and continue from pattern index {lps}.'],
+        brief: ['Mismatch: shift the pattern by {shift}.'],
+        detail: ['The shift is safe: an occurrence starting inside the skipped positions would need a border of the first {j} pattern characters longer than LPS[{previous}] = {lps}, and there is none. text[{i}] is compared again, against pattern[{lps}].']
+      },
+      mismatch_advance: {
+        description: ['Mismatch at pattern start: text[{i}]=\'{textChar}\' ≠ pattern[0]=\'{patternChar}\'. Moving to next text position.'],
+        explanation: ['Mismatch at the first character of pattern. Simply advance to the next character in text.'],
+        brief: ['Mismatch: move to text position {i} + 1.'],
+        detail: ['Nothing has matched, so there is no border to reuse and text[{i}] will not be compared again.']
+      },
+      search_complete: {
+        description: ['KMP search complete'],
+        explanation: ['Search complete. Found {count} occurrence(s) of the pattern using {comparisons} character comparisons.'],
+        brief: ['{count} occurrence(s), {comparisons} comparisons.'],
+        detail: ['Each fallback undoes an earlier advance of the pattern pointer, so matching never needs more than 2n comparisons, however repetitive the text is.']
+      }
+    },
+
+    // Variant 0 is the single-pattern message, variant 1 the multi-pattern one
+    'rabin-karp': {
+      hash_init: {
+        description: ['Initializing pattern hash computation'],
+        explanation: ['Computing hash using polynomial rolling hash: h = (c₀×d^(m-1) + c₁×d^(m-2) + ... + c_{m-1}) mod q, where d={base} (base) and q={mod} (prime modulo).'],
+        brief: ['Hash the pattern with base {base} modulo {mod}.'],
+        detail: ['The modulus should be a large prime: two different strings then share a hash with probability about {collisionRate}.']
+      },
+      hash_step: {
+        description: ['Adding character \'{char}\' ({codeLabel}: {code}) to hash'],
+        explanation: ['Multiply current hash by base ({base}) and add {valueLabel} of \'{char}\' ({code}), then take modulo {mod}.'],
+        brief: ['Append \'{char}\' ({code}).'],
+        detail: ['This is Horner\'s rule: the hash is now the first {length} character(s) read as a number in base {base}, reduced modulo {mod}.']
+      },
+      hash_complete: {
+        description: ['Pattern hash computed: {hash}'],
+        explanation: ['Final pattern hash value is {hash}. This will be compared against rolling hash of text windows.'],
+        brief: ['Pattern hash: {hash}.'],
+        detail: ['Hashing costs one multiply-add per character and is done once, before the search.']
+      },
+      search_init: {
+        description: [
+          'Starting Rabin-Karp pattern matching',
+          'Starting multi-pattern Rabin-Karp matching'
+        ],
+        explanation: [
+          'Initial text window [0..{end}] has hash {textHash}. Pattern hash is {patternHash}. h = {base}^{end} mod {mod} = {h} (used for rolling hash).',
+          'Initial text window [0..{end}] has hash {textHash}. The {count} pattern hashes are stored in a set {{hashes}}, so each window needs one set lookup instead of one comparison per pattern.'
+        ],
+        brief: [
+          'First window hash: {textHash}.',
+          'First window hash: {textHash}; {count} pattern hashes.'
+        ],
+        detail: [
+          'With modulus {mod}, a window that differs from the pattern still has its hash with probability about {collisionRate}, so about {expectedSpurious} spurious hit(s) are expected over the {windows} window(s).',
+          'With modulus {mod}, a window that differs from a pattern still has its hash with probability about {collisionRate}, so about {expectedSpurious} spurious hit(s) are expected over the {windows} window(s) and {count} patterns.'
+        ]
+      },
+      hash_match: {
+        description: [
+          'Hash match at position {i}! Pattern hash ({patternHash}) = Text window hash ({textHash})',
+          'Hash match at position {i}! Text window hash ({textHash}) is in the pattern hash set'
+        ],
+        explanation: [
+          'Hash values match! However, this could be a spurious hit (collision). We must verify by comparing characters one by one.',
+          'Hash {textHash} belongs to pattern(s) {candidates}. Each of them must be verified character by character.'
+        ],
+        brief: [
+          'Hashes match at {i}; verify.',
+          'Hash {textHash} found; verify {candidates}.'
+        ],
+        detail: [
+          'Equal hashes only mean the window may match: a different window has the same hash with probability about {collisionRate}.',
+          'Equal hashes only mean the window may match: a different window has the same hash as a given pattern with probability about {collisionRate}.'
+        ]
+      },
+      pattern_found: {
+        description: [
+          'Pattern found at index {i}!',
+          'Pattern #{p} \'{pattern}\' found at index {i}!'
+        ],
+        explanation: [
+          'Character verification successful! Pattern found at position {i}. This is a true match, not a collision.',
+          'Character verification successful! Pattern #{p} \'{pattern}\' found at position {i}.'
+        ],
+        brief: [
+          'Occurrence at index {i}.',
+          'Pattern #{p} at index {i}.'
+        ],
+        detail: [
+          'Verification costs up to m character comparisons, paid only for windows whose hash matched.',
+          'Verification costs up to m character comparisons per candidate pattern, paid only for windows whose hash is in the set.'
+        ]
+      },
+      spurious_hit: {
+        description: [
+          'Spurious hit at position {i}! Hash matched but characters differ.',
+          'Spurious hit at position {i} for pattern #{p} \'{pattern}\'! Hash matched but characters differ.'
+        ],
+        explanation: [
+          'Hash collision detected! Although hash values matched, character verification failed. This is why Rabin-Karp needs character comparison on hash match.',
+          'Hash collision detected for pattern #{p}! The window hash equals its hash, but character verification failed.'
+        ],
+        brief: [
+          'Spurious hit at {i}.',
+          'Spurious hit at {i} for pattern #{p}.'
+        ],
+        detail: [
+          'With modulus {mod} this happens to about {collisionRate} of the non-matching windows; a larger prime makes spurious hits rarer.',
+          'With modulus {mod} this happens to about {collisionRate} of the non-matching windows per pattern; a larger prime makes spurious hits rarer.'
+        ]
+      },
+      hash_mismatch: {
+        description: [
+          'Hash mismatch at position {i}: Pattern hash ({patternHash}) ≠ Text hash ({textHash})',
+          'Hash mismatch at position {i}: Text hash ({textHash}) is not in the pattern hash set'
+        ],
+        explanation: [
+          'Hash values don\'t match, so pattern cannot be at this position. No character comparison needed - this is the efficiency of Rabin-Karp!',
+          'No pattern has hash {textHash}, so none of the {count} patterns can be at this position. No character comparison needed.'
+        ],
+        brief: [
+          'Hashes differ at {i}; skip.',
+          'Hash {textHash} not in the set; skip.'
+        ],
+        detail: [
+          'Different hashes prove that the strings differ, because equal strings always have equal hashes.',
+          'A set lookup proves that no pattern is here, because equal strings always have equal hashes.'
+        ]
+      },
+      rolling_hash: {
+        description: ['Computing rolling hash for window [{start}..{end}]'],
+        explanation: [
+          'Rolling hash update: Remove leading character \'{removed}\' and add trailing character \'{added}\'. This O(1) operation avoids recomputing the entire hash.',
+          'Rolling hash update: Remove leading character \'{removed}\' and add trailing character \'{added}\'. One rolling hash serves all patterns because they have the same length.'
+        ],
+        brief: [
+          'Slide: -\'{removed}\' +\'{added}\'.',
+          'Slide: -\'{removed}\' +\'{added}\'.'
+        ],
+        detail: [
+          'Subtracting \'{removed}\' × h removes its contribution, multiplying by the base moves the other characters up one place, and adding \'{added}\' appends the new one. Every operation is taken modulo {mod}, so the values stay small.',
+          'Subtracting \'{removed}\' × h removes its contribution, multiplying by the base moves the other characters up one place, and adding \'{added}\' appends the new one. Every operation is taken modulo {mod}, so the values stay small.'
+        ]
+      },
+      search_complete: {
+        description: [
+          'Rabin-Karp search complete',
+          'Multi-pattern Rabin-Karp search complete'
+        ],
+        explanation: [
+          'Search complete. Found {count} occurrence(s) using {hashComparisons} hash comparisons and {charComparisons} character comparisons.',
+          'Search complete. Found {count} occurrence(s) of {patterns} pattern(s) using {hashComparisons} hash lookups and {charComparisons} character comparisons ({spurious} spurious hit(s)).'
+        ],
+        brief: [
+          '{count} occurrence(s).',
+          '{count} occurrence(s) of {patterns} pattern(s).'
+        ],
+        detail: [
+          'A poor modulus can make every window a spurious hit, which is the O(nm) worst case; with a large prime the expected time is O(n + m).',
+          'A poor modulus can make every window a spurious hit, which is the O(nkm) worst case; with a large prime the expected time is O(n + km).'
+        ]
+      }
+    }
+  }
+};
@@ -0,0 +1,228 @@
+/**
+ * Spanish step messages, with the same keys, variants and parameters as en.js
+ */
+module.exports = {
+  name: 'Español',
+
+  codeLabels: {
+    ascii: { short: 'ASCII', long: 'valor ASCII' },
+    codeUnit: { short: 'unidad de código UTF-16', long: 'valor de la unidad de código UTF-16' },
+    codePoint: { short: '{name}', long: 'punto de código {name}' },
+    grapheme: { short: 'id de grafema', long: 'id de grafema' }
+  },
+
+  messages: {
+    kmp: {
+      lps_init: {
+        description: ['Inicializando el arreglo LPS con ceros'],
+        explanation: ['El arreglo LPS (Longest Prefix Suffix, prefijo-sufijo más largo) guarda, para cada posición, la longitud del prefijo propio más largo que también es sufijo.'],
+        brief: ['LPS empieza con todos sus valores en cero.'],
+        detail: ['LPS[0] siempre vale 0, porque un solo carácter no tiene ningún prefijo propio que también sea sufijo.']
+      },
+      lps_match: {
+        description: ['Coincidencia: pattern[{i}]=\'{char}\' es igual a pattern[{j}]=\'{prefixChar}\''],
+        explanation: ['El carácter \'{char}\' en la posición {i} coincide con el carácter \'{prefixChar}\' en la posición {j}. LPS[{i}] = {length}'],
+        brief: ['El prefijo crece: LPS[{i}] = {length}.'],
+        detail: ['Extender el borde anterior es la única forma de obtener uno más largo: al quitar el último carácter de cualquier borde que termina en la posición {i} queda un borde que termina en la posición {i} - 1.']
+      },
+      lps_fallback: {
+        description: ['Discrepancia: pattern[{i}]=\'{char}\' ≠ pattern[{old}]=\'{oldChar}\'. Se retrocede con LPS.'],
+        explanation: ['Discrepancia en la posición {i}. En lugar de empezar de cero, usamos LPS[{previous}] = {length} para seguir comparando desde un prefijo más corto.'],
+        brief: ['Discrepancia: se retrocede a la longitud de prefijo {length}.'],
+        detail: ['El retroceso es seguro: LPS[{previous}] = {length} es el borde más largo de los primeros {old} caracteres, y todo borde más corto de ellos también es borde de ese, así que no se omite ningún prefijo candidato.']
+      },
+      lps_zero: {
+        description: ['No hay prefijo coincidente para la posición {i}'],
+        explanation: ['Ningún prefijo propio coincide con el sufijo que termina en la posición {i}. LPS[{i}] = 0'],
+        brief: ['LPS[{i}] = 0.'],
+        detail: ['La última comparación fue con pattern[0], así que no queda ningún prefijo más corto al que retroceder.']
+      },
+      lps_complete: {
+        description: ['Cálculo del arreglo LPS completado'],
+        explanation: ['El arreglo LPS está completo. Este preprocesamiento permite buscar el patrón en O(n) sin volver a examinar caracteres.'],
+        brief: ['Arreglo LPS completo.'],
+        detail: ['Cada comparación avanza la posición o acorta el prefijo actual, por lo que construir el arreglo requiere menos de 2m comparaciones.']
+      },
+      search_init: {
+        description: ['Iniciando la búsqueda KMP del patrón'],
+        explanation: ['Comienza la fase de búsqueda. Comparamos los caracteres del patrón con los del texto y, ante una discrepancia, usamos el arreglo LPS para evitar comparaciones innecesarias.'],
+        brief: ['La búsqueda empieza en text[0] y pattern[0].'],
+        detail: ['El puntero del texto nunca retrocede; ante una discrepancia solo retrocede el puntero del patrón.']
+      },
+      match: {
+        description: ['Coincidencia: text[{i}]=\'{textChar}\' es igual a pattern[{j}]=\'{patternChar}\''],
+        explanation: ['El carácter \'{textChar}\' en la posición {i} del texto coincide con el carácter \'{patternChar}\' del patrón en la posición {j}.'],
+        brief: ['\'{textChar}\' coincide; ambos punteros avanzan.'],
+        detail: ['Ambos punteros avanzan, así que la parte coincidente del patrón crece en un carácter.']
+      },
+      pattern_found: {
+        description: ['¡Patrón encontrado en el índice {index}!'],
+        explanation: ['Se encontró una coincidencia completa del patrón a partir del índice {index} del texto. Usamos LPS[{last}] = {lps} para seguir buscando más apariciones.'],
+        brief: ['Aparición en el índice {index}.'],
+        detail: ['Continuar desde LPS[{last}] en lugar de 0 conserva las apariciones solapadas: el borde más largo del patrón puede ser ya el comienzo de la siguiente.']
+      },
+      mismatch_shift: {
+        description: ['Discrepancia: text[{i}]=\'{textChar}\' ≠ pattern[{j}]=\'{patternChar}\'. Se desplaza el patrón con LPS.'],
+        explanation: ['¡Discrepancia! En lugar de desplazar el patrón en 1, usamos LPS[{previous}] = {lps}. Esto significa que los primeros {lps} caracteres del patrón ya coinciden, así que desplazamos el patrón {shift} posiciones y seguimos desde el índice {lps} del patrón.'],
+        brief: ['Discrepancia: el patrón se desplaza {shift}.'],
+        detail: ['El desplazamiento es seguro: una aparición que empezara en las posiciones saltadas necesitaría un borde de los primeros {j} caracteres del patrón más largo que LPS[{previous}] = {lps}, y no existe. text[{i}] se vuelve a comparar, ahora con pattern[{lps}].']
+      },
+      mismatch_advance: {
+        description: ['Discrepancia al inicio del patrón: text[{i}]=\'{textChar}\' ≠ pattern[0]=\'{patternChar}\'. Se pasa a la siguiente posición del texto.'],
+        explanation: ['Discrepancia en el primer carácter del patrón. Simplemente avanzamos al siguiente carácter del texto.'],
+        brief: ['Discrepancia: se pasa a la posición {i} + 1 del texto.'],
+        detail: ['No ha coincidido nada, así que no hay borde que reutilizar y text[{i}] no se volverá a comparar.']
+      },
+      search_complete: {
+        description: ['Búsqueda KMP completada'],
+        explanation: ['Búsqueda completada. Se encontraron {count} aparición(es) del patrón con {comparisons} comparaciones de caracteres.'],
+        brief: ['{count} aparición(es), {comparisons} comparaciones.'],
+        detail: ['Cada retroceso deshace un avance anterior del puntero del patrón, por lo que la búsqueda nunca necesita más de 2n comparaciones, por repetitivo que sea el texto.']
+      }
+    },
+
+    'rabin-karp': {
+      hash_init: {
+        description: ['Inicializando el cálculo del hash del patrón'],
+        explanation: ['Calculamos el hash con un hash polinómico rodante: h = (c₀×d^(m-1) + c₁×d^(m-2) + ... + c_{m-1}) mod q, donde d={base} (base) y q={mod} (módulo primo).'],
+        brief: ['Se calcula el hash del patrón con base {base} módulo {mod}.'],
+        detail: ['El módulo debe ser un primo grande: así dos cadenas distintas comparten hash con una probabilidad de aproximadamente {collisionRate}.']
+      },
+      hash_step: {
+        description: ['Añadiendo el carácter \'{char}\' ({codeLabel}: {code}) al hash'],
+        explanation: ['Multiplicamos el hash actual por la base ({base}), sumamos el {valueLabel} de \'{char}\' ({code}) y tomamos el módulo {mod}.'],
+        brief: ['Se añade \'{char}\' ({code}).'],
+        detail: ['Es la regla de Horner: el hash equivale ahora a los primeros {length} carácter(es) leídos como un número en base {base}, reducido módulo {mod}.']
+      },
+      hash_complete: {
+        description: ['Hash del patrón calculado: {hash}'],
+        explanation: ['El valor final del hash del patrón es {hash}. Se comparará con el hash rodante de las ventanas del texto.'],
+        brief: ['Hash del patrón: {hash}.'],
+        detail: ['Calcular el hash cuesta una multiplicación y una suma por carácter, y se hace una sola vez, antes de la búsqueda.']
+      },
+      search_init: {
+        description: [
+          'Iniciando la búsqueda Rabin-Karp del patrón',
+          'Iniciando la búsqueda Rabin-Karp de varios patrones'
+        ],
+        explanation: [
+          'La ventana inicial del texto [0..{end}] tiene hash {textHash}. El hash del patrón es {patternHash}. h = {base}^{end} mod {mod} = {h} (se usa para el hash rodante).',
+          'La ventana inicial del texto [0..{end}] tiene hash {textHash}. Los {count} hashes de los patrones se guardan en un conjunto {{hashes}}, así que cada ventana requiere una sola consulta al conjunto en lugar de una comparación por patrón.'
+        ],
+        brief: [
+          'Hash de la primera ventana: {textHash}.',
+          'Hash de la primera ventana: {textHash}; {count} hashes de patrones.'
+        ],
+        detail: [
+          'Con el módulo {mod}, una ventana distinta del patrón tiene aun así su hash con una probabilidad de aproximadamente {collisionRate}, por lo que se esperan unos {expectedSpurious} falso(s) positivo(s) en las {windows} ventana(s).',
+          'Con el módulo {mod}, una ventana distinta de un patrón tiene aun así su hash con una probabilidad de aproximadamente {collisionRate}, por lo que se esperan unos {expectedSpurious} falso(s) positivo(s) en las {windows} ventana(s) y {count} patrones.'
+        ]
+      },
+      hash_match: {
+        description: [
+          '¡Coincidencia de hash en la posición {i}! Hash del patrón ({patternHash}) = hash de la ventana del texto ({textHash})',
+          '¡Coincidencia de hash en la posición {i}! El hash de la ventana del texto ({textHash}) está en el conjunto de hashes de los patrones'
+        ],
+        explanation: [
+          '¡Los hashes coinciden! Aun así podría ser un falso positivo (colisión). Hay que verificarlo comparando los caracteres uno a uno.',
+          'El hash {textHash} pertenece a los patrones {candidates}. Cada uno debe verificarse carácter a carácter.'
+        ],
+        brief: [
+          'Los hashes coinciden en {i}; se verifica.',
+          'Hash {textHash} encontrado; se verifica {candidates}.'
+        ],
+        detail: [
+          'Que los hashes coincidan solo significa que la ventana podría coincidir: una ventana distinta tiene el mismo hash con una probabilidad de aproximadamente {collisionRate}.',
+          'Que los hashes coincidan solo significa que la ventana podría coincidir: una ventana distinta tiene el mismo hash que un patrón dado con una probabilidad de aproximadamente {collisionRate}.'
+        ]
+      },
+      pattern_found: {
+        description: [
+          '¡Patrón encontrado en el índice {i}!',
+          '¡Patrón #{p} \'{pattern}\' encontrado en el índice {i}!'
+        ],
+        explanation: [
+          '¡Verificación de caracteres correcta! Patrón encontrado en la posición {i}. Es una coincidencia real, no una colisión.',
+          '¡Verificación de caracteres correcta! Patrón #{p} \'{pattern}\' encontrado en la posición {i}.'
+        ],
+        brief: [
+          'Aparición en el índice {i}.',
+          'Patrón #{p} en el índice {i}.'
+        ],
+        detail: [
+          'La verificación cuesta hasta m comparaciones de caracteres y solo se paga en las ventanas cuyo hash coincidió.',
+          'La verificación cuesta hasta m comparaciones de caracteres por patrón candidato y solo se paga en las ventanas cuyo hash está en el conjunto.'
+        ]
+      },
+      spurious_hit: {
+        description: [
+          '¡Falso positivo en la posición {i}! El hash coincidió pero los caracteres son distintos.',
+          '¡Falso positivo en la posición {i} para el patrón #{p} \'{pattern}\'! El hash coincidió pero los caracteres son distintos.'
+        ],
+        explanation: [
+          '¡Colisión de hash detectada! Aunque los hashes coincidían, la verificación de caracteres falló. Por eso Rabin-Karp necesita comparar caracteres cuando coincide el hash.',
+          '¡Colisión de hash detectada para el patrón #{p}! El hash de la ventana es igual al suyo, pero la verificación de caracteres falló.'
+        ],
+        brief: [
+          'Falso positivo en {i}.',
+          'Falso positivo en {i} para el patrón #{p}.'
+        ],
+        detail: [
+          'Con el módulo {mod} esto ocurre en aproximadamente {collisionRate} de las ventanas que no coinciden; un primo más grande hace los falsos positivos más raros.',
+          'Con el módulo {mod} esto ocurre en aproximadamente {collisionRate} de las ventanas que no coinciden, por patrón; un primo más grande hace los falsos positivos más raros.'
+        ]
+      },
+      hash_mismatch: {
+        description: [
+          'Hashes distintos en la posición {i}: hash del patrón ({patternHash}) ≠ hash del texto ({textHash})',
+          'Hashes distintos en la posición {i}: el hash del texto ({textHash}) no está en el conjunto de hashes de los patrones'
+        ],
+        explanation: [
+          'Los hashes no coinciden, así que el patrón no puede estar en esta posición. No hace falta comparar caracteres: ¡esa es la eficiencia de Rabin-Karp!',
+          'Ningún patrón tiene el hash {textHash}, así que ninguno de los {count} patrones puede estar en esta posición. No hace falta comparar caracteres.'
+        ],
+        brief: [
+          'Hashes distintos en {i}; se salta.',
+          'El hash {textHash} no está en el conjunto; se salta.'
+        ],
+        detail: [
+          'Que los hashes sean distintos demuestra que las cadenas son distintas, porque cadenas iguales siempre tienen hashes iguales.',
+          'La consulta al conjunto demuestra que aquí no hay ningún patrón, porque cadenas iguales siempre tienen hashes iguales.'
+        ]
+      },
+      rolling_hash: {
+        description: ['Calculando el hash rodante de la ventana [{start}..{end}]'],
+        explanation: [
+          'Actualización del hash rodante: se quita el carácter inicial \'{removed}\' y se añade el carácter final \'{added}\'. Esta operación O(1) evita recalcular todo el hash.',
+          'Actualización del hash rodante: se quita el carácter inicial \'{removed}\' y se añade el carácter final \'{added}\'. Un solo hash rodante sirve para todos los patrones porque tienen la misma longitud.'
+        ],
+        brief: [
+          'Deslizar: -\'{removed}\' +\'{added}\'.',
+          'Deslizar: -\'{removed}\' +\'{added}\'.'
+        ],
+        detail: [
+          'Restar \'{removed}\' × h elimina su contribución, multiplicar por la base sube una posición los demás caracteres y sumar \'{added}\' añade el nuevo. Cada operación se toma módulo {mod}, así que los valores se mantienen pequeños.',
+          'Restar \'{removed}\' × h elimina su contribución, multiplicar por la base sube una posición los demás caracteres y sumar \'{added}\' añade el nuevo. Cada operación se toma módulo {mod}, así que los valores se mantienen pequeños.'
+        ]
+      },
+      search_complete: {
+        description: [
+          'Búsqueda Rabin-Karp completada',
+          'Búsqueda Rabin-Karp de varios patrones completada'
+        ],
+        explanation: [
+          'Búsqueda completada. Se encontraron {count} aparición(es) con {hashComparisons} comparaciones de hash y {charComparisons} comparaciones de caracteres.',
+          'Búsqueda completada. Se encontraron {count} aparición(es) de {patterns} patrón(es) con {hashComparisons} consultas de hash y {charComparisons} comparaciones de caracteres ({spurious} falso(s) positivo(s)).'
+        ],
+        brief: [
+          '{count} aparición(es).',
+          '{count} aparición(es) de {patterns} patrón(es).'
+        ],
+        detail: [
+          'Un módulo mal elegido puede convertir cada ventana en un falso positivo, que es el peor caso O(nm); con un primo grande el tiempo esperado es O(n + m).',
+          'Un módulo mal elegido puede convertir cada ventana en un falso positivo, que es el peor caso O(nkm); con un primo grande el tiempo esperado es O(n + km).'
+        ]
+      }
+    }
+  }
+};
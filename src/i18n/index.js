@@ -0,0 +1,146 @@
+const { renderTemplate } = require('../format/templates');
+const { codeKind } = require('../utils/units');
+
+// Message catalogs by language tag; each one covers every step type of the localized algorithms
+const catalogs = {
+  en: require('./en'),
+  es: require('./es')
+};
+
+const DEFAULT_LOCALE = 'en';
+const VERBOSITY_LEVELS = ['brief', 'normal', 'detailed'];
+
+/**
+ * Request parameters of the algorithms whose step messages come from the catalogs
+ */
+const messageParameters = {
+  lang: {
+    type: 'string',
+    title: 'lang',
+    enum: Object.keys(catalogs),
+    description: 'Language of step descriptions and explanations (default: from the Accept-Language header, else en)'
+  },
+  verbosity: {
+    type: 'string',
+    title: 'verbosity',
+    enum: VERBOSITY_LEVELS,
+    default: 'normal',
+    description: 'brief: one-line explanations; normal; detailed: adds why each step is correct and what it costs'
+  }
+};
+
+/**
+ * /info section shared by the localized algorithms
+ */
+const messagesInfo = {
+  languages: Object.entries(catalogs).map(([lang, catalog]) => ({ lang, name: catalog.name })),
+  verbosity: VERBOSITY_LEVELS,
+  description: 'Step descriptions and explanations are rendered from message catalogs. lang selects the language; without it the Accept-Language header is used. ' +
+    'verbosity changes only the explanation: detailed adds context such as why the LPS fallback is safe or the collision probability of the chosen modulus.'
+};
+
+/**
+ * Checks whether an algorithm's step messages come from the catalogs
+ * @param {string} algorithm - Algorithm id
+ * @returns {boolean}
+ */
+function isLocalized(algorithm) {
+  return Object.hasOwn(catalogs[DEFAULT_LOCALE].messages, algorithm);
+}
+
+/**
+ * Picks the best supported language of an Accept-Language header
+ * @param {string} [header] - e.g. 'es-MX,es;q=0.9,en;q=0.5'
+ * @returns {string|undefined} - A catalog language tag, or undefined if none is acceptable
+ */
+function negotiateLocale(header) {
+  if (typeof header !== 'string') {
+    return undefined;
+  }
+
+  const ranges = header.split(',').map((range, order) => {
+    const [tag, ...attributes] = range.trim().split(';');
+    const quality = attributes.map(attribute => attribute.trim()).find(attribute => attribute.startsWith('q='));
+    return {
+      lang: tag.trim().toLowerCase().split('-')[0],
+      quality: quality ? Number(quality.slice(2)) : 1,
+      order
+    };
+  });
+
+  const best = ranges
+    .filter(range => range.quality > 0 && (range.lang === '*' || Object.hasOwn(catalogs, range.lang)))
+    .sort((a, b) => b.quality - a.quality || a.order - b.order)[0];
+
+  if (!best) {
+    return undefined;
+  }
+  return best.lang === '*' ? DEFAULT_LOCALE : best.lang;
+}
+
+/**
+ * Fills in `lang` from the request's Accept-Language header when the algorithm is localized
+ * and the parameters do not choose a language
+ * @param {Object} parameters - Algorithm parameter schema
+ * @param {*} input - Request body or parsed query
+ * @param {Object} [req] - Express request
+ * @returns {*} - The input, with lang added if the header selects one
+ */
+function withRequestLocale(parameters, input, req) {
+  if (!req || !parameters.properties.lang || typeof input !== 'object' || input === null || input.lang !== undefined) {
+    return input;
+  }
+
+  const lang = negotiateLocale(req.get('Accept-Language'));
+  return lang ? { ...input, lang } : input;
+}
+
+/**
+ * Creates the message renderer of one algorithm.
+ * A message field with a single variant serves every variant of the step type.
+ * @param {string} algorithm - Algorithm id
+ * @param {Object} [options] - { lang, verbosity } (default: en, normal)
+ * @returns {Object} - { step(type, params, variant): { description, explanation }, codeLabel(code): { short, long } }
+ */
+function createMessages(algorithm, { lang = DEFAULT_LOCALE, verbosity = 'normal' } = {}) {
+  const catalog = catalogs[lang] || catalogs[DEFAULT_LOCALE];
+  const messages = catalog.messages[algorithm];
+
+  return {
+    step(type, params, variant = 0) {
+      const render = field => {
+        const variants = messages[type][field];
+        return renderTemplate(variants[Math.min(variant, variants.length - 1)], params);
+      };
+
+      let explanation;
+      if (verbosity === 'brief') {
+        explanation = render('brief');
+      } else if (verbosity === 'detailed') {
+        explanation = `${render('explanation')} ${render('detail')}`;
+      } else {
+        explanation = render('explanation');
+      }
+
+      return { description: render('description'), explanation };
+    },
+
+    codeLabel(code) {
+      const { kind, name } = codeKind(code);
+      const label = catalog.codeLabels[kind];
+      return { short: renderTemplate(label.short, { name }), long: renderTemplate(label.long, { name }) };
+    }
+  };
+}
+
+module.exports = {
+  catalogs,
+  DEFAULT_LOCALE,
+  VERBOSITY_LEVELS,
+  messageParameters,
+  messagesInfo,
+  isLocalized,
+  negotiateLocale,
+  withRequestLocale,
+  createMessages
+};
@@ -1,24 +1,58 @@
 const express = require('express');
 const cors = require('cors');
-const kmpRoutes = require('./routes/kmp');
-const rabinKarpRoutes = require('./routes/rabin-karp');
+const { listAlgorithms } = require('./registry');
+const { router: algorithmRoutes, createAlgorithmRouter } = require('./routes/algorithms');
+const compareRoutes = require('./routes/compare');
+const generateRoutes = require('./routes/generate');
+const { router: batchRoutes } = require('./routes/batch');
+const exerciseRoutes = require('./routes/exercises');
+const { router: executionRoutes } = require('./routes/executions');
+const docsRoutes = require('./routes/docs');
+const searchRoutes = require('./routes/search');
+const scenarioRoutes = require('./routes/scenarios');
+const { ERROR_CODES, ApiError, sendError, errorHandler } = require('./utils/errors');
+const { limits } = require('./utils/limits');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: limits.maxBodySize }));
 
 // Routes
-app.use('/api/kmp', kmpRoutes);
-app.use('/api/rabin-karp', rabinKarpRoutes);
+app.use('/api/algorithms', algorithmRoutes);
+app.use('/api/compare', compareRoutes);
+app.use('/api/generate', generateRoutes);
+app.use('/api/batch', batchRoutes);
+app.use('/api/exercises', exerciseRoutes);
+app.use('/api/executions', executionRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/scenarios', scenarioRoutes);
+app.use('/api', docsRoutes);
+
+// Per-algorithm aliases (/api/kmp, /api/rabin-karp, ...)
+for (const definition of listAlgorithms()) {
+  app.use(`/api/${definition.id}`, createAlgorithmRouter(definition));
+}
 
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'String Matching Algorithm API' });
 });
 
+// Error codes with their HTTP status, and the configured size limits
+app.get('/api/errors', (req, res) => {
+  res.json({ success: true, data: { codes: ERROR_CODES, limits } });
+});
+
+app.use('/api', (req, res) => {
+  sendError(res, new ApiError('NOT_FOUND', `No route for ${req.method} ${req.originalUrl}`));
+});
+
+// Malformed JSON, oversized bodies and errors passed on by routes
+app.use(errorHandler);
+
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
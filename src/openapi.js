@@ -0,0 +1,754 @@
+const { version } = require('../package.json');
+const { listAlgorithms } = require('./registry');
+const { listRecipes } = require('./generators');
+const { listExercises } = require('./exercises');
+const { searchParameters } = require('./search');
+const { scenarioParameters } = require('./scenarios');
+const { EXPORT_FORMATS, isExportable } = require('./format/export');
+const { catalogs, isLocalized } = require('./i18n');
+const { ERROR_CODES } = require('./utils/errors');
+const { limits } = require('./utils/limits');
+
+const PHASES = ['preprocessing', 'matching'];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const object = { type: 'object' };
+
+/**
+ * Component name prefix of an algorithm: 'rabin-karp' becomes 'RabinKarp'
+ * @param {string} id - Algorithm id
+ * @returns {string}
+ */
+function schemaPrefix(id) {
+  return id.split('-').map(part => part[0].toUpperCase() + part.slice(1)).join('');
+}
+
+/**
+ * Copies a parameter schema, turning the keywords only this server understands into x- extensions
+ * @param {*} schema - Schema or part of one
+ * @returns {*} - OpenAPI 3.1 schema
+ */
+function toOpenApiSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toOpenApiSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const copy = {};
+  for (const [key, value] of Object.entries(schema)) {
+    copy[key === 'errorCode' ? 'x-error-code' : key] = toOpenApiSchema(value);
+  }
+  return copy;
+}
+
+/**
+ * Successful JSON response wrapped in { success: true, data }
+ * @param {string} description - Response description
+ * @param {Object} data - Schema of data
+ * @returns {Object} - OpenAPI response
+ */
+function ok(description, data) {
+  return {
+    description,
+    content: {
+      'application/json': {
+        schema: { type: 'object', required: ['success', 'data'], properties: { success: { const: true }, data } }
+      }
+    }
+  };
+}
+
+/**
+ * Error responses for the given HTTP statuses, all with the shared error body
+ * @param {...number} statuses - HTTP statuses
+ * @returns {Object} - Responses keyed by status
+ */
+function errors(...statuses) {
+  const responses = {};
+  for (const status of [...statuses, 500]) {
+    const codes = Object.keys(ERROR_CODES).filter(code => ERROR_CODES[code] === status);
+    responses[status] = {
+      description: `Error: ${codes.join(', ')}`,
+      content: { 'application/json': { schema: ref('Error') } }
+    };
+  }
+  return responses;
+}
+
+const jsonBody = (schema, examples) => ({
+  required: true,
+  content: { 'application/json': examples ? { schema, examples } : { schema } }
+});
+
+/**
+ * A request body that is one of several schemas, told apart by a constant property
+ * @param {string} property - Property holding the variant name
+ * @param {Object[]} variants - [{ name, parameters }] with object parameter schemas
+ * @returns {Object} - Schema
+ */
+function taggedUnion(property, variants) {
+  return {
+    oneOf: variants.map(({ name, parameters }) => {
+      const schema = toOpenApiSchema(parameters);
+      return {
+        ...schema,
+        required: [property, ...(schema.required || [])],
+        properties: { [property]: { const: name }, ...schema.properties }
+      };
+    })
+  };
+}
+
+/**
+ * Schemas of one algorithm: its parameters, one schema per step type, the step unions per phase
+ * and the /execute response
+ * @param {Object} definition - Registered algorithm definition
+ * @returns {Object} - Component schemas keyed by name
+ */
+function algorithmSchemas(definition) {
+  const prefix = schemaPrefix(definition.id);
+  const schemas = { [`${prefix}Parameters`]: toOpenApiSchema(definition.parameters) };
+  const phases = {};
+
+  for (const phase of PHASES) {
+    const steps = definition.steps ? definition.steps[phase] : null;
+    let items;
+
+    if (!steps) {
+      // Algorithms registered without step schemas only promise the common fields
+      items = ref('Step');
+    } else if (steps.length > 0) {
+      const union = `${prefix}${schemaPrefix(phase)}Step`;
+      const mapping = {};
+
+      for (const step of steps) {
+        const type = step.properties.type.const;
+        schemas[`${union}.${type}`] = step;
+        mapping[type] = `#/components/schemas/${union}.${type}`;
+      }
+      schemas[union] = {
+        oneOf: Object.values(mapping).map($ref => ({ $ref })),
+        discriminator: { propertyName: 'type', mapping }
+      };
+      items = ref(union);
+    }
+
+    phases[phase] = {
+      type: 'object',
+      required: ['steps', 'description'],
+      properties: {
+        steps: items ? { type: 'array', items } : { type: 'array', maxItems: 0 },
+        description: string
+      }
+    };
+  }
+
+  schemas[`${prefix}Execution`] = {
+    type: 'object',
+    description: `Response of ${definition.info.name}. Besides the listed fields it carries the tables the algorithm built.`,
+    required: ['algorithm', ...PHASES, 'result'],
+    properties: {
+      algorithm: string,
+      ...phases,
+      result: {
+        type: 'object',
+        required: ['matches', 'matchCount'],
+        properties: { matches: { type: 'array' }, matchCount: { type: 'integer', minimum: 0 } }
+      },
+      units: { ...object, description: 'Present when unit, normalization or caseFold differ from the defaults' }
+    }
+  };
+
+  return schemas;
+}
+
+/**
+ * Schemas shared by every route
+ * @returns {Object} - Component schemas keyed by name
+ */
+function commonSchemas() {
+  return {
+    Error: {
+      type: 'object',
+      required: ['success', 'error', 'code', 'message'],
+      properties: {
+        success: { const: false },
+        error: { enum: ['Invalid input', 'Forbidden', 'Not found', 'Input too large', 'Execution error'] },
+        code: { enum: Object.keys(ERROR_CODES) },
+        message: string,
+        details: { ...object, description: 'Extra data, such as the limit that was exceeded' }
+      }
+    },
+    Step: {
+      type: 'object',
+      required: ['type', 'description', 'explanation'],
+      properties: { type: string, description: string, explanation: string }
+    },
+    CompactExecution: {
+      type: 'object',
+      description: 'format=compact: messages as template ids with parameters and fields as deltas from their last value in the phase',
+      required: ['format', 'version', 'algorithmId'],
+      properties: { format: { const: 'compact' }, version: integer, algorithmId: string }
+    },
+    ExecutionSession: {
+      type: 'object',
+      description: 'session=true: the summary of a stored execution, whose steps are paged through /api/executions',
+      required: ['executionId', 'algorithmId', 'expiresAt', 'stepCounts', 'stepsStored'],
+      properties: {
+        executionId: string,
+        algorithmId: string,
+        expiresAt: { type: 'string', format: 'date-time' },
+        stepCounts: ref('StepCounts'),
+        stepsStored: { type: 'boolean' }
+      }
+    },
+    StepCounts: {
+      type: 'object',
+      required: PHASES,
+      properties: { preprocessing: integer, matching: integer }
+    },
+    SessionStep: {
+      type: 'object',
+      required: ['phase', 'index', 'step'],
+      properties: { phase: { enum: PHASES }, index: integer, step: ref('Step') }
+    }
+  };
+}
+
+// Properties of every scenario, with or without its input
+const scenarioSummary = {
+  id: { ...string, description: 'Short shareable id; built-in examples are named <algorithm>-<n>' },
+  name: string,
+  description: string,
+  tags: { type: 'array', items: string },
+  algorithm: string,
+  readOnly: { type: 'boolean', description: 'Built-in examples cannot be deleted' },
+  createdAt: { type: ['string', 'null'], format: 'date-time' },
+  links: { type: 'object', properties: { self: string, execute: string } }
+};
+
+const idParameter = (name, description) => ({ name, in: 'path', required: true, description, schema: string });
+
+const executeQuery = [
+  { name: 'format', in: 'query', description: 'verbose (default) or compact', schema: { enum: ['verbose', 'compact'] } },
+  { name: 'session', in: 'query', description: 'Store the trace server-side and return only its summary', schema: { enum: ['true', 'false'] } }
+];
+
+const acceptLanguage = {
+  name: 'Accept-Language',
+  in: 'header',
+  description: `Language of KMP and Rabin-Karp step messages when the parameters have no lang (supported: ${Object.keys(catalogs).join(', ')})`,
+  schema: string,
+  example: 'es-ES,es;q=0.9,en;q=0.8'
+};
+
+const eventStream = {
+  description: 'Server-Sent Events: start, one step event per step ({ phase, index, step }), then summary or error',
+  content: { 'text/event-stream': { schema: string } }
+};
+
+const exportQuery = [
+  { name: 'format', in: 'query', description: 'html (default): an offline player; svg: one frame per step', schema: { enum: EXPORT_FORMATS, default: 'html' } },
+  { name: 'frame', in: 'query', description: 'With format=svg, return only this frame as an SVG image', schema: { type: 'integer', minimum: 0 } },
+  { name: 'download', in: 'query', description: 'Send the file as an attachment', schema: { enum: ['true', 'false'] } }
+];
+
+const exportResponses = {
+  200: {
+    description: 'The HTML player, the SVG frame, or with format=svg and no frame the list of frames',
+    content: {
+      'text/html': { schema: string },
+      'image/svg+xml': { schema: string },
+      'application/json': {
+        schema: {
+          type: 'object',
+          required: ['success', 'data'],
+          properties: {
+            success: { const: true },
+            data: {
+              type: 'object',
+              required: ['algorithm', 'frameCount', 'frames'],
+              properties: {
+                algorithm: string,
+                frameCount: integer,
+                frames: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    required: ['phase', 'index', 'type', 'svg'],
+                    properties: { phase: { enum: PHASES }, index: integer, type: string, svg: string }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  ...errors(400, 404, 413)
+};
+
+/**
+ * Export routes of an algorithm under a base path
+ * @param {string} base - '/api/kmp' or '/api/algorithms/{id}'
+ * @param {Object} body - Request body schema
+ * @param {string[]} tags - Operation tags
+ * @param {Object[]} parameters - Path and header parameters
+ * @returns {Object} - Path item of the export route
+ */
+function exportPaths(base, body, tags, parameters) {
+  return {
+    [`${base}/export`]: {
+      get: {
+        tags,
+        summary: 'Export the trace as an offline HTML player or SVG frames (KMP and Rabin-Karp); parameters are taken from the query string',
+        parameters: [...parameters, { name: 'text', in: 'query', schema: string }, { name: 'pattern', in: 'query', schema: string }, ...exportQuery],
+        responses: exportResponses
+      },
+      post: {
+        tags,
+        summary: 'Export the trace as an offline HTML player or SVG frames (KMP and Rabin-Karp)',
+        parameters: [...parameters, ...exportQuery],
+        requestBody: jsonBody(body),
+        responses: exportResponses
+      }
+    }
+  };
+}
+
+/**
+ * Paths of one algorithm under a base path
+ * @param {string} base - '/api/kmp' or '/api/algorithms/{id}'
+ * @param {Object} body - Request body schema
+ * @param {Object} execution - Execution response schema
+ * @param {Object} [options] - { tag, parameters, examples, exportable, localized }
+ * @returns {Object} - Path items keyed by path
+ */
+function algorithmPaths(base, body, execution, { tag, parameters = [], examples, exportable = true, localized = true } = {}) {
+  const tags = [tag];
+  const data = { anyOf: [execution, ref('CompactExecution'), ref('ExecutionSession')] };
+  // Operations that run the algorithm also read Accept-Language
+  const runParameters = localized ? [...parameters, acceptLanguage] : parameters;
+
+  return {
+    [`${base}/info`]: {
+      get: { tags, summary: 'Algorithm metadata, complexity and examples', parameters, responses: { 200: { description: 'Metadata', content: { 'application/json': { schema: object } } }, ...errors(404) } }
+    },
+    [`${base}/execute`]: {
+      post: {
+        tags,
+        summary: 'Run the algorithm and return every step',
+        parameters: [...runParameters, ...executeQuery],
+        requestBody: jsonBody(body, examples),
+        responses: { 200: ok('Execution data', data), ...errors(400, 404, 413) }
+      }
+    },
+    [`${base}/execute/stream`]: {
+      get: {
+        tags,
+        summary: 'Stream the steps; parameters are taken from the query string',
+        parameters: [...runParameters, { name: 'text', in: 'query', schema: string }, { name: 'pattern', in: 'query', schema: string }],
+        responses: { 200: eventStream, ...errors(400, 404, 413) }
+      },
+      post: { tags, summary: 'Stream the steps', parameters: runParameters, requestBody: jsonBody(body), responses: { 200: eventStream, ...errors(400, 404, 413) } }
+    },
+    ...(exportable ? exportPaths(base, body, tags, runParameters) : {})
+  };
+}
+
+/**
+ * Builds the OpenAPI 3.1 document of the API from the registered algorithms, recipes and exercises
+ * @returns {Object} - OpenAPI document
+ */
+function buildOpenApiDocument() {
+  const algorithms = listAlgorithms();
+  const schemas = commonSchemas();
+  const executions = [];
+  const bodies = [];
+  let paths = {};
+
+  for (const definition of algorithms) {
+    const prefix = schemaPrefix(definition.id);
+    Object.assign(schemas, algorithmSchemas(definition));
+    executions.push(ref(`${prefix}Execution`));
+    bodies.push(ref(`${prefix}Parameters`));
+
+    const examples = Object.fromEntries((definition.info.examples || []).map((value, i) => [`example${i + 1}`, { value }]));
+    paths = {
+      ...paths,
+      ...algorithmPaths(`/api/${definition.id}`, ref(`${prefix}Parameters`), ref(`${prefix}Execution`), {
+        tag: definition.info.name,
+        examples,
+        exportable: isExportable(definition.id),
+        localized: isLocalized(definition.id)
+      })
+    };
+  }
+
+  const algorithmId = { ...idParameter('id', 'Algorithm id'), schema: { enum: algorithms.map(definition => definition.id) } };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'String Matching Algorithm API',
+      version,
+      description: 'Step-by-step traces of string matching algorithms for visualization. ' +
+        'Every step has a type, a description and an explanation; the other fields depend on the algorithm, the phase and the type ' +
+        '(see the <Algorithm><Phase>Step schemas). Errors share the Error schema. ' +
+        `Limits: text ${limits.maxTextLength} characters, pattern ${limits.maxPatternLength} characters, ${limits.maxSteps} steps or ${limits.maxTraceBytes} bytes of steps, request body ${limits.maxBodySize}.`
+    },
+    paths: {
+      '/api/health': {
+        get: { tags: ['Meta'], summary: 'Health check', responses: { 200: { description: 'Server is up', content: { 'application/json': { schema: object } } } } }
+      },
+      '/api/errors': {
+        get: { tags: ['Meta'], summary: 'Error codes with their HTTP status, and the configured limits', responses: { 200: ok('Codes and limits', object) } }
+      },
+      '/api/openapi.json': {
+        get: { tags: ['Meta'], summary: 'This document', responses: { 200: { description: 'OpenAPI document', content: { 'application/json': { schema: object } } } } }
+      },
+      '/api/docs': {
+        get: { tags: ['Meta'], summary: 'API explorer', responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: string } } } } }
+      },
+      '/api/algorithms': {
+        get: {
+          tags: ['Algorithms'],
+          summary: 'List the registered algorithms with their parameter schemas',
+          responses: { 200: ok('Algorithms', { type: 'array', items: object }) }
+        }
+      },
+      ...algorithmPaths('/api/algorithms/{id}', { oneOf: bodies }, { anyOf: executions }, { tag: 'Algorithms', parameters: [algorithmId] }),
+      '/api/compare': {
+        post: {
+          tags: ['Comparison'],
+          summary: 'Run several algorithms on the same input and compare normalized metrics',
+          requestBody: jsonBody({
+            type: 'object',
+            required: ['text', 'pattern'],
+            properties: {
+              text: string,
+              pattern: string,
+              algorithms: {
+                type: 'array',
+                items: { enum: algorithms.filter(definition => definition.metrics).map(definition => definition.id) },
+                description: 'Default: every comparable algorithm'
+              }
+            },
+            description: 'Algorithm options such as base and modulo are passed through. unit, normalization and caseFold are rejected, since not every algorithm supports them'
+          }),
+          responses: {
+            200: ok('Metrics per algorithm', {
+              type: 'object',
+              required: ['text', 'pattern', 'results', 'agreement', 'summary'],
+              properties: { text: string, pattern: string, results: { type: 'array', items: object }, agreement: object, summary: object }
+            }),
+            ...errors(400, 413)
+          }
+        }
+      },
+      '/api/generate': {
+        get: { tags: ['Inputs'], summary: 'List the input recipes', responses: { 200: ok('Recipes', { type: 'array', items: object }) } },
+        post: {
+          tags: ['Inputs'],
+          summary: 'Generate an input from a recipe, with the matches it should produce',
+          requestBody: jsonBody(taggedUnion('recipe', listRecipes().map(recipe => ({ name: recipe.id, parameters: recipe.parameters })))),
+          responses: {
+            200: ok('Generated input', {
+              type: 'object',
+              required: ['recipe', 'algorithm', 'parameters', 'input', 'expected'],
+              properties: { recipe: string, algorithm: string, parameters: object, input: object, expected: object, notes: object }
+            }),
+            ...errors(400, 413)
+          }
+        }
+      },
+      '/api/batch': {
+        post: {
+          tags: ['Algorithms'],
+          summary: 'Run many jobs; each succeeds or fails on its own',
+          requestBody: jsonBody({
+            type: 'object',
+            required: ['jobs'],
+            properties: {
+              jobs: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                  type: 'object',
+                  required: ['algorithm', 'parameters'],
+                  properties: { id: {}, algorithm: algorithmId.schema, parameters: { oneOf: bodies } }
+                }
+              },
+              includeSteps: {
+                type: 'boolean',
+                default: true,
+                description: `false returns only the result and step counts of each job. The steps of all jobs share one limit of ${limits.maxTraceBytes} bytes; a job that would pass it fails with STEP_LIMIT_EXCEEDED`
+              }
+            }
+          }),
+          responses: {
+            200: ok('One entry per job', {
+              type: 'object',
+              required: ['jobs', 'summary'],
+              properties: {
+                jobs: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    required: ['index', 'id', 'success'],
+                    description: 'Successful jobs carry data (or result and stepCounts) and wallClockMs, failed ones the fields of the Error schema',
+                    properties: { index: integer, id: {}, algorithm: string, success: { type: 'boolean' }, data: { anyOf: executions }, result: object, stepCounts: ref('StepCounts') }
+                  }
+                },
+                summary: object
+              }
+            }),
+            ...errors(400, 413)
+          }
+        }
+      },
+      '/api/search': {
+        post: {
+          tags: ['Search'],
+          summary: 'Search a UTF-8 file sent as the raw body, in chunks and without step traces',
+          parameters: Object.entries(searchParameters.properties).map(([name, schema]) => ({
+            name,
+            in: 'query',
+            required: searchParameters.required.includes(name),
+            description: schema.description,
+            schema: toOpenApiSchema(schema)
+          })),
+          requestBody: {
+            required: true,
+            content: {
+              'application/octet-stream': { schema: { type: 'string', format: 'binary' } },
+              'text/plain': { schema: string }
+            }
+          },
+          responses: {
+            200: ok('Located occurrences', {
+              type: 'object',
+              required: ['algorithm', 'pattern', 'bytes', 'chunks', 'codeUnits', 'lines', 'matchCount', 'truncated', 'matches', 'stats'],
+              properties: {
+                algorithm: string,
+                pattern: string,
+                bytes: integer,
+                chunks: integer,
+                codeUnits: { ...integer, description: 'Length of the decoded text in UTF-16 code units' },
+                lines: integer,
+                matchCount: integer,
+                truncated: { type: 'boolean', description: 'More occurrences were found than maxMatches' },
+                matches: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    required: ['offset', 'byteOffset', 'line', 'column'],
+                    properties: {
+                      offset: { ...integer, description: 'UTF-16 code unit offset' },
+                      byteOffset: integer,
+                      line: { ...integer, description: '1-based' },
+                      column: { ...integer, description: '1-based, in UTF-16 code units' }
+                    }
+                  }
+                },
+                stats: object,
+                wallClockMs: { type: 'number' }
+              }
+            }),
+            ...errors(400, 413)
+          }
+        }
+      },
+      '/api/exercises': {
+        get: { tags: ['Exercises'], summary: 'List the exercise types', responses: { 200: ok('Exercise types', { type: 'array', items: object }) } },
+        post: {
+          tags: ['Exercises'],
+          summary: 'Create a challenge',
+          requestBody: jsonBody(taggedUnion('type', listExercises().map(exercise => ({ name: exercise.type, parameters: exercise.parameters })))),
+          responses: { 200: ok('Challenge', ref('Challenge')), ...errors(400, 413) }
+        }
+      },
+      '/api/exercises/{id}': {
+        get: {
+          tags: ['Exercises'],
+          summary: 'Show a challenge again',
+          parameters: [idParameter('id', 'Challenge id')],
+          responses: { 200: ok('Challenge', ref('Challenge')), ...errors(404) }
+        }
+      },
+      '/api/exercises/{id}/answers': {
+        post: {
+          tags: ['Exercises'],
+          summary: 'Grade answers and explain the first wrong one',
+          parameters: [idParameter('id', 'Challenge id')],
+          requestBody: jsonBody({ type: 'object', required: ['answers'], properties: { answers: { type: 'array', description: 'One integer (or string of digits) per question; null leaves a question ungraded' } } }),
+          responses: {
+            200: ok('Grading', {
+              type: 'object',
+              required: ['id', 'type', 'total', 'answered', 'correct', 'complete', 'passed', 'results', 'firstMistake'],
+              properties: {
+                id: string,
+                type: string,
+                total: integer,
+                answered: integer,
+                correct: integer,
+                complete: { type: 'boolean' },
+                passed: { type: 'boolean' },
+                results: { type: 'array', items: object },
+                firstMistake: { type: ['object', 'null'] }
+              }
+            }),
+            ...errors(400, 404)
+          }
+        }
+      },
+      '/api/scenarios': {
+        get: {
+          tags: ['Scenarios'],
+          summary: 'List the built-in examples and the saved scenarios, without their input',
+          parameters: [
+            { name: 'algorithm', in: 'query', description: 'Only scenarios of this algorithm', schema: string },
+            { name: 'tag', in: 'query', description: 'Only scenarios with this tag', schema: string }
+          ],
+          responses: { 200: ok('Scenarios', { type: 'array', items: ref('ScenarioSummary') }), ...errors() }
+        },
+        post: {
+          tags: ['Scenarios'],
+          summary: 'Save a named input under a short shareable id',
+          requestBody: jsonBody(toOpenApiSchema(scenarioParameters)),
+          responses: { 201: ok('Saved scenario', ref('Scenario')), ...errors(400, 413) }
+        }
+      },
+      '/api/scenarios/{id}': {
+        get: {
+          tags: ['Scenarios'],
+          summary: 'A scenario with its input and the /execute request that replays it',
+          parameters: [idParameter('id', 'Scenario id')],
+          responses: { 200: ok('Scenario', ref('Scenario')), ...errors(404) }
+        },
+        delete: {
+          tags: ['Scenarios'],
+          summary: 'Delete a saved scenario; built-in examples are read-only',
+          parameters: [idParameter('id', 'Scenario id')],
+          responses: { 200: { description: 'Deleted', content: { 'application/json': { schema: object } } }, ...errors(403, 404) }
+        }
+      },
+      '/api/scenarios/{id}/execute': {
+        get: {
+          tags: ['Scenarios'],
+          summary: 'Replay a scenario; /execute options such as format, lang or verbosity are taken from the query string',
+          parameters: [idParameter('id', 'Scenario id'), ...executeQuery, acceptLanguage],
+          responses: { 200: ok('Execution data', { anyOf: [{ anyOf: executions }, ref('CompactExecution'), ref('ExecutionSession')] }), ...errors(400, 404, 413) }
+        },
+        post: {
+          tags: ['Scenarios'],
+          summary: 'Replay a scenario; the body can add /execute options the scenario does not set',
+          parameters: [idParameter('id', 'Scenario id'), ...executeQuery, acceptLanguage],
+          requestBody: jsonBody(object),
+          responses: { 200: ok('Execution data', { anyOf: [{ anyOf: executions }, ref('CompactExecution'), ref('ExecutionSession')] }), ...errors(400, 404, 413) }
+        }
+      },
+      '/api/executions/{id}': {
+        get: {
+          tags: ['Executions'],
+          summary: 'Summary of a stored execution',
+          parameters: [idParameter('id', 'Execution id')],
+          responses: { 200: ok('Summary', ref('ExecutionSession')), ...errors(404) }
+        },
+        delete: {
+          tags: ['Executions'],
+          summary: 'Discard a stored execution',
+          parameters: [idParameter('id', 'Execution id')],
+          responses: { 200: { description: 'Discarded', content: { 'application/json': { schema: object } } }, ...errors(404) }
+        }
+      },
+      '/api/executions/{id}/export': {
+        get: {
+          tags: ['Executions'],
+          summary: 'Export a stored KMP or Rabin-Karp execution as an offline HTML player or SVG frames',
+          parameters: [idParameter('id', 'Execution id'), ...exportQuery],
+          responses: exportResponses
+        }
+      },
+      '/api/executions/{id}/steps': {
+        get: {
+          tags: ['Executions'],
+          summary: 'A window of the step trace',
+          parameters: [
+            idParameter('id', 'Execution id'),
+            { name: 'phase', in: 'query', schema: { enum: ['all', ...PHASES], default: 'all' } },
+            { name: 'from', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 500, default: 50 } }
+          ],
+          responses: {
+            200: ok('Steps', {
+              type: 'object',
+              required: ['executionId', 'phase', 'from', 'limit', 'total', 'hasMore', 'steps'],
+              properties: {
+                executionId: string,
+                phase: string,
+                from: integer,
+                limit: integer,
+                total: integer,
+                hasMore: { type: 'boolean' },
+                steps: { type: 'array', items: ref('SessionStep') }
+              }
+            }),
+            ...errors(400, 404, 413)
+          }
+        }
+      },
+      '/api/executions/{id}/steps/{position}': {
+        get: {
+          tags: ['Executions'],
+          summary: 'A single step',
+          parameters: [
+            idParameter('id', 'Execution id'),
+            { name: 'position', in: 'path', required: true, schema: { type: 'integer', minimum: 0 } },
+            { name: 'phase', in: 'query', schema: { enum: ['all', ...PHASES], default: 'all' } }
+          ],
+          responses: { 200: ok('Step', ref('SessionStep')), ...errors(400, 404, 413) }
+        }
+      },
+      ...paths
+    },
+    components: {
+      schemas: {
+        ...schemas,
+        Challenge: {
+          type: 'object',
+          required: ['id', 'type', 'prompt', 'input', 'questions'],
+          properties: { id: string, type: string, prompt: string, input: object, questions: { type: 'array', items: object } }
+        },
+        ScenarioSummary: {
+          type: 'object',
+          required: ['id', 'name', 'description', 'tags', 'algorithm', 'readOnly', 'createdAt', 'links'],
+          properties: scenarioSummary
+        },
+        Scenario: {
+          type: 'object',
+          required: ['id', 'name', 'description', 'tags', 'algorithm', 'text', 'parameters', 'readOnly', 'createdAt', 'links', 'replay'],
+          properties: {
+            ...scenarioSummary,
+            text: string,
+            pattern: string,
+            parameters: object,
+            replay: {
+              type: 'object',
+              description: 'The same run through the algorithm\'s own /execute',
+              required: ['method', 'path', 'body'],
+              properties: { method: { const: 'POST' }, path: string, body: object }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = { buildOpenApiDocument, schemaPrefix };
@@ -0,0 +1,86 @@
+const { runTrace, limitSteps, replayResult } = require('./utils/trace');
+const { limits } = require('./utils/limits');
+
+// Registered algorithms, keyed by id (also the URL segment under /api)
+const algorithms = new Map();
+
+/**
+ * Registers an algorithm definition
+ * @param {Object} definition - Algorithm definition
+ * @param {string} definition.id - Unique id, used in URLs
+ * @param {Object} definition.parameters - Object schema of the execute request body
+ * @param {Object} definition.info - Metadata returned by the /info route (must include name)
+ * @param {Function} definition.execute - Runs the algorithm with validated parameters
+ * @param {Function} [definition.validate] - Cross-field checks, returns null, a message or { code, message }
+ * @param {Function} [definition.metrics] - Maps a result onto the normalized comparison metrics
+ * @param {Object} [definition.steps] - { preprocessing, matching } step schemas, published in the OpenAPI document
+ */
+function registerAlgorithm(definition) {
+  if (!definition || !definition.id || !definition.info || !definition.parameters ||
+      typeof definition.execute !== 'function') {
+    throw new Error('Algorithm definition requires id, info, parameters and an execute function');
+  }
+  if (algorithms.has(definition.id)) {
+    throw new Error(`Algorithm '${definition.id}' is already registered`);
+  }
+  algorithms.set(definition.id, definition);
+}
+
+/**
+ * Looks up a registered algorithm
+ * @param {string} id - Algorithm id
+ * @returns {Object|undefined} - The definition, if registered
+ */
+function getAlgorithm(id) {
+  return algorithms.get(id);
+}
+
+/**
+ * Lists all registered algorithms in registration order
+ * @returns {Object[]} - Algorithm definitions
+ */
+function listAlgorithms() {
+  return [...algorithms.values()];
+}
+
+/**
+ * Starts a trace of an algorithm run: its own step generator when it has one,
+ * otherwise a replay of the complete /execute result. The trace stops at the configured step and payload limits.
+ * @param {Object} definition - Registered algorithm definition
+ * @param {Object} params - Validated parameters
+ * @param {Object} [usage] - { bytes } shared with other runs of the same request, which then share the payload limit
+ * @returns {Generator} - Yields { phase, step } and returns the execution data without step arrays
+ */
+function traceAlgorithm(definition, params, usage) {
+  const trace = definition.trace ? definition.trace(params) : replayResult(definition.execute(params));
+  return limitSteps(trace, limits.maxSteps, limits.maxTraceBytes, usage);
+}
+
+/**
+ * Runs an algorithm and returns the complete /execute data, enforcing the step and payload limits.
+ * Algorithms with a step generator are stopped as soon as they pass a limit.
+ * @param {Object} definition - Registered algorithm definition
+ * @param {Object} params - Validated parameters
+ * @param {Object} [usage] - { bytes } shared with other runs of the same request
+ * @returns {Object} - Complete algorithm execution data
+ * @throws {ApiError} - STEP_LIMIT_EXCEEDED
+ */
+function runAlgorithm(definition, params, usage) {
+  return runTrace(traceAlgorithm(definition, params, usage));
+}
+
+// Built-in algorithms
+[
+  require('./algorithms/kmp'),
+  require('./algorithms/kmp-automaton'),
+  require('./algorithms/rabin-karp'),
+  require('./algorithms/boyer-moore'),
+  require('./algorithms/z-algorithm'),
+  require('./algorithms/naive'),
+  require('./algorithms/aho-corasick'),
+  require('./algorithms/wildcard'),
+  require('./algorithms/approximate'),
+  require('./algorithms/suffix-array')
+].forEach(module => registerAlgorithm(module.definition));
+
+module.exports = { registerAlgorithm, getAlgorithm, listAlgorithms, traceAlgorithm, runAlgorithm };
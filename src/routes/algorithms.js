@@ -0,0 +1,275 @@
+const express = require('express');
+const { getAlgorithm, listAlgorithms, traceAlgorithm, runAlgorithm } = require('../registry');
+const { checkParameters, parseQueryParameters } = require('../utils/validation');
+const { ApiError, errorBody, sendError } = require('../utils/errors');
+const { runTrace, limitSteps } = require('../utils/trace');
+const { limits } = require('../utils/limits');
+const { createExecutionSession, describeSession } = require('./executions');
+const { encodeCompact } = require('../format/compact');
+const { isExportable, assertExportable, exportExecution, exportOptions, sendExport } = require('../format/export');
+const { withRequestLocale } = require('../i18n');
+
+// Response formats of /execute; compact steps are expanded again by src/format/decode.js
+const FORMATS = ['verbose', 'compact'];
+const PHASES = ['preprocessing', 'matching'];
+
+/**
+ * Validates request parameters against the algorithm's schema and cross-field checks.
+ * Localized algorithms take their message language from Accept-Language when lang is not given.
+ * @param {Object} definition - Registered algorithm definition
+ * @param {Object} input - Request body or parsed query
+ * @param {Object} [req] - Express request, for the Accept-Language header
+ * @returns {Object} - Parameters with defaults applied
+ * @throws {ApiError} - If the parameters are invalid
+ */
+function validateRequest(definition, input, req) {
+  return checkParameters(definition.parameters, withRequestLocale(definition.parameters, input, req), definition.validate);
+}
+
+/**
+ * Validates the request body against the algorithm's schema and executes it
+ * @param {Object} definition - Registered algorithm definition
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function executeAlgorithm(definition, req, res) {
+  try {
+    const params = validateRequest(definition, req.body, req);
+
+    // Session mode: keep the trace server-side and return only the summary
+    if (req.body.session === true || req.query.session === 'true') {
+      return res.json({
+        success: true,
+        data: describeSession(createExecutionSession(definition, params))
+      });
+    }
+
+    const format = req.body.format || req.query.format || 'verbose';
+    if (!FORMATS.includes(format)) {
+      throw new ApiError('INVALID_PARAMETER', `Format must be one of: ${FORMATS.join(', ')}`);
+    }
+
+    const result = runAlgorithm(definition, params);
+
+    res.json({
+      success: true,
+      data: format === 'compact' ? encodeCompact(result, definition.id) : result
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Runs the algorithm and sends its trace as a standalone HTML player or as SVG frames.
+ * The trace stops at the frame limit, so an export that is too long fails before the rest is generated.
+ * @param {Object} definition - Registered algorithm definition
+ * @param {Object} input - Request body or parsed query
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function exportAlgorithm(definition, input, req, res) {
+  try {
+    assertExportable(definition.id);
+    const options = exportOptions(req);
+    const data = runTrace(limitSteps(traceAlgorithm(definition, validateRequest(definition, input, req)), limits.maxExportFrames));
+    const entries = PHASES.flatMap(phase => data[phase].steps.map((step, index) => ({ phase, index, step })));
+
+    sendExport(res, exportExecution(definition, data, entries, entries.length, options), options.download);
+
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Resolves once the response can take more data or the client has gone away
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Streams an execution as Server-Sent Events: one `step` event per step while the
+ * algorithm runs, then a `summary` event with the result (or an `error` event)
+ * @param {Object} definition - Registered algorithm definition
+ * @param {Object} input - Request body or query parameters
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function streamAlgorithm(definition, input, req, res) {
+  let params;
+  try {
+    params = validateRequest(definition, input, req);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  try {
+    const trace = traceAlgorithm(definition, params);
+    const counts = { preprocessing: 0, matching: 0 };
+
+    send('start', { algorithm: definition.id });
+
+    let next = trace.next();
+    while (!next.done && !closed) {
+      const { phase, step } = next.value;
+
+      if (!send('step', { phase, index: counts[phase]++, step })) {
+        await waitForDrain(res);
+      }
+      next = trace.next();
+    }
+
+    if (!closed) {
+      send('summary', { ...next.value, stepCounts: counts });
+    }
+  } catch (error) {
+    if (!(error instanceof ApiError)) {
+      console.error(`${definition.info.name} streaming error:`, error);
+    }
+    send('error', errorBody(error));
+  }
+
+  res.end();
+}
+
+/**
+ * Creates the /execute and /info routes for one algorithm.
+ * Mounted at /api/:id so the original per-algorithm paths keep working.
+ * @param {Object} definition - Registered algorithm definition
+ * @returns {Object} - Express router
+ */
+function createAlgorithmRouter(definition) {
+  const router = express.Router();
+
+  /**
+   * POST /api/:id/execute
+   * Execute the algorithm and return step-by-step visualization data
+   */
+  router.post('/execute', (req, res) => executeAlgorithm(definition, req, res));
+
+  /**
+   * GET|POST /api/:id/execute/stream
+   * Stream the steps as Server-Sent Events (GET takes the parameters from the query string)
+   */
+  router.get('/execute/stream', (req, res) =>
+    streamAlgorithm(definition, parseQueryParameters(definition.parameters, req.query), req, res));
+  router.post('/execute/stream', (req, res) => streamAlgorithm(definition, req.body, req, res));
+
+  /**
+   * GET|POST /api/:id/export?format=html|svg
+   * Export the trace as an offline HTML player or as one SVG frame per step
+   */
+  router.get('/export', (req, res) =>
+    exportAlgorithm(definition, parseQueryParameters(definition.parameters, req.query), req, res));
+  router.post('/export', (req, res) => exportAlgorithm(definition, req.body, req, res));
+
+  /**
+   * GET /api/:id/info
+   * Get information about the algorithm
+   */
+  router.get('/info', (req, res) => {
+    res.json(definition.info);
+  });
+
+  return router;
+}
+
+const router = express.Router();
+
+/**
+ * GET /api/algorithms
+ * List every registered algorithm with its parameter schema
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: listAlgorithms().map(definition => ({
+      id: definition.id,
+      name: definition.info.name,
+      description: definition.info.description,
+      parameters: definition.parameters,
+      comparable: typeof definition.metrics === 'function',
+      streaming: typeof definition.trace === 'function',
+      exportable: isExportable(definition.id),
+      endpoints: {
+        info: `/api/algorithms/${definition.id}/info`,
+        execute: `/api/algorithms/${definition.id}/execute`,
+        stream: `/api/algorithms/${definition.id}/execute/stream`,
+        export: `/api/algorithms/${definition.id}/export`
+      }
+    }))
+  });
+});
+
+/**
+ * Resolves :id to a registered algorithm or responds with 404
+ */
+router.param('id', (req, res, next, id) => {
+  const definition = getAlgorithm(id);
+
+  if (!definition) {
+    return sendError(res, new ApiError('UNKNOWN_ALGORITHM',
+      `Unknown algorithm '${id}'. Available: ${listAlgorithms().map(entry => entry.id).join(', ')}`));
+  }
+
+  req.algorithm = definition;
+  next();
+});
+
+/**
+ * GET /api/algorithms/:id/info
+ * Get information about one algorithm
+ */
+router.get('/:id/info', (req, res) => {
+  res.json(req.algorithm.info);
+});
+
+/**
+ * POST /api/algorithms/:id/execute
+ * Execute one algorithm and return step-by-step visualization data
+ */
+router.post('/:id/execute', (req, res) => executeAlgorithm(req.algorithm, req, res));
+
+/**
+ * GET|POST /api/algorithms/:id/execute/stream
+ * Stream one algorithm's steps as Server-Sent Events
+ */
+router.get('/:id/execute/stream', (req, res) =>
+  streamAlgorithm(req.algorithm, parseQueryParameters(req.algorithm.parameters, req.query), req, res));
+router.post('/:id/execute/stream', (req, res) => streamAlgorithm(req.algorithm, req.body, req, res));
+
+/**
+ * GET|POST /api/algorithms/:id/export?format=html|svg
+ * Export one algorithm's trace as an offline HTML player or as SVG frames
+ */
+router.get('/:id/export', (req, res) =>
+  exportAlgorithm(req.algorithm, parseQueryParameters(req.algorithm.parameters, req.query), req, res));
+router.post('/:id/export', (req, res) => exportAlgorithm(req.algorithm, req.body, req, res));
+
+module.exports = { router, createAlgorithmRouter, executeAlgorithm, exportAlgorithm, validateRequest };
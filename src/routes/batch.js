@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const { getAlgorithm, listAlgorithms, traceAlgorithm, runAlgorithm } = require('../registry');
+const { drainTrace } = require('../utils/trace');
+const { ApiError, errorBody, sendError } = require('../utils/errors');
+const { validateRequest } = require('./algorithms');
+
+// Largest number of jobs accepted in one batch
+const MAX_JOBS = 200;
+
+/**
+ * Runs one job. Failures are reported in the job's entry instead of failing the batch.
+ * @param {Object} job - { id, algorithm, parameters }
+ * @param {number} index - Position of the job in the request
+ * @param {boolean} includeSteps - Return the full /execute data instead of only the result block
+ * @param {Object} req - Express request; its Accept-Language applies to every job without lang
+ * @param {Object} usage - { bytes } of steps kept by the earlier jobs, shared by the whole batch
+ * @returns {Object} - Job entry of the response
+ */
+function runJob(job, index, includeSteps, req, usage) {
+  const entry = { index, id: job && job.id !== undefined ? job.id : null, algorithm: job ? job.algorithm : undefined };
+
+  try {
+    if (!job || typeof job !== 'object' || Array.isArray(job)) {
+      throw new ApiError('INVALID_PARAMETER', 'Each job must be an object with algorithm and parameters');
+    }
+
+    const definition = getAlgorithm(job.algorithm);
+    if (!definition) {
+      throw new ApiError('UNKNOWN_ALGORITHM',
+        `Unknown algorithm '${job.algorithm}'. Available: ${listAlgorithms().map(available => available.id).join(', ')}`);
+    }
+
+    const params = validateRequest(definition, job.parameters, req);
+    const start = process.hrtime.bigint();
+    let output;
+
+    if (includeSteps) {
+      // The steps of every job count against one payload limit; a failed job gives its share back
+      const used = usage.bytes;
+      try {
+        output = { data: runAlgorithm(definition, params, usage) };
+      } catch (error) {
+        usage.bytes = used;
+        throw error;
+      }
+    } else {
+      // Steps are generated but not kept, so large batches stay small
+      const { summary, stepCounts } = drainTrace(traceAlgorithm(definition, params));
+      output = { result: summary.result, stepCounts };
+    }
+
+    return { ...entry, success: true, ...output, wallClockMs: Number(process.hrtime.bigint() - start) / 1e6 };
+  } catch (error) {
+    if (!(error instanceof ApiError)) {
+      console.error(`Batch job ${index} error:`, error);
+    }
+    return { ...entry, ...errorBody(error) };
+  }
+}
+
+/**
+ * Runs the jobs of a batch in order
+ * @param {Object[]} jobs - { id?, algorithm, parameters } objects
+ * @param {boolean} includeSteps - Return the full /execute data of each job
+ * @param {Object} [req] - Express request, for the Accept-Language header
+ * @returns {Object[]} - One entry per job
+ */
+function runJobs(jobs, includeSteps, req) {
+  const usage = { bytes: 0 };
+  return jobs.map((job, index) => runJob(job, index, includeSteps, req, usage));
+}
+
+/**
+ * POST /api/batch
+ * Run many jobs ({ id?, algorithm, parameters }) in one request, each succeeding or failing on its own
+ */
+router.post('/', (req, res) => {
+  const { jobs, includeSteps = true } = req.body;
+
+  if (!Array.isArray(jobs) || jobs.length === 0) {
+    return sendError(res, new ApiError('MISSING_PARAMETER', 'Jobs must be a non-empty array of { algorithm, parameters } objects'));
+  }
+  if (jobs.length > MAX_JOBS) {
+    return sendError(res, new ApiError('INPUT_TOO_LARGE', `A batch can contain at most ${MAX_JOBS} jobs`, { limit: MAX_JOBS, length: jobs.length }));
+  }
+  if (typeof includeSteps !== 'boolean') {
+    return sendError(res, new ApiError('INVALID_PARAMETER', 'includeSteps must be a boolean'));
+  }
+
+  const start = process.hrtime.bigint();
+  const results = runJobs(jobs, includeSteps, req);
+  const succeeded = results.filter(entry => entry.success).length;
+
+  res.json({
+    success: true,
+    data: {
+      jobs: results,
+      summary: {
+        total: results.length,
+        succeeded: succeeded,
+        failed: results.length - succeeded,
+        wallClockMs: Number(process.hrtime.bigint() - start) / 1e6
+      }
+    }
+  });
+});
+
+module.exports = { router, runJobs };
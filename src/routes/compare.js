@@ -0,0 +1,106 @@
+const express = require('express');
+const router = express.Router();
+const { listAlgorithms, runAlgorithm } = require('../registry');
+const { checkParameters, textPatternParameters, patternFitsText } = require('../utils/validation');
+const { ApiError, sendError } = require('../utils/errors');
+const { isDefaultUnits } = require('../utils/units');
+
+/**
+ * Algorithms that can be compared: those whose registry entry has a metrics normalizer
+ * @returns {Map<string, Object>} - Definitions keyed by id
+ */
+function comparableAlgorithms() {
+  return new Map(listAlgorithms()
+    .filter(definition => typeof definition.metrics === 'function')
+    .map(definition => [definition.id, definition]));
+}
+
+/**
+ * POST /api/compare
+ * Run several algorithms on the same input and return normalized metrics
+ */
+router.post('/', (req, res) => {
+  try {
+    const algorithms = comparableAlgorithms();
+    const selected = req.body.algorithms || [...algorithms.keys()];
+
+    const params = checkParameters(textPatternParameters, req.body, patternFitsText);
+
+    if (!Array.isArray(selected) || selected.length === 0) {
+      throw new ApiError('INVALID_PARAMETER', 'Algorithms must be a non-empty array of algorithm ids');
+    }
+
+    // A bad id in the body is invalid input rather than a missing resource
+    const unknown = selected.filter(id => !algorithms.has(id));
+    if (unknown.length > 0) {
+      throw new ApiError('INVALID_PARAMETER',
+        `Unknown algorithm(s): ${unknown.join(', ')}. Available: ${[...algorithms.keys()].join(', ')}`, { unknown });
+    }
+
+    // Only some algorithms honour unit options, so their positions would not be comparable
+    if (!isDefaultUnits(req.body)) {
+      throw new ApiError('INVALID_PARAMETER',
+        'unit, normalization and caseFold are not supported by every algorithm and cannot be used in a comparison; run /execute per algorithm instead',
+        { unsupported: ['unit', 'normalization', 'caseFold'].filter(name => req.body[name] !== undefined) });
+    }
+
+    // Algorithm-specific options (base, modulo) are passed through; multi-pattern input is not compared
+    const body = { ...req.body, text: params.text, pattern: params.pattern, patterns: undefined };
+
+    // Run every selected algorithm on the same input
+    const results = [...new Set(selected)].map(id => {
+      const algorithm = algorithms.get(id);
+      const options = checkParameters(algorithm.parameters, body, algorithm.validate);
+      const start = process.hrtime.bigint();
+      const data = runAlgorithm(algorithm, options);
+      const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+
+      return {
+        id: id,
+        name: algorithm.info.name,
+        matches: data.result.matches,
+        matchCount: data.result.matchCount,
+        metrics: {
+          ...algorithm.metrics(data),
+          steps: data.preprocessing.steps.length + data.matching.steps.length,
+          wallClockMs: elapsed
+        },
+        timeComplexity: data.result.timeComplexity
+      };
+    });
+
+    // Check that every algorithm found the same matches
+    const reference = results[0].matches;
+    const disagreeing = results
+      .filter(entry => JSON.stringify(entry.matches) !== JSON.stringify(reference))
+      .map(entry => entry.id);
+
+    const byComparisons = [...results].sort((a, b) =>
+      (a.metrics.charComparisons + a.metrics.hashOperations) - (b.metrics.charComparisons + b.metrics.hashOperations));
+    const byTime = [...results].sort((a, b) => a.metrics.wallClockMs - b.metrics.wallClockMs);
+
+    res.json({
+      success: true,
+      data: {
+        text: params.text,
+        pattern: params.pattern,
+        results: results,
+        agreement: {
+          consistent: disagreeing.length === 0,
+          matches: reference,
+          disagreeing: disagreeing
+        },
+        summary: {
+          fewestOperations: byComparisons[0].id,
+          fastest: byTime[0].id,
+          note: 'wallClockMs includes building the step trace, so it reflects visualization cost as well as matching cost.'
+        }
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const path = require('path');
+const express = require('express');
+const router = express.Router();
+const { buildOpenApiDocument } = require('../openapi');
+
+// The document only depends on the registered algorithms, so it is built once
+let openApiDocument = null;
+
+/**
+ * GET /api/openapi.json
+ * OpenAPI 3.1 description of every route, request body and step type
+ */
+router.get('/openapi.json', (req, res) => {
+  openApiDocument = openApiDocument || buildOpenApiDocument();
+  res.json(openApiDocument);
+});
+
+/**
+ * GET /api/docs
+ * Browser explorer for the OpenAPI document
+ */
+router.get('/docs', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/explorer.html'));
+});
+
+module.exports = router;
@@ -0,0 +1,232 @@
+const express = require('express');
+const router = express.Router();
+const { getAlgorithm, traceAlgorithm } = require('../registry');
+const { sessions } = require('../sessions');
+const { ApiError, sendError } = require('../utils/errors');
+const { exportExecution, exportOptions, sendExport } = require('../format/export');
+
+const PHASES = ['preprocessing', 'matching'];
+const MAX_SLICE = 500;
+
+/**
+ * Runs an algorithm and stores the execution as a session.
+ * Steps are only kept while the trace fits into the per-session limit; longer traces are replayed on demand.
+ * @param {Object} definition - Registered algorithm definition
+ * @param {Object} params - Validated parameters
+ * @returns {Object} - The stored session
+ */
+function createExecutionSession(definition, params) {
+  const limit = sessions.stats().maxStepsPerSession;
+  const trace = traceAlgorithm(definition, params);
+  const counts = { preprocessing: 0, matching: 0 };
+  let steps = { preprocessing: [], matching: [] };
+
+  let next = trace.next();
+  while (!next.done) {
+    const { phase, step } = next.value;
+    counts[phase]++;
+
+    if (steps && counts.preprocessing + counts.matching > limit) {
+      steps = null;
+    }
+    if (steps) {
+      steps[phase].push(step);
+    }
+    next = trace.next();
+  }
+
+  return sessions.create({
+    algorithm: definition.id,
+    params: params,
+    summary: next.value,
+    stepCounts: counts,
+    steps: steps
+  });
+}
+
+/**
+ * Public view of a session (everything except the stored steps)
+ * @param {Object} session - Stored session
+ * @returns {Object} - Session metadata and summary
+ */
+function describeSession(session) {
+  return {
+    executionId: session.id,
+    algorithmId: session.algorithm,
+    expiresAt: new Date(session.expiresAt).toISOString(),
+    stepCounts: session.stepCounts,
+    stepsStored: session.steps !== null,
+    ...session.summary
+  };
+}
+
+/**
+ * Yields { phase, index, step } for the requested phase, from the stored trace or by replaying the algorithm
+ * @param {Object} session - Stored session
+ * @param {string} phase - 'preprocessing', 'matching' or 'all'
+ * @returns {Generator} - Steps in trace order
+ */
+function* sessionSteps(session, phase) {
+  const phases = phase === 'all' ? PHASES : [phase];
+
+  if (session.steps) {
+    for (const name of phases) {
+      for (let index = 0; index < session.steps[name].length; index++) {
+        yield { phase: name, index, step: session.steps[name][index] };
+      }
+    }
+    return;
+  }
+
+  const counts = { preprocessing: 0, matching: 0 };
+  const trace = traceAlgorithm(getAlgorithm(session.algorithm), session.params);
+
+  for (let next = trace.next(); !next.done; next = trace.next()) {
+    const index = counts[next.value.phase]++;
+    if (phases.includes(next.value.phase)) {
+      yield { phase: next.value.phase, index, step: next.value.step };
+    }
+  }
+}
+
+/**
+ * Resolves :id to a live session or responds with 404
+ */
+router.param('id', (req, res, next, id) => {
+  const session = sessions.get(id);
+
+  if (!session) {
+    return sendError(res, new ApiError('NOT_FOUND', `Execution '${id}' does not exist or has expired`));
+  }
+
+  req.execution = session;
+  next();
+});
+
+/**
+ * Parses the phase query parameter
+ * @param {Object} query - Request query
+ * @returns {string|null} - Phase name, or null if invalid
+ */
+function parsePhase(query) {
+  const phase = query.phase || 'all';
+  return phase === 'all' || PHASES.includes(phase) ? phase : null;
+}
+
+/**
+ * GET /api/executions/:id
+ * Get the summary of a stored execution
+ */
+router.get('/:id', (req, res) => {
+  res.json({
+    success: true,
+    data: describeSession(req.execution)
+  });
+});
+
+/**
+ * GET /api/executions/:id/steps?phase=matching&from=200&limit=50
+ * Get a window of the step trace
+ */
+router.get('/:id/steps', (req, res) => {
+  const phase = parsePhase(req.query);
+  const from = req.query.from === undefined ? 0 : Number(req.query.from);
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+  if (!phase) {
+    return sendError(res, new ApiError('INVALID_PARAMETER', `Phase must be one of: all, ${PHASES.join(', ')}`));
+  }
+
+  if (!Number.isInteger(from) || from < 0 || !Number.isInteger(limit) || limit < 1 || limit > MAX_SLICE) {
+    return sendError(res, new ApiError('INVALID_PARAMETER', `from must be a non-negative integer and limit an integer between 1 and ${MAX_SLICE}`));
+  }
+
+  const total = phase === 'all'
+    ? req.execution.stepCounts.preprocessing + req.execution.stepCounts.matching
+    : req.execution.stepCounts[phase];
+  const steps = [];
+  let position = 0;
+
+  for (const entry of sessionSteps(req.execution, phase)) {
+    if (position >= from + limit) {
+      break;
+    }
+    if (position >= from) {
+      steps.push(entry);
+    }
+    position++;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      executionId: req.execution.id,
+      phase: phase,
+      from: from,
+      limit: limit,
+      total: total,
+      hasMore: from + steps.length < total,
+      steps: steps
+    }
+  });
+});
+
+/**
+ * GET /api/executions/:id/steps/:position?phase=matching
+ * Seek to a single step. Sessions whose trace was too long to store rebuild it by replaying the algorithm.
+ */
+router.get('/:id/steps/:position', (req, res) => {
+  const phase = parsePhase(req.query);
+  const position = Number(req.params.position);
+
+  if (!phase || !Number.isInteger(position) || position < 0) {
+    return sendError(res, new ApiError('INVALID_PARAMETER', `Position must be a non-negative integer and phase one of: all, ${PHASES.join(', ')}`));
+  }
+
+  let current = 0;
+  for (const entry of sessionSteps(req.execution, phase)) {
+    if (current === position) {
+      return res.json({
+        success: true,
+        data: {
+          executionId: req.execution.id,
+          position: position,
+          source: req.execution.steps ? 'stored' : 'replayed',
+          ...entry
+        }
+      });
+    }
+    current++;
+  }
+
+  sendError(res, new ApiError('NOT_FOUND', `Step ${position} is out of range (${current} step(s) in phase '${phase}')`));
+});
+
+/**
+ * GET /api/executions/:id/export?format=html|svg
+ * Export a stored execution as an offline HTML player or as SVG frames
+ */
+router.get('/:id/export', (req, res) => {
+  try {
+    const { stepCounts } = req.execution;
+    const options = exportOptions(req);
+    const artifact = exportExecution(getAlgorithm(req.execution.algorithm), req.execution.summary,
+      sessionSteps(req.execution, 'all'), stepCounts.preprocessing + stepCounts.matching, options);
+
+    sendExport(res, artifact, options.download);
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/executions/:id
+ * Discard a stored execution
+ */
+router.delete('/:id', (req, res) => {
+  sessions.remove(req.execution.id);
+  res.json({ success: true });
+});
+
+module.exports = { router, createExecutionSession, describeSession };
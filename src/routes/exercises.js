@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const { listExercises, createChallenge, decodeChallenge, gradeAnswers } = require('../exercises');
+const { ApiError, sendError } = require('../utils/errors');
+
+/**
+ * GET /api/exercises
+ * List the exercise types and their parameters
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: listExercises().map(exercise => ({
+      type: exercise.type,
+      description: exercise.description,
+      parameters: exercise.parameters
+    }))
+  });
+});
+
+/**
+ * POST /api/exercises
+ * Create a challenge; answers are graded with POST /api/exercises/:id/answers
+ */
+router.post('/', (req, res) => {
+  try {
+    res.json({ success: true, data: createChallenge(req.body.type, req.body) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Resolves :id to a challenge or responds with 404
+ */
+router.param('id', (req, res, next, id) => {
+  const challenge = decodeChallenge(id);
+
+  if (!challenge) {
+    return sendError(res, new ApiError('NOT_FOUND', `'${id}' is not a valid challenge id`));
+  }
+
+  req.challenge = challenge;
+  next();
+});
+
+/**
+ * GET /api/exercises/:id
+ * Show a challenge again
+ */
+router.get('/:id', (req, res) => {
+  const { exercise, input } = req.challenge;
+
+  res.json({
+    success: true,
+    data: { id: req.params.id, type: exercise.type, ...exercise.challenge(input) }
+  });
+});
+
+/**
+ * POST /api/exercises/:id/answers
+ * Grade { answers: [...] } (one per question, in order) and explain the first wrong one
+ */
+router.post('/:id/answers', (req, res) => {
+  const { answers } = req.body;
+
+  if (!Array.isArray(answers)) {
+    return sendError(res, new ApiError('INVALID_PARAMETER', 'Answers must be an array with one answer per question'));
+  }
+
+  try {
+    res.json({
+      success: true,
+      data: { id: req.params.id, ...gradeAnswers(req.challenge, answers) }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
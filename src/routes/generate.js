@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const { listRecipes, getRecipe, generateInput } = require('../generators');
+const { checkParameters } = require('../utils/validation');
+const { ApiError, sendError } = require('../utils/errors');
+
+/**
+ * GET /api/generate
+ * List the input recipes and their parameters
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: listRecipes().map(recipe => ({
+      id: recipe.id,
+      algorithm: recipe.algorithm,
+      description: recipe.description,
+      parameters: recipe.parameters
+    }))
+  });
+});
+
+/**
+ * POST /api/generate
+ * Generate an input from a named recipe, together with the matches it should produce
+ */
+router.post('/', (req, res) => {
+  try {
+    const recipe = getRecipe(req.body.recipe);
+
+    if (!recipe) {
+      throw new ApiError('INVALID_PARAMETER', `Recipe must be one of: ${listRecipes().map(entry => entry.id).join(', ')}`);
+    }
+
+    const params = checkParameters(recipe.parameters, req.body, recipe.validate);
+    const { value, error } = generateInput(recipe, params);
+
+    if (error) {
+      throw new ApiError('GENERATION_FAILED', error);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        recipe: recipe.id,
+        algorithm: recipe.algorithm,
+        parameters: params,
+        ...value
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
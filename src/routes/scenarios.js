@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const { getAlgorithm, listAlgorithms } = require('../registry');
+const { scenarios, validateScenario, scenarioInput } = require('../scenarios');
+const { ApiError, sendError } = require('../utils/errors');
+const { parseQueryParameters } = require('../utils/validation');
+const { executeAlgorithm } = require('./algorithms');
+
+/**
+ * A scenario as returned by the API, with the requests that replay it
+ * @param {Object} scenario - Stored scenario
+ * @returns {Object}
+ */
+function describeScenario(scenario) {
+  return {
+    ...scenario,
+    links: {
+      self: `/api/scenarios/${scenario.id}`,
+      execute: `/api/scenarios/${scenario.id}/execute`
+    },
+    replay: {
+      method: 'POST',
+      path: `/api/${scenario.algorithm}/execute`,
+      body: scenarioInput(scenario)
+    }
+  };
+}
+
+/**
+ * GET /api/scenarios?algorithm=kmp&tag=demo
+ * List the built-in and saved scenarios, without their input
+ */
+router.get('/', (req, res) => {
+  try {
+    const { algorithm, tag } = req.query;
+    const filter = {
+      algorithm: typeof algorithm === 'string' ? algorithm : undefined,
+      tag: typeof tag === 'string' ? tag : undefined
+    };
+
+    res.json({
+      success: true,
+      data: scenarios.list(filter).map(({ id, name, description, tags, algorithm: algorithmId, readOnly, createdAt }) => ({
+        id,
+        name,
+        description,
+        tags,
+        algorithm: algorithmId,
+        readOnly,
+        createdAt,
+        links: { self: `/api/scenarios/${id}`, execute: `/api/scenarios/${id}/execute` }
+      }))
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/scenarios
+ * Save { name, description?, tags?, algorithm, text, pattern?, parameters? } under a short id
+ */
+router.post('/', (req, res) => {
+  try {
+    const scenario = scenarios.create(validateScenario(req.body));
+    res.status(201).json({ success: true, data: describeScenario(scenario) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Resolves :id to a scenario or responds with 404
+ */
+router.param('id', (req, res, next, id) => {
+  let scenario;
+  try {
+    scenario = scenarios.get(id);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  if (!scenario) {
+    return sendError(res, new ApiError('NOT_FOUND', `Scenario '${id}' not found`));
+  }
+
+  req.scenario = scenario;
+  next();
+});
+
+/**
+ * GET /api/scenarios/:id
+ * Show one scenario with its input
+ */
+router.get('/:id', (req, res) => {
+  res.json({ success: true, data: describeScenario(req.scenario) });
+});
+
+/**
+ * GET|POST /api/scenarios/:id/execute
+ * Replay a scenario through its algorithm's /execute. Options of /execute that the scenario
+ * does not set (format, session, lang, verbosity) can be added in the body, or in the query of a GET.
+ */
+function replayScenario(req, res) {
+  const definition = getAlgorithm(req.scenario.algorithm);
+
+  if (!definition) {
+    return sendError(res, new ApiError('UNKNOWN_ALGORITHM',
+      `Scenario '${req.scenario.id}' uses algorithm '${req.scenario.algorithm}', which is not available. Available: ${listAlgorithms().map(entry => entry.id).join(', ')}`));
+  }
+
+  const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+  const options = req.method === 'GET' ? parseQueryParameters(definition.parameters, req.query) : body;
+  req.body = { ...options, ...scenarioInput(req.scenario) };
+  executeAlgorithm(definition, req, res);
+}
+
+router.get('/:id/execute', replayScenario);
+router.post('/:id/execute', replayScenario);
+
+/**
+ * DELETE /api/scenarios/:id
+ * Delete a saved scenario; built-in examples are read-only
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    scenarios.remove(req.scenario.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { searchParameters, validateSearch, createFileSearch } = require('../search');
+const { checkParameters, parseQueryParameters } = require('../utils/validation');
+const { ApiError, sendError } = require('../utils/errors');
+const { limits } = require('../utils/limits');
+
+const uploadTooLarge = bytes => new ApiError('INPUT_TOO_LARGE', `Uploads are limited to ${limits.maxUploadBytes} bytes`, {
+  limit: limits.maxUploadBytes,
+  length: bytes
+});
+
+/**
+ * POST /api/search?pattern=...&algorithm=kmp|rabin-karp
+ * Search a UTF-8 file sent as the raw request body. The body is read in chunks and never buffered,
+ * and no steps are recorded; matches are reported with offsets and line/column numbers.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const type = req.headers['content-type'] || '';
+    if (type.startsWith('multipart/') || type.startsWith('application/json')) {
+      throw new ApiError('INVALID_PARAMETER',
+        'Send the file as the raw request body with a text/plain or application/octet-stream content type (curl --data-binary @file)');
+    }
+
+    const params = checkParameters(searchParameters, parseQueryParameters(searchParameters, req.query), validateSearch);
+
+    const declared = Number(req.headers['content-length']);
+    if (declared > limits.maxUploadBytes) {
+      throw uploadTooLarge(declared);
+    }
+
+    const search = createFileSearch(params);
+    const start = process.hrtime.bigint();
+    let received = 0;
+
+    for await (const chunk of req) {
+      received += chunk.length;
+      if (received > limits.maxUploadBytes) {
+        throw uploadTooLarge(received);
+      }
+      search.write(chunk);
+    }
+
+    res.json({
+      success: true,
+      data: { ...search.end(), wallClockMs: Number(process.hrtime.bigint() - start) / 1e6 }
+    });
+
+  } catch (error) {
+    // The rest of an unread upload is not drained
+    if (!req.complete) {
+      res.set('Connection', 'close');
+    }
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getAlgorithm, listAlgorithms } = require('./registry');
+const { ApiError } = require('./utils/errors');
+const { checkParameters, textProperty, patternProperty } = require('./utils/validation');
+const { limits } = require('./utils/limits');
+
+const ID_ALPHABET = 'abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ID_LENGTH = 8;
+const FILE_VERSION = 1;
+
+/**
+ * Body of POST /api/scenarios. parameters holds the algorithm's other options (base, patterns, unit, ...).
+ */
+const scenarioParameters = {
+  type: 'object',
+  required: ['name', 'algorithm', 'text'],
+  properties: {
+    name: { type: 'string', title: 'name', minLength: 1, maxLength: 100, description: 'Short name shown in scenario lists' },
+    description: { type: 'string', title: 'description', maxLength: 1000, default: '', description: 'What the scenario demonstrates' },
+    tags: {
+      type: 'array',
+      title: 'tags',
+      maxItems: 20,
+      items: { type: 'string', title: 'tag', minLength: 1, maxLength: 40 },
+      default: [],
+      description: 'Labels to filter the list by'
+    },
+    algorithm: { type: 'string', title: 'algorithm', description: 'Id of the algorithm the scenario runs' },
+    text: textProperty,
+    pattern: patternProperty,
+    parameters: { type: 'object', title: 'parameters', default: {}, description: 'Other parameters of the algorithm' }
+  }
+};
+
+/**
+ * Random id that is short enough to share; the alphabet leaves out look-alike characters
+ * @returns {string}
+ */
+function randomId() {
+  const bytes = crypto.randomBytes(ID_LENGTH);
+  return Array.from(bytes, byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+}
+
+/**
+ * The /execute body a scenario replays
+ * @param {Object} scenario - Stored scenario
+ * @returns {Object} - { text, pattern?, ...parameters }
+ */
+function scenarioInput({ text, pattern, parameters }) {
+  return pattern === undefined ? { ...parameters, text } : { ...parameters, text, pattern };
+}
+
+/**
+ * Validates a new scenario, including that its input is accepted by the algorithm.
+ * Parameters the algorithm does not know are dropped.
+ * @param {Object} body - Request body
+ * @returns {Object} - { name, description, tags, algorithm, text, pattern?, parameters }
+ * @throws {ApiError} - If the scenario or its algorithm input is invalid
+ */
+function validateScenario(body) {
+  const scenario = checkParameters(scenarioParameters, body);
+  const definition = getAlgorithm(scenario.algorithm);
+
+  // An unknown id in the body is invalid input rather than a missing resource
+  if (!definition) {
+    throw new ApiError('INVALID_PARAMETER',
+      `Unknown algorithm '${scenario.algorithm}'. Available: ${listAlgorithms().map(entry => entry.id).join(', ')}`);
+  }
+
+  const known = Object.keys(definition.parameters.properties).filter(name => name !== 'text' && name !== 'pattern');
+  const parameters = Object.fromEntries(Object.entries(scenario.parameters).filter(([name]) => known.includes(name)));
+  const entry = { ...scenario, parameters };
+
+  checkParameters(definition.parameters, scenarioInput(entry), definition.validate);
+  return entry;
+}
+
+/**
+ * Read-only scenarios built from the examples of every algorithm's /info
+ * @returns {Object[]} - Scenarios with ids such as kmp-1
+ */
+function builtInScenarios() {
+  return listAlgorithms().flatMap(definition => (definition.info.examples || []).map(({ text, pattern, ...parameters }, index) => ({
+    id: `${definition.id}-${index + 1}`,
+    name: `${definition.info.name}: example ${index + 1}`,
+    description: `Example ${index + 1} of /api/${definition.id}/info`,
+    tags: ['example', definition.id],
+    algorithm: definition.id,
+    text,
+    ...(pattern === undefined ? {} : { pattern }),
+    parameters,
+    readOnly: true,
+    createdAt: null
+  })));
+}
+
+/**
+ * Creates a scenario store that keeps saved scenarios in a JSON file next to a set of read-only ones.
+ * The file is read on first use and replaced atomically (write, then rename) on every change.
+ * @param {Object} options - Store options
+ * @param {string} options.file - Path of the JSON file; its directory is created when needed
+ * @param {Function} options.builtIns - Returns the read-only scenarios
+ * @param {number} options.maxScenarios - Maximum number of saved scenarios
+ * @param {Function} [options.now] - Clock, injectable for tests
+ * @returns {Object} - Store with list, get, create, remove and stats
+ */
+function createScenarioStore({ file, builtIns, maxScenarios, now = Date.now }) {
+  let saved = null;
+  let fixed = null;
+
+  function load() {
+    if (saved) {
+      return;
+    }
+
+    let contents = null;
+    try {
+      contents = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    // A damaged file is reported on every call instead of being overwritten with an empty store
+    const data = contents === null ? { version: FILE_VERSION, scenarios: [] } : JSON.parse(contents);
+    if (data.version !== FILE_VERSION || !Array.isArray(data.scenarios)) {
+      throw new Error(`Unsupported scenario file ${file}`);
+    }
+
+    fixed = new Map(builtIns().map(scenario => [scenario.id, scenario]));
+    saved = new Map(data.scenarios.map(scenario => [scenario.id, scenario]));
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify({ version: FILE_VERSION, scenarios: [...saved.values()] }, null, 2));
+    fs.renameSync(temporary, file);
+  }
+
+  /**
+   * Lists the read-only scenarios, then the saved ones in creation order
+   * @param {Object} [filter] - { algorithm, tag }
+   * @returns {Object[]}
+   */
+  function list({ algorithm, tag } = {}) {
+    load();
+    return [...fixed.values(), ...saved.values()].filter(scenario =>
+      (algorithm === undefined || scenario.algorithm === algorithm) && (tag === undefined || scenario.tags.includes(tag)));
+  }
+
+  /**
+   * Looks up a scenario
+   * @param {string} id - Scenario id
+   * @returns {Object|undefined}
+   */
+  function get(id) {
+    load();
+    return fixed.get(id) || saved.get(id);
+  }
+
+  /**
+   * Saves a validated scenario under a new id
+   * @param {Object} entry - Result of validateScenario
+   * @returns {Object} - The stored scenario
+   * @throws {ApiError} - INPUT_TOO_LARGE when the store is full
+   */
+  function create(entry) {
+    load();
+    if (saved.size >= maxScenarios) {
+      throw new ApiError('INPUT_TOO_LARGE', `At most ${maxScenarios} scenarios can be saved; delete some first`, { limit: maxScenarios });
+    }
+
+    let id = randomId();
+    while (fixed.has(id) || saved.has(id)) {
+      id = randomId();
+    }
+
+    const scenario = { id, ...entry, readOnly: false, createdAt: new Date(now()).toISOString() };
+    saved.set(id, scenario);
+    try {
+      persist();
+    } catch (error) {
+      saved.delete(id);
+      throw error;
+    }
+    return scenario;
+  }
+
+  /**
+   * Deletes a saved scenario
+   * @param {string} id - Scenario id
+   * @returns {boolean} - False if there is no such scenario
+   * @throws {ApiError} - READ_ONLY for a built-in scenario
+   */
+  function remove(id) {
+    load();
+    if (fixed.has(id)) {
+      throw new ApiError('READ_ONLY', `Scenario '${id}' is a built-in example and cannot be deleted`);
+    }
+
+    const scenario = saved.get(id);
+    if (!scenario) {
+      return false;
+    }
+    saved.delete(id);
+    try {
+      persist();
+    } catch (error) {
+      saved.set(id, scenario);
+      throw error;
+    }
+    return true;
+  }
+
+  function stats() {
+    load();
+    return { builtIn: fixed.size, saved: saved.size, maxScenarios, file };
+  }
+
+  return { list, get, create, remove, stats };
+}
+
+// Shared store used by the routes
+const scenarios = createScenarioStore({
+  file: process.env.SCENARIO_FILE || path.join(__dirname, '..', 'data', 'scenarios.json'),
+  builtIns: builtInScenarios,
+  maxScenarios: limits.maxScenarios
+});
+
+module.exports = { scenarioParameters, validateScenario, scenarioInput, builtInScenarios, createScenarioStore, scenarios };
@@ -0,0 +1,153 @@
+const { createKmpScanner } = require('./algorithms/kmp');
+const { createRabinKarpScanner } = require('./algorithms/rabin-karp');
+const { checkHashParameters } = require('./utils/hashing');
+const { patternProperty } = require('./utils/validation');
+const { limits } = require('./utils/limits');
+
+// Matchers with a fast path that records no steps
+const scanners = {
+  kmp: ({ pattern }) => createKmpScanner(pattern),
+  'rabin-karp': ({ pattern, base, modulo }) => createRabinKarpScanner(pattern, base, modulo)
+};
+
+/**
+ * Query parameters of a file search; the file itself is the request body
+ */
+const searchParameters = {
+  type: 'object',
+  required: ['pattern'],
+  properties: {
+    pattern: patternProperty,
+    algorithm: { type: 'string', title: 'algorithm', enum: Object.keys(scanners), default: 'kmp', description: 'Matcher to run' },
+    base: { type: 'integer', title: 'base', minimum: 2, default: 256, errorCode: 'INVALID_BASE', description: 'Rabin-Karp hash base' },
+    modulo: {
+      type: 'integer',
+      title: 'modulo',
+      minimum: 2,
+      default: 1000003,
+      errorCode: 'INVALID_MODULUS',
+      description: 'Rabin-Karp prime modulus; large enough that spurious hits stay rare on real text'
+    },
+    maxMatches: {
+      type: 'integer',
+      title: 'maxMatches',
+      minimum: 0,
+      maximum: limits.maxSearchMatches,
+      default: 1000,
+      description: 'Number of occurrences listed in the response; all of them are counted'
+    }
+  }
+};
+
+/**
+ * Cross-field check of a file search
+ * @param {Object} params - Validated parameters
+ * @returns {Object|null} - { code, message }, or null if valid
+ */
+function validateSearch({ algorithm, base, modulo }) {
+  if (algorithm !== 'rabin-karp') {
+    return null;
+  }
+
+  // The file is not known yet, so the overflow check assumes the largest code unit
+  const { error, code } = checkHashParameters({ scheme: 'single', base, modulo }, ['\uffff']);
+  return error ? { code, message: error } : null;
+}
+
+/**
+ * Number of UTF-8 bytes of a UTF-16 code unit. A surrogate pair takes four bytes, all counted at the high surrogate.
+ * @param {number} code - UTF-16 code unit
+ * @returns {number}
+ */
+function utf8Length(code) {
+  if (code < 0x80) {
+    return 1;
+  }
+  if (code < 0x800) {
+    return 2;
+  }
+  if (code >= 0xd800 && code <= 0xdbff) {
+    return 4;
+  }
+  return code >= 0xdc00 && code <= 0xdfff ? 0 : 3;
+}
+
+/**
+ * Creates a search over a UTF-8 text that arrives in chunks. Only the matcher state and the
+ * positions of the last pattern-length code units are kept, so memory does not grow with the text.
+ * Offsets and columns count UTF-16 code units; lines and columns start at 1.
+ * @param {Object} params - Validated search parameters
+ * @returns {Object} - { write(bytes), end(): summary with the located matches }
+ */
+function createFileSearch(params) {
+  const scanner = scanners[params.algorithm](params);
+  const m = params.pattern.length;
+  const decoder = new TextDecoder('utf-8', { ignoreBOM: true });
+
+  // Line, column and byte offset of the last m code units, to locate where an occurrence starts
+  const lineAt = new Float64Array(m);
+  const columnAt = new Float64Array(m);
+  const byteAt = new Float64Array(m);
+
+  const matches = [];
+  let matchCount = 0;
+  let offset = 0;
+  let byteOffset = 0;
+  let line = 1;
+  let column = 1;
+  let bytes = 0;
+  let chunks = 0;
+
+  const scan = text => {
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      const slot = offset % m;
+      lineAt[slot] = line;
+      columnAt[slot] = column;
+      byteAt[slot] = byteOffset;
+
+      if (scanner.push(code)) {
+        matchCount++;
+        if (matches.length < params.maxMatches) {
+          const start = (offset + 1) % m;
+          matches.push({ offset: offset - m + 1, byteOffset: byteAt[start], line: lineAt[start], column: columnAt[start] });
+        }
+      }
+
+      offset++;
+      byteOffset += utf8Length(code);
+      if (code === 0x0a) {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+    }
+  };
+
+  return {
+    write(chunk) {
+      bytes += chunk.length;
+      chunks++;
+      scan(decoder.decode(chunk, { stream: true }));
+    },
+    end() {
+      scan(decoder.decode());
+
+      return {
+        algorithm: params.algorithm,
+        pattern: params.pattern,
+        bytes,
+        chunks,
+        codeUnits: offset,
+        lines: line,
+        matchCount,
+        truncated: matchCount > matches.length,
+        matches,
+        stats: scanner.stats()
+      };
+    }
+  };
+}
+
+module.exports = { searchParameters, validateSearch, createFileSearch };
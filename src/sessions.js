@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+/**
+ * Creates an in-memory store for execution sessions.
+ * Sessions expire after ttlMs and the least recently used ones are evicted when
+ * either the session count or the total number of stored steps exceeds its limit.
+ * @param {Object} options - Store limits
+ * @param {number} options.ttlMs - Time to live of a session since its last access
+ * @param {number} options.maxSessions - Maximum number of sessions kept at once
+ * @param {number} options.maxStoredSteps - Maximum number of steps kept across all sessions
+ * @param {number} options.maxStepsPerSession - Traces longer than this are not stored, only replayed
+ * @param {Function} [options.now] - Clock, injectable for tests
+ * @returns {Object} - Store with create, get, remove and stats
+ */
+function createSessionStore({ ttlMs, maxSessions, maxStoredSteps, maxStepsPerSession, now = Date.now }) {
+  // Map iteration order doubles as LRU order: get() re-inserts the entry
+  const sessions = new Map();
+  let storedSteps = 0;
+
+  const stepsOf = session => (session.steps ? session.steps.preprocessing.length + session.steps.matching.length : 0);
+
+  function remove(id) {
+    const session = sessions.get(id);
+    if (!session) {
+      return false;
+    }
+    storedSteps -= stepsOf(session);
+    sessions.delete(id);
+    return true;
+  }
+
+  function sweep() {
+    const current = now();
+    for (const [id, session] of sessions) {
+      if (session.expiresAt <= current) {
+        remove(id);
+      }
+    }
+  }
+
+  function evict() {
+    for (const id of sessions.keys()) {
+      if (sessions.size <= maxSessions && storedSteps <= maxStoredSteps) {
+        break;
+      }
+      remove(id);
+    }
+  }
+
+  /**
+   * Stores a new session
+   * @param {Object} entry - { algorithm, params, summary, steps } where steps may be null
+   * @returns {Object} - The stored session
+   */
+  function create(entry) {
+    sweep();
+
+    const steps = entry.steps &&
+      entry.steps.preprocessing.length + entry.steps.matching.length <= maxStepsPerSession ? entry.steps : null;
+
+    const session = {
+      id: crypto.randomUUID(),
+      algorithm: entry.algorithm,
+      params: entry.params,
+      summary: entry.summary,
+      stepCounts: entry.stepCounts,
+      steps: steps,
+      createdAt: now(),
+      expiresAt: now() + ttlMs
+    };
+
+    sessions.set(session.id, session);
+    storedSteps += stepsOf(session);
+    evict();
+
+    return session;
+  }
+
+  /**
+   * Looks up a session and refreshes its expiry
+   * @param {string} id - Session id
+   * @returns {Object|undefined} - The session, if it exists and has not expired
+   */
+  function get(id) {
+    sweep();
+
+    const session = sessions.get(id);
+    if (!session) {
+      return undefined;
+    }
+
+    sessions.delete(id);
+    session.expiresAt = now() + ttlMs;
+    sessions.set(id, session);
+
+    return session;
+  }
+
+  function stats() {
+    return { sessions: sessions.size, storedSteps, maxSessions, maxStoredSteps, maxStepsPerSession, ttlMs };
+  }
+
+  return { create, get, remove, stats };
+}
+
+// Shared store used by the routes
+const sessions = createSessionStore({
+  ttlMs: Number(process.env.SESSION_TTL_MS) || 15 * 60 * 1000,
+  maxSessions: Number(process.env.SESSION_MAX_COUNT) || 100,
+  maxStoredSteps: Number(process.env.SESSION_MAX_STORED_STEPS) || 500000,
+  maxStepsPerSession: Number(process.env.SESSION_MAX_STEPS_PER_SESSION) || 50000
+});
+
+module.exports = { createSessionStore, sessions };
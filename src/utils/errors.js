@@ -0,0 +1,113 @@
+/**
+ * Error codes returned by the API, with their HTTP status.
+ * Every error response has the shape { success: false, error, code, message, details? }, where
+ * error is the short label of the status ('Invalid input', 'Not found', ...) and code is one of these keys.
+ */
+const ERROR_CODES = {
+  INVALID_JSON: 400,
+  MISSING_PARAMETER: 400,
+  INVALID_PARAMETER: 400,
+  PATTERN_TOO_LONG: 400,
+  INVALID_PATTERN: 400,
+  INVALID_BASE: 400,
+  INVALID_MODULUS: 400,
+  HASH_OVERFLOW: 400,
+  GENERATION_FAILED: 400,
+  READ_ONLY: 403,
+  UNKNOWN_ALGORITHM: 404,
+  NOT_FOUND: 404,
+  INPUT_TOO_LARGE: 413,
+  STEP_LIMIT_EXCEEDED: 413,
+  EXECUTION_ERROR: 500
+};
+
+const STATUS_LABELS = {
+  400: 'Invalid input',
+  403: 'Forbidden',
+  404: 'Not found',
+  413: 'Input too large',
+  500: 'Execution error'
+};
+
+/**
+ * An error with a machine-readable code, reported to the client as it is
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} code - Key of ERROR_CODES
+   * @param {string} message - Human-readable message
+   * @param {Object} [details] - Extra data for the client, such as the limit that was exceeded
+   */
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = ERROR_CODES[code] ? code : 'EXECUTION_ERROR';
+    this.status = ERROR_CODES[this.code];
+    this.details = details;
+  }
+}
+
+/**
+ * Turns the result of a validate hook into an ApiError
+ * @param {string|Object} failure - Message (reported as INVALID_PARAMETER) or { code, message, details }
+ * @returns {ApiError}
+ */
+function toApiError(failure) {
+  if (failure instanceof ApiError) {
+    return failure;
+  }
+  return typeof failure === 'string'
+    ? new ApiError('INVALID_PARAMETER', failure)
+    : new ApiError(failure.code, failure.message, failure.details);
+}
+
+/**
+ * Response body of an error. Errors that are not ApiErrors are reported as EXECUTION_ERROR.
+ * @param {Error} error - The error
+ * @returns {Object} - { success: false, error, code, message, details? }
+ */
+function errorBody(error) {
+  const apiError = error instanceof ApiError ? error : new ApiError('EXECUTION_ERROR', error.message);
+  const body = {
+    success: false,
+    error: STATUS_LABELS[apiError.status],
+    code: apiError.code,
+    message: apiError.message
+  };
+
+  if (apiError.details !== undefined) {
+    body.details = apiError.details;
+  }
+  return body;
+}
+
+/**
+ * Sends an error response; unexpected errors are logged
+ * @param {Object} res - Express response
+ * @param {Error} error - The error
+ */
+function sendError(res, error) {
+  if (!(error instanceof ApiError)) {
+    console.error('Unexpected error:', error);
+  }
+  const body = errorBody(error);
+  res.status(ERROR_CODES[body.code]).json(body);
+}
+
+/**
+ * Express error handler: malformed or oversized JSON bodies and errors thrown by routes
+ */
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, new ApiError('INVALID_JSON', `Request body is not valid JSON: ${error.message}`));
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, new ApiError('INPUT_TOO_LARGE', `Request body exceeds ${error.limit} bytes`, { limit: error.limit }));
+  }
+  sendError(res, error);
+}
+
+module.exports = { ERROR_CODES, ApiError, toApiError, errorBody, sendError, errorHandler };
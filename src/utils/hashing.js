@@ -0,0 +1,228 @@
+/**
+ * Polynomial hash schemes for Rabin-Karp.
+ * A hash is an array with one component per modulus: [h] for single, [h1, h2] for double
+ * and [h] with a BigInt component for the 64-bit scheme.
+ */
+
+const { unitCode } = require('./units');
+
+const HASH_SCHEMES = ['single', 'double', 'bigint'];
+
+// Largest prime below 2^64
+const DEFAULT_BIGINT_MODULO = 18446744073709551557n;
+const MAX_BIGINT_MODULO = (1n << 64n) - 1n;
+const DEFAULT_SECOND_MODULO = 1000003;
+
+const MILLER_RABIN_BASES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n];
+
+function modPow(base, exponent, mod) {
+  let result = 1n;
+  base %= mod;
+  while (exponent > 0n) {
+    if (exponent & 1n) {
+      result = (result * base) % mod;
+    }
+    base = (base * base) % mod;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Deterministic Miller-Rabin primality test, exact for every value below 3.3 × 10^24
+ * @param {number|bigint} value - Value to test
+ * @returns {boolean}
+ */
+function isPrime(value) {
+  const n = BigInt(value);
+  if (n < 2n) {
+    return false;
+  }
+  for (const p of MILLER_RABIN_BASES) {
+    if (n % p === 0n) {
+      return n === p;
+    }
+  }
+
+  let d = n - 1n;
+  let r = 0;
+  while ((d & 1n) === 0n) {
+    d >>= 1n;
+    r++;
+  }
+
+  return MILLER_RABIN_BASES.every(a => {
+    let x = modPow(a, d, n);
+    if (x === 1n || x === n - 1n) {
+      return true;
+    }
+    for (let i = 1; i < r; i++) {
+      x = (x * x) % n;
+      if (x === n - 1n) {
+        return true;
+      }
+    }
+    return false;
+  });
+}
+
+/**
+ * Reads an integer parameter given as a JSON number, a string of digits or a BigInt
+ * @param {*} value - Raw parameter
+ * @returns {bigint|null} - The integer, or null if the value is not a non-negative integer
+ */
+function parseInteger(value) {
+  if (typeof value === 'bigint') {
+    return value >= 0n ? value : null;
+  }
+  if (typeof value === 'number' && Number.isSafeInteger(value) && value >= 0) {
+    return BigInt(value);
+  }
+  if (typeof value === 'string' && /^\d+$/.test(value)) {
+    return BigInt(value);
+  }
+  return null;
+}
+
+/**
+ * Checks that the Number arithmetic of a modulus never leaves the safe integer range.
+ * The largest intermediate value is base × (hash - charCode × h) in the rolling update,
+ * bounded by base × (modulo - 1) × maxCharCode.
+ * @param {number} base - Hash base
+ * @param {number} modulo - Modulus
+ * @param {number} maxCharCode - Largest character code in the input
+ * @returns {boolean}
+ */
+function isOverflowSafe(base, modulo, maxCharCode) {
+  const largest = BigInt(base) * BigInt(modulo - 1) * BigInt(Math.max(maxCharCode, 1)) + BigInt(maxCharCode);
+  return largest <= BigInt(Number.MAX_SAFE_INTEGER);
+}
+
+/**
+ * Largest character code in a set of strings or unit sequences
+ * @param {Array<string|string[]>} strings - Text and patterns
+ * @returns {number}
+ */
+function maxCharCode(strings) {
+  let max = 0;
+  for (const str of strings) {
+    for (let i = 0; i < str.length; i++) {
+      max = Math.max(max, unitCode(str[i]));
+    }
+  }
+  return max;
+}
+
+/**
+ * Checks hash parameters
+ * @param {Object} options - { scheme, base, modulo, secondModulo } as sent by the client; secondModulo is optional
+ * @param {Array<string|string[]>} strings - Text and patterns, used for the overflow check
+ * @returns {Object} - { value: { scheme, base, modulo, secondModulo } } or { error, code }
+ */
+function checkHashParameters({ scheme = 'single', base, modulo, secondModulo }, strings) {
+  if (!HASH_SCHEMES.includes(scheme)) {
+    return { error: `scheme must be one of: ${HASH_SCHEMES.join(', ')}`, code: 'INVALID_PARAMETER' };
+  }
+  if (!Number.isSafeInteger(base) || base < 2) {
+    return { error: 'base must be an integer of at least 2', code: 'INVALID_BASE' };
+  }
+
+  const moduli = [['modulo', modulo]];
+  if (scheme === 'double') {
+    moduli.push(['secondModulo', secondModulo === undefined ? DEFAULT_SECOND_MODULO : secondModulo]);
+  }
+
+  const value = { scheme, base };
+  const largestChar = maxCharCode(strings);
+
+  for (const [name, raw] of moduli) {
+    const parsed = parseInteger(raw);
+
+    if (parsed === null || parsed < 2n) {
+      return { error: `${name} must be an integer of at least 2`, code: 'INVALID_MODULUS' };
+    }
+    if (scheme === 'bigint' && parsed > MAX_BIGINT_MODULO) {
+      return { error: `${name} must fit in 64 bits for the bigint scheme`, code: 'INVALID_MODULUS' };
+    }
+    if (scheme !== 'bigint' && parsed > BigInt(Number.MAX_SAFE_INTEGER)) {
+      return { error: `${name} exceeds Number.MAX_SAFE_INTEGER; use the bigint scheme for larger moduli`, code: 'INVALID_MODULUS' };
+    }
+    if (!isPrime(parsed)) {
+      return { error: `${name} must be a prime number (${parsed} is not prime)`, code: 'INVALID_MODULUS' };
+    }
+    if (scheme !== 'bigint' && !isOverflowSafe(base, Number(parsed), largestChar)) {
+      return {
+        error: `base × (${name} - 1) × ${largestChar} (the largest character code) exceeds Number.MAX_SAFE_INTEGER, ` +
+          'so the rolling hash would silently lose precision. Use a smaller base or modulus, or the bigint scheme',
+        code: 'HASH_OVERFLOW'
+      };
+    }
+
+    value[name] = scheme === 'bigint' ? parsed : Number(parsed);
+  }
+
+  if (scheme === 'double' && value.modulo === value.secondModulo) {
+    return { error: 'secondModulo must differ from modulo', code: 'INVALID_MODULUS' };
+  }
+
+  return { value };
+}
+
+/**
+ * Creates the arithmetic for one hash scheme
+ * @param {Object} options - Checked parameters from checkHashParameters
+ * @returns {Object} - Scheme with hash operations and formatting helpers
+ */
+function createHashScheme({ scheme, base, modulo, secondModulo }) {
+  const big = scheme === 'bigint';
+  const moduli = scheme === 'double' ? [modulo, secondModulo] : [big ? BigInt(modulo) : modulo];
+  const b = big ? BigInt(base) : base;
+  const zero = big ? 0n : 0;
+  const one = big ? 1n : 1;
+  const code = value => (big ? BigInt(value) : value);
+
+  // Values as they appear in JSON: numbers, pairs of numbers, or decimal strings for BigInt
+  const value = hash => (big ? hash[0].toString() : scheme === 'double' ? [...hash] : hash[0]);
+  // key and text accept both internal hashes and their JSON values
+  const key = hash => [].concat(hash).join(',');
+  const text = hash => (scheme === 'double' ? `(${[].concat(hash).join(', ')})` : String([].concat(hash)[0]));
+  const perModulus = format => moduli.map((mod, index) => format(mod, index)).join('; ');
+
+  return {
+    scheme,
+    base,
+    moduli,
+    modulus: big ? moduli[0].toString() : scheme === 'double' ? [...moduli] : moduli[0],
+    modulusText: scheme === 'double' ? `(${moduli.join(', ')})` : String(moduli[0]),
+    // Number of distinct hash values, as a float for the collision estimate
+    hashSpace: moduli.reduce((product, mod) => product * Number(mod), 1),
+    empty: () => moduli.map(() => zero),
+    append: (hash, charCode) => moduli.map((mod, index) => (hash[index] * b + code(charCode)) % mod),
+    power: length => moduli.map(mod => {
+      let h = one;
+      for (let i = 0; i < length - 1; i++) {
+        h = (h * b) % mod;
+      }
+      return h;
+    }),
+    roll: (hash, removedCode, addedCode, h) => moduli.map((mod, index) =>
+      ((b * (hash[index] - code(removedCode) * h[index]) + code(addedCode)) % mod + mod) % mod),
+    key,
+    value,
+    text,
+    appendComputation: (oldHash, charCode, hash) => perModulus((mod, index) =>
+      `(${oldHash[index]} × ${base} + ${charCode}) mod ${mod} = ${hash[index]}`),
+    rollComputation: (oldHash, removedCode, addedCode, h, hash) => perModulus((mod, index) =>
+      `(${base} × (${oldHash[index]} - ${removedCode} × ${h[index]}) + ${addedCode}) mod ${mod} = ${hash[index]}`)
+  };
+}
+
+module.exports = {
+  HASH_SCHEMES,
+  DEFAULT_BIGINT_MODULO,
+  DEFAULT_SECOND_MODULO,
+  isPrime,
+  isOverflowSafe,
+  checkHashParameters,
+  createHashScheme
+};
@@ -0,0 +1,30 @@
+/**
+ * Size limits of a request, configurable through the environment.
+ * Text and pattern lengths are enforced by the parameter schemas, the step count and step payload while an algorithm runs,
+ * the upload size while a file is searched, the frame count when a trace is exported and the
+ * scenario count when a scenario is saved.
+ */
+
+const fromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const limits = {
+  maxTextLength: fromEnv('MAX_TEXT_LENGTH', 100000),
+  maxPatternLength: fromEnv('MAX_PATTERN_LENGTH', 10000),
+  maxSteps: fromEnv('MAX_STEPS', 1000000),
+  // Steps can carry arrays that grow with the run, so their total JSON size is capped as well
+  maxTraceBytes: fromEnv('MAX_TRACE_BYTES', 32 * 1024 * 1024),
+  // Passed to express.json; large enough for a maximal text in multi-byte UTF-8
+  maxBodySize: process.env.MAX_BODY_SIZE || '1mb',
+  // File search streams the upload instead of parsing it, so it has a separate byte limit
+  maxUploadBytes: fromEnv('MAX_UPLOAD_BYTES', 256 * 1024 * 1024),
+  maxSearchMatches: fromEnv('MAX_SEARCH_MATCHES', 100000),
+  // Every exported step becomes a drawn frame, so exports stop far below the step limit
+  maxExportFrames: fromEnv('MAX_EXPORT_FRAMES', 2000),
+  // Saved scenarios live in one JSON file that is rewritten on every change
+  maxScenarios: fromEnv('MAX_SCENARIOS', 1000)
+};
+
+module.exports = { limits };
@@ -0,0 +1,33 @@
+/**
+ * Counts how often the pattern alignment changes between consecutive steps
+ * @param {Object[]} steps - Matching steps
+ * @param {string} field - The step field holding the alignment
+ * @returns {number} - Number of shifts
+ */
+function countAlignmentChanges(steps, field) {
+  let shifts = 0;
+  let previous = null;
+
+  for (const step of steps) {
+    if (step[field] === undefined) {
+      continue;
+    }
+    if (previous !== null && step[field] !== previous) {
+      shifts++;
+    }
+    previous = step[field];
+  }
+
+  return shifts;
+}
+
+/**
+ * Counts preprocessing steps that do actual work (everything but *_init and *_complete)
+ * @param {Object[]} steps - Preprocessing steps
+ * @returns {number} - Number of preprocessing operations
+ */
+function countPreprocessingOperations(steps) {
+  return steps.filter(step => !/_(init|complete)$/.test(step.type)).length;
+}
+
+module.exports = { countAlignmentChanges, countPreprocessingOperations };
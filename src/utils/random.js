@@ -0,0 +1,26 @@
+/**
+ * Seeded pseudo-random numbers (mulberry32), so generated inputs can be reproduced from their seed
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Object} - { next, int, pick }
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  // Float in [0, 1)
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    // Integer in [0, n)
+    int: n => Math.floor(next() * n),
+    pick: items => items[Math.floor(next() * items.length)]
+  };
+}
+
+module.exports = { createRandom };
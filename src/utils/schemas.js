@@ -0,0 +1,75 @@
+/**
+ * JSON Schema building blocks for documenting step shapes in the OpenAPI document.
+ * Every step has a type, a description and an explanation; the remaining fields depend on the type.
+ */
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const index = { type: 'integer', minimum: 0 };
+
+const arrayOf = items => ({ type: 'array', items });
+
+const integerArray = arrayOf(integer);
+
+/**
+ * Character comparison highlighted in the visualization
+ */
+const comparison = {
+  type: 'object',
+  required: ['textIndex', 'patternIndex', 'result'],
+  properties: {
+    textIndex: index,
+    patternIndex: index,
+    result: { enum: ['match', 'mismatch'] }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Fields shared by the steps of the single-pattern matchers that slide the pattern along the text
+ */
+const alignmentFields = {
+  textIndex: index,
+  patternIndex: index,
+  patternOffset: integer,
+  matches: integerArray,
+  comparisons: index
+};
+
+/**
+ * Describes one step type
+ * @param {string} type - Value of the step's type field
+ * @param {string} description - What the step means
+ * @param {Object} [properties] - Schemas of the fields besides type, description and explanation
+ * @param {string[]} [optional] - Fields that only some steps of this type carry
+ * @returns {Object} - Object schema that rejects undocumented fields
+ */
+function stepSchema(type, description, properties = {}, optional = []) {
+  return {
+    type: 'object',
+    description,
+    required: ['type', 'description', ...Object.keys(properties).filter(name => !optional.includes(name)), 'explanation'],
+    properties: {
+      type: { const: type },
+      description: string,
+      ...properties,
+      explanation: string
+    },
+    additionalProperties: false
+  };
+}
+
+module.exports = {
+  string,
+  integer,
+  number,
+  boolean,
+  index,
+  arrayOf,
+  integerArray,
+  comparison,
+  alignmentFields,
+  stepSchema
+};
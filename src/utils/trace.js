@@ -0,0 +1,169 @@
+/**
+ * Algorithm traces. An algorithm's trace is a generator that yields { phase, step } while the algorithm
+ * runs, phase being 'preprocessing' or 'matching', and returns the /execute data without the step arrays.
+ * Phase generators yield bare steps and are tagged with inPhase; runTrace puts the collected steps back,
+ * while streaming, sessions and limits consume the steps one at a time.
+ */
+
+const { ApiError } = require('./errors');
+
+/**
+ * Runs a step generator to completion
+ * @param {Generator} generator - Generator that yields steps and returns a value
+ * @returns {Object} - { steps, value } with every yielded step and the return value
+ */
+function collectSteps(generator) {
+  const steps = [];
+  let next = generator.next();
+
+  while (!next.done) {
+    steps.push(next.value);
+    next = generator.next();
+  }
+
+  return { steps, value: next.value };
+}
+
+/**
+ * Tags every step of a phase generator with the phase name, forwarding its return value
+ * @param {string} phase - 'preprocessing' or 'matching'
+ * @param {Generator} generator - Phase step generator
+ * @returns {Generator} - Yields { phase, step } and returns the phase generator's value
+ */
+function* inPhase(phase, generator) {
+  let next = generator.next();
+
+  while (!next.done) {
+    yield { phase, step: next.value };
+    next = generator.next();
+  }
+
+  return next.value;
+}
+
+/**
+ * Transforms every step of a step generator, forwarding its return value
+ * @param {Generator} generator - Step generator
+ * @param {Function} transform - Maps a step to the step to yield
+ * @returns {Generator} - Yields transformed steps and returns the generator's value
+ */
+function* mapSteps(generator, transform) {
+  let next = generator.next();
+
+  while (!next.done) {
+    yield transform(next.value);
+    next = generator.next();
+  }
+
+  return next.value;
+}
+
+/**
+ * Runs an algorithm trace and assembles the regular /execute response.
+ * The trace returns the response without steps; collected steps are put back into each phase.
+ * @param {Generator} trace - Generator yielding { phase, step } and returning the summary
+ * @returns {Object} - Complete algorithm execution data for visualization
+ */
+function runTrace(trace) {
+  const steps = { preprocessing: [], matching: [] };
+  let next = trace.next();
+
+  while (!next.done) {
+    steps[next.value.phase].push(next.value.step);
+    next = trace.next();
+  }
+
+  const summary = next.value;
+
+  return {
+    ...summary,
+    preprocessing: { steps: steps.preprocessing, ...summary.preprocessing },
+    matching: { steps: steps.matching, ...summary.matching }
+  };
+}
+
+/**
+ * Runs an algorithm trace to completion without keeping its steps
+ * @param {Generator} trace - Generator yielding { phase, step } and returning the summary
+ * @returns {Object} - { summary, stepCounts } with the number of steps per phase
+ */
+function drainTrace(trace) {
+  const stepCounts = { preprocessing: 0, matching: 0 };
+  let next = trace.next();
+
+  while (!next.done) {
+    stepCounts[next.value.phase]++;
+    next = trace.next();
+  }
+
+  return { summary: next.value, stepCounts };
+}
+
+/**
+ * Error for a trace that generates more than the allowed number of steps
+ * @param {number} maxSteps - The step limit
+ * @returns {ApiError}
+ */
+function stepLimitError(maxSteps) {
+  return new ApiError('STEP_LIMIT_EXCEEDED', `The execution generates more than ${maxSteps} steps; use a shorter text or pattern`, { limit: maxSteps });
+}
+
+/**
+ * Error for a trace whose steps add up to more than the allowed payload size
+ * @param {number} maxBytes - The payload limit, in characters of JSON
+ * @returns {ApiError}
+ */
+function traceSizeError(maxBytes) {
+  return new ApiError('STEP_LIMIT_EXCEEDED', `The steps of this request take more than ${maxBytes} bytes; use a shorter text or pattern`, { limit: maxBytes });
+}
+
+/**
+ * Stops a trace once it has yielded more than maxSteps steps, or steps larger than maxBytes in total
+ * as JSON, forwarding its return value. Steps are measured as they are generated, so an oversized
+ * trace fails before its steps are collected.
+ * @param {Generator} trace - Generator yielding { phase, step } and returning the summary
+ * @param {number} maxSteps - The step limit
+ * @param {number} [maxBytes] - The payload limit (default: none)
+ * @param {Object} [usage] - { bytes } already used; traces that share it share the payload limit
+ * @returns {Generator} - The same steps and summary
+ * @throws {ApiError} - STEP_LIMIT_EXCEEDED when the trace goes past either limit
+ */
+function* limitSteps(trace, maxSteps, maxBytes = Infinity, usage = { bytes: 0 }) {
+  let count = 0;
+  let next = trace.next();
+
+  while (!next.done) {
+    if (++count > maxSteps) {
+      throw stepLimitError(maxSteps);
+    }
+    if (maxBytes !== Infinity && (usage.bytes += JSON.stringify(next.value.step).length) > maxBytes) {
+      throw traceSizeError(maxBytes);
+    }
+    yield next.value;
+    next = trace.next();
+  }
+
+  return next.value;
+}
+
+/**
+ * Turns an already computed /execute response back into a trace.
+ * Used for streaming algorithms that do not provide a step generator of their own.
+ * @param {Object} data - Complete algorithm execution data
+ * @returns {Generator} - Yields { phase, step } and returns the data without the step arrays
+ */
+function* replayResult(data) {
+  const { steps: preprocessingSteps, ...preprocessing } = data.preprocessing;
+  const { steps: matchingSteps, ...matching } = data.matching;
+
+  for (const step of preprocessingSteps) {
+    yield { phase: 'preprocessing', step };
+  }
+  for (const step of matchingSteps) {
+    yield { phase: 'matching', step };
+  }
+
+  return { ...data, preprocessing, matching };
+}
+
+module.exports = { collectSteps, inPhase, mapSteps, runTrace, drainTrace, stepLimitError, traceSizeError, limitSteps, replayResult };
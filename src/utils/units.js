@@ -0,0 +1,224 @@
+/**
+ * Unicode-aware units for the matchers.
+ * Text and pattern can be matched by UTF-16 code unit (the default, like text[i]), by code point
+ * or by grapheme cluster, optionally after normalization and case folding. The algorithms then
+ * work on arrays of unit strings, which index, compare and interpolate like plain strings.
+ */
+
+const UNITS = ['utf16', 'codepoint', 'grapheme'];
+const NORMALIZATIONS = ['none', 'NFC', 'NFKC'];
+
+// Unit ids of multi-code-point graphemes start after the last code point
+const GRAPHEME_CODE_BASE = 0x110000;
+const GRAPHEME_CODE_RANGE = 0x200000;
+
+/**
+ * Schema properties shared by the algorithms that support units
+ */
+const unitParameters = {
+  unit: {
+    type: 'string',
+    title: 'unit',
+    enum: UNITS,
+    default: 'utf16',
+    description: 'What one position is: a UTF-16 code unit, a code point or a grapheme cluster (user-perceived character)'
+  },
+  normalization: {
+    type: 'string',
+    title: 'normalization',
+    enum: NORMALIZATIONS,
+    default: 'none',
+    description: 'Unicode normalization applied to text and pattern before matching'
+  },
+  caseFold: {
+    type: 'boolean',
+    title: 'caseFold',
+    default: false,
+    description: 'Match case-insensitively'
+  }
+};
+
+/**
+ * /info section shared by the algorithms that support units
+ */
+const unitsInfo = {
+  description: 'By default a position is a UTF-16 code unit, so an emoji or an accented letter written with a combining mark spans several positions. ' +
+    'With unit=codepoint or unit=grapheme, matching, hashing and every index in the steps and results count those units instead. ' +
+    'normalization (NFC or NFKC) and caseFold are applied to each grapheme cluster of text and pattern before matching.',
+  response: 'When any of these options is set, the response adds `units` (the unit sequences and the [start, end) UTF-16 offsets of every text unit in the original text) and `result.originalOffsets`, the original range of every match.'
+};
+
+let graphemeSegmenter = null;
+
+/**
+ * Splits a string into grapheme clusters
+ * @param {string} str - Input string
+ * @returns {Object[]} - { segment, index } with index the UTF-16 offset of the cluster
+ */
+function graphemes(str) {
+  graphemeSegmenter = graphemeSegmenter || new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+  return [...graphemeSegmenter.segment(str)].map(({ segment, index }) => ({ segment, index }));
+}
+
+/**
+ * Splits a string into units
+ * @param {string} str - Input string
+ * @param {string} unit - 'utf16', 'codepoint' or 'grapheme'
+ * @returns {string[]}
+ */
+function segmentUnits(str, unit) {
+  if (unit === 'grapheme') {
+    return graphemes(str).map(entry => entry.segment);
+  }
+  return unit === 'codepoint' ? Array.from(str) : str.split('');
+}
+
+/**
+ * Case folding. JavaScript has no full Unicode case folding; upper-casing first maps
+ * characters such as ß and final sigma onto the same lower-case form as their variants.
+ * @param {string} str - Input string
+ * @returns {string}
+ */
+function foldCase(str) {
+  return str.toUpperCase().toLowerCase();
+}
+
+const isDefaultUnits = ({ unit = 'utf16', normalization = 'none', caseFold = false } = {}) =>
+  unit === 'utf16' && normalization === 'none' && !caseFold;
+
+/**
+ * Turns a string into the unit sequence the matchers run on, remembering where each unit came from.
+ * Normalization and case folding are applied per grapheme cluster of the original string, so every
+ * unit can be traced back to the cluster it was produced from.
+ * @param {string} str - Original string
+ * @param {Object} [options] - { unit, normalization, caseFold }
+ * @returns {Object} - { units, offsets } where units is the original string when nothing changes, and
+ *   offsets[i] = [start, end) of unit i in the original string (UTF-16 offsets)
+ */
+function prepareUnits(str, options = {}) {
+  const { unit = 'utf16', normalization = 'none', caseFold = false } = options;
+
+  if (isDefaultUnits(options)) {
+    return { units: str, offsets: null };
+  }
+
+  const transformed = normalization !== 'none' || caseFold;
+  const transform = segment => {
+    let result = normalization === 'none' ? segment : segment.normalize(normalization);
+    if (caseFold) {
+      result = foldCase(result);
+      result = normalization === 'none' ? result : result.normalize(normalization);
+    }
+    return result;
+  };
+
+  const units = [];
+  const offsets = [];
+  const pieces = transformed ? graphemes(str) : [{ segment: str, index: 0 }];
+
+  for (const { segment, index } of pieces) {
+    let position = index;
+
+    for (const part of segmentUnits(transformed ? transform(segment) : segment, unit)) {
+      units.push(part);
+      // A transformed cluster can change length, so its units all point at the whole cluster
+      offsets.push(transformed ? [index, index + segment.length] : [position, position + part.length]);
+      position += part.length;
+    }
+  }
+
+  return { units, offsets };
+}
+
+/**
+ * Maps a unit range back to offsets in the original string
+ * @param {Object} prepared - Result of prepareUnits
+ * @param {number} start - Index of the first unit
+ * @param {number} length - Number of units
+ * @returns {Object} - { start, end } UTF-16 offsets, end exclusive
+ */
+function originalRange(prepared, start, length) {
+  if (!prepared.offsets) {
+    return { start, end: start + length };
+  }
+  return { start: prepared.offsets[start][0], end: prepared.offsets[start + length - 1][1] };
+}
+
+/**
+ * Numeric code of one unit, used for hashing. A UTF-16 code unit or a single code point maps to
+ * itself; a grapheme made of several code points maps to a value above the code point range.
+ * @param {string} unit - One unit
+ * @returns {number}
+ */
+function unitCode(unit) {
+  const codePoint = unit.codePointAt(0);
+  if (unit.length === 1 || (unit.length === 2 && codePoint > 0xFFFF)) {
+    return codePoint;
+  }
+
+  let code = 0;
+  for (const char of unit) {
+    code = (code * 31 + char.codePointAt(0)) % GRAPHEME_CODE_RANGE;
+  }
+  return GRAPHEME_CODE_BASE + code;
+}
+
+/**
+ * Classifies a unit code for step descriptions; the wording comes from the message catalogs (src/i18n)
+ * @param {number} code - Result of unitCode
+ * @returns {Object} - { kind: 'ascii'|'codeUnit'|'codePoint'|'grapheme', name }, name being U+XXXX for code points
+ */
+function codeKind(code) {
+  if (code < 0x80) {
+    return { kind: 'ascii', name: '' };
+  }
+  if (code >= 0xD800 && code <= 0xDFFF) {
+    return { kind: 'codeUnit', name: '' };
+  }
+  if (code < GRAPHEME_CODE_BASE) {
+    return { kind: 'codePoint', name: `U+${code.toString(16).toUpperCase().padStart(4, '0')}` };
+  }
+  return { kind: 'grapheme', name: '' };
+}
+
+/**
+ * Joins a unit sequence back into a string for display
+ * @param {string|string[]} units - String or array of units
+ * @returns {string}
+ */
+function unitsText(units) {
+  return typeof units === 'string' ? units : units.join('');
+}
+
+/**
+ * Describes the unit mapping of a response. Only added when the options differ from plain UTF-16 matching.
+ * @param {Object} options - { unit, normalization, caseFold }
+ * @param {Object} text - prepareUnits result for the text
+ * @param {Object[]} patterns - prepareUnits results for the pattern(s)
+ * @returns {Object}
+ */
+function describeUnits({ unit = 'utf16', normalization = 'none', caseFold = false }, text, patterns) {
+  return {
+    unit,
+    normalization,
+    caseFold,
+    textUnits: [...text.units],
+    patternUnits: patterns.map(pattern => [...pattern.units]),
+    textOffsets: text.offsets
+  };
+}
+
+module.exports = {
+  UNITS,
+  NORMALIZATIONS,
+  unitParameters,
+  unitsInfo,
+  segmentUnits,
+  prepareUnits,
+  originalRange,
+  isDefaultUnits,
+  unitCode,
+  codeKind,
+  unitsText,
+  describeUnits
+};
@@ -0,0 +1,264 @@
+const { ApiError, toApiError } = require('./errors');
+const { limits } = require('./limits');
+
+/**
+ * Checks whether a value has the JSON type named in a schema
+ * @param {*} value - The value to check
+ * @param {string|string[]} type - Schema type name, or several
+ * @returns {boolean} - True if the value has that type (or the schema names no type)
+ */
+function matchesType(value, type) {
+  if (Array.isArray(type)) {
+    return type.some(name => matchesType(value, name));
+  }
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+const typeNames = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object'
+};
+
+/**
+ * Checks a single value against a property schema
+ * @param {*} value - The value to check
+ * @param {Object} schema - The property schema (type, minLength, minimum, items, ...). A type can be
+ *   an array of type names; errorCode overrides the code reported for invalid values
+ * @param {string} label - Human-readable name used in error messages
+ * @returns {Object|null} - { code, message }, or null if the value is valid
+ */
+function checkValue(value, schema, label) {
+  const invalid = (message, code = schema.errorCode || 'INVALID_PARAMETER') => ({ code, message });
+
+  if (Array.isArray(schema.type)) {
+    const type = schema.type.find(name => matchesType(value, name));
+    return type
+      ? checkValue(value, { ...schema, type }, label)
+      : invalid(`${label} must be ${schema.type.map(name => typeNames[name]).join(' or ')}`);
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return invalid(`${label} must be a string`);
+      }
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return invalid(schema.minLength === 1 ? `${label} cannot be empty` : `${label} must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return {
+          code: 'INPUT_TOO_LARGE',
+          message: `${label} must be at most ${schema.maxLength} characters (got ${value.length})`,
+          details: { parameter: label, limit: schema.maxLength, length: value.length }
+        };
+      }
+      if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+        return invalid(`${label} must match ${schema.pattern}`);
+      }
+      break;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || (schema.type === 'integer' && !Number.isInteger(value))) {
+        return invalid(`${label} must be ${typeNames[schema.type]}`);
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        return invalid(`${label} must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        return invalid(`${label} must be at most ${schema.maximum}`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return invalid(`${label} must be a boolean`);
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        return invalid(`${label} must be an array`);
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return invalid(`${label} must contain at least ${schema.minItems} item(s)`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return invalid(`${label} must contain at most ${schema.maxItems} item(s)`);
+      }
+      if (schema.items) {
+        for (let i = 0; i < value.length; i++) {
+          const error = checkValue(value[i], schema.items, `${label}[${i}]`);
+          if (error) {
+            return error;
+          }
+        }
+      }
+      break;
+    case 'object':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return invalid(`${label} must be an object`);
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return invalid(`${label} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  return null;
+}
+
+/**
+ * Validates a request body against an object parameter schema and applies defaults
+ * @param {Object} schema - Schema with properties, required and an optional title per property
+ * @param {Object} body - The request body
+ * @returns {Object} - { value } with defaults applied, or { error, code, details? } describing the first problem
+ */
+function validateParameters(schema, body) {
+  const input = body && typeof body === 'object' ? body : {};
+  const value = {};
+  const required = schema.required || [];
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const label = property.title || name;
+    const provided = input[name];
+    const isRequired = required.includes(name);
+
+    if (provided === undefined || provided === null || provided === '' || (isRequired && !matchesType(provided, property.type))) {
+      if (isRequired) {
+        const type = property.type ? [].concat(property.type).map(typeName => typeNames[typeName]).join(' or ') : null;
+        const missing = provided === undefined || provided === null || provided === '';
+        return {
+          error: `${label} is required${type ? ` and must be ${type}` : ''}`,
+          code: missing ? 'MISSING_PARAMETER' : property.errorCode || 'INVALID_PARAMETER'
+        };
+      }
+      if (property.default !== undefined) {
+        value[name] = property.default;
+      }
+      continue;
+    }
+
+    const error = checkValue(provided, property, label);
+    if (error) {
+      return { error: error.message, code: error.code, details: error.details };
+    }
+    value[name] = provided;
+  }
+
+  return { value };
+}
+
+/**
+ * Validates request parameters against a schema and an optional cross-field check
+ * @param {Object} schema - Object parameter schema
+ * @param {Object} input - Request body or parsed query
+ * @param {Function} [validate] - Returns null, a message or { code, message }; may also throw an ApiError
+ * @returns {Object} - Parameters with defaults applied
+ * @throws {ApiError} - If the parameters are invalid
+ */
+function checkParameters(schema, input, validate) {
+  const { value: params, error, code, details } = validateParameters(schema, input);
+
+  if (error) {
+    throw new ApiError(code, error, details);
+  }
+
+  const failure = validate ? validate(params) : null;
+  if (failure) {
+    throw toApiError(failure);
+  }
+
+  return params;
+}
+
+/**
+ * Converts query-string values to the types declared in a parameter schema,
+ * so GET requests can be validated like JSON bodies
+ * @param {Object} schema - Object parameter schema
+ * @param {Object} query - Parsed query string (all values are strings or string arrays)
+ * @returns {Object} - Parameters with numbers, booleans and arrays restored
+ */
+function parseQueryParameters(schema, query) {
+  const value = { ...query };
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const raw = query[name];
+
+    if (raw === undefined) {
+      continue;
+    }
+
+    const numeric = property.type === 'integer' || property.type === 'number' ||
+      (property.type === undefined && typeof property.default === 'number');
+
+    if (property.type === 'array') {
+      value[name] = Array.isArray(raw) ? raw : [raw];
+    } else if (numeric && raw !== '' && !Number.isNaN(Number(raw))) {
+      value[name] = Number(raw);
+    } else if (property.type === 'boolean' && (raw === 'true' || raw === 'false')) {
+      value[name] = raw === 'true';
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Text and pattern properties, limited to the configured sizes
+ */
+const textProperty = { type: 'string', title: 'Text', minLength: 1, maxLength: limits.maxTextLength, description: 'The text to search in' };
+const patternProperty = { type: 'string', title: 'Pattern', minLength: 1, maxLength: limits.maxPatternLength, description: 'The pattern to search for' };
+
+/**
+ * Shared parameter schema for algorithms that take a single text and pattern
+ */
+const textPatternParameters = {
+  type: 'object',
+  required: ['text', 'pattern'],
+  properties: {
+    text: textProperty,
+    pattern: patternProperty
+  }
+};
+
+/**
+ * Cross-field check shared by single-pattern algorithms
+ * @param {Object} params - Validated parameters
+ * @returns {Object|null} - { code, message }, or null if valid
+ */
+function patternFitsText(params) {
+  if (params.pattern.length > params.text.length) {
+    return { code: 'PATTERN_TOO_LONG', message: 'Pattern length cannot exceed text length' };
+  }
+  return null;
+}
+
+module.exports = {
+  validateParameters,
+  checkParameters,
+  parseQueryParameters,
+  textProperty,
+  patternProperty,
+  textPatternParameters,
+  patternFitsText
+};
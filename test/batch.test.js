@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// A small payload limit, so a few jobs use it up; set before the limits are read
+process.env.MAX_TRACE_BYTES = '20000';
+const { runJobs } = require('../src/routes/batch');
+const { limits } = require('../src/utils/limits');
+
+const naive = text => ({ algorithm: 'naive', parameters: { text, pattern: 'AAB' } });
+
+test('jobs fail on their own and the others still run', () => {
+  const jobs = runJobs([naive('AAAB'), { algorithm: 'missing', parameters: {} }, { id: 'x', algorithm: 'naive', parameters: { text: 'A' } }], true);
+
+  assert.deepEqual(jobs.map(job => [job.index, job.id, job.success, job.code]),
+    [[0, null, true, undefined], [1, null, false, 'UNKNOWN_ALGORITHM'], [2, 'x', false, 'MISSING_PARAMETER']]);
+  assert.deepEqual(jobs[0].data.result.matches, [1]);
+});
+
+test('the steps of all jobs in a batch share one payload limit', () => {
+  const text = 'A'.repeat(5) + 'B';
+  const [job] = runJobs([naive(text)], true);
+  const bytes = [...job.data.preprocessing.steps, ...job.data.matching.steps]
+    .reduce((total, step) => total + JSON.stringify(step).length, 0);
+  // Each job fits on its own, but not all of them together
+  const count = Math.floor(limits.maxTraceBytes / bytes) + 2;
+  assert.ok(bytes < limits.maxTraceBytes);
+
+  const jobs = runJobs(Array.from({ length: count }, () => naive(text)), true);
+  const failed = jobs.filter(entry => !entry.success);
+
+  assert.equal(jobs.filter(entry => entry.success).length, count - 2);
+  assert.deepEqual(failed.map(entry => [entry.code, entry.details.limit]),
+    [['STEP_LIMIT_EXCEEDED', limits.maxTraceBytes], ['STEP_LIMIT_EXCEEDED', limits.maxTraceBytes]]);
+});
+
+test('a job that fails the payload limit leaves its share to the next ones', () => {
+  const jobs = runJobs([naive('A'.repeat(400) + 'B'), naive('AAB')], true);
+
+  assert.equal(jobs[0].code, 'STEP_LIMIT_EXCEEDED');
+  assert.equal(jobs[1].success, true);
+});
+
+test('batches without steps do not share the payload limit', () => {
+  const jobs = runJobs(Array.from({ length: 20 }, () => naive('A'.repeat(5) + 'B')), false);
+
+  assert.ok(jobs.every(entry => entry.success && entry.stepCounts.matching > 0));
+});
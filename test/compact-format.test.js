@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAlgorithm } = require('../src/registry');
+const { encodeCompact } = require('../src/format/compact');
+const { decodeCompact } = require('../src/format/decode');
+
+const cases = [
+  ['kmp', { text: 'AABAACAADAABAABA', pattern: 'AABA' }],
+  ['kmp', { text: 'ABABDABACDABABCABAB', pattern: 'ABABCABAB' }],
+  ['kmp', { text: 'AAAAAAAAAA', pattern: 'AAAA' }],
+  ['kmp', { text: "it's {a} [test] of $pecial (chars)", pattern: '{a}' }],
+  ['rabin-karp', { text: 'GEEKS FOR GEEKS', pattern: 'GEEK' }],
+  ['rabin-karp', { text: 'ABCCDDAEFG', pattern: 'CDD', base: 10, modulo: 13 }],
+  ['rabin-karp', { text: 'AAAAAAAAAAAAAAAAAAAA', pattern: 'AB', base: 256, modulo: 3 }],
+  ['rabin-karp', { text: 'ABABCABAB', patterns: ['AB', 'CA', 'BA'] }],
+  ['boyer-moore', { text: 'ABAAABCD', pattern: 'ABC' }],
+  ['z-algorithm', { text: 'AABAACAADAABAABA', pattern: 'AABA' }],
+  ['naive', { text: 'AAAAAAAAAB', pattern: 'AAAB' }],
+  ['aho-corasick', { text: 'ushers', patterns: ['he', 'she', 'his', 'hers'] }]
+];
+
+const execute = (id, params) => {
+  const definition = getAlgorithm(id);
+  const defaults = Object.fromEntries(Object.entries(definition.parameters.properties)
+    .filter(([, schema]) => schema.default !== undefined)
+    .map(([name, schema]) => [name, schema.default]));
+  return definition.execute({ ...defaults, ...params });
+};
+
+for (const [id, params] of cases) {
+  test(`decoding compact ${id} output reproduces the verbose output for ${JSON.stringify(params)}`, () => {
+    const verbose = execute(id, params);
+    // Go through JSON like a client would
+    const compact = JSON.parse(JSON.stringify(encodeCompact(verbose, id)));
+    const decoded = decodeCompact(compact);
+
+    assert.deepStrictEqual(decoded, verbose);
+    assert.equal(JSON.stringify(decoded), JSON.stringify(verbose));
+  });
+}
+
+test('KMP and Rabin-Karp messages are all encoded as templates', () => {
+  for (const [id, params] of cases.filter(([id]) => id === 'kmp' || id === 'rabin-karp')) {
+    const compact = encodeCompact(execute(id, params), id);
+
+    for (const phase of ['preprocessing', 'matching']) {
+      for (const step of compact[phase].steps) {
+        assert.equal(step.c && step.c.explanation, undefined, `${id} ${phase} explanation kept as text`);
+        assert.equal(step.c && step.c.description, undefined, `${id} ${phase} description kept as text`);
+      }
+    }
+  }
+});
+
+test('compact steps store LPS and match changes as deltas', () => {
+  const compact = encodeCompact(execute('kmp', { text: 'AABAACAADAABAABA', pattern: 'AABA' }), 'kmp');
+
+  const lpsMatch = compact.preprocessing.steps[1];
+  assert.deepEqual(lpsMatch.a.lpsArray, { length: 4, cells: { 1: 1 } });
+  assert.equal(lpsMatch.c.pattern, undefined);
+
+  const found = compact.matching.steps.find(step => step.c && step.c.type === 'pattern_found');
+  assert.deepEqual(found.a.matches, { push: [0] });
+});
+
+test('compact output is smaller than the verbose output', () => {
+  const verbose = execute('kmp', { text: 'AB'.repeat(500) + 'C', pattern: 'ABABAC' });
+  const compact = encodeCompact(verbose, 'kmp');
+
+  assert.ok(JSON.stringify(compact).length < JSON.stringify(verbose).length * 0.75);
+});
+
+test('Rabin-Karp fields that skip step types are not sent again in full', () => {
+  // Every other window is a hit, and only the verification steps carry matches
+  const verbose = execute('rabin-karp', { text: 'xy'.repeat(500), pattern: 'yx', modulo: 3 });
+  const compact = JSON.parse(JSON.stringify(encodeCompact(verbose, 'rabin-karp')));
+
+  assert.ok(JSON.stringify(compact).length < JSON.stringify(verbose).length * 0.5);
+  // Only the first match is sent in full; later ones are appended
+  assert.equal(compact.matching.steps.filter(step => step.c && step.c.matches).length, 1);
+  assert.deepStrictEqual(decodeCompact(compact), verbose);
+});
+
+test('decodeCompact rejects other formats', () => {
+  assert.throws(() => decodeCompact({ format: 'verbose' }), /Unsupported step format/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAlgorithm } = require('../src/registry');
+const router = require('../src/routes/compare');
+
+/**
+ * Sends a body to POST /api/compare through the router and returns the response
+ * @param {Object} body - Request body
+ * @returns {Object} - { status, body }
+ */
+function compare(body) {
+  const response = { status: 200 };
+  const res = {
+    status: code => Object.assign(response, { status: code }) && res,
+    json: json => Object.assign(response, { body: json })
+  };
+  router.handle({ method: 'POST', url: '/', body, query: {}, headers: {} }, res, error => {
+    throw error || new Error('No route');
+  });
+  return response;
+}
+
+const metrics = (id, text, pattern) => {
+  const definition = getAlgorithm(id);
+  const data = definition.execute({ text, pattern });
+  return { data, metrics: definition.metrics(data) };
+};
+
+test('Boyer-Moore reports the shifts it applied', () => {
+  const { data, metrics: { shifts } } = metrics('boyer-moore', 'abababab', 'aba');
+
+  assert.equal(data.result.totalShifts, 3);
+  assert.equal(shifts, data.result.totalShifts);
+});
+
+test('Z-algorithm counts the same alignments as the naive matcher', () => {
+  for (const [text, pattern] of [['abababab', 'aba'], ['AABAACAADAABAABA', 'AABA'], ['xxxxxxxxxx', 'yy'], ['abc', 'abc']]) {
+    const z = metrics('z-algorithm', text, pattern);
+
+    assert.equal(z.metrics.shifts, text.length - pattern.length, `${text} / ${pattern}`);
+    assert.equal(z.metrics.shifts, metrics('naive', text, pattern).metrics.shifts, `${text} / ${pattern}`);
+    assert.equal(z.data.result.totalShifts, z.metrics.shifts);
+  }
+});
+
+test('every comparable algorithm agrees on the matches and reports the same metrics', () => {
+  const { status, body } = compare({ text: 'AABAACAADAABAABA', pattern: 'AABA' });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.agreement, { consistent: true, matches: [0, 9, 12], disagreeing: [] });
+  for (const { id, metrics: entry } of body.data.results) {
+    for (const name of ['charComparisons', 'hashOperations', 'shifts', 'preprocessingOperations', 'steps', 'wallClockMs']) {
+      assert.equal(typeof entry[name], 'number', `${id} ${name}`);
+    }
+  }
+  assert.ok(body.data.results.some(entry => entry.id === body.data.summary.fewestOperations));
+});
+
+test('comparisons run only the selected algorithms and reject unknown ones', () => {
+  const { body } = compare({ text: 'abababab', pattern: 'aba', algorithms: ['naive', 'boyer-moore', 'naive'] });
+  assert.deepEqual(body.data.results.map(entry => entry.id), ['naive', 'boyer-moore']);
+
+  const unknown = compare({ text: 'abababab', pattern: 'aba', algorithms: ['naive', 'aho-corasick'] });
+  assert.equal(unknown.status, 400);
+  assert.deepEqual(unknown.body.details, { unknown: ['aho-corasick'] });
+});
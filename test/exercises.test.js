@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createChallenge, decodeChallenge, gradeAnswers } = require('../src/exercises');
+
+const solve = challenge => {
+  const decoded = decodeChallenge(challenge.id);
+  return { decoded, solution: decoded.exercise.solve(decoded.input) };
+};
+
+test('non-BMP patterns get one question per UTF-16 code unit, like the trace', () => {
+  for (const [type, body] of [['lps', { pattern: 'a😀a😀' }], ['pattern-hash', { pattern: 'a😀', modulo: 100003 }]]) {
+    const challenge = createChallenge(type, body);
+    const { decoded, solution } = solve(challenge);
+
+    assert.equal(challenge.questions.length, solution.length, type);
+    assert.equal(gradeAnswers(decoded, solution.map(step => String(step.expected))).passed, true, type);
+  }
+});
+
+test('answers must be integers or strings of digits', () => {
+  const { decoded } = solve(createChallenge('lps', { pattern: 'ABAB' }));
+
+  assert.equal(gradeAnswers(decoded, [0, ' 0 ', '2']).correct, 2);
+  assert.equal(gradeAnswers(decoded, ['', null]).answered, 0);
+
+  for (const answer of [' ', '0x1', true, '1.5', 1.5, [0]]) {
+    assert.throws(() => gradeAnswers(decoded, [answer]), { code: 'INVALID_PARAMETER' }, JSON.stringify(answer));
+  }
+});
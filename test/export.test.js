@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// A small frame limit; set before the limits are read
+process.env.MAX_EXPORT_FRAMES = '50';
+const { getAlgorithm } = require('../src/registry');
+const { exportAlgorithm } = require('../src/routes/algorithms');
+
+/**
+ * Calls the export route handler with a minimal request and records the response
+ * @param {Object} definition - Algorithm definition
+ * @param {Object} input - Request parameters
+ * @param {Object} [query] - Export options
+ * @returns {Object} - { status, type, body }
+ */
+function exportTrace(definition, input, query = {}) {
+  const response = { status: 200 };
+  const res = {
+    status: code => Object.assign(response, { status: code }) && res,
+    json: body => Object.assign(response, { body }),
+    type: type => Object.assign(response, { type }) && res,
+    send: body => Object.assign(response, { body })
+  };
+  exportAlgorithm(definition, input, { query, body: {}, get: () => undefined }, res);
+  return response;
+}
+
+/**
+ * The KMP definition with a trace that counts the steps it is asked for
+ * @returns {Object} - { definition, counter }
+ */
+function countingKmp() {
+  const kmp = getAlgorithm('kmp');
+  const counter = { steps: 0 };
+  const definition = {
+    ...kmp,
+    trace: function* (params) {
+      for (const entry of kmp.trace(params)) {
+        counter.steps++;
+        yield entry;
+      }
+    }
+  };
+  return { definition, counter };
+}
+
+test('exports render one frame per step', () => {
+  const response = exportTrace(getAlgorithm('kmp'), { text: 'ABABC', pattern: 'ABC' }, { format: 'svg' });
+  const steps = getAlgorithm('kmp').execute({ text: 'ABABC', pattern: 'ABC' });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.frameCount, steps.preprocessing.steps.length + steps.matching.steps.length);
+  assert.match(response.body.data.frames[0].svg, /^<svg/);
+});
+
+test('a trace that is too long to export stops at the first step past the frame limit', () => {
+  const { definition, counter } = countingKmp();
+  const response = exportTrace(definition, { text: 'A'.repeat(5000), pattern: 'AB' });
+
+  assert.equal(response.status, 413);
+  assert.equal(response.body.code, 'STEP_LIMIT_EXCEEDED');
+  assert.equal(response.body.details.limit, 50);
+  assert.equal(counter.steps, 51);
+});
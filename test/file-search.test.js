@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { searchParameters, createFileSearch } = require('../src/search');
+const { checkParameters } = require('../src/utils/validation');
+
+const ALGORITHMS = searchParameters.properties.algorithm.enum;
+
+/**
+ * Searches a text fed as UTF-8 chunks of the given byte size
+ * @param {string} text - The text
+ * @param {Object} params - Search parameters
+ * @param {number} [chunkSize] - Bytes per chunk (default: the whole text at once)
+ * @returns {Object} - The search summary
+ */
+function search(text, params, chunkSize) {
+  const bytes = Buffer.from(text, 'utf8');
+  const size = chunkSize || bytes.length;
+  const fileSearch = createFileSearch(checkParameters(searchParameters, params));
+
+  for (let start = 0; start < bytes.length; start += size) {
+    fileSearch.write(bytes.subarray(start, start + size));
+  }
+  return fileSearch.end();
+}
+
+for (const algorithm of ALGORITHMS) {
+  test(`${algorithm} file search locates matches by offset, line and column`, () => {
+    const summary = search('abc\nxabcab\nab', { pattern: 'ab', algorithm }, 3);
+
+    assert.equal(summary.matchCount, 4);
+    assert.deepEqual(summary.matches.map(({ offset, line, column }) => [offset, line, column]),
+      [[0, 1, 1], [5, 2, 2], [8, 2, 5], [11, 3, 1]]);
+    assert.equal(summary.lines, 3);
+  });
+
+  test(`${algorithm} file search matches patterns with surrogate pairs`, () => {
+    const text = 'a😀b😁c😀';
+
+    // One byte at a time splits every four-byte character across chunks
+    for (const chunkSize of [undefined, 1]) {
+      const summary = search(text, { pattern: '😀', algorithm }, chunkSize);
+
+      assert.equal(summary.matchCount, 2);
+      assert.deepEqual(summary.matches.map(({ offset, byteOffset, column }) => [offset, byteOffset, column]), [[1, 1, 2], [7, 11, 8]]);
+    }
+
+    assert.equal(search(text, { pattern: 'b😁', algorithm }).matches[0].offset, 3);
+  });
+}
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getRecipe, generateInput } = require('../src/generators');
+const { computeHash } = require('../src/algorithms/rabin-karp');
+const { checkParameters } = require('../src/utils/validation');
+
+const generate = (id, body) => {
+  const recipe = getRecipe(id);
+  const { value, error } = generateInput(recipe, checkParameters(recipe.parameters, body, recipe.validate));
+  assert.equal(error, undefined);
+  return value;
+};
+
+test('random inputs have the requested length in UTF-16 code units', () => {
+  const { input, expected } = generate('random', { alphabet: 'aé€', textLength: 500, patternLength: 2, seed: 7 });
+
+  assert.equal(input.text.length, 500);
+  assert.equal(input.pattern.length, 2);
+  assert.ok(expected.matches.every(position => input.text.startsWith(input.pattern, position)));
+});
+
+test('spurious hits hash like the pattern but do not match it', () => {
+  const { input, expected } = generate('spurious-hits', { alphabet: 'abcé€', patternLength: 3, modulo: 13, seed: 3 });
+  const windows = input.text.length - input.pattern.length + 1;
+
+  assert.ok(expected.spuriousHits.length > 0);
+  for (let i = 0; i < windows; i++) {
+    const window = input.text.slice(i, i + input.pattern.length);
+    const hashHit = computeHash(window, input.base, input.modulo) === expected.patternHash;
+    assert.equal(expected.matches.includes(i), window === input.pattern, `window ${i}`);
+    assert.equal(expected.spuriousHits.includes(i), hashHit && window !== input.pattern, `window ${i}`);
+  }
+});
+
+test('recipes reject characters that take two UTF-16 code units', () => {
+  for (const [id, body] of [['random', { alphabet: 'a😀' }], ['spurious-hits', { alphabet: 'ab😀' }], ['spurious-hits', { pattern: 'a😀' }]]) {
+    const recipe = getRecipe(id);
+    assert.throws(() => checkParameters(recipe.parameters, body, recipe.validate), { code: 'INVALID_PARAMETER' }, JSON.stringify(body));
+  }
+});
+
+test('recipe texts stay within the text length limit', () => {
+  const chain = getRecipe('lps-fallback-chain');
+  const spurious = getRecipe('spurious-hits');
+
+  assert.throws(() => checkParameters(chain.parameters, { patternLength: 1000, repeats: 101 }, chain.validate), { code: 'INVALID_PARAMETER' });
+  assert.throws(() => checkParameters(spurious.parameters, { pattern: 'a'.repeat(33) }, spurious.validate), { code: 'INPUT_TOO_LARGE' });
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isPrime, checkHashParameters, DEFAULT_BIGINT_MODULO } = require('../src/utils/hashing');
+const { rabinKarpAlgorithm } = require('../src/algorithms/rabin-karp');
+const { createRandom } = require('../src/utils/random');
+
+/**
+ * Polynomial hash of a string computed directly with BigInt
+ * @param {string} str - The string
+ * @param {bigint} base - Hash base
+ * @param {bigint} modulo - Modulus
+ * @returns {bigint}
+ */
+function directHash(str, base, modulo) {
+  let hash = 0n;
+  for (let i = 0; i < str.length; i++) {
+    hash = (hash * base + BigInt(str.charCodeAt(i))) % modulo;
+  }
+  return hash;
+}
+
+/**
+ * Text hash of every window, from the search_init and rolling_hash steps
+ * @param {Object} data - Rabin-Karp execution data
+ * @returns {string[]} - Hashes as strings, by window start
+ */
+function windowHashes(data) {
+  const hashes = [];
+  for (const step of data.matching.steps) {
+    if (step.type === 'search_init') {
+      hashes[step.windowStart] = String(step.initialTextHash);
+    } else if (step.type === 'rolling_hash') {
+      hashes[step.newWindowStart] = String(step.newHash);
+    }
+  }
+  return hashes;
+}
+
+test('isPrime agrees with trial division and knows large primes', () => {
+  const trialDivision = n => n >= 2 && Array.from({ length: Math.floor(Math.sqrt(n)) - 1 }, (_, i) => i + 2).every(d => n % d !== 0);
+
+  for (let n = 0; n <= 3000; n++) {
+    assert.equal(isPrime(n), trialDivision(n), String(n));
+  }
+  assert.equal(isPrime(DEFAULT_BIGINT_MODULO), true);
+  assert.equal(isPrime((1n << 61n) - 1n), true);
+  // Carmichael numbers fool the Fermat test but not Miller-Rabin
+  assert.equal(isPrime(561), false);
+  assert.equal(isPrime(3215031751n), false);
+});
+
+test('hash parameters are rejected with the code of the problem', () => {
+  const cases = [
+    [{ base: 1, modulo: 101 }, 'INVALID_BASE'],
+    [{ base: 256, modulo: 100 }, 'INVALID_MODULUS'],
+    [{ base: 256, modulo: '1' }, 'INVALID_MODULUS'],
+    [{ scheme: 'double', base: 256, modulo: 101, secondModulo: 101 }, 'INVALID_MODULUS'],
+    [{ base: 256, modulo: '9007199254740997' }, 'INVALID_MODULUS'],
+    [{ scheme: 'bigint', base: 256, modulo: String(1n << 64n) }, 'INVALID_MODULUS'],
+    [{ base: 65536, modulo: 1000000007 }, 'HASH_OVERFLOW'],
+    [{ scheme: 'triple', base: 256, modulo: 101 }, 'INVALID_PARAMETER']
+  ];
+
+  for (const [options, code] of cases) {
+    assert.equal(checkHashParameters(options, ['\uffff']).code, code, JSON.stringify(options));
+  }
+  assert.deepEqual(checkHashParameters({ scheme: 'bigint', base: 256, modulo: '18446744073709551557' }, ['a']).value,
+    { scheme: 'bigint', base: 256, modulo: DEFAULT_BIGINT_MODULO });
+});
+
+test('rolling hashes equal the directly computed hash of every window', () => {
+  const random = createRandom(21);
+
+  for (const [modulo, options] of [[101, {}], [DEFAULT_BIGINT_MODULO, { scheme: 'bigint' }]]) {
+    for (let run = 0; run < 50; run++) {
+      const text = Array.from({ length: 10 + random.int(30) }, () => random.pick(['a', 'b', 'é', '€'])).join('');
+      const pattern = text.slice(random.int(text.length - 9)).slice(0, 2 + random.int(8));
+      const data = rabinKarpAlgorithm(text, pattern, 256, options.scheme ? String(modulo) : modulo, options);
+      const input = JSON.stringify({ text, pattern, scheme: options.scheme });
+
+      assert.equal(String(data.parameters.patternHash), String(directHash(pattern, 256n, BigInt(modulo))), input);
+      assert.deepEqual(windowHashes(data),
+        Array.from({ length: text.length - pattern.length + 1 }, (_, i) => String(directHash(text.slice(i, i + pattern.length), 256n, BigInt(modulo)))), input);
+    }
+  }
+});
+
+test('collision statistics list exactly the windows that hash like the pattern without matching it', () => {
+  const random = createRandom(22);
+
+  for (let run = 0; run < 100; run++) {
+    const text = Array.from({ length: 5 + random.int(40) }, () => random.pick(['x', 'y', 'z'])).join('');
+    const pattern = Array.from({ length: 1 + random.int(3) }, () => random.pick(['x', 'y', 'z'])).join('');
+    if (pattern.length > text.length) {
+      continue;
+    }
+    const { result } = rabinKarpAlgorithm(text, pattern, 256, 3);
+    const target = directHash(pattern, 256n, 3n);
+    const collided = [];
+    for (let i = 0; i + pattern.length <= text.length; i++) {
+      const window = text.slice(i, i + pattern.length);
+      if (window !== pattern && directHash(window, 256n, 3n) === target) {
+        collided.push(i);
+      }
+    }
+
+    assert.deepEqual(result.collisions.collidedPositions, collided, JSON.stringify({ text, pattern }));
+    assert.equal(result.collisions.spuriousHits, collided.length);
+  }
+});
+
+test('double hashing removes the spurious hits of a small modulus', () => {
+  const single = rabinKarpAlgorithm('xyxyxyxy', 'yx', 256, 3).result;
+  const double = rabinKarpAlgorithm('xyxyxyxy', 'yx', 256, 3, { scheme: 'double', secondModulo: 101 }).result;
+
+  assert.deepEqual(single.collisions.collidedPositions, [0, 2, 4, 6]);
+  assert.deepEqual(double.collisions.collidedPositions, []);
+  assert.deepEqual(double.matches, single.matches);
+  assert.ok(double.charComparisons < single.charComparisons);
+});
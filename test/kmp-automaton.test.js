@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAlgorithm } = require('../src/registry');
+const { checkParameters } = require('../src/utils/validation');
+
+const execute = params => {
+  const definition = getAlgorithm('kmp-automaton');
+  return definition.execute(checkParameters(definition.parameters, params, definition.validate));
+};
+
+test('the automaton reads non-BMP text one UTF-16 code unit at a time', () => {
+  const data = execute({ text: 'ab😀ab😀', pattern: 'b😀' });
+
+  assert.deepEqual(data.alphabet, ['a', 'b', '\ud83d', '\ude00']);
+  assert.deepEqual(data.result.matches, [1, 5]);
+  assert.equal(data.result.transitions, 8);
+  assert.equal(data.result.lpsComparison.statesAgree, true);
+});
+
+test('the automaton reads non-BMP text by code point when asked to', () => {
+  const data = execute({ text: 'x😀y😀', pattern: '😀', unit: 'codepoint' });
+
+  assert.deepEqual(data.alphabet, ['x', 'y', '😀']);
+  assert.deepEqual(data.result.matches, [1, 3]);
+  assert.deepEqual(data.result.originalOffsets, [{ start: 1, end: 3 }, { start: 4, end: 6 }]);
+});
@@ -0,0 +1,452 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { kmpAlgorithm } = require('../src/algorithms/kmp');
+const { rabinKarpAlgorithm } = require('../src/algorithms/rabin-karp');
+const { boyerMooreAlgorithm } = require('../src/algorithms/boyer-moore');
+const { zAlgorithm } = require('../src/algorithms/z-algorithm');
+const { naiveAlgorithm } = require('../src/algorithms/naive');
+const { ahoCorasickAlgorithm } = require('../src/algorithms/aho-corasick');
+const { wildcardAlgorithm } = require('../src/algorithms/wildcard');
+const { approximateAlgorithm } = require('../src/algorithms/approximate');
+const { suffixArrayAlgorithm } = require('../src/algorithms/suffix-array');
+const { createRandom } = require('../src/utils/random');
+
+// Random inputs per property; the seeds are fixed so a failure reproduces, and its message names the input
+const RUNS = 300;
+const LPS_COMPARISONS = ['lps_match', 'lps_fallback', 'lps_zero'];
+
+/**
+ * Every start position where pattern occurs in text, comparing character by character
+ * @param {string} text - The text
+ * @param {string} pattern - The pattern
+ * @returns {number[]}
+ */
+function bruteForce(text, pattern) {
+  const positions = [];
+  for (let i = 0; i + pattern.length <= text.length; i++) {
+    let j = 0;
+    while (j < pattern.length && text[i + j] === pattern[j]) {
+      j++;
+    }
+    if (j === pattern.length) {
+      positions.push(i);
+    }
+  }
+  return positions;
+}
+
+/**
+ * Longest proper prefix of pattern[0..i] that is also its suffix, for every i, by trying every length
+ * @param {string} pattern - The pattern
+ * @returns {number[]}
+ */
+function bruteForceLPS(pattern) {
+  return Array.from(pattern, (_, i) => {
+    const prefix = pattern.slice(0, i + 1);
+    for (let length = i; length > 0; length--) {
+      if (prefix.endsWith(prefix.slice(0, length))) {
+        return length;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Length of the longest common prefix of two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function commonPrefix(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) {
+    length++;
+  }
+  return length;
+}
+
+/**
+ * Edit distance between two strings, by the full DP table
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next.push(Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+    }
+    row = next;
+  }
+  return row[b.length];
+}
+
+/**
+ * Strong good-suffix shift for every j: the smallest shift after which the matched suffix pattern[j..]
+ * lines up with equal characters again and a different character comes before it (j = 0: a full match)
+ * @param {string} pattern - The pattern
+ * @returns {number[]} - m + 1 shifts
+ */
+function bruteForceGoodSuffix(pattern) {
+  const m = pattern.length;
+  return Array.from({ length: m + 1 }, (_, j) => {
+    for (let s = 1; s < m; s++) {
+      let agrees = true;
+      for (let k = Math.max(j, s); k < m && agrees; k++) {
+        agrees = pattern[k - s] === pattern[k];
+      }
+      if (agrees && (j === 0 || j - 1 - s < 0 || pattern[j - 1 - s] !== pattern[j - 1])) {
+        return s;
+      }
+    }
+    return m;
+  });
+}
+
+const randomString = (random, alphabet, length) => Array.from({ length }, () => random.pick(alphabet)).join('');
+
+/**
+ * Random inputs over small alphabets, which give many overlapping matches and long LPS chains
+ * @param {number} seed - Seed of the inputs
+ * @returns {Object[]} - { text, pattern }
+ */
+function randomInputs(seed) {
+  const random = createRandom(seed);
+
+  return Array.from({ length: RUNS }, () => {
+    const alphabet = random.pick(['A', 'AB', 'AB', 'ABC', 'ACGT']).split('');
+    const text = randomString(random, alphabet, 1 + random.int(40));
+    const pattern = random.next() < 0.3
+      ? text.slice(random.int(text.length)).slice(0, 1 + random.int(6))
+      : randomString(random, alphabet, 1 + random.int(Math.min(text.length, 6)));
+    return { text, pattern };
+  });
+}
+
+test('KMP finds exactly the brute-force matches', () => {
+  for (const { text, pattern } of randomInputs(1)) {
+    const data = kmpAlgorithm(text, pattern);
+
+    assert.deepEqual(data.result.matches, bruteForce(text, pattern), JSON.stringify({ text, pattern }));
+    assert.equal(data.result.matchCount, data.result.matches.length);
+    assert.deepEqual(data.lpsArray, bruteForceLPS(pattern), pattern);
+  }
+});
+
+test('KMP comparison counts stay within the linear bounds', () => {
+  for (const { text, pattern } of randomInputs(2)) {
+    const data = kmpAlgorithm(text, pattern);
+    const n = text.length;
+    const m = pattern.length;
+    const input = JSON.stringify({ text, pattern });
+
+    // Every text character is compared at least once; each extra comparison follows a fallback,
+    // and there are no more fallbacks than advances of the text pointer
+    assert.ok(data.result.totalComparisons >= n, `${input}: ${data.result.totalComparisons} < n`);
+    assert.ok(data.result.totalComparisons <= 2 * n, `${input}: ${data.result.totalComparisons} > 2n`);
+
+    // The same argument over the pattern for the LPS array, where every match, fallback or zero step is one comparison
+    const lpsComparisons = data.preprocessing.steps.filter(step => LPS_COMPARISONS.includes(step.type)).length;
+    assert.ok(lpsComparisons >= m - 1 && lpsComparisons <= 2 * (m - 1), `${input}: ${lpsComparisons} LPS comparisons`);
+  }
+});
+
+test('Rabin-Karp finds exactly the brute-force matches with every hash scheme', () => {
+  const schemes = [
+    [256, 101, {}],
+    // A tiny modulus makes most hash hits spurious
+    [256, 3, {}],
+    [10, 13, { scheme: 'double', secondModulo: 101 }],
+    [256, 1000000007n, { scheme: 'bigint' }]
+  ];
+
+  for (const [base, modulo, options] of schemes) {
+    for (const { text, pattern } of randomInputs(3)) {
+      const data = rabinKarpAlgorithm(text, pattern, base, modulo, options);
+
+      assert.deepEqual(data.result.matches, bruteForce(text, pattern), JSON.stringify({ text, pattern, modulo: String(modulo), ...options }));
+    }
+  }
+});
+
+test('Rabin-Karp compares one hash per window and verifies only hash hits', () => {
+  for (const modulo of [3, 101]) {
+    for (const { text, pattern } of randomInputs(4)) {
+      const { result } = rabinKarpAlgorithm(text, pattern, 256, modulo);
+      const n = text.length;
+      const m = pattern.length;
+      const { hashHits, spuriousHits } = result.collisions;
+      const input = JSON.stringify({ text, pattern, modulo });
+
+      assert.equal(result.hashComparisons, n - m + 1, input);
+      assert.equal(hashHits, result.matchCount + spuriousHits, input);
+      // A match compares all m characters, a spurious hit at least one; never more than m per hit,
+      // so never more than the (n - m + 1) * m of the worst case
+      assert.ok(result.charComparisons >= result.matchCount * m + spuriousHits, `${input}: ${result.charComparisons} too few`);
+      assert.ok(result.charComparisons <= hashHits * m, `${input}: ${result.charComparisons} too many`);
+    }
+  }
+});
+
+test('multi-pattern Rabin-Karp finds the brute-force matches of every pattern', () => {
+  const random = createRandom(5);
+
+  for (let run = 0; run < RUNS; run++) {
+    const text = randomString(random, ['A', 'B'], 2 + random.int(30));
+    const m = 1 + random.int(Math.min(text.length, 4));
+    const patterns = [...new Set(Array.from({ length: 1 + random.int(4) }, () => randomString(random, ['A', 'B'], m)))];
+    const modulo = random.pick([3, 101]);
+    const { result } = rabinKarpAlgorithm(text, patterns, 256, modulo);
+    const input = JSON.stringify({ text, patterns, modulo });
+
+    const expected = patterns
+      .flatMap((pattern, patternIndex) => bruteForce(text, pattern).map(position => ({ position, patternIndex, pattern })))
+      .sort((a, b) => a.position - b.position || a.patternIndex - b.patternIndex);
+
+    assert.deepEqual(result.matches, expected, input);
+    assert.equal(result.hashComparisons, text.length - m + 1, input);
+    assert.ok(result.charComparisons >= expected.length * m, input);
+    assert.ok(result.charComparisons <= (text.length - m + 1) * patterns.length * m, input);
+  }
+});
+
+test('Boyer-Moore finds exactly the brute-force matches and never shifts past one', () => {
+  for (const { text, pattern } of randomInputs(6)) {
+    const data = boyerMooreAlgorithm(text, pattern);
+    const expected = bruteForce(text, pattern);
+    const input = JSON.stringify({ text, pattern });
+
+    assert.deepEqual(data.result.matches, expected, input);
+    assert.ok(data.result.totalComparisons <= (text.length - pattern.length + 1) * pattern.length, input);
+
+    for (const step of data.matching.steps.filter(step => step.type === 'shift')) {
+      assert.ok(!expected.some(position => position > step.patternOffset && position < step.newPatternOffset),
+        `${input}: shift from ${step.patternOffset} to ${step.newPatternOffset} skips a match`);
+    }
+  }
+});
+
+test('Boyer-Moore shift tables agree with their definitions', () => {
+  for (const { pattern } of randomInputs(7)) {
+    const data = boyerMooreAlgorithm(pattern, pattern);
+
+    for (const char of new Set(pattern)) {
+      assert.equal(data.badCharTable[char], pattern.lastIndexOf(char), `${pattern}: bad character '${char}'`);
+    }
+    assert.deepEqual(data.goodSuffixTable, bruteForceGoodSuffix(pattern), pattern);
+  }
+});
+
+test('Z-algorithm finds exactly the brute-force matches with the brute-force Z-values', () => {
+  for (const { text, pattern } of randomInputs(8)) {
+    const data = zAlgorithm(text, pattern);
+    const input = JSON.stringify({ text, pattern });
+
+    assert.deepEqual(data.result.matches, bruteForce(text, pattern), input);
+    assert.deepEqual(data.zArray, Array.from(pattern, (_, i) => commonPrefix(pattern.slice(i), pattern)), input);
+    assert.deepEqual(data.textZArray, Array.from(text, (_, i) => commonPrefix(text.slice(i), pattern)), input);
+    // Every comparison either extends the rightmost Z-box or ends a position
+    assert.ok(data.result.totalComparisons <= 2 * text.length, `${input}: ${data.result.totalComparisons} > 2n`);
+  }
+});
+
+test('naive matching finds the brute-force matches, comparing each alignment up to its first mismatch', () => {
+  for (const { text, pattern } of randomInputs(9)) {
+    const data = naiveAlgorithm(text, pattern);
+    const input = JSON.stringify({ text, pattern });
+    let comparisons = 0;
+    for (let s = 0; s + pattern.length <= text.length; s++) {
+      comparisons += Math.min(commonPrefix(text.slice(s), pattern) + 1, pattern.length);
+    }
+
+    assert.deepEqual(data.result.matches, bruteForce(text, pattern), input);
+    assert.equal(data.result.totalComparisons, comparisons, input);
+    assert.deepEqual(data.preprocessing.steps, [], input);
+  }
+});
+
+test('Aho-Corasick finds the brute-force matches of every pattern', () => {
+  const random = createRandom(10);
+
+  for (let run = 0; run < RUNS; run++) {
+    const alphabet = random.pick(['AB', 'ABC']).split('');
+    const text = randomString(random, alphabet, 1 + random.int(40));
+    const patterns = [...new Set(Array.from({ length: 1 + random.int(5) }, () => randomString(random, alphabet, 1 + random.int(5))))];
+    const { result } = ahoCorasickAlgorithm(text, patterns);
+    const input = JSON.stringify({ text, patterns });
+
+    const expected = patterns
+      .flatMap((pattern, patternIndex) => bruteForce(text, pattern).map(position => ({ position, patternIndex, pattern })))
+      .sort((a, b) => a.position - b.position || a.patternIndex - b.patternIndex);
+    const found = [...result.matches].sort((a, b) => a.position - b.position || a.patternIndex - b.patternIndex);
+
+    assert.deepEqual(found, expected, input);
+    assert.deepEqual(result.matchesByPattern.map(entry => entry.positions), patterns.map(pattern => bruteForce(text, pattern)), input);
+  }
+});
+
+test('Aho-Corasick failure links point to the longest proper suffix in the trie', () => {
+  const random = createRandom(11);
+
+  for (let run = 0; run < RUNS; run++) {
+    const patterns = [...new Set(Array.from({ length: 1 + random.int(5) }, () => randomString(random, ['A', 'B'], 1 + random.int(5))))];
+    const { trie } = ahoCorasickAlgorithm(patterns.join(''), patterns);
+    const byLabel = new Map(trie.nodes.map(node => [node.label, node]));
+    const input = JSON.stringify(patterns);
+
+    for (const { from, to } of trie.failureLinks) {
+      const label = trie.nodes[from].label;
+      let suffix = label.slice(1);
+      while (!byLabel.has(suffix)) {
+        suffix = suffix.slice(1);
+      }
+      assert.equal(trie.nodes[to].label, suffix, `${input}: failure link of '${label}'`);
+    }
+
+    // Output links skip to the nearest node on the failure chain that ends a pattern
+    const failure = new Map(trie.failureLinks.map(({ from, to }) => [from, to]));
+    const withOutput = trie.nodes.filter(node => {
+      for (let link = failure.get(node.id); link !== undefined && link !== 0; link = failure.get(link)) {
+        if (trie.nodes[link].terminal) {
+          return true;
+        }
+      }
+      return false;
+    });
+    assert.deepEqual(trie.outputLinks.map(({ from }) => from).sort((a, b) => a - b), withOutput.map(node => node.id), input);
+    for (const { from, to } of trie.outputLinks) {
+      let node = failure.get(from);
+      while (!trie.nodes[node].terminal) {
+        node = failure.get(node);
+      }
+      assert.equal(to, node, `${input}: output link of '${trie.nodes[from].label}'`);
+    }
+    assert.equal(trie.failureLinks.length, trie.nodes.length - 1, input);
+  }
+});
+
+// Wildcard pattern tokens with the regular expression that accepts the same character
+const WILDCARD_TOKENS = [['A', 'A'], ['B', 'B'], ['C', 'C'], ['?', '[^]'], ['[AB]', '[AB]'], ['[B-C]', '[B-C]'], ['\\?', '\\?'], ['[?C]', '[?C]']];
+
+test('wildcard matching finds exactly the positions a regular expression accepts', () => {
+  const random = createRandom(12);
+
+  for (let run = 0; run < RUNS; run++) {
+    const text = randomString(random, ['A', 'B', 'C', '?'], 1 + random.int(40));
+    const tokens = Array.from({ length: 1 + random.int(Math.min(text.length, 5)) }, () => random.pick(WILDCARD_TOKENS));
+    const pattern = tokens.map(([source]) => source).join('');
+    const regex = new RegExp(`^(?:${tokens.map(([, source]) => source).join('')})`);
+    const input = JSON.stringify({ text, pattern });
+
+    const expected = [];
+    for (let i = 0; i + tokens.length <= text.length; i++) {
+      if (regex.test(text.slice(i))) {
+        expected.push(i);
+      }
+    }
+
+    assert.deepEqual(wildcardAlgorithm(text, pattern).result.matches, expected, input);
+  }
+});
+
+test('wildcard patterns with broken classes or escapes are rejected', () => {
+  for (const pattern of ['[AB', '[]', '[C-A]', 'AB\\']) {
+    assert.throws(() => wildcardAlgorithm('ABCABC', pattern), { code: 'INVALID_PATTERN' }, pattern);
+  }
+});
+
+/**
+ * Checks that an alignment spells the occurrence and the pattern and has as many edits as errors
+ * @param {Object} match - Reported occurrence
+ * @param {string} text - The text
+ * @param {string} pattern - The pattern
+ * @param {string} input - Message for failures
+ */
+function checkAlignment(match, text, pattern, input) {
+  const { alignment } = match;
+  const edits = [...alignment.operations].filter(operation => operation !== 'M').length;
+
+  assert.equal(alignment.text.replace(/-/g, ''), text.slice(match.start, match.end + 1), input);
+  assert.equal(alignment.pattern.replace(/-/g, ''), pattern, input);
+  assert.equal(edits, match.errors, input);
+  [...alignment.operations].forEach((operation, i) => {
+    if (operation === 'M' || operation === 'S') {
+      assert.equal(alignment.text[i] === alignment.pattern[i], operation === 'M', `${input}: operation ${i}`);
+    }
+  });
+}
+
+test('Hamming matching reports every window with at most k mismatches', () => {
+  const random = createRandom(13);
+
+  for (const { text, pattern } of randomInputs(13)) {
+    const maxErrors = random.int(Math.min(pattern.length, 3));
+    const input = JSON.stringify({ text, pattern, maxErrors });
+    const expected = [];
+    for (let s = 0; s + pattern.length <= text.length; s++) {
+      const errors = [...pattern].filter((char, j) => text[s + j] !== char).length;
+      if (errors <= maxErrors) {
+        expected.push({ start: s, end: s + pattern.length - 1, errors });
+      }
+    }
+    const { matches } = approximateAlgorithm(text, pattern, maxErrors, 'hamming').result;
+
+    assert.deepEqual(matches.map(({ start, end, errors }) => ({ start, end, errors })), expected, input);
+    matches.forEach(match => checkAlignment(match, text, pattern, input));
+  }
+});
+
+test('Levenshtein matching reports every end position within k edits of the pattern', () => {
+  const random = createRandom(14);
+
+  for (const { text, pattern } of randomInputs(14)) {
+    const maxErrors = random.int(Math.min(pattern.length, 3));
+    const input = JSON.stringify({ text, pattern, maxErrors });
+    const expected = [];
+    for (let end = 0; end < text.length; end++) {
+      let errors = pattern.length;
+      for (let start = 0; start <= end + 1; start++) {
+        errors = Math.min(errors, editDistance(pattern, text.slice(start, end + 1)));
+      }
+      if (errors <= maxErrors) {
+        expected.push({ end, errors });
+      }
+    }
+    const { matches } = approximateAlgorithm(text, pattern, maxErrors, 'levenshtein').result;
+
+    assert.deepEqual(matches.map(({ end, errors }) => ({ end, errors })), expected, input);
+    matches.forEach(match => checkAlignment(match, text, pattern, input));
+  }
+});
+
+test('suffix array and LCP array agree with sorting the suffixes directly', () => {
+  for (const { text, pattern } of randomInputs(15)) {
+    const data = suffixArrayAlgorithm(text, pattern);
+    const input = JSON.stringify({ text, pattern });
+    const sorted = Array.from(text, (_, i) => i)
+      .sort((a, b) => (text.slice(a) < text.slice(b) ? -1 : 1));
+
+    assert.deepEqual(data.suffixArray, sorted, input);
+    assert.deepEqual(data.lcpArray, sorted.map((start, rank) =>
+      (rank === 0 ? 0 : commonPrefix(text.slice(sorted[rank - 1]), text.slice(start)))), input);
+    // Kasai: the common prefix shrinks by at most one per suffix, so it grows by at most 2n in total
+    assert.ok(data.result.lcpComparisons <= 2 * text.length, `${input}: ${data.result.lcpComparisons} > 2n`);
+  }
+});
+
+test('suffix array lookups find the brute-force matches as one block of ranks', () => {
+  for (const { text, pattern } of randomInputs(16)) {
+    const { suffixArray, result } = suffixArrayAlgorithm(text, pattern);
+    const input = JSON.stringify({ text, pattern });
+    const { first, end } = result.suffixRange;
+
+    assert.deepEqual(result.matches, bruteForce(text, pattern), input);
+    assert.equal(result.matchCount, end - first, input);
+    suffixArray.forEach((start, rank) => {
+      assert.equal(text.startsWith(pattern, start), rank >= first && rank < end, `${input}: rank ${rank}`);
+    });
+  }
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAlgorithm } = require('../src/registry');
+const { checkParameters } = require('../src/utils/validation');
+const { catalogs, DEFAULT_LOCALE, VERBOSITY_LEVELS, isLocalized, negotiateLocale } = require('../src/i18n');
+const { PLACEHOLDER } = require('../src/format/templates');
+
+const LOCALIZED = ['kmp', 'rabin-karp'];
+const FIELDS = ['description', 'explanation', 'brief', 'detail'];
+const reference = catalogs[DEFAULT_LOCALE];
+
+const placeholders = template => [...template.matchAll(PLACEHOLDER)].map(match => match[1]).sort();
+
+const execute = (id, params) => {
+  const definition = getAlgorithm(id);
+  return definition.execute(checkParameters(definition.parameters, params, definition.validate));
+};
+
+for (const [lang, catalog] of Object.entries(catalogs)) {
+  for (const id of LOCALIZED) {
+    test(`the ${lang} catalog has every message of every ${id} step type`, () => {
+      const definition = getAlgorithm(id);
+      const types = [...new Set([...definition.steps.preprocessing, ...definition.steps.matching].map(schema => schema.properties.type.const))];
+      const messages = catalog.messages[id];
+
+      assert.ok(messages, `${lang} has no ${id} messages`);
+      assert.deepEqual(Object.keys(messages).sort(), types.sort());
+
+      for (const type of types) {
+        for (const field of FIELDS) {
+          const variants = messages[type][field];
+          const expected = reference.messages[id][type][field];
+
+          assert.ok(Array.isArray(variants) && variants.length > 0, `${lang} ${id}/${type} has no ${field}`);
+          assert.equal(variants.length, expected.length, `${lang} ${id}/${type}/${field} variants`);
+          variants.forEach((template, variant) => {
+            assert.equal(typeof template, 'string');
+            assert.deepEqual(placeholders(template), placeholders(expected[variant]), `${lang} ${id}/${type}/${field}/${variant} parameters`);
+          });
+        }
+      }
+    });
+  }
+
+  test(`the ${lang} catalog names every kind of unit code`, () => {
+    assert.deepEqual(Object.keys(catalog.codeLabels).sort(), Object.keys(reference.codeLabels).sort());
+    for (const label of Object.values(catalog.codeLabels)) {
+      assert.equal(typeof label.short, 'string');
+      assert.equal(typeof label.long, 'string');
+    }
+  });
+}
+
+test('only KMP and Rabin-Karp are localized', () => {
+  assert.deepEqual(LOCALIZED.filter(isLocalized), LOCALIZED);
+  assert.equal(isLocalized('boyer-moore'), false);
+});
+
+test('every language and verbosity renders all parameters of the steps', () => {
+  const cases = [
+    ['kmp', { text: 'AABAACAADAABAABA', pattern: 'AABA' }],
+    ['rabin-karp', { text: 'AAAAAAAAAAB', pattern: 'AB', modulo: 3 }],
+    ['rabin-karp', { text: 'ABABCABAB', patterns: ['AB', 'CA', 'BA'], modulo: 3 }],
+    ['rabin-karp', { text: 'xĀ😀xĀ😀', pattern: 'Ā😀', unit: 'codepoint', scheme: 'double' }]
+  ];
+
+  for (const [id, params] of cases) {
+    for (const lang of Object.keys(catalogs)) {
+      for (const verbosity of VERBOSITY_LEVELS) {
+        const data = execute(id, { ...params, lang, verbosity });
+
+        for (const step of [...data.preprocessing.steps, ...data.matching.steps]) {
+          for (const field of ['description', 'explanation']) {
+            assert.equal(typeof step[field], 'string');
+            assert.doesNotMatch(step[field], PLACEHOLDER, `${id} ${lang} ${verbosity} ${step.type} ${field}`);
+          }
+        }
+      }
+    }
+  }
+});
+
+test('verbosity changes only the explanation', () => {
+  const params = { text: 'ABABDABACDABABCABAB', pattern: 'ABABCABAB' };
+  const [brief, normal, detailed] = VERBOSITY_LEVELS.map(verbosity => execute('kmp', { ...params, verbosity }));
+  const normalSteps = normal.matching.steps;
+
+  brief.matching.steps.forEach((step, i) => {
+    assert.equal(step.description, normalSteps[i].description);
+    assert.ok(step.explanation.length < normalSteps[i].explanation.length, step.type);
+  });
+  detailed.matching.steps.forEach((step, i) => {
+    assert.equal(step.description, normalSteps[i].description);
+    assert.ok(step.explanation.startsWith(`${normalSteps[i].explanation} `), step.type);
+  });
+
+  const fallback = detailed.matching.steps.find(step => step.type === 'mismatch_shift');
+  assert.match(fallback.explanation, /The shift is safe/);
+});
+
+test('detailed Rabin-Karp explanations give the collision probability of the modulus', () => {
+  const data = execute('rabin-karp', { text: 'ABCCDDAEFG', pattern: 'CDD', base: 10, modulo: 13, verbosity: 'detailed' });
+  const init = data.matching.steps[0];
+
+  assert.match(init.explanation, /probability about 0\.077/);
+  assert.match(init.explanation, /about 0\.62 spurious hit\(s\) are expected over the 8 window\(s\)/);
+});
+
+test('Spanish steps are rendered from the Spanish catalog', () => {
+  const data = execute('kmp', { text: 'AABAACAADAABAABA', pattern: 'AABA', lang: 'es' });
+
+  assert.equal(data.preprocessing.steps[0].description, 'Inicializando el arreglo LPS con ceros');
+  assert.equal(data.matching.steps.find(step => step.type === 'pattern_found').description, '¡Patrón encontrado en el índice 0!');
+
+  const hashed = execute('rabin-karp', { text: 'xĀx', pattern: 'Ā', lang: 'es' });
+  assert.equal(hashed.preprocessing.steps[1].description, 'Añadiendo el carácter \'Ā\' (U+0100: 256) al hash');
+  assert.match(hashed.preprocessing.steps[1].explanation, /sumamos el punto de código U\+0100 de 'Ā'/);
+});
+
+test('Accept-Language picks the best supported language', () => {
+  assert.equal(negotiateLocale('es-MX,es;q=0.9,en;q=0.5'), 'es');
+  assert.equal(negotiateLocale('fr-FR, en;q=0.3, es;q=0.2'), 'en');
+  assert.equal(negotiateLocale('en;q=0.5, ES;q=0.8'), 'es');
+  assert.equal(negotiateLocale('*'), 'en');
+  assert.equal(negotiateLocale('fr'), undefined);
+  assert.equal(negotiateLocale('es;q=0'), undefined);
+  assert.equal(negotiateLocale(undefined), undefined);
+});
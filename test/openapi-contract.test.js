@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { kmpAlgorithm } = require('../src/algorithms/kmp');
+const { rabinKarpAlgorithm } = require('../src/algorithms/rabin-karp');
+const { listAlgorithms, runAlgorithm } = require('../src/registry');
+const { buildOpenApiDocument, schemaPrefix } = require('../src/openapi');
+const { checkParameters } = require('../src/utils/validation');
+const { ApiError, errorBody } = require('../src/utils/errors');
+
+const spec = buildOpenApiDocument();
+const schemas = spec.components.schemas;
+
+const typeOf = value => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return Number.isInteger(value) ? 'integer' : typeof value;
+};
+
+/**
+ * Checks a value against the subset of JSON Schema the document uses
+ * @returns {string[]} - One message per violation
+ */
+function check(value, schema, at = '$') {
+  if (schema.$ref) {
+    return check(value, schemas[schema.$ref.split('/').pop()], at);
+  }
+
+  const problems = [];
+  const fail = message => problems.push(`${at}: ${message}`);
+
+  // Steps are checked against the variant their type names, like an OpenAPI discriminator
+  if (schema.discriminator && value && schema.discriminator.mapping[value[schema.discriminator.propertyName]]) {
+    return check(value, { $ref: schema.discriminator.mapping[value[schema.discriminator.propertyName]] }, at);
+  }
+  if (schema.oneOf) {
+    const passing = schema.oneOf.filter(option => check(value, option, at).length === 0).length;
+    if (passing !== 1) {
+      fail(`matches ${passing} of the oneOf schemas`);
+    }
+  }
+  if (schema.anyOf && !schema.anyOf.some(option => check(value, option, at).length === 0)) {
+    fail('matches none of the anyOf schemas');
+  }
+  if ('const' in schema && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (schema.type) {
+    const actual = typeOf(value);
+    const allowed = [].concat(schema.type);
+    if (!allowed.includes(actual) && !(actual === 'integer' && allowed.includes('number'))) {
+      fail(`is ${actual}, expected ${allowed.join(' or ')}`);
+      return problems;
+    }
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    fail(`${value} is below ${schema.minimum}`);
+  }
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    fail(`does not match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`has fewer than ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`has more than ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => problems.push(...check(item, schema.items, `${at}[${i}]`)));
+    }
+  } else if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (!(name in value)) {
+        fail(`missing required field '${name}'`);
+      }
+    }
+    for (const [name, field] of Object.entries(value)) {
+      if (schema.properties && schema.properties[name]) {
+        problems.push(...check(field, schema.properties[name], `${at}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        fail(`undocumented field '${name}'`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        problems.push(...check(field, schema.additionalProperties, `${at}.${name}`));
+      }
+    }
+  }
+
+  return problems;
+}
+
+const assertMatches = (value, name) => assert.deepStrictEqual(check(value, schemas[name]).slice(0, 5), []);
+
+// Step types seen in a set of executions, as 'phase:type'
+const stepTypes = executions => new Set(executions.flatMap(data =>
+  ['preprocessing', 'matching'].flatMap(phase => data[phase].steps.map(step => `${phase}:${step.type}`))));
+
+const documentedTypes = id => new Set(['preprocessing', 'matching'].flatMap(phase =>
+  listAlgorithms().find(definition => definition.id === id).steps[phase].map(step => `${phase}:${step.properties.type.const}`)));
+
+const kmpRuns = [
+  kmpAlgorithm('ABABDABACDABABCABAB', 'ABABCABAB'),
+  kmpAlgorithm('AABAACAADAABAABA', 'AABA'),
+  kmpAlgorithm('AAAAAB', 'AAB'),
+  kmpAlgorithm('XYZ', 'AB'),
+  kmpAlgorithm('👍🏽👍👍🏽👍🏽', '👍🏽👍🏽', { unit: 'grapheme' })
+];
+
+const rabinKarpRuns = [
+  rabinKarpAlgorithm('GEEKS FOR GEEKS', 'GEEK'),
+  rabinKarpAlgorithm('AAAAAAAAAAAAAAAAAAAA', 'AB', 256, 3),
+  rabinKarpAlgorithm('ABABCABAB', ['AB', 'CA', 'BA']),
+  rabinKarpAlgorithm('ABCDABCD', ['AB', 'CD', 'DA'], 256, 3),
+  rabinKarpAlgorithm('ABCCDDAEFG', 'CDD', 10, 13, { scheme: 'double', secondModulo: 101 }),
+  rabinKarpAlgorithm('AABAACAADAABAABA', 'AABA', 256, '18446744073709551557', { scheme: 'bigint' }),
+  rabinKarpAlgorithm('Café au lait, CAFÉ noir', 'café', 256, 101, { unit: 'grapheme', normalization: 'NFC', caseFold: true })
+];
+
+test('kmpAlgorithm responses match the KmpExecution schema', () => {
+  for (const data of kmpRuns) {
+    assertMatches(data, 'KmpExecution');
+  }
+});
+
+test('rabinKarpAlgorithm responses match the RabinKarpExecution schema', () => {
+  for (const data of rabinKarpRuns) {
+    assertMatches(data, 'RabinKarpExecution');
+  }
+});
+
+test('the KMP and Rabin-Karp runs cover every documented step type', () => {
+  assert.deepStrictEqual([...documentedTypes('kmp')].filter(type => !stepTypes(kmpRuns).has(type)), []);
+  assert.deepStrictEqual([...documentedTypes('rabin-karp')].filter(type => !stepTypes(rabinKarpRuns).has(type)), []);
+});
+
+test('a step with an undocumented field or type is rejected', () => {
+  const step = kmpRuns[0].matching.steps[1];
+
+  assert.notDeepStrictEqual(check({ ...step, extra: 1 }, schemas.KmpMatchingStep), []);
+  assert.notDeepStrictEqual(check({ ...step, type: 'unknown' }, schemas.KmpMatchingStep), []);
+});
+
+for (const definition of listAlgorithms()) {
+  test(`${definition.id} examples match the ${schemaPrefix(definition.id)}Execution schema`, () => {
+    for (const example of definition.info.examples) {
+      const data = runAlgorithm(definition, checkParameters(definition.parameters, example, definition.validate));
+      assertMatches(data, `${schemaPrefix(definition.id)}Execution`);
+    }
+  });
+}
+
+test('step unions map every type to the schema with that type', () => {
+  for (const schema of Object.values(schemas).filter(entry => entry.discriminator)) {
+    for (const [type, ref] of Object.entries(schema.discriminator.mapping)) {
+      assert.equal(schemas[ref.split('/').pop()].properties.type.const, type);
+    }
+  }
+});
+
+test('error bodies match the Error schema', () => {
+  assertMatches(errorBody(new ApiError('PATTERN_TOO_LONG', 'Pattern length cannot exceed text length')), 'Error');
+  assertMatches(errorBody(new ApiError('INPUT_TOO_LARGE', 'Text is too long', { limit: 10 })), 'Error');
+  assertMatches(errorBody(new Error('unexpected')), 'Error');
+});
+
+test('every schema reference resolves', () => {
+  const refs = JSON.stringify(spec).match(/#\/components\/schemas\/[^"]+/g);
+  for (const ref of new Set(refs)) {
+    assert.ok(schemas[ref.split('/').pop()], `${ref} is not defined`);
+  }
+});
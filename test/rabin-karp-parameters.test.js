@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAlgorithm } = require('../src/registry');
+const { checkParameters } = require('../src/utils/validation');
+
+const definition = getAlgorithm('rabin-karp');
+const check = params => checkParameters(definition.parameters, params, definition.validate);
+
+test('Rabin-Karp takes either pattern or patterns', () => {
+  assert.equal(check({ text: 'ABAB', pattern: 'AB' }).pattern, 'AB');
+  assert.deepEqual(check({ text: 'ABAB', patterns: ['AB', 'BA'] }).patterns, ['AB', 'BA']);
+});
+
+test('Rabin-Karp rejects pattern and patterns together instead of dropping one', () => {
+  assert.throws(() => check({ text: 'ABAB', pattern: 'AB', patterns: ['BA'] }),
+    { code: 'INVALID_PARAMETER', message: 'Send either pattern or patterns, not both' });
+});
+
+test('Rabin-Karp requires a pattern', () => {
+  assert.throws(() => check({ text: 'ABAB' }), { code: 'MISSING_PARAMETER' });
+});
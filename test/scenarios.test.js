@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The shared store writes to a temporary file and takes at most 2 scenarios; set before it is created
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scenarios-'));
+process.env.SCENARIO_FILE = path.join(directory, 'shared', 'scenarios.json');
+process.env.MAX_SCENARIOS = '2';
+const { createScenarioStore, validateScenario, builtInScenarios } = require('../src/scenarios');
+const router = require('../src/routes/scenarios');
+const { kmpAlgorithm } = require('../src/algorithms/kmp');
+
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+const builtIns = () => [{ id: 'kmp-1', name: 'Example', tags: ['example'], algorithm: 'kmp', text: 'AB', pattern: 'A', parameters: {}, readOnly: true }];
+
+/**
+ * Sends a request through the scenarios router and returns the response
+ * @param {string} method - HTTP method
+ * @param {string} url - Path below /api/scenarios
+ * @param {Object} [body] - Parsed body
+ * @param {Object} [query] - Parsed query
+ * @returns {Object} - { status, body }
+ */
+function send(method, url, body = {}, query = {}) {
+  const response = { status: 200 };
+  const res = {
+    status: code => Object.assign(response, { status: code }) && res,
+    json: value => Object.assign(response, { body: value })
+  };
+  router.handle({ method, url, body, query, headers: {}, get: () => undefined }, res, error => {
+    throw error || new Error(`No route for ${method} ${url}`);
+  });
+  return response;
+}
+
+test('saved scenarios survive a new store on the same file and can be deleted', () => {
+  const file = path.join(directory, 'store', 'scenarios.json');
+  const store = createScenarioStore({ file, builtIns, maxScenarios: 10, now: () => 0 });
+  const entry = validateScenario({ name: 'Overlaps', tags: ['demo'], algorithm: 'kmp', text: 'AAAA', pattern: 'AA' });
+  const scenario = store.create(entry);
+
+  assert.match(scenario.id, /^[a-zA-Z0-9]{8}$/);
+  assert.equal(scenario.createdAt, '1970-01-01T00:00:00.000Z');
+  assert.equal(scenario.readOnly, false);
+
+  const reopened = createScenarioStore({ file, builtIns, maxScenarios: 10 });
+  assert.deepEqual(reopened.get(scenario.id), scenario);
+  assert.deepEqual(reopened.list().map(({ id }) => id), ['kmp-1', scenario.id]);
+  assert.deepEqual(reopened.list({ tag: 'demo' }).map(({ id }) => id), [scenario.id]);
+  assert.deepEqual(reopened.list({ algorithm: 'naive' }), []);
+
+  assert.equal(reopened.remove(scenario.id), true);
+  assert.equal(reopened.remove(scenario.id), false);
+  assert.equal(createScenarioStore({ file, builtIns, maxScenarios: 10 }).get(scenario.id), undefined);
+});
+
+test('built-in scenarios are read-only and the saved ones are limited', () => {
+  const store = createScenarioStore({ file: path.join(directory, 'limit', 'scenarios.json'), builtIns, maxScenarios: 1 });
+  const entry = validateScenario({ name: 'One', algorithm: 'kmp', text: 'AB', pattern: 'B' });
+
+  assert.throws(() => store.remove('kmp-1'), { code: 'READ_ONLY' });
+  store.create(entry);
+  assert.throws(() => store.create(entry), { code: 'INPUT_TOO_LARGE', details: { limit: 1 } });
+  assert.deepEqual(store.stats(), { builtIn: 1, saved: 1, maxScenarios: 1, file: path.join(directory, 'limit', 'scenarios.json') });
+});
+
+test('scenarios are validated against their algorithm, which drops unknown parameters', () => {
+  assert.deepEqual(validateScenario({ name: 'Hashes', algorithm: 'rabin-karp', text: 'ABAB', pattern: 'AB', parameters: { base: 31, colour: 'red' } }).parameters, { base: 31 });
+  assert.throws(() => validateScenario({ name: 'Unknown', algorithm: 'grep', text: 'AB', pattern: 'A' }), { code: 'INVALID_PARAMETER' });
+  assert.throws(() => validateScenario({ name: 'No pattern', algorithm: 'kmp', text: 'AB' }), { code: 'MISSING_PARAMETER' });
+  assert.ok(builtInScenarios().every(scenario => validateScenario(scenario).algorithm === scenario.algorithm));
+});
+
+test('the routes save, show, replay and delete scenarios', () => {
+  const created = send('POST', '/', { name: 'Overlaps', algorithm: 'kmp', text: 'AAAA', pattern: 'AA' });
+  assert.equal(created.status, 201);
+  const { id, links, replay } = created.body.data;
+  assert.deepEqual(links, { self: `/api/scenarios/${id}`, execute: `/api/scenarios/${id}/execute` });
+  assert.deepEqual(replay, { method: 'POST', path: '/api/kmp/execute', body: { text: 'AAAA', pattern: 'AA' } });
+
+  assert.equal(send('GET', `/${id}`).body.data.text, 'AAAA');
+  assert.ok(send('GET', '/', {}, { algorithm: 'kmp' }).body.data.some(scenario => scenario.id === id && !('text' in scenario)));
+
+  // A replay runs the stored input and takes other /execute options from the request
+  const replayed = send('POST', `/${id}/execute`, { text: 'BBBB', format: 'compact' });
+  assert.equal(replayed.status, 200);
+  assert.equal(replayed.body.data.format, 'compact');
+  assert.equal(replayed.body.data.text, 'AAAA');
+  assert.deepEqual(send('GET', `/${id}/execute`).body.data.result.matches, kmpAlgorithm('AAAA', 'AA').result.matches);
+
+  assert.equal(send('DELETE', `/${id}`).body.success, true);
+  assert.equal(send('GET', `/${id}`).status, 404);
+});
+
+test('the routes refuse to delete built-ins and to save past the limit', () => {
+  const deleted = send('DELETE', '/kmp-1');
+  assert.equal(deleted.status, 403);
+  assert.equal(deleted.body.code, 'READ_ONLY');
+
+  const body = { name: 'Filler', algorithm: 'naive', text: 'AB', pattern: 'A' };
+  assert.equal(send('POST', '/', body).status, 201);
+  assert.equal(send('POST', '/', body).status, 201);
+  const full = send('POST', '/', body);
+  assert.equal(full.status, 413);
+  assert.deepEqual(full.body.details, { limit: 2 });
+});
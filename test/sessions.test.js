@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Traces of more than 40 steps are replayed instead of stored; set before the shared store is created
+process.env.SESSION_MAX_STEPS_PER_SESSION = '40';
+const { createSessionStore } = require('../src/sessions');
+const { router, createExecutionSession } = require('../src/routes/executions');
+const { getAlgorithm, runAlgorithm } = require('../src/registry');
+
+const entry = stepCount => ({
+  algorithm: 'kmp',
+  params: {},
+  summary: {},
+  stepCounts: { preprocessing: 0, matching: stepCount },
+  steps: { preprocessing: [], matching: Array.from({ length: stepCount }, (_, index) => ({ index })) }
+});
+
+/**
+ * Sends a GET request through the executions router and returns the response
+ * @param {string} path - Path below /api/executions
+ * @param {Object} [query] - Parsed query
+ * @returns {Object} - { status, body }
+ */
+function get(path, query = {}) {
+  const response = { status: 200 };
+  const res = {
+    status: code => Object.assign(response, { status: code }) && res,
+    json: body => Object.assign(response, { body })
+  };
+  router.handle({ method: 'GET', url: path, query, headers: {} }, res, error => {
+    throw error || new Error(`No route for ${path}`);
+  });
+  return response;
+}
+
+test('sessions expire after their time to live since the last access', () => {
+  let clock = 0;
+  const store = createSessionStore({ ttlMs: 100, maxSessions: 10, maxStoredSteps: 100, maxStepsPerSession: 10, now: () => clock });
+  const first = store.create(entry(1));
+  const second = store.create(entry(1));
+
+  clock = 80;
+  assert.equal(store.get(first.id), first);
+  clock = 150;
+  assert.equal(store.get(first.id), first);
+  assert.equal(store.get(second.id), undefined);
+  assert.equal(store.stats().sessions, 1);
+});
+
+test('the least recently used sessions are evicted past the session and step limits', () => {
+  const store = createSessionStore({ ttlMs: 1000, maxSessions: 2, maxStoredSteps: 10, maxStepsPerSession: 8, now: () => 0 });
+  const [a, b] = [store.create(entry(2)), store.create(entry(2))];
+
+  store.get(a.id);
+  const c = store.create(entry(2));
+  assert.equal(store.get(b.id), undefined, 'b was least recently used');
+
+  // Three sessions with 2 + 2 + 7 steps pass both limits, and c is now the least recently used
+  store.get(a.id);
+  const large = store.create(entry(7));
+  assert.equal(store.get(c.id), undefined, 'c was least recently used');
+  assert.equal(store.stats().sessions, 2);
+  assert.equal(store.stats().storedSteps, 9);
+
+  // Traces over the per-session limit are kept without their steps
+  const long = store.create(entry(9));
+  assert.equal(long.steps, null);
+  assert.ok(store.get(large.id));
+});
+
+test('a window of steps is the same slice of the full trace', () => {
+  const definition = getAlgorithm('kmp');
+  const params = { text: 'ABABCABAB', pattern: 'ABAB' };
+  const full = runAlgorithm(definition, params);
+  const session = createExecutionSession(definition, params);
+
+  assert.notEqual(session.steps, null);
+  const { body } = get(`/${session.id}/steps`, { phase: 'matching', from: '2', limit: '3' });
+  assert.deepEqual(body.data.steps.map(({ step }) => step), full.matching.steps.slice(2, 5));
+  assert.deepEqual(body.data.steps.map(({ index }) => index), [2, 3, 4]);
+  assert.equal(body.data.total, full.matching.steps.length);
+  assert.equal(body.data.hasMore, true);
+
+  const all = get(`/${session.id}/steps`, { from: String(full.preprocessing.steps.length - 1), limit: '2' }).body.data.steps;
+  assert.deepEqual(all.map(({ phase, index }) => [phase, index]), [['preprocessing', full.preprocessing.steps.length - 1], ['matching', 0]]);
+});
+
+test('steps of traces too long to store are replayed on seek', () => {
+  const definition = getAlgorithm('naive');
+  const params = { text: 'AAAAAAAAAAAAAAAAAAAB', pattern: 'AAAB' };
+  const full = runAlgorithm(definition, params);
+  const session = createExecutionSession(definition, params);
+
+  assert.ok(full.matching.steps.length > 40);
+  assert.equal(session.steps, null);
+  const { body } = get(`/${session.id}/steps/41`, { phase: 'matching' });
+  assert.equal(body.data.source, 'replayed');
+  assert.deepEqual(body.data.step, full.matching.steps[41]);
+
+  assert.equal(get(`/${session.id}/steps/${full.matching.steps.length}`, { phase: 'matching' }).status, 404);
+});
+
+test('invalid windows and unknown sessions are rejected', () => {
+  const session = createExecutionSession(getAlgorithm('kmp'), { text: 'ABAB', pattern: 'AB' });
+
+  assert.equal(get(`/${session.id}/steps`, { limit: '0' }).status, 400);
+  assert.equal(get(`/${session.id}/steps`, { phase: 'other' }).status, 400);
+  assert.equal(get('/missing/steps').body.code, 'NOT_FOUND');
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAlgorithm, listAlgorithms, runAlgorithm } = require('../src/registry');
+const { limitSteps, runTrace } = require('../src/utils/trace');
+
+test('every built-in algorithm generates its steps lazily, so limits apply while it runs', () => {
+  for (const definition of listAlgorithms()) {
+    assert.equal(typeof definition.trace, 'function', definition.id);
+  }
+});
+
+test('a trace whose steps grow with every match is stopped at the payload limit', () => {
+  // Every KMP step carries the matches so far, which makes the payload quadratic in the text length
+  assert.throws(() => runAlgorithm(getAlgorithm('kmp'), { text: 'a'.repeat(8000), pattern: 'a' }),
+    { code: 'STEP_LIMIT_EXCEEDED' });
+});
+
+test('limitSteps stops before collecting the step that crosses a limit', () => {
+  const trace = () => getAlgorithm('naive').trace({ text: 'AAAAAAAAAB', pattern: 'AAAB' });
+  const data = runTrace(trace());
+  const steps = [...data.preprocessing.steps, ...data.matching.steps];
+  const bytes = steps.reduce((total, step) => total + JSON.stringify(step).length, 0);
+
+  assert.deepEqual(runTrace(limitSteps(trace(), steps.length, bytes)), data);
+  assert.throws(() => runTrace(limitSteps(trace(), steps.length - 1)), { code: 'STEP_LIMIT_EXCEEDED', details: { limit: steps.length - 1 } });
+  assert.throws(() => runTrace(limitSteps(trace(), steps.length, bytes - 1)), { code: 'STEP_LIMIT_EXCEEDED', details: { limit: bytes - 1 } });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { getAlgorithm } = require('../src/registry');
+const { checkParameters } = require('../src/utils/validation');
+const { runTrace, replayResult } = require('../src/utils/trace');
+
+// Run `npm run test:update-snapshots` after an intended change to the steps, and review the diff
+const UPDATE = process.env.UPDATE_SNAPSHOTS === '1';
+const SNAPSHOT_DIR = path.join(__dirname, 'snapshots');
+
+// Inputs besides the /info examples, by case name
+const edgeCases = {
+  kmp: {
+    'pattern equals text': { text: 'ABCAB', pattern: 'ABCAB' },
+    'overlapping matches': { text: 'AAAAAA', pattern: 'AAA' },
+    'periodic pattern': { text: 'ABABABABAB', pattern: 'ABAB' },
+    'single character pattern': { text: 'BANANA', pattern: 'A' },
+    'match at the end': { text: 'XXXXAB', pattern: 'AB' },
+    'no match': { text: 'ABCDEF', pattern: 'XYZ' },
+    'long fallback chain': { text: 'AAAABAAAABAAAAA', pattern: 'AAAAA' }
+  },
+  'rabin-karp': {
+    'pattern equals text': { text: 'ABCAB', pattern: 'ABCAB' },
+    'overlapping matches': { text: 'AAAAAA', pattern: 'AAA' },
+    'single character pattern': { text: 'BANANA', pattern: 'A' },
+    'no match': { text: 'ABCDEF', pattern: 'XYZ' },
+    'spurious hits': { text: 'AAAAAAAAAAB', pattern: 'AB', modulo: 3 },
+    'overlapping patterns': { text: 'AAAABAAA', patterns: ['AA', 'AB', 'BA'] },
+    'double hash': { text: 'ABABAB', pattern: 'BAB', scheme: 'double' }
+  }
+};
+
+const execute = (definition, params) => definition.execute(checkParameters(definition.parameters, params, definition.validate));
+
+/**
+ * Snapshot cases of an algorithm: its /info examples, then its edge cases
+ * @param {string} id - Algorithm id
+ * @returns {Array} - [name, params] pairs
+ */
+function snapshotCases(id) {
+  const examples = getAlgorithm(id).info.examples.map((params, i) => [`example ${i + 1}`, params]);
+  return [...examples, ...Object.entries(edgeCases[id])];
+}
+
+for (const id of Object.keys(edgeCases)) {
+  const file = path.join(SNAPSHOT_DIR, `${id}.json`);
+  const stored = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const cases = snapshotCases(id);
+
+  test(`${id} traces match the stored snapshots`, () => {
+    const definition = getAlgorithm(id);
+    // Through JSON, as clients receive the traces
+    const actual = Object.fromEntries(cases.map(([name, params]) =>
+      [name, { input: params, output: JSON.parse(JSON.stringify(execute(definition, params))) }]));
+
+    if (UPDATE) {
+      fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+      fs.writeFileSync(file, `${JSON.stringify(actual, null, 2)}\n`);
+      return;
+    }
+
+    assert.deepEqual(Object.keys(stored), Object.keys(actual), `${id} snapshot cases are out of date; run npm run test:update-snapshots`);
+    for (const [name, snapshot] of Object.entries(actual)) {
+      assert.deepEqual(snapshot.input, stored[name].input, `${id} '${name}' input changed`);
+      assert.deepEqual(snapshot.output, stored[name].output, `${id} '${name}' trace differs from its snapshot`);
+    }
+  });
+
+  test(`${id} traces are the same when run again or replayed`, () => {
+    const definition = getAlgorithm(id);
+
+    for (const [name, params] of cases) {
+      const first = execute(definition, params);
+      const second = execute(definition, params);
+
+      assert.deepEqual(second, first, `${id} '${name}' is not deterministic`);
+      assert.deepEqual(runTrace(replayResult(first)), first, `${id} '${name}' does not survive a replay`);
+    }
+  });
+}
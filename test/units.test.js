@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { prepareUnits } = require('../src/utils/units');
+const { kmpAlgorithm } = require('../src/algorithms/kmp');
+const { rabinKarpAlgorithm } = require('../src/algorithms/rabin-karp');
+const { createRandom } = require('../src/utils/random');
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+const SPLIT = {
+  utf16: str => str.split(''),
+  codepoint: str => Array.from(str),
+  grapheme: str => [...segmenter.segment(str)].map(({ segment }) => segment)
+};
+
+/**
+ * Start indices where the pattern units occur in the text units
+ * @param {string[]} text - Text units
+ * @param {string[]} pattern - Pattern units
+ * @returns {number[]}
+ */
+function bruteForce(text, pattern) {
+  const positions = [];
+  for (let i = 0; i + pattern.length <= text.length; i++) {
+    if (pattern.every((unit, j) => text[i + j] === unit)) {
+      positions.push(i);
+    }
+  }
+  return positions;
+}
+
+test('units keep the UTF-16 offsets they come from', () => {
+  assert.deepEqual(prepareUnits('a😀b', { unit: 'codepoint' }), { units: ['a', '😀', 'b'], offsets: [[0, 1], [1, 3], [3, 4]] });
+  assert.deepEqual(prepareUnits('é👍🏽', { unit: 'grapheme' }).units, ['é', '👍🏽']);
+  assert.deepEqual(prepareUnits('abc'), { units: 'abc', offsets: null });
+});
+
+test('KMP and Rabin-Karp find the same unit positions as a brute-force search over the units', () => {
+  const random = createRandom(31);
+  const pieces = ['a', 'b', '\u00e9', 'e\u0301', '😀', '👍', '🏽'];
+
+  for (const unit of Object.keys(SPLIT)) {
+    for (let run = 0; run < 100; run++) {
+      const text = Array.from({ length: 3 + random.int(15) }, () => random.pick(pieces)).join('');
+      const textUnits = SPLIT[unit](text);
+      const start = random.int(textUnits.length);
+      const pattern = textUnits.slice(start, start + 1 + random.int(3)).join('');
+      const expected = bruteForce(textUnits, SPLIT[unit](pattern));
+      const input = JSON.stringify({ text, pattern, unit });
+
+      const kmp = kmpAlgorithm(text, pattern, { unit }).result;
+      assert.deepEqual(kmp.matches, expected, input);
+      assert.deepEqual(rabinKarpAlgorithm(text, pattern, 256, 101, { unit }).result.matches, expected, input);
+
+      // Offsets point back at the pattern in the original text
+      if (unit !== 'utf16') {
+        assert.ok(kmp.originalOffsets.every(({ start: from, end }) => text.slice(from, end) === pattern), input);
+      }
+    }
+  }
+});
+
+test('normalization and case folding match equivalent spellings', () => {
+  const composed = kmpAlgorithm('café café', 'café', { normalization: 'NFC' }).result;
+  assert.deepEqual(composed.originalOffsets, [{ start: 0, end: 4 }, { start: 5, end: 10 }]);
+
+  const folded = kmpAlgorithm('Straße STRASSE', 'strasse', { caseFold: true }).result;
+  assert.equal(folded.matchCount, 2);
+  assert.deepEqual(folded.originalOffsets.map(({ start, end }) => 'Straße STRASSE'.slice(start, end)), ['Straße', 'STRASSE']);
+
+  assert.equal(kmpAlgorithm('Straße strasse', 'strasse').result.matchCount, 1);
+});